@@ -4,9 +4,31 @@
  * 
  * Features:
  * - Product catalog management
- * - Shopping cart functionality with localStorage persistence
+ * - Products sold in several bottle sizes, loaded from a validated JSON or CSV file
+ * - Typo-tolerant search, faceted filtering and sorting with shareable URLs
+ * - Multi-item shopping cart with localStorage persistence
+ * - Canonical, versioned order model shared by every page
  * - Order processing and validation
- * - ETA calculation system
+ * - Order ledger with lookup and status lifecycle
+ * - Offer rules evaluation with discounts and perks
+ * - Deterministic delivery scheduling with slot capacity
+ * - Outlet pickup in 15-minute windows with sequential queue tokens
+ * - QR pickup codes signed by the server, verified and redeemed at the counter
+ * - Sequential tax invoices with excise, VAT and GST breakdowns
+ * - Pluggable payment providers (COD, card, UPI, net banking) over a mock gateway
+ * - Stacked, screen-reader friendly notifications with actions
+ * - Client-side router with route params, guards and clean page unmounting
+ * - Per-state excise compliance (legal age, daily limits, dry days)
+ * - Inventory with expiring stock reservations and out-of-stock waitlists
+ * - Passcode-protected admin console for catalog, offers and bookings
+ * - English, Malayalam and Hindi message catalogs with a language switcher
+ * - HTML templates that escape interpolated values by default
+ * - Installable offline app with a durable outbox for orders placed offline
+ * - Cart, order and language changes shared between open tabs
+ * - Customer profile with saved addresses, order form autofill and one-click reorder
+ * - Offline PIN code lookup with city/state autofill and delivery serviceability
+ * - Gift orders with a separate recipient, message, wrapping and occasion date
+ * - Product reviews with star ratings, tasting notes and a moderation queue
  * - Responsive UI updates
  * 
  * @version 1.0.0
@@ -20,7 +42,10 @@
    ======================================== */
 
 /**
- * Product catalog and promotional offers
+ * Bundled copy of data/catalog.json: products, each sold in one or more sizes
+ * (variants), and promotional offers. The served site reads the catalog file
+ * instead (see CatalogSchema), so price changes go there; this copy is used
+ * when the file cannot be fetched, e.g. pages opened straight from disk.
  * @constant {Object} PRODUCT_CATALOG
  */
 const PRODUCT_CATALOG = {
@@ -28,56 +53,80 @@ const PRODUCT_CATALOG = {
     {
       id: 'jack-premium-whisky',
       name: 'Premium Whisky - Jack Daniels',
-      price: 1299,
       abv: 40,
-      image: 'images/jack.jpg',
+      image: 'bottle1.jpeg',
       category: 'whisky',
-      description: 'Tennessee whiskey with smooth vanilla finish'
+      description: 'Tennessee whiskey with smooth vanilla finish',
+      variants: [
+        { sku: 'jack-premium-whisky-375', volumeMl: 375, price: 699, stock: 12 },
+        { sku: 'jack-premium-whisky-750', volumeMl: 750, price: 1299, stock: 24 },
+        { sku: 'jack-premium-whisky-1000', volumeMl: 1000, price: 1699, stock: 8 }
+      ]
     },
     {
       id: 'jameson-irish-whisky',
       name: 'Jameson Irish Whisky',
-      price: 1199,
       abv: 40,
-      image: 'images/jameson.jpg',
+      image: 'bottle2.jpeg',
       category: 'whisky',
-      description: 'Triple-distilled Irish whiskey with citrus notes'
+      description: 'Triple-distilled Irish whiskey with citrus notes',
+      variants: [
+        { sku: 'jameson-irish-whisky-375', volumeMl: 375, price: 649, stock: 10 },
+        { sku: 'jameson-irish-whisky-750', volumeMl: 750, price: 1199, stock: 18 },
+        { sku: 'jameson-irish-whisky-1000', volumeMl: 1000, price: 1549, stock: 6 }
+      ]
     },
     {
       id: 'luxury-premium-vodka',
       name: 'Luxury Premium Vodka',
-      price: 999,
       abv: 40,
-      image: 'images/vodka.jpg',
+      image: 'bottle3.jpeg',
       category: 'vodka',
-      description: 'Ultra-pure vodka with crystal clarity'
+      description: 'Ultra-pure vodka with crystal clarity',
+      variants: [
+        { sku: 'luxury-premium-vodka-180', volumeMl: 180, price: 269, stock: 20 },
+        { sku: 'luxury-premium-vodka-375', volumeMl: 375, price: 529, stock: 15 },
+        { sku: 'luxury-premium-vodka-750', volumeMl: 750, price: 999, stock: 12 }
+      ]
     },
     {
       id: 'black-tot-rum',
       name: 'Black Tot Premium Rum',
-      price: 899,
       abv: 42,
-      image: 'images/blacktot.jpg',
+      image: 'bottle4.jpeg',
       category: 'rum',
-      description: 'Caribbean rum with rich molasses flavor'
+      description: 'Caribbean rum with rich molasses flavor',
+      variants: [
+        { sku: 'black-tot-rum-700', volumeMl: 700, price: 899, stock: 3 }
+      ]
     },
     {
       id: 'black-white-scotch',
       name: 'Black & White Scotch Whisky',
-      price: 1099,
       abv: 43,
-      image: 'images/blackwhite.jpg',
+      image: 'bottle5.jpeg',
       category: 'whisky',
-      description: 'Blended Scotch with smoky undertones'
+      description: 'Blended Scotch with smoky undertones',
+      variants: [
+        { sku: 'black-white-scotch-180', volumeMl: 180, price: 299, stock: 25 },
+        { sku: 'black-white-scotch-375', volumeMl: 375, price: 579, stock: 20 },
+        { sku: 'black-white-scotch-750', volumeMl: 750, price: 1099, stock: 30 },
+        { sku: 'black-white-scotch-1000', volumeMl: 1000, price: 1399, stock: 10 }
+      ]
     },
     {
       id: 'old-monk-rum',
       name: 'Old Monk Dark Rum',
-      price: 499,
       abv: 42,
-      image: 'images/oldmonk.jpg',
+      image: 'bottle6.jpeg',
       category: 'rum',
-      description: 'Classic Indian dark rum with vanilla notes'
+      description: 'Classic Indian dark rum with vanilla notes',
+      variants: [
+        { sku: 'old-monk-rum-180', volumeMl: 180, price: 149, stock: 60 },
+        { sku: 'old-monk-rum-375', volumeMl: 375, price: 269, stock: 50 },
+        { sku: 'old-monk-rum-750', volumeMl: 750, price: 499, stock: 40 },
+        { sku: 'old-monk-rum-1000', volumeMl: 1000, price: 649, stock: 20 }
+      ]
     }
   ],
   
@@ -86,26 +135,209 @@ const PRODUCT_CATALOG = {
       id: 'seasonal-offer',
       title: 'Seasonal Tasting',
       description: 'Complimentary tasting sample with every premium bottle purchase.',
-      validUntil: '2025-12-31',
-      minOrderValue: 1000
+      validUntil: '2026-12-31',
+      minOrderValue: 1000,
+      benefit: { type: 'perk', perk: 'tasting-sample', label: 'Complimentary tasting sample' }
     },
     {
       id: 'bulk-discount',
       title: 'Volume Discount',
       description: '5% off for 3+ bottles in a single order. Perfect for celebrations.',
-      validUntil: '2025-12-31',
-      minQuantity: 3
+      minQuantity: 3,
+      benefit: { type: 'percentage', value: 5 }
     },
     {
       id: 'weekend-priority',
       title: 'Priority Dispatch',
       description: 'Orders placed on Friday receive priority weekend dispatch.',
-      validUntil: '2025-12-31',
-      applicableDays: ['friday']
+      applicableDays: ['friday'],
+      benefit: { type: 'perk', perk: 'priority-dispatch', label: 'Priority weekend dispatch' }
     }
   ]
 };
 
+/**
+ * Bundled PIN code directory, so the order form can check a PIN without a
+ * connection.
+ *
+ * - states: state and union territory names by code (the values of the order
+ *   form's state select)
+ * - regions: state codes by PIN prefix. The longest matching prefix wins, so
+ *   two-digit postal regions can be narrowed by three- or six-digit entries;
+ *   a list means the prefix spans more than one state. Prefixes not listed
+ *   are not in use.
+ * - districts: sorting districts (the first three digits) of the cities we
+ *   know, with their approximate centre for distance checks. PINs elsewhere
+ *   get a state but no city.
+ * @constant {Object} PIN_DIRECTORY
+ */
+const PIN_DIRECTORY = {
+  states: {
+    AN: 'Andaman and Nicobar Islands',
+    AP: 'Andhra Pradesh',
+    AR: 'Arunachal Pradesh',
+    AS: 'Assam',
+    BR: 'Bihar',
+    CH: 'Chandigarh',
+    CT: 'Chhattisgarh',
+    DH: 'Dadra and Nagar Haveli and Daman and Diu',
+    DL: 'Delhi',
+    GA: 'Goa',
+    GJ: 'Gujarat',
+    HP: 'Himachal Pradesh',
+    HR: 'Haryana',
+    JH: 'Jharkhand',
+    JK: 'Jammu and Kashmir',
+    KA: 'Karnataka',
+    KL: 'Kerala',
+    LA: 'Ladakh',
+    LD: 'Lakshadweep',
+    MH: 'Maharashtra',
+    ML: 'Meghalaya',
+    MN: 'Manipur',
+    MP: 'Madhya Pradesh',
+    MZ: 'Mizoram',
+    NL: 'Nagaland',
+    OR: 'Odisha',
+    PB: 'Punjab',
+    PY: 'Puducherry',
+    RJ: 'Rajasthan',
+    SK: 'Sikkim',
+    TG: 'Telangana',
+    TN: 'Tamil Nadu',
+    TR: 'Tripura',
+    UP: 'Uttar Pradesh',
+    UT: 'Uttarakhand',
+    WB: 'West Bengal'
+  },
+  regions: {
+    '11': 'DL',
+    '12': 'HR', '13': 'HR',
+    '14': 'PB', '15': 'PB', '16': 'PB', '160': 'CH',
+    '17': 'HP',
+    '18': 'JK', '19': 'JK', '194': 'LA',
+    '20': 'UP', '21': 'UP', '22': 'UP', '23': 'UP', '24': 'UP', '25': 'UP', '26': 'UP', '27': 'UP', '28': 'UP',
+    '244': ['UP', 'UT'], '246': 'UT', '247': ['UP', 'UT'], '248': 'UT', '249': 'UT', '262': ['UP', 'UT'], '263': 'UT',
+    '30': 'RJ', '31': 'RJ', '32': 'RJ', '33': 'RJ', '34': 'RJ',
+    '36': 'GJ', '37': 'GJ', '38': 'GJ', '39': 'GJ', '396210': 'DH', '396230': 'DH', '362520': 'DH',
+    '40': 'MH', '41': 'MH', '42': 'MH', '43': 'MH', '44': 'MH', '403': 'GA',
+    '45': 'MP', '46': 'MP', '47': 'MP', '48': 'MP',
+    '49': 'CT',
+    '50': 'TG',
+    '51': 'AP', '52': 'AP', '53': 'AP',
+    '56': 'KA', '57': 'KA', '58': 'KA', '59': 'KA',
+    '60': 'TN', '61': 'TN', '62': 'TN', '63': 'TN', '64': 'TN', '605': ['TN', 'PY'], '609': ['TN', 'PY'],
+    '67': 'KL', '68': 'KL', '69': 'KL', '682555': 'LD',
+    '70': 'WB', '71': 'WB', '72': 'WB', '73': 'WB', '74': 'WB', '737': 'SK', '744': 'AN',
+    '75': 'OR', '76': 'OR', '77': 'OR',
+    '78': 'AS',
+    '790': 'AR', '791': 'AR', '792': 'AR', '793': 'ML', '794': 'ML', '795': 'MN', '796': 'MZ', '797': 'NL', '798': 'NL', '799': 'TR',
+    '80': 'BR', '81': 'BR', '82': 'BR', '83': 'JH', '84': 'BR', '85': 'BR',
+    '814': 'JH', '815': 'JH', '816': 'JH', '822': 'JH', '825': 'JH', '826': 'JH', '827': 'JH', '828': 'JH', '829': 'JH'
+  },
+  districts: {
+    '110': { city: 'New Delhi', state: 'DL', lat: 28.61, lng: 77.21 },
+    '122': { city: 'Gurugram', state: 'HR', lat: 28.46, lng: 77.03 },
+    '141': { city: 'Ludhiana', state: 'PB', lat: 30.90, lng: 75.86 },
+    '160': { city: 'Chandigarh', state: 'CH', lat: 30.73, lng: 76.78 },
+    '201': { city: 'Ghaziabad', state: 'UP', lat: 28.67, lng: 77.45 },
+    '226': { city: 'Lucknow', state: 'UP', lat: 26.85, lng: 80.95 },
+    '248': { city: 'Dehradun', state: 'UT', lat: 30.32, lng: 78.03 },
+    '302': { city: 'Jaipur', state: 'RJ', lat: 26.91, lng: 75.79 },
+    '380': { city: 'Ahmedabad', state: 'GJ', lat: 23.02, lng: 72.57 },
+    '400': { city: 'Mumbai', state: 'MH', lat: 19.08, lng: 72.88 },
+    '403': { city: 'Panaji', state: 'GA', lat: 15.49, lng: 73.83 },
+    '411': { city: 'Pune', state: 'MH', lat: 18.52, lng: 73.86 },
+    '452': { city: 'Indore', state: 'MP', lat: 22.72, lng: 75.86 },
+    '462': { city: 'Bhopal', state: 'MP', lat: 23.26, lng: 77.41 },
+    '500': { city: 'Hyderabad', state: 'TG', lat: 17.39, lng: 78.49 },
+    '520': { city: 'Vijayawada', state: 'AP', lat: 16.51, lng: 80.65 },
+    '530': { city: 'Visakhapatnam', state: 'AP', lat: 17.69, lng: 83.22 },
+    '560': { city: 'Bengaluru', state: 'KA', lat: 12.97, lng: 77.59 },
+    '570': { city: 'Mysuru', state: 'KA', lat: 12.30, lng: 76.64 },
+    '575': { city: 'Mangaluru', state: 'KA', lat: 12.91, lng: 74.86 },
+    '580': { city: 'Hubballi', state: 'KA', lat: 15.36, lng: 75.12 },
+    '600': { city: 'Chennai', state: 'TN', lat: 13.08, lng: 80.27 },
+    '603': { city: 'Chengalpattu', state: 'TN', lat: 12.69, lng: 79.98 },
+    '605': { city: 'Puducherry', state: 'PY', lat: 11.94, lng: 79.81 },
+    '620': { city: 'Tiruchirappalli', state: 'TN', lat: 10.80, lng: 78.69 },
+    '625': { city: 'Madurai', state: 'TN', lat: 9.93, lng: 78.12 },
+    '636': { city: 'Salem', state: 'TN', lat: 11.66, lng: 78.15 },
+    '641': { city: 'Coimbatore', state: 'TN', lat: 11.02, lng: 76.96 },
+    '670': { city: 'Kannur', state: 'KL', lat: 11.87, lng: 75.37 },
+    '673': { city: 'Kozhikode', state: 'KL', lat: 11.26, lng: 75.78 },
+    '678': { city: 'Palakkad', state: 'KL', lat: 10.78, lng: 76.65 },
+    '680': { city: 'Thrissur', state: 'KL', lat: 10.53, lng: 76.21 },
+    '682': { city: 'Kochi', state: 'KL', lat: 9.98, lng: 76.28 },
+    '683': { city: 'Aluva', state: 'KL', lat: 10.11, lng: 76.35 },
+    '686': { city: 'Kottayam', state: 'KL', lat: 9.59, lng: 76.52 },
+    '688': { city: 'Alappuzha', state: 'KL', lat: 9.49, lng: 76.33 },
+    '691': { city: 'Kollam', state: 'KL', lat: 8.89, lng: 76.61 },
+    '695': { city: 'Thiruvananthapuram', state: 'KL', lat: 8.52, lng: 76.94 },
+    '700': { city: 'Kolkata', state: 'WB', lat: 22.57, lng: 88.36 },
+    '751': { city: 'Bhubaneswar', state: 'OR', lat: 20.30, lng: 85.82 },
+    '781': { city: 'Guwahati', state: 'AS', lat: 26.14, lng: 91.74 },
+    '800': { city: 'Patna', state: 'BR', lat: 25.59, lng: 85.14 },
+    '834': { city: 'Ranchi', state: 'JH', lat: 23.34, lng: 85.31 }
+  }
+};
+
+/**
+ * Excise rules by state code (the values of the order form's state select).
+ * States not listed use `default`. Keep in sync with data/compliance.json,
+ * which the local backend serves; the figures are indicative and should be
+ * checked against current state excise notifications when updated.
+ *
+ * - minimumAge: legal purchase age in years
+ * - maxLitresPerDay: bottle volume a customer may take delivery of per day
+ * - maxAlcoholLitresPerDay: the same limit expressed as pure alcohol (volume x ABV)
+ * - prohibited: no sale or delivery at all
+ * - blockedDates: { date } or { from, to } ranges (YYYY-MM-DD) with a reason
+ * @constant {Object} COMPLIANCE_RULES
+ */
+const COMPLIANCE_RULES = {
+  defaultVolumeMl: 750,
+  default: {
+    minimumAge: 21,
+    maxLitresPerDay: 4.5,
+    maxAlcoholLitresPerDay: 1.8,
+    prohibited: false,
+    blockedDates: []
+  },
+  states: {
+    BR: { name: 'Bihar', prohibited: true },
+    GA: { name: 'Goa', minimumAge: 18, maxLitresPerDay: 9, maxAlcoholLitresPerDay: 3.6 },
+    GJ: { name: 'Gujarat', prohibited: true },
+    HR: { name: 'Haryana', minimumAge: 25 },
+    KA: { name: 'Karnataka', minimumAge: 18, maxLitresPerDay: 2.3, maxAlcoholLitresPerDay: 0.92 },
+    KL: {
+      name: 'Kerala',
+      minimumAge: 23,
+      maxLitresPerDay: 3,
+      maxAlcoholLitresPerDay: 1.2,
+      blockedDates: [
+        { date: '2027-09-21', reason: 'Sree Narayana Guru Samadhi' }
+      ]
+    },
+    MH: {
+      name: 'Maharashtra',
+      minimumAge: 25,
+      blockedDates: [
+        { date: '2027-02-19', reason: 'Chhatrapati Shivaji Maharaj Jayanti' }
+      ]
+    },
+    MZ: { name: 'Mizoram', prohibited: true },
+    NL: { name: 'Nagaland', prohibited: true },
+    PB: { name: 'Punjab', minimumAge: 25 },
+    TN: {
+      name: 'Tamil Nadu',
+      blockedDates: [
+        { date: '2027-01-16', reason: 'Thiruvalluvar Day' }
+      ]
+    }
+  }
+};
+
 /**
  * Application configuration constants
  * @constant {Object} CONFIG
@@ -113,26 +345,1569 @@ const PRODUCT_CATALOG = {
 const CONFIG = {
   STORAGE_KEYS: {
     SELECTED_PRODUCT: 'luxe_liquor_selected_product',
+    CART: 'luxe_liquor_cart',
+    SLOT_BOOKINGS: 'luxe_liquor_slot_bookings',
     BOOKING_DATA: 'luxe_liquor_booking_data',
-    USER_PREFERENCES: 'luxe_liquor_user_prefs'
+    ORDERS: 'luxe_liquor_orders',
+    LAST_ORDER_ID: 'luxe_liquor_last_order_id',
+    INVENTORY: 'luxe_liquor_inventory',
+    WAITLIST: 'luxe_liquor_waitlist',
+    CATALOG: 'luxe_liquor_catalog',
+    ADMIN_PASSCODE: 'luxe_liquor_admin_passcode',
+    INVOICE_SEQUENCE: 'luxe_liquor_invoice_sequence',
+    USER_PREFERENCES: 'luxe_liquor_user_prefs',
+    OUTBOX: 'luxe_liquor_outbox',
+    API_SEEN: 'luxe_liquor_api_seen',
+    LOCKS: 'luxe_liquor_locks',
+    CUSTOMER_PROFILE: 'luxe_liquor_customer_profile',
+    REVIEWS: 'luxe_liquor_reviews',
+    REVIEW_REPORTS: 'luxe_liquor_review_reports'
   },
   
   DELIVERY: {
-    MIN_DAYS: 2,
-    MAX_DAYS: 5,
-    WEEKEND_DELAY: 1
+    // Days between the order being accepted and the earliest delivery
+    LEAD_DAYS: 1,
+    // Orders accepted after this hour are processed on the next business day
+    CUTOFF_HOUR: 16,
+    BUSINESS_HOURS: { OPEN: 10, CLOSE: 20 },
+    // 0 = Sunday ... 6 = Saturday
+    CLOSED_WEEKDAYS: [0],
+    PUBLIC_HOLIDAYS: ['2026-01-26', '2026-08-15', '2026-10-02', '2026-12-25'],
+    DRY_DAYS: ['2026-10-02'],
+    // Day of month observed as a dry day every month (null to disable)
+    MONTHLY_DRY_DAY: 1,
+    TIME_SLOTS: [
+      { id: 'morning', label: 'Morning (9 AM - 12 PM)', start: 9, end: 12, capacity: 20 },
+      { id: 'afternoon', label: 'Afternoon (12 PM - 4 PM)', start: 12, end: 16, capacity: 25 },
+      { id: 'evening', label: 'Evening (4 PM - 8 PM)', start: 16, end: 20, capacity: 20 }
+    ],
+    // How far ahead to search for an open slot
+    MAX_SEARCH_DAYS: 30
+  },
+  
+  PICKUP: {
+    WINDOW_MINUTES: 15,
+    // Orders each outlet can hand over per window
+    WINDOW_CAPACITY: 6,
+    // Minimum time between placing an order and the start of its window
+    LEAD_MINUTES: 60,
+    MAX_SEARCH_DAYS: 7,
+    OUTLETS: [
+      {
+        id: 'kochi-mg-road',
+        code: 'KOC',
+        name: 'Wrong Pour MG Road',
+        address: 'MG Road, Ernakulam',
+        city: 'Kochi',
+        state: 'KL',
+        pin: '682016',
+        location: { lat: 9.9716, lng: 76.2829 },
+        hours: { OPEN: 10, CLOSE: 21 }
+      },
+      {
+        id: 'bengaluru-indiranagar',
+        code: 'BLR',
+        name: 'Wrong Pour Indiranagar',
+        address: '100 Feet Road, Indiranagar',
+        city: 'Bengaluru',
+        state: 'KA',
+        pin: '560038',
+        location: { lat: 12.9719, lng: 77.6412 },
+        hours: { OPEN: 10, CLOSE: 22 }
+      },
+      {
+        id: 'chennai-t-nagar',
+        code: 'CHN',
+        name: 'Wrong Pour T. Nagar',
+        address: 'Usman Road, T. Nagar',
+        city: 'Chennai',
+        state: 'TN',
+        pin: '600017',
+        location: { lat: 13.0418, lng: 80.2341 },
+        hours: { OPEN: 12, CLOSE: 22 }
+      }
+    ]
+  },
+  
+  SERVICE_AREA: {
+    // Deliver to PINs whose district centre is this close to an outlet (null to turn off)
+    OUTLET_RADIUS_KM: 30,
+    // Further areas delivered to, by PIN prefix
+    ZONES: [
+      { name: 'Thiruvananthapuram', pinPrefixes: ['695'] }
+    ]
+  },
+  
+  PAYMENT: {
+    // Give up on the gateway after this long; the customer is not charged
+    TIMEOUT_MS: 15000,
+    GATEWAY_LATENCY_MS: 400,
+    BANKS: {
+      sbi: 'State Bank of India',
+      hdfc: 'HDFC Bank',
+      icici: 'ICICI Bank',
+      axis: 'Axis Bank',
+      kotak: 'Kotak Mahindra Bank',
+      pnb: 'Punjab National Bank',
+      federal: 'Federal Bank',
+      sib: 'South Indian Bank'
+    },
+    // Test instruments that make the mock gateway decline or never answer
+    TEST_OUTCOMES: {
+      '4000000000000002': 'decline',
+      '4000000000000119': 'timeout',
+      'failure@upi': 'decline',
+      'timeout@upi': 'timeout'
+    }
+  },
+  
+  NOTIFICATIONS: {
+    // How long each kind of message stays up; 0 keeps it until dismissed
+    DURATIONS: {
+      info: 4000,
+      success: 4000,
+      warning: 6000,
+      error: 7000
+    },
+    // Higher severity is shown first and stacked on top
+    SEVERITY: {
+      info: 0,
+      success: 1,
+      warning: 2,
+      error: 3
+    },
+    MAX_VISIBLE: 3
+  },
+  
+  PAYMENT_STATUS: {
+    // Cash on delivery, collected at hand-over
+    PENDING: 'pending',
+    AUTHORISED: 'authorised',
+    CAPTURED: 'captured',
+    FAILED: 'failed'
+  },
+  
+  CART: {
+    MIN_LINE_QUANTITY: 1,
+    MAX_LINE_QUANTITY: 10
+  },
+  
+  PROFILE: {
+    // Matches the order form's address type select
+    ADDRESS_LABELS: ['home', 'office', 'other'],
+    MAX_ADDRESSES: 5
+  },
+  
+  GIFT: {
+    // Keep in sync with SERVER_CONFIG.GIFT_MESSAGE_MAX_LENGTH in server.js
+    MESSAGE_MAX_LENGTH: 200,
+    // Added to the order total when the gift is wrapped; tax-inclusive like catalog prices
+    WRAP_FEE: 99,
+    // Labels are I18N_MESSAGES keys gift.occasion.<id>
+    OCCASIONS: ['birthday', 'anniversary', 'wedding', 'housewarming', 'festival', 'other'],
+    // Refused in gift messages, and reviews using them are held for
+    // moderation. Matched as whole words, after lower-casing, undoing
+    // look-alike digits and symbols (sh1t, @ss) and squeezing repeated letters
+    BLOCKED_WORDS: [
+      'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard',
+      'asshole', 'dick', 'cunt', 'prick', 'whore', 'slut', 'wanker',
+      'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'bhosdike', 'gandu', 'randi', 'harami',
+      'myre', 'thayoli', 'kunna', 'pulayadi'
+    ]
+  },
+  
+  REVIEWS: {
+    // Keep in sync with SERVER_CONFIG.REVIEW_* in server.js
+    RATING_MAX: 5,
+    NOTE_MAX_LENGTH: 120,
+    COMMENT_MAX_LENGTH: 1000,
+    // Structured tasting notes; labels are I18N_MESSAGES keys reviews.<note>
+    TASTING_NOTES: ['nose', 'palate', 'finish'],
+    STATUS: {
+      PUBLISHED: 'published',
+      // Held for moderation, e.g. for a blocked word; not shown to customers
+      PENDING: 'pending',
+      HIDDEN: 'hidden'
+    }
+  },
+  
+  ORDER_CODE: {
+    // Keep in sync with SERVER_CONFIG.ORDER_CODE_PREFIX in server.js
+    PREFIX: 'WP',
+    // Mixed into the local checksum; public, so it only guards against typos
+    CHECKSUM_SALT: 'wrong-pour-counter-v1',
+    CHECKSUM_LENGTH: 6
+  },
+  
+  INVOICE: {
+    // Numbers run per financial year: WP/2026-27/00001 (server.js uses the same format)
+    PREFIX: 'WP',
+    // Invoices issued without the server have their own series, WPL/2026-27/00001,
+    // so they never share a number with one the server issues
+    LOCAL_PREFIX: 'WPL',
+    SEQUENCE_DIGITS: 5,
+    SELLER: {
+      name: 'Wrong Pour',
+      legalName: 'Wrong Pour Beverages Pvt. Ltd.',
+      address: 'MG Road, Ernakulam, Kochi - 682016',
+      state: 'KL',
+      gstin: '32AABCW1234F1Z5',
+      exciseLicence: 'KL/EXC/FL-3/2025/0042',
+      email: 'support@wrongpour.com'
+    },
+    // Catalog prices are tax-inclusive (MRP). Each category lists its HSN code and
+    // the tax components charged on the taxable value; categories without an
+    // entry use the default. Components marked `gst` are split into CGST + SGST
+    // within the seller's state and charged as IGST elsewhere.
+    TAXES: {
+      default: {
+        hsn: '2208',
+        components: [
+          { id: 'excise', label: 'State Excise Duty', rate: 0.25 },
+          { id: 'vat', label: 'VAT', rate: 0.20 }
+        ]
+      },
+      whisky: { hsn: '220830' },
+      rum: { hsn: '220840' },
+      vodka: { hsn: '220860' },
+      mixers: {
+        hsn: '2202',
+        components: [{ id: 'gst', label: 'GST', rate: 0.18, gst: true }]
+      },
+      // Gift wrapping is a service, billed under its SAC code
+      giftWrap: {
+        hsn: '998599',
+        components: [{ id: 'gst', label: 'GST', rate: 0.18, gst: true }]
+      }
+    }
+  },
+  
+  ROUTER: {
+    // sessionStorage key for the message shown after a guard redirects
+    FLASH_KEY: 'luxe_liquor_flash'
+  },
+  
+  ADMIN: {
+    // sessionStorage key holding the passcode digest while the console is
+    // unlocked in this tab; HttpAdapter sends it in HEADER (keep in sync with
+    // SERVER_CONFIG.ADMIN_HEADER in server.js)
+    SESSION_KEY: 'luxe_liquor_admin_session',
+    HEADER: 'X-Admin-Passcode',
+    MIN_PASSCODE_LENGTH: 4
+  },
+  
+  INVENTORY: {
+    // Show an "Only N left" badge at or below this many available bottles
+    LOW_STOCK_THRESHOLD: 5,
+    // How long after the delivery date an unfulfilled pre-booking holds stock
+    RESERVATION_HOLD_HOURS: 24
+  },
+  
+  // Version of the canonical order shape produced by OrderModel
+  ORDER_SCHEMA_VERSION: 2,
+  
+  ORDER_STATUS: {
+    CONFIRMED: 'confirmed',
+    PACKED: 'packed',
+    READY: 'ready',
+    DISPATCHED: 'dispatched',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+  },
+  
+  // Allowed status changes; statuses without an entry are terminal
+  ORDER_TRANSITIONS: {
+    confirmed: ['packed', 'cancelled', 'expired'],
+    packed: ['ready', 'dispatched', 'cancelled'],
+    ready: ['delivered', 'cancelled', 'expired'],
+    dispatched: ['delivered']
   },
   
   VALIDATION: {
     PHONE_REGEX: /^[6-9]\d{9}$/,
+    EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     PIN_REGEX: /^\d{6}$/,
+    SLUG_REGEX: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    DATE_KEY_REGEX: /^\d{4}-\d{2}-\d{2}$/,
+    GSTIN_REGEX: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+    VPA_REGEX: /^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$/,
     MIN_NAME_LENGTH: 2,
     MIN_ADDRESS_LENGTH: 10
   },
   
+  API: {
+    BASE_URL: '/api',
+    // 'auto' uses the HTTP backend when it answers, otherwise local storage;
+    // 'http' and 'offline' force one adapter
+    MODE: 'auto',
+    TIMEOUT_MS: 5000
+  },
+  
+  CATALOG: {
+    // Catalog file read by the offline adapter: JSON ({ products, offers }) or
+    // CSV with one row per size (see CatalogSchema.CSV_COLUMNS)
+    URL: 'data/catalog.json',
+    // Size that stands for a product in sorting, price filters and old carts
+    DEFAULT_VOLUME_ML: 750
+  },
+  
+  OFFLINE: {
+    SERVICE_WORKER_URL: 'sw.js',
+    // How often queued orders are retried while the browser reports it is online
+    OUTBOX_RETRY_MS: 30000
+  },
+  
+  SYNC: {
+    // Cart writes from two tabs this close together are merged rather than overwritten
+    CONFLICT_WINDOW_MS: 5000,
+    // Where Web Locks are missing, a lock left by a closed tab expires after this long
+    LOCK_LEASE_MS: 60000
+  },
+  
   CURRENCY: {
     SYMBOL: '₹',
+    // Staff pages and invoices; customer pages use the chosen language's locale
     LOCALE: 'en-IN'
+  },
+  
+  I18N: {
+    DEFAULT_LANGUAGE: 'en',
+    LANGUAGES: {
+      en: { label: 'English', locale: 'en-IN' },
+      ml: { label: 'മലയാളം', locale: 'ml-IN' },
+      hi: { label: 'हिन्दी', locale: 'hi-IN' }
+    }
+  }
+};
+
+/**
+ * Customer-facing message catalogs by language code (see CONFIG.I18N).
+ * `{name}` placeholders are filled in by I18n.t; plural messages map
+ * Intl.PluralRules categories (`one`, `other`) to text and use `{count}`.
+ * Keys missing from a catalog fall back to English.
+ * @constant {Object} I18N_MESSAGES
+ */
+const I18N_MESSAGES = {
+  en: {
+    'language.label': 'Language',
+    'notify.dismiss': 'Dismiss',
+    'notify.undo': 'Undo',
+    'notify.viewOrder': 'View order',
+    'nav.home': 'Home',
+    'nav.menu': 'Menu',
+    'nav.products': 'Products',
+    'nav.offers': 'Offers',
+    'nav.order': 'Order',
+    'nav.newOrder': 'New Order',
+    'nav.myOrders': 'My Orders',
+    'page.menu': 'Premium Liquor Menu',
+    'page.order': 'Complete Your Order',
+    'page.myOrders': 'Your Pre-bookings',
+    'unit.bottles': { one: '{count} bottle', other: '{count} bottles' },
+    'eta.today': 'Today',
+    'eta.tomorrow': 'Tomorrow',
+    'eta.inDays': { one: '{count} day', other: '{count} days' },
+    
+    'validation.name': 'Name must be at least {min} characters long',
+    'validation.phone': 'Please enter a valid 10-digit Indian mobile number',
+    'validation.email': 'Please enter a valid email address',
+    'validation.address': 'Address must be at least {min} characters long',
+    'validation.pin': 'Please enter a valid 6-digit PIN code',
+    'validation.pinUnknown': '{pin} is not an Indian PIN code',
+    'validation.pinState': 'PIN {pin} is in {expected}, not {state}',
+    'validation.gstin': 'Please enter a valid 15-character GSTIN',
+    'validation.contact': 'Please enter a valid email address or phone number',
+    'validation.outlet': 'Please select a pickup outlet',
+    'validation.city': 'Please enter a valid city name',
+    'validation.state': 'Please select your state',
+    'validation.dateOfBirth': 'Please enter your date of birth',
+    'validation.payment': 'Please select a payment method',
+    'validation.age': 'Please confirm that you are of legal drinking age',
+    'validation.terms': 'Please agree to the Terms & Conditions and Privacy Policy',
+    'validation.giftPickup': 'Gifts are delivered to the recipient. Please choose home delivery',
+    'validation.recipientDateOfBirth': "Please enter the recipient's date of birth",
+    'validation.giftMessageLength': 'Gift messages can be at most {max} characters long',
+    'validation.giftMessageWords': 'Please keep the gift message free of offensive language',
+    'validation.occasionDate': 'Please choose a date for the occasion from today onwards',
+    'validation.reviewRating': 'Please choose a rating from 1 to 5 stars',
+    'validation.reviewNoteLength': 'Please keep tasting notes to {max} characters',
+    'validation.reviewCommentLength': 'Please keep your review to {max} characters',
+    'payment.cardNumber': 'Please enter a valid card number',
+    'payment.cardBrand': 'We accept Visa, Mastercard, RuPay and American Express cards',
+    'payment.cardName': 'Please enter the name on the card',
+    'payment.expiry': 'Please enter the expiry date as MM/YY',
+    'payment.expired': 'This card has expired',
+    'payment.cvv': 'Please enter the {length}-digit CVV',
+    'payment.upiId': 'Please enter a valid UPI ID, e.g. name@okaxis',
+    'payment.bank': 'Please select your bank',
+    'payment.unavailable': 'This payment method is not available',
+    'payment.declined': 'Your payment was declined. Please try another card or payment method.',
+    'payment.timeout': 'The payment did not go through in time and you have not been charged. Please try again.',
+    'payment.failed': 'Payment failed. Please try again.',
+    'payment.method.cod': 'Cash on Delivery',
+    'payment.method.card': 'Credit/Debit Card',
+    'payment.method.upi': 'UPI Payment',
+    'payment.method.netbanking': 'Net Banking',
+    'payment.method.wallet': 'Digital Wallet',
+    
+    'compliance.prohibited': 'Sale of alcohol is prohibited in {state}, so we cannot deliver there',
+    'compliance.invalidDateOfBirth': 'Please enter a valid date of birth',
+    'compliance.minimumAge': 'You must be at least {age} to buy alcohol in {state}',
+    'compliance.blockedDelivery': 'Deliveries in {state} are not allowed on {date} ({reason}). Please choose another date',
+    'compliance.blockedPickup': 'Pickups in {state} are not allowed on {date} ({reason}). Please choose another date',
+    'compliance.dailyVolume': '{state} allows at most {limit} L per person per day; this order brings you to {total} L{including}',
+    'compliance.dailyAlcohol': '{state} allows at most {limit} L of pure alcohol per person per day; this order brings you to {total} L{including}',
+    'compliance.alreadyBooked': ', including {litres} L already booked for that day',
+    'compliance.recipientAge': 'The recipient must be at least {age} to receive alcohol in {state}',
+    'compliance.recipientDailyVolume': '{state} allows at most {limit} L per person per day; this gift brings the recipient to {total} L{including}',
+    'compliance.recipientDailyAlcohol': '{state} allows at most {limit} L of pure alcohol per person per day; this gift brings the recipient to {total} L{including}',
+    
+    'cart.added': '{name} added to cart',
+    'cart.removed': '{name} removed from cart',
+    'cart.maxLine': 'You can pre-book at most {max} bottles of {name}',
+    'cart.quantityRange': 'Quantity must be between {min} and {max}',
+    'cart.invalidQuantity': 'Quantity for {name} must be between {min} and {max}',
+    'cart.empty': 'Your cart is empty',
+    'cart.emptyOrder': 'Your cart is empty. Please add products from the menu first.',
+    'cart.noItems': 'No items selected',
+    'cart.browse': 'Browse Products',
+    'cart.decrease': 'Decrease quantity',
+    'cart.increase': 'Increase quantity',
+    'cart.remove': 'Remove',
+    'cart.clearCart': 'Clear Cart',
+    'cart.clear': 'Clear',
+    'cart.proceed': 'Proceed to Order',
+    
+    'stock.outBadge': 'Out of stock',
+    'stock.lowBadge': 'Only {count} left',
+    'stock.out': '{name} is out of stock',
+    'stock.onlyOf': { one: 'Only {count} bottle of {name} available', other: 'Only {count} bottles of {name} available' },
+    'stock.only': { one: 'Only {count} bottle available', other: 'Only {count} bottles available' },
+    'waitlist.placeholder': 'Email or phone',
+    'waitlist.label': 'Email or phone for restock alert',
+    'waitlist.notify': 'Notify Me',
+    'waitlist.joined': "We'll let you know when {name} is back in stock",
+    'waitlist.saveFailed': 'Failed to join the waitlist. Please try again.',
+    
+    'menu.addToCart': 'Add to Cart',
+    'menu.inCart': 'In Cart ({count}) • Add More',
+    'menu.size': 'Bottle size',
+    'menu.results': { one: '{count} product', other: '{count} products' },
+    'menu.resultsFiltered': { one: 'Showing {shown} of {count} product', other: 'Showing {shown} of {count} products' },
+    'menu.intro': 'Explore our curated selection of premium spirits, each carefully chosen for the discerning connoisseur.',
+    'menu.introCart': 'Add your preferred spirits to the cart and proceed to order.',
+    'menu.yourCart': 'Your Cart',
+    'menu.search': 'Search',
+    'menu.searchPlaceholder': 'Search by name, type or tasting notes',
+    'menu.abv': 'ABV (%)',
+    'menu.price': 'Price (₹)',
+    'menu.min': 'Min',
+    'menu.max': 'Max',
+    'menu.abvMin': 'Minimum ABV',
+    'menu.abvMax': 'Maximum ABV',
+    'menu.priceMin': 'Minimum price',
+    'menu.priceMax': 'Maximum price',
+    'menu.sortBy': 'Sort by',
+    'menu.category': 'Category',
+    'menu.clearFilters': 'Clear filters',
+    'menu.emptyTitle': 'No spirits match your filters',
+    'menu.emptyHint': 'Try a different spelling, widen the ABV or price range, or clear the filters.',
+    'menu.sort.relevance': 'Best Match',
+    'menu.sort.priceAsc': 'Price: Low to High',
+    'menu.sort.priceDesc': 'Price: High to Low',
+    'menu.sort.abvAsc': 'ABV: Low to High',
+    'menu.sort.abvDesc': 'ABV: High to Low',
+    'menu.sort.nameAsc': 'Name: A to Z',
+    'menu.sort.ratingDesc': 'Top Rated',
+    
+    'pricing.subtotal': 'Subtotal',
+    'pricing.total': 'Total',
+    'pricing.totalAmount': 'Total Amount',
+    'pricing.included': 'Included',
+    'pricing.giftWrap': 'Gift wrapping',
+    'pricing.totalValue': 'Total: {amount}',
+    'offers.validUntil': 'Valid until: {date}',
+    
+    'order.emptyHint': '{link} to add bottles',
+    'order.browseCollection': 'Browse the collection',
+    'order.lineDetails': '{abv}% ABV • {price} • Qty: {count}',
+    'order.place': 'Place Order',
+    'order.placeTotal': 'Place Order - {amount}',
+    'order.etaPickup': '🏬 Estimated Pickup',
+    'order.etaDelivery': '🚚 Estimated Delivery',
+    'order.chooseOutlet': 'Choose an outlet to see pickup windows',
+    'order.noDeliverySlots': 'No delivery slots available right now',
+    'order.outletInfo': '{address}, {city} • Open {open} - {close}',
+    'order.windowOption': '{label} ({count} left)',
+    'order.noWindows': 'No windows left on this date',
+    'order.pinDeliverable': '{place} • We deliver here',
+    'order.pinNotServiced': "{place} • We don't deliver here yet",
+    'order.notServiced': "We don't deliver to PIN {pin} yet. You can collect your order from one of our outlets instead.",
+    'order.pickupFrom': 'Collect from {outlet}',
+    'order.pickupAt': 'Pickup at {outlet}, {address}',
+    'order.pickupInstead': 'Choose outlet pickup',
+    'order.selectOutlet': 'Select an outlet first',
+    'order.placed': 'Order placed successfully! Redirecting...',
+    'order.correctErrors': 'Please correct the errors below',
+    'order.failed': 'Failed to place order',
+    'order.noPickupWindows': 'No pickup windows are available at this outlet in the next few days. Please choose another outlet.',
+    'order.noDeliveryDays': 'No delivery slots are available in the next few weeks. Please try again later.',
+    'order.saveFailed': 'Failed to save order. Please try again.',
+    'order.invalid': 'Some order details are missing or invalid. Please check the form and try again.',
+    'order.duplicate': 'This order has already been placed.',
+    'order.pricesChanged': 'Prices or offers have changed since you filled your cart. Please place the order again.',
+    'order.slotUnavailable': 'Your delivery slot or pickup window is no longer available. Please choose another time.',
+    'order.notCompliant': "This order does not meet your state's excise rules. Please review it and try again.",
+    'checkout.back': '← Back to Collection',
+    'checkout.subtitle': 'Just a few details to get your premium spirits delivered',
+    'checkout.personal': 'Personal Information',
+    'checkout.personalHint': 'Your contact details for order updates',
+    'checkout.firstName': 'First Name',
+    'checkout.firstNameError': 'Please enter your first name',
+    'checkout.lastName': 'Last Name',
+    'checkout.lastNameError': 'Please enter your last name',
+    'checkout.email': 'Email Address',
+    'checkout.phone': 'Phone Number',
+    'checkout.phoneError': 'Please enter a valid phone number',
+    'checkout.dateOfBirth': 'Date of Birth',
+    'checkout.company': 'Company Name (Optional)',
+    'checkout.companyPlaceholder': 'For business invoices',
+    'checkout.gstin': 'GSTIN (Optional)',
+    'checkout.fulfilment': 'Delivery or Pickup',
+    'checkout.fulfilmentHint': 'Have it delivered, or collect it from one of our outlets',
+    'checkout.delivery': 'Home Delivery',
+    'checkout.pickup': 'Outlet Pickup',
+    'checkout.pickupInfo': 'Pickup Information',
+    'checkout.pickupHint': 'Choose an outlet and a 15-minute pickup window',
+    'checkout.outlet': 'Outlet',
+    'checkout.selectOutlet': 'Select Outlet',
+    'checkout.pickupDate': 'Pickup Date',
+    'checkout.pickupWindow': 'Pickup Window',
+    'checkout.gift': 'Send as a Gift',
+    'checkout.giftHint': 'We deliver to the recipient with your message; their gift receipt shows no prices',
+    'checkout.isGift': "This order is a gift. The delivery address below is the recipient's.",
+    'checkout.recipientName': 'Recipient Name',
+    'checkout.recipientNameError': "Please enter the recipient's name",
+    'checkout.recipientPhone': 'Recipient Phone',
+    'checkout.recipientDateOfBirth': "Recipient's Date of Birth",
+    'checkout.recipientAgeError': 'The recipient must be of legal drinking age too',
+    'checkout.occasion': 'Occasion (Optional)',
+    'checkout.noOccasion': 'No particular occasion',
+    'checkout.occasionDate': 'Deliver On (Optional)',
+    'checkout.occasionDateError': 'Please choose a date from today onwards',
+    'checkout.giftMessage': 'Gift Message (Optional)',
+    'checkout.giftMessagePlaceholder': 'Happy birthday! Cheers to many more.',
+    'checkout.giftMessageError': 'Please check your gift message',
+    'checkout.giftWrap': 'Gift wrap it (+{fee})',
+    'checkout.deliveryInfo': 'Delivery Information',
+    'checkout.deliveryInfoHint': 'Where should we deliver your order?',
+    'checkout.savedAddresses': 'Saved Addresses',
+    'checkout.makeDefault': 'Make Default',
+    'checkout.removeAddress': 'Remove',
+    'checkout.address': 'Complete Address',
+    'checkout.addressPlaceholder': 'House/Flat Number, Building Name, Street Name',
+    'checkout.addressError': 'Please enter your complete address',
+    'checkout.pin': 'PIN Code',
+    'checkout.city': 'City',
+    'checkout.cityError': 'Please enter your city',
+    'checkout.state': 'State',
+    'checkout.selectState': 'Select State',
+    'checkout.unionTerritories': 'Union Territories',
+    'checkout.landmark': 'Landmark (Optional)',
+    'checkout.landmarkPlaceholder': 'Near Metro Station, Mall, etc.',
+    'checkout.addressType': 'Address Type',
+    'checkout.preferences': 'Delivery Preferences',
+    'checkout.preferencesHint': 'When would you like to receive your order?',
+    'checkout.deliveryDate': 'Preferred Delivery Date',
+    'checkout.timeSlot': 'Preferred Time Slot',
+    'checkout.slot.anytime': 'Anytime',
+    'checkout.slot.morning': 'Morning (9 AM - 12 PM)',
+    'checkout.slot.afternoon': 'Afternoon (12 PM - 4 PM)',
+    'checkout.slot.evening': 'Evening (4 PM - 8 PM)',
+    'checkout.instructions': 'Special Delivery Instructions',
+    'checkout.instructionsPlaceholder': 'Leave with security, ring doorbell, etc.',
+    'checkout.payment': 'Payment Method',
+    'checkout.paymentHint': 'Choose your preferred payment option',
+    'checkout.cardNumber': 'Card Number',
+    'checkout.cardName': 'Cardholder Name',
+    'checkout.cardNamePlaceholder': 'Name as on card',
+    'checkout.expiry': 'Expiry Date',
+    'checkout.cvv': 'CVV',
+    'checkout.upiId': 'UPI ID',
+    'checkout.bank': 'Select Bank',
+    'checkout.chooseBank': 'Choose your bank',
+    'checkout.paymentSecured': 'Your payment information is secured with 256-bit SSL encryption',
+    'checkout.ageConfirm': 'I confirm that I am {age} years or older and legally allowed to purchase alcoholic beverages in my jurisdiction. I understand that valid age verification may be required upon delivery.',
+    'checkout.saveProfile': 'Remember my details and delivery address in this browser for next time. Card numbers and UPI IDs are never saved.',
+    'checkout.forgetProfile': 'Forget my saved details',
+    'checkout.terms': 'I agree to the {terms} and {privacy}. I consent to receive order updates via SMS and email.',
+    'checkout.termsLink': 'Terms & Conditions',
+    'checkout.privacyLink': 'Privacy Policy',
+    'checkout.summary': 'Order Summary',
+    'checkout.summaryHint': 'Review your items',
+    'checkout.calculating': 'Calculating...',
+    'checkout.secure': '100% Secure & Safe Payment',
+    'gift.occasionUnavailable': "We can't deliver on {date}. The first delivery we can offer after that is {next}. Please choose another date for the occasion",
+    'gift.occasion.birthday': 'Birthday',
+    'gift.occasion.anniversary': 'Anniversary',
+    'gift.occasion.wedding': 'Wedding',
+    'gift.occasion.housewarming': 'Housewarming',
+    'gift.occasion.festival': 'Festival',
+    'gift.occasion.other': 'Other',
+    'gift.for': 'Gift for {name}',
+    'gift.wrapped': 'Gift wrapped',
+    'gift.notGift': '{id} is not a gift order',
+    'reviews.count': { one: '{count} review', other: '{count} reviews' },
+    'reviews.none': 'No reviews yet',
+    'reviews.summary': { one: 'Rated {rating} out of 5 from {count} review', other: 'Rated {rating} out of 5 from {count} reviews' },
+    'reviews.stars': { one: '{count} star', other: '{count} stars' },
+    'reviews.title': 'Reviews of {name}',
+    'reviews.empty': 'No one has reviewed {name} yet. Reviews come from customers whose order has been delivered.',
+    'reviews.by': '{name} • {date}',
+    'reviews.nose': 'Nose',
+    'reviews.palate': 'Palate',
+    'reviews.finish': 'Finish',
+    'reviews.report': 'Report',
+    'reviews.reportedBadge': 'Reported',
+    'reviews.reported': 'Thanks for letting us know. Our staff will take a look.',
+    'reviews.close': 'Close',
+    'reviews.write': 'Review {name}',
+    'reviews.done': 'Reviewed {name}',
+    'reviews.yourRating': 'Your rating',
+    'reviews.tastingNotes': 'Tasting notes (optional)',
+    'reviews.comment': 'Your review (optional)',
+    'reviews.post': 'Post Review',
+    'reviews.cancel': 'Cancel',
+    'reviews.posted': 'Thanks! Your review of {name} is now on the menu',
+    'reviews.held': 'Thanks! Your review of {name} will appear once our staff have checked it',
+    'reviews.notDelivered': 'You can review {name} once an order with it has been delivered',
+    'reviews.duplicate': 'You have already reviewed {name}',
+    'reviews.saveFailed': 'Failed to post your review of {name}. Please try again.',
+    'reviews.reportFailed': 'Failed to report the review. Please try again.',
+    
+    'orders.empty': 'You have no pre-bookings yet.',
+    'orders.noMatch': 'No orders match that order ID or phone number.',
+    'orders.placed': 'Placed {date}',
+    'orders.pickup': 'Pickup: {date}',
+    'orders.expected': 'Expected: {date}',
+    'orders.token': 'Token {token}',
+    'orders.viewDetails': 'View Details',
+    'orders.cancel': 'Cancel Pre-booking',
+    'orders.cancelled': 'Order {id} cancelled',
+    'orders.reorder': 'Order Again',
+    'reorder.added': 'The items from order {id} are in your cart',
+    'reorder.repriced': '{name} is now {price} (was {was})',
+    'reorder.reduced': 'Only {count} of {name} could be added',
+    'reorder.unavailable': '{name} is no longer available',
+    'reorder.nothing': 'None of the items from order {id} are available right now',
+    'reorder.notFound': 'Order {id} was not found',
+    'reorder.saveFailed': 'Failed to update your cart. Please try again.',
+    'reorder.checkout': 'Checkout',
+    'profile.label.home': 'Home',
+    'profile.label.office': 'Office',
+    'profile.label.other': 'Other',
+    'profile.addressOption': '{label}: {address}, {city}',
+    'profile.defaultOption': '{address} (default)',
+    'profile.newAddress': 'New address',
+    'profile.defaultSet': 'This is now your default address',
+    'profile.addressRemoved': 'Address removed',
+    'profile.forgotten': 'Your saved details have been removed from this browser',
+    'status.confirmed': 'Confirmed',
+    'status.packed': 'Packed',
+    'status.ready': 'Ready',
+    'status.dispatched': 'Dispatched',
+    'status.delivered': 'Delivered',
+    'status.cancelled': 'Cancelled',
+    'status.expired': 'Expired',
+    'status.note.cancelledByCustomer': 'Cancelled by customer',
+    'status.note.reservationExpired': 'Reservation expired',
+    'status.note.collectedAtCounter': 'Collected at counter',
+    'status.note.updatedByStore': 'Updated by store',
+    'status.note.updatedAtCounter': 'Updated at the counter',
+    'status.note.notAccepted': 'Not accepted by the store',
+    
+    'code.hintPickup': 'Show this code at the outlet counter',
+    'code.hintDelivery': 'Show this code to the delivery agent',
+    'code.label': 'Order code {code}',
+    'code.collected': '{id} has already been collected',
+    'code.homeDelivery': '{id} is for home delivery and cannot be collected at the counter',
+    'code.notCollectable': '{id} is {status} and cannot be collected',
+    'code.notFound': 'No booking found for {id}',
+    
+    'confirmation.title': 'Order Confirmed!',
+    'confirmation.message': 'Your order has been successfully placed. You will receive a confirmation call within 15 minutes.',
+    'confirmation.notFound': 'No Order Found',
+    'confirmation.notFoundText': "We couldn't find your order details. Please place a new order.",
+    'confirmation.notFoundLink': "We couldn't find your order details. Please make sure you have a valid order confirmation link.",
+    'confirmation.more': '{name} + {count} more',
+    'confirmation.yourToken': 'Your pickup token',
+    'confirmation.pickupToken': 'Pickup token',
+    'confirmation.showAtCounter': 'Show this at the counter of {outlet}',
+    'confirmation.expectedDelivery': 'Expected Delivery: {date}',
+    'confirmation.orderId': 'Order ID: {id}',
+    'confirmation.placed': 'Placed: {date}',
+    'confirmation.customerInfo': 'Customer Information',
+    'confirmation.orderDetails': 'Order Details',
+    'confirmation.payment': 'Payment: {method}',
+    'confirmation.customerName': 'Customer Name',
+    'confirmation.phone': 'Phone Number',
+    'confirmation.pickupOutlet': 'Pickup Outlet',
+    'confirmation.deliveryAddress': 'Delivery Address',
+    'confirmation.paymentMethod': 'Payment Method',
+    'confirmation.status': 'Order Status',
+    'confirmation.orderDate': 'Order Date',
+    'confirmation.pickupWindow': 'Pickup Window',
+    'confirmation.estimatedDelivery': 'Estimated Delivery',
+    'confirmation.toBeConfirmed': 'To be confirmed',
+    'confirmation.newOrder': 'Place New Order',
+    'confirmation.backHome': 'Back to Home',
+    'confirmation.orderAgain': 'Order Again',
+    'confirmation.printInvoice': 'Print Invoice',
+    'confirmation.downloadInvoice': 'Download Invoice',
+    'confirmation.giftReceipt': 'Print Gift Receipt',
+    'confirmation.giftRecipient': 'Gift Recipient',
+    'confirmation.giftMessage': 'Gift Message',
+    'confirmation.giftOccasion': 'Occasion',
+    'confirmation.share': 'Share Order',
+    'confirmation.copied': 'Order details copied to clipboard!',
+    'age.title': 'Are you of legal drinking age?',
+    'age.text': 'You must be of legal drinking age in your state to browse and pre-book.',
+    'age.confirm': 'Yes, continue',
+    'age.decline': 'No',
+    'age.required': 'You must be of legal drinking age to pre-book.',
+    'admin.setPasscode': 'Set an admin passcode',
+    'admin.passcodeTooShort': 'Passcode must be at least {count} characters',
+    'admin.wrongPasscode': 'Incorrect passcode',
+    'admin.passcodeSaveFailed': 'Failed to save the passcode. Please try again.',
+    'print.allowPopups': 'Allow pop-ups to print',
+    'outbox.queued': 'You are offline. Your order is saved and will be sent when you are back online.',
+    'outbox.pending': 'Waiting to send',
+    'outbox.pendingHint': 'This order will be sent to the store when you are back online. Pickup tokens are issued then.',
+    'outbox.sent': 'Order {id} has been sent to the store',
+    'outbox.rejected': 'Order {id} could not be placed: {error} Any payment has been refunded.',
+    'outbox.waiting': { one: '{count} order waiting to send', other: '{count} orders waiting to send' },
+    'outbox.offline': 'Offline',
+    'sync.cartChanged': 'Your cart was changed in another tab. Please check your order before placing it.',
+    'sync.cartMerged': 'Your cart was changed in two tabs at once; both changes have been kept.',
+    'sync.orderInProgress': 'This order is already being placed in another tab.',
+    'sync.languageChanged': 'The language was changed in another tab.',
+    'sync.reload': 'Reload',
+    'route.notFound': 'Page not found'
+  },
+  
+  ml: {
+    'language.label': 'ഭാഷ',
+    'notify.dismiss': 'അടയ്ക്കുക',
+    'notify.undo': 'പഴയപടിയാക്കുക',
+    'notify.viewOrder': 'ഓർഡർ കാണുക',
+    'nav.home': 'ഹോം',
+    'nav.menu': 'മെനു',
+    'nav.products': 'ഉൽപ്പന്നങ്ങൾ',
+    'nav.offers': 'ഓഫറുകൾ',
+    'nav.order': 'ഓർഡർ',
+    'nav.newOrder': 'പുതിയ ഓർഡർ',
+    'nav.myOrders': 'എന്റെ ഓർഡറുകൾ',
+    'page.menu': 'പ്രീമിയം മദ്യ മെനു',
+    'page.order': 'നിങ്ങളുടെ ഓർഡർ പൂർത്തിയാക്കുക',
+    'page.myOrders': 'നിങ്ങളുടെ പ്രീ-ബുക്കിംഗുകൾ',
+    'unit.bottles': { one: '{count} കുപ്പി', other: '{count} കുപ്പികൾ' },
+    'eta.today': 'ഇന്ന്',
+    'eta.tomorrow': 'നാളെ',
+    'eta.inDays': { one: '{count} ദിവസം', other: '{count} ദിവസം' },
+    
+    'validation.name': 'പേരിൽ കുറഞ്ഞത് {min} അക്ഷരങ്ങൾ വേണം',
+    'validation.phone': 'സാധുവായ 10 അക്ക ഇന്ത്യൻ മൊബൈൽ നമ്പർ നൽകുക',
+    'validation.email': 'സാധുവായ ഇമെയിൽ വിലാസം നൽകുക',
+    'validation.address': 'വിലാസത്തിൽ കുറഞ്ഞത് {min} അക്ഷരങ്ങൾ വേണം',
+    'validation.pin': 'സാധുവായ 6 അക്ക പിൻ കോഡ് നൽകുക',
+    'validation.pinUnknown': '{pin} ഒരു ഇന്ത്യൻ പിൻ കോഡ് അല്ല',
+    'validation.pinState': 'പിൻ {pin} {expected}-ലാണ്, {state}-ലല്ല',
+    'validation.gstin': 'സാധുവായ 15 അക്ക GSTIN നൽകുക',
+    'validation.contact': 'സാധുവായ ഇമെയിൽ വിലാസമോ ഫോൺ നമ്പറോ നൽകുക',
+    'validation.outlet': 'പിക്കപ്പ് ഔട്ട്‌ലെറ്റ് തിരഞ്ഞെടുക്കുക',
+    'validation.city': 'സാധുവായ നഗരത്തിന്റെ പേര് നൽകുക',
+    'validation.state': 'നിങ്ങളുടെ സംസ്ഥാനം തിരഞ്ഞെടുക്കുക',
+    'validation.dateOfBirth': 'നിങ്ങളുടെ ജനനത്തീയതി നൽകുക',
+    'validation.payment': 'ഒരു പേയ്‌മെന്റ് രീതി തിരഞ്ഞെടുക്കുക',
+    'validation.age': 'നിങ്ങൾക്ക് നിയമപരമായ മദ്യപാന പ്രായമുണ്ടെന്ന് സ്ഥിരീകരിക്കുക',
+    'validation.terms': 'നിബന്ധനകളും സ്വകാര്യതാ നയവും അംഗീകരിക്കുക',
+    'validation.giftPickup': 'സമ്മാനങ്ങൾ സ്വീകർത്താവിന് ഡെലിവർ ചെയ്യുന്നു. ഹോം ഡെലിവറി തിരഞ്ഞെടുക്കുക',
+    'validation.recipientDateOfBirth': 'സ്വീകർത്താവിന്റെ ജനനത്തീയതി നൽകുക',
+    'validation.giftMessageLength': 'സമ്മാന സന്ദേശത്തിൽ പരമാവധി {max} അക്ഷരങ്ങൾ മാത്രം',
+    'validation.giftMessageWords': 'സമ്മാന സന്ദേശത്തിൽ അസഭ്യ വാക്കുകൾ ഒഴിവാക്കുക',
+    'validation.occasionDate': 'അവസരത്തിന് ഇന്നോ അതിനു ശേഷമോ ഉള്ള ഒരു തീയതി തിരഞ്ഞെടുക്കുക',
+    'validation.reviewRating': '1 മുതൽ 5 വരെ നക്ഷത്രങ്ങളിൽ ഒരു റേറ്റിംഗ് തിരഞ്ഞെടുക്കുക',
+    'validation.reviewNoteLength': 'ടേസ്റ്റിംഗ് കുറിപ്പുകൾ {max} അക്ഷരങ്ങളിൽ ഒതുക്കുക',
+    'validation.reviewCommentLength': 'നിങ്ങളുടെ റിവ്യൂ {max} അക്ഷരങ്ങളിൽ ഒതുക്കുക',
+    'payment.cardNumber': 'സാധുവായ കാർഡ് നമ്പർ നൽകുക',
+    'payment.cardBrand': 'Visa, Mastercard, RuPay, American Express കാർഡുകൾ സ്വീകരിക്കുന്നു',
+    'payment.cardName': 'കാർഡിലെ പേര് നൽകുക',
+    'payment.expiry': 'കാലാവധി MM/YY രൂപത്തിൽ നൽകുക',
+    'payment.expired': 'ഈ കാർഡിന്റെ കാലാവധി കഴിഞ്ഞു',
+    'payment.cvv': '{length} അക്ക CVV നൽകുക',
+    'payment.upiId': 'സാധുവായ UPI ഐഡി നൽകുക, ഉദാ. name@okaxis',
+    'payment.bank': 'നിങ്ങളുടെ ബാങ്ക് തിരഞ്ഞെടുക്കുക',
+    'payment.unavailable': 'ഈ പേയ്‌മെന്റ് രീതി ലഭ്യമല്ല',
+    'payment.declined': 'പേയ്‌മെന്റ് നിരസിക്കപ്പെട്ടു. മറ്റൊരു കാർഡോ പേയ്‌മെന്റ് രീതിയോ ഉപയോഗിക്കുക.',
+    'payment.timeout': 'പേയ്‌മെന്റ് സമയത്ത് പൂർത്തിയായില്ല, തുക ഈടാക്കിയിട്ടില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    'payment.failed': 'പേയ്‌മെന്റ് പരാജയപ്പെട്ടു. വീണ്ടും ശ്രമിക്കുക.',
+    'payment.method.cod': 'ക്യാഷ് ഓൺ ഡെലിവറി',
+    'payment.method.card': 'ക്രെഡിറ്റ്/ഡെബിറ്റ് കാർഡ്',
+    'payment.method.upi': 'UPI പേയ്‌മെന്റ്',
+    'payment.method.netbanking': 'നെറ്റ് ബാങ്കിംഗ്',
+    'payment.method.wallet': 'ഡിജിറ്റൽ വാലറ്റ്',
+    
+    'compliance.prohibited': '{state}-ൽ മദ്യവിൽപ്പന നിരോധിച്ചിരിക്കുന്നതിനാൽ അവിടേക്ക് ഡെലിവറി ചെയ്യാനാവില്ല',
+    'compliance.invalidDateOfBirth': 'സാധുവായ ജനനത്തീയതി നൽകുക',
+    'compliance.minimumAge': '{state}-ൽ മദ്യം വാങ്ങാൻ കുറഞ്ഞത് {age} വയസ്സ് ആയിരിക്കണം',
+    'compliance.blockedDelivery': '{state}-ൽ {date}-ന് ({reason}) ഡെലിവറി അനുവദനീയമല്ല. മറ്റൊരു തീയതി തിരഞ്ഞെടുക്കുക',
+    'compliance.blockedPickup': '{state}-ൽ {date}-ന് ({reason}) പിക്കപ്പ് അനുവദനീയമല്ല. മറ്റൊരു തീയതി തിരഞ്ഞെടുക്കുക',
+    'compliance.dailyVolume': '{state}-ൽ ഒരാൾക്ക് പ്രതിദിനം പരമാവധി {limit} ലിറ്റർ അനുവദനീയം; ഈ ഓർഡറോടെ ഇത് {total} ലിറ്റർ ആകും{including}',
+    'compliance.dailyAlcohol': '{state}-ൽ ഒരാൾക്ക് പ്രതിദിനം പരമാവധി {limit} ലിറ്റർ ശുദ്ധ ആൽക്കഹോൾ അനുവദനീയം; ഈ ഓർഡറോടെ ഇത് {total} ലിറ്റർ ആകും{including}',
+    'compliance.alreadyBooked': ' (ആ ദിവസത്തേക്ക് ഇതിനകം ബുക്ക് ചെയ്ത {litres} ലിറ്റർ ഉൾപ്പെടെ)',
+    'compliance.recipientAge': '{state}-ൽ മദ്യം സ്വീകരിക്കാൻ സ്വീകർത്താവിന് കുറഞ്ഞത് {age} വയസ്സ് ആയിരിക്കണം',
+    'compliance.recipientDailyVolume': '{state}-ൽ ഒരാൾക്ക് പ്രതിദിനം പരമാവധി {limit} ലിറ്റർ അനുവദനീയം; ഈ സമ്മാനത്തോടെ സ്വീകർത്താവിന് ഇത് {total} ലിറ്റർ ആകും{including}',
+    'compliance.recipientDailyAlcohol': '{state}-ൽ ഒരാൾക്ക് പ്രതിദിനം പരമാവധി {limit} ലിറ്റർ ശുദ്ധ ആൽക്കഹോൾ അനുവദനീയം; ഈ സമ്മാനത്തോടെ സ്വീകർത്താവിന് ഇത് {total} ലിറ്റർ ആകും{including}',
+    
+    'cart.added': '{name} കാർട്ടിൽ ചേർത്തു',
+    'cart.removed': '{name} കാർട്ടിൽ നിന്ന് നീക്കം ചെയ്തു',
+    'cart.maxLine': '{name} പരമാവധി {max} കുപ്പികൾ മാത്രമേ പ്രീ-ബുക്ക് ചെയ്യാനാകൂ',
+    'cart.quantityRange': 'എണ്ണം {min}-നും {max}-നും ഇടയിലായിരിക്കണം',
+    'cart.invalidQuantity': '{name}-ന്റെ എണ്ണം {min}-നും {max}-നും ഇടയിലായിരിക്കണം',
+    'cart.empty': 'നിങ്ങളുടെ കാർട്ട് ശൂന്യമാണ്',
+    'cart.emptyOrder': 'നിങ്ങളുടെ കാർട്ട് ശൂന്യമാണ്. ആദ്യം മെനുവിൽ നിന്ന് ഉൽപ്പന്നങ്ങൾ ചേർക്കുക.',
+    'cart.noItems': 'ഒന്നും തിരഞ്ഞെടുത്തിട്ടില്ല',
+    'cart.browse': 'ഉൽപ്പന്നങ്ങൾ കാണുക',
+    'cart.decrease': 'എണ്ണം കുറയ്ക്കുക',
+    'cart.increase': 'എണ്ണം കൂട്ടുക',
+    'cart.remove': 'നീക്കം ചെയ്യുക',
+    'cart.clearCart': 'കാർട്ട് മായ്ക്കുക',
+    'cart.clear': 'മായ്ക്കുക',
+    'cart.proceed': 'ഓർഡറിലേക്ക് പോകുക',
+    
+    'stock.outBadge': 'സ്റ്റോക്കില്ല',
+    'stock.lowBadge': '{count} എണ്ണം മാത്രം ബാക്കി',
+    'stock.out': '{name} സ്റ്റോക്കില്ല',
+    'stock.onlyOf': { one: '{name} {count} കുപ്പി മാത്രമേ ലഭ്യമുള്ളൂ', other: '{name} {count} കുപ്പികൾ മാത്രമേ ലഭ്യമുള്ളൂ' },
+    'stock.only': { one: '{count} കുപ്പി മാത്രമേ ലഭ്യമുള്ളൂ', other: '{count} കുപ്പികൾ മാത്രമേ ലഭ്യമുള്ളൂ' },
+    'waitlist.placeholder': 'ഇമെയിൽ അല്ലെങ്കിൽ ഫോൺ',
+    'waitlist.label': 'സ്റ്റോക്ക് അറിയിപ്പിനുള്ള ഇമെയിൽ അല്ലെങ്കിൽ ഫോൺ',
+    'waitlist.notify': 'എന്നെ അറിയിക്കുക',
+    'waitlist.joined': '{name} വീണ്ടും സ്റ്റോക്കിൽ എത്തുമ്പോൾ ഞങ്ങൾ അറിയിക്കാം',
+    'waitlist.saveFailed': 'വെയിറ്റ്‌ലിസ്റ്റിൽ ചേരാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    
+    'menu.addToCart': 'കാർട്ടിൽ ചേർക്കുക',
+    'menu.inCart': 'കാർട്ടിൽ ({count}) • കൂടുതൽ ചേർക്കുക',
+    'menu.size': 'കുപ്പിയുടെ വലിപ്പം',
+    'menu.results': { one: '{count} ഉൽപ്പന്നം', other: '{count} ഉൽപ്പന്നങ്ങൾ' },
+    'menu.resultsFiltered': { one: '{count}-ൽ {shown} ഉൽപ്പന്നം കാണിക്കുന്നു', other: '{count}-ൽ {shown} ഉൽപ്പന്നങ്ങൾ കാണിക്കുന്നു' },
+    'menu.intro': 'ആസ്വാദകർക്കായി ശ്രദ്ധാപൂർവ്വം തിരഞ്ഞെടുത്ത പ്രീമിയം സ്പിരിറ്റുകളുടെ ശേഖരം കാണുക.',
+    'menu.introCart': 'ഇഷ്ടമുള്ളവ കാർട്ടിൽ ചേർത്ത് ഓർഡറിലേക്ക് പോകുക.',
+    'menu.yourCart': 'നിങ്ങളുടെ കാർട്ട്',
+    'menu.search': 'തിരയുക',
+    'menu.searchPlaceholder': 'പേര്, തരം അല്ലെങ്കിൽ രുചിക്കുറിപ്പുകൾ വഴി തിരയുക',
+    'menu.abv': 'ABV (%)',
+    'menu.price': 'വില (₹)',
+    'menu.min': 'കുറഞ്ഞത്',
+    'menu.max': 'കൂടിയത്',
+    'menu.abvMin': 'കുറഞ്ഞ ABV',
+    'menu.abvMax': 'കൂടിയ ABV',
+    'menu.priceMin': 'കുറഞ്ഞ വില',
+    'menu.priceMax': 'കൂടിയ വില',
+    'menu.sortBy': 'ക്രമീകരിക്കുക',
+    'menu.category': 'വിഭാഗം',
+    'menu.clearFilters': 'ഫിൽട്ടറുകൾ മായ്ക്കുക',
+    'menu.emptyTitle': 'നിങ്ങളുടെ ഫിൽട്ടറുകൾക്ക് യോജിക്കുന്ന സ്പിരിറ്റുകളൊന്നുമില്ല',
+    'menu.emptyHint': 'മറ്റൊരു അക്ഷരവിന്യാസം പരീക്ഷിക്കുക, ABV അല്ലെങ്കിൽ വില പരിധി വലുതാക്കുക, അല്ലെങ്കിൽ ഫിൽട്ടറുകൾ മായ്ക്കുക.',
+    'menu.sort.relevance': 'ഏറ്റവും യോജിച്ചത്',
+    'menu.sort.priceAsc': 'വില: കുറഞ്ഞതിൽ നിന്ന് കൂടിയതിലേക്ക്',
+    'menu.sort.priceDesc': 'വില: കൂടിയതിൽ നിന്ന് കുറഞ്ഞതിലേക്ക്',
+    'menu.sort.abvAsc': 'ABV: കുറഞ്ഞതിൽ നിന്ന് കൂടിയതിലേക്ക്',
+    'menu.sort.abvDesc': 'ABV: കൂടിയതിൽ നിന്ന് കുറഞ്ഞതിലേക്ക്',
+    'menu.sort.nameAsc': 'പേര്: A മുതൽ Z വരെ',
+    'menu.sort.ratingDesc': 'മികച്ച റേറ്റിംഗ്',
+    
+    'pricing.subtotal': 'ഉപമൊത്തം',
+    'pricing.total': 'ആകെ',
+    'pricing.totalAmount': 'ആകെ തുക',
+    'pricing.included': 'ഉൾപ്പെടുന്നു',
+    'pricing.giftWrap': 'ഗിഫ്റ്റ് റാപ്പിംഗ്',
+    'pricing.totalValue': 'ആകെ: {amount}',
+    'offers.validUntil': '{date} വരെ സാധുത',
+    
+    'order.emptyHint': 'കുപ്പികൾ ചേർക്കാൻ {link}',
+    'order.browseCollection': 'ശേഖരം കാണുക',
+    'order.lineDetails': '{abv}% ABV • {price} • എണ്ണം: {count}',
+    'order.place': 'ഓർഡർ ചെയ്യുക',
+    'order.placeTotal': 'ഓർഡർ ചെയ്യുക - {amount}',
+    'order.etaPickup': '🏬 പ്രതീക്ഷിക്കുന്ന പിക്കപ്പ്',
+    'order.etaDelivery': '🚚 പ്രതീക്ഷിക്കുന്ന ഡെലിവറി',
+    'order.chooseOutlet': 'പിക്കപ്പ് സമയങ്ങൾ കാണാൻ ഒരു ഔട്ട്‌ലെറ്റ് തിരഞ്ഞെടുക്കുക',
+    'order.noDeliverySlots': 'ഇപ്പോൾ ഡെലിവറി സ്ലോട്ടുകൾ ലഭ്യമല്ല',
+    'order.outletInfo': '{address}, {city} • പ്രവർത്തന സമയം {open} - {close}',
+    'order.windowOption': '{label} ({count} ബാക്കി)',
+    'order.noWindows': 'ഈ തീയതിയിൽ സമയങ്ങൾ ബാക്കിയില്ല',
+    'order.pinDeliverable': '{place} • ഞങ്ങൾ ഇവിടെ ഡെലിവർ ചെയ്യുന്നു',
+    'order.pinNotServiced': '{place} • ഞങ്ങൾ ഇതുവരെ ഇവിടെ ഡെലിവർ ചെയ്യുന്നില്ല',
+    'order.notServiced': 'പിൻ {pin}-ലേക്ക് ഞങ്ങൾ ഇതുവരെ ഡെലിവർ ചെയ്യുന്നില്ല. പകരം ഞങ്ങളുടെ ഒരു ഔട്ട്‌ലെറ്റിൽ നിന്ന് ഓർഡർ ശേഖരിക്കാം.',
+    'order.pickupFrom': '{outlet}-ൽ നിന്ന് ശേഖരിക്കുക',
+    'order.pickupAt': '{outlet}-ൽ നിന്ന് പിക്കപ്പ്, {address}',
+    'order.pickupInstead': 'ഔട്ട്‌ലെറ്റ് പിക്കപ്പ് തിരഞ്ഞെടുക്കുക',
+    'order.selectOutlet': 'ആദ്യം ഒരു ഔട്ട്‌ലെറ്റ് തിരഞ്ഞെടുക്കുക',
+    'order.placed': 'ഓർഡർ വിജയകരമായി നൽകി! റീഡയറക്ട് ചെയ്യുന്നു...',
+    'order.correctErrors': 'താഴെയുള്ള പിശകുകൾ തിരുത്തുക',
+    'order.failed': 'ഓർഡർ നൽകാനായില്ല',
+    'order.noPickupWindows': 'അടുത്ത കുറച്ചു ദിവസങ്ങളിൽ ഈ ഔട്ട്‌ലെറ്റിൽ പിക്കപ്പ് സമയങ്ങൾ ലഭ്യമല്ല. മറ്റൊരു ഔട്ട്‌ലെറ്റ് തിരഞ്ഞെടുക്കുക.',
+    'order.noDeliveryDays': 'അടുത്ത ഏതാനും ആഴ്ചകളിൽ ഡെലിവറി സ്ലോട്ടുകൾ ലഭ്യമല്ല. പിന്നീട് വീണ്ടും ശ്രമിക്കുക.',
+    'order.saveFailed': 'ഓർഡർ സേവ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    'order.invalid': 'ചില ഓർഡർ വിവരങ്ങൾ കാണുന്നില്ല അല്ലെങ്കിൽ അസാധുവാണ്. ഫോം പരിശോധിച്ച് വീണ്ടും ശ്രമിക്കുക.',
+    'order.duplicate': 'ഈ ഓർഡർ ഇതിനകം നൽകിയിട്ടുണ്ട്.',
+    'order.pricesChanged': 'നിങ്ങൾ കാർട്ട് നിറച്ചതിനു ശേഷം വിലകളോ ഓഫറുകളോ മാറി. ദയവായി വീണ്ടും ഓർഡർ നൽകുക.',
+    'order.slotUnavailable': 'നിങ്ങളുടെ ഡെലിവറി സ്ലോട്ട് അല്ലെങ്കിൽ പിക്കപ്പ് സമയം ഇനി ലഭ്യമല്ല. മറ്റൊരു സമയം തിരഞ്ഞെടുക്കുക.',
+    'order.notCompliant': 'ഈ ഓർഡർ നിങ്ങളുടെ സംസ്ഥാനത്തെ എക്സൈസ് നിയമങ്ങൾ പാലിക്കുന്നില്ല. പരിശോധിച്ച് വീണ്ടും ശ്രമിക്കുക.',
+    'checkout.back': '← ശേഖരത്തിലേക്ക് മടങ്ങുക',
+    'checkout.subtitle': 'നിങ്ങളുടെ പ്രീമിയം സ്പിരിറ്റുകൾ എത്തിക്കാൻ ചില വിവരങ്ങൾ മാത്രം',
+    'checkout.personal': 'വ്യക്തിഗത വിവരങ്ങൾ',
+    'checkout.personalHint': 'ഓർഡർ അപ്‌ഡേറ്റുകൾക്കുള്ള നിങ്ങളുടെ ബന്ധപ്പെടാനുള്ള വിവരങ്ങൾ',
+    'checkout.firstName': 'പേര്',
+    'checkout.firstNameError': 'നിങ്ങളുടെ പേര് നൽകുക',
+    'checkout.lastName': 'കുടുംബപ്പേര്',
+    'checkout.lastNameError': 'നിങ്ങളുടെ കുടുംബപ്പേര് നൽകുക',
+    'checkout.email': 'ഇമെയിൽ വിലാസം',
+    'checkout.phone': 'ഫോൺ നമ്പർ',
+    'checkout.phoneError': 'സാധുവായ ഫോൺ നമ്പർ നൽകുക',
+    'checkout.dateOfBirth': 'ജനനത്തീയതി',
+    'checkout.company': 'കമ്പനിയുടെ പേര് (ഐച്ഛികം)',
+    'checkout.companyPlaceholder': 'ബിസിനസ് ഇൻവോയ്‌സുകൾക്ക്',
+    'checkout.gstin': 'GSTIN (ഐച്ഛികം)',
+    'checkout.fulfilment': 'ഡെലിവറി അല്ലെങ്കിൽ പിക്കപ്പ്',
+    'checkout.fulfilmentHint': 'വീട്ടിലെത്തിക്കാം, അല്ലെങ്കിൽ ഞങ്ങളുടെ ഒരു ഔട്ട്‌ലെറ്റിൽ നിന്ന് ശേഖരിക്കാം',
+    'checkout.delivery': 'ഹോം ഡെലിവറി',
+    'checkout.pickup': 'ഔട്ട്‌ലെറ്റ് പിക്കപ്പ്',
+    'checkout.pickupInfo': 'പിക്കപ്പ് വിവരങ്ങൾ',
+    'checkout.pickupHint': 'ഒരു ഔട്ട്‌ലെറ്റും 15 മിനിറ്റ് പിക്കപ്പ് സമയവും തിരഞ്ഞെടുക്കുക',
+    'checkout.outlet': 'ഔട്ട്‌ലെറ്റ്',
+    'checkout.selectOutlet': 'ഔട്ട്‌ലെറ്റ് തിരഞ്ഞെടുക്കുക',
+    'checkout.pickupDate': 'പിക്കപ്പ് തീയതി',
+    'checkout.pickupWindow': 'പിക്കപ്പ് സമയം',
+    'checkout.gift': 'സമ്മാനമായി അയയ്ക്കുക',
+    'checkout.giftHint': 'നിങ്ങളുടെ സന്ദേശത്തോടൊപ്പം സ്വീകർത്താവിന് എത്തിക്കും; അവരുടെ ഗിഫ്റ്റ് രസീതിൽ വിലകൾ കാണിക്കില്ല',
+    'checkout.isGift': 'ഈ ഓർഡർ ഒരു സമ്മാനമാണ്. താഴെയുള്ള ഡെലിവറി വിലാസം സ്വീകർത്താവിന്റേതാണ്.',
+    'checkout.recipientName': 'സ്വീകർത്താവിന്റെ പേര്',
+    'checkout.recipientNameError': 'സ്വീകർത്താവിന്റെ പേര് നൽകുക',
+    'checkout.recipientPhone': 'സ്വീകർത്താവിന്റെ ഫോൺ',
+    'checkout.recipientDateOfBirth': 'സ്വീകർത്താവിന്റെ ജനനത്തീയതി',
+    'checkout.recipientAgeError': 'സ്വീകർത്താവിനും നിയമപരമായ മദ്യപാന പ്രായം ഉണ്ടായിരിക്കണം',
+    'checkout.occasion': 'അവസരം (ഐച്ഛികം)',
+    'checkout.noOccasion': 'പ്രത്യേക അവസരമൊന്നുമില്ല',
+    'checkout.occasionDate': 'ഡെലിവറി തീയതി (ഐച്ഛികം)',
+    'checkout.occasionDateError': 'ഇന്നു മുതലുള്ള ഒരു തീയതി തിരഞ്ഞെടുക്കുക',
+    'checkout.giftMessage': 'സമ്മാന സന്ദേശം (ഐച്ഛികം)',
+    'checkout.giftMessagePlaceholder': 'ജന്മദിനാശംസകൾ! ഇനിയും ഒരുപാട് ആഘോഷങ്ങൾക്ക് ചിയേഴ്സ്.',
+    'checkout.giftMessageError': 'നിങ്ങളുടെ സമ്മാന സന്ദേശം പരിശോധിക്കുക',
+    'checkout.giftWrap': 'ഗിഫ്റ്റ് റാപ്പ് ചെയ്യുക (+{fee})',
+    'checkout.deliveryInfo': 'ഡെലിവറി വിവരങ്ങൾ',
+    'checkout.deliveryInfoHint': 'നിങ്ങളുടെ ഓർഡർ എവിടെ എത്തിക്കണം?',
+    'checkout.savedAddresses': 'സേവ് ചെയ്ത വിലാസങ്ങൾ',
+    'checkout.makeDefault': 'ഡിഫോൾട്ട് ആക്കുക',
+    'checkout.removeAddress': 'നീക്കം ചെയ്യുക',
+    'checkout.address': 'പൂർണ്ണ വിലാസം',
+    'checkout.addressPlaceholder': 'വീട്/ഫ്ലാറ്റ് നമ്പർ, കെട്ടിടത്തിന്റെ പേര്, തെരുവിന്റെ പേര്',
+    'checkout.addressError': 'നിങ്ങളുടെ പൂർണ്ണ വിലാസം നൽകുക',
+    'checkout.pin': 'പിൻ കോഡ്',
+    'checkout.city': 'നഗരം',
+    'checkout.cityError': 'നിങ്ങളുടെ നഗരം നൽകുക',
+    'checkout.state': 'സംസ്ഥാനം',
+    'checkout.selectState': 'സംസ്ഥാനം തിരഞ്ഞെടുക്കുക',
+    'checkout.unionTerritories': 'കേന്ദ്രഭരണ പ്രദേശങ്ങൾ',
+    'checkout.landmark': 'ലാൻഡ്‌മാർക്ക് (ഐച്ഛികം)',
+    'checkout.landmarkPlaceholder': 'മെട്രോ സ്റ്റേഷൻ, മാൾ തുടങ്ങിയവയ്ക്ക് സമീപം',
+    'checkout.addressType': 'വിലാസത്തിന്റെ തരം',
+    'checkout.preferences': 'ഡെലിവറി മുൻഗണനകൾ',
+    'checkout.preferencesHint': 'നിങ്ങളുടെ ഓർഡർ എപ്പോൾ ലഭിക്കണം?',
+    'checkout.deliveryDate': 'ഇഷ്ടപ്പെട്ട ഡെലിവറി തീയതി',
+    'checkout.timeSlot': 'ഇഷ്ടപ്പെട്ട സമയം',
+    'checkout.slot.anytime': 'ഏത് സമയത്തും',
+    'checkout.slot.morning': 'രാവിലെ (9 AM - 12 PM)',
+    'checkout.slot.afternoon': 'ഉച്ചയ്ക്ക് (12 PM - 4 PM)',
+    'checkout.slot.evening': 'വൈകുന്നേരം (4 PM - 8 PM)',
+    'checkout.instructions': 'പ്രത്യേക ഡെലിവറി നിർദ്ദേശങ്ങൾ',
+    'checkout.instructionsPlaceholder': 'സെക്യൂരിറ്റിയെ ഏൽപ്പിക്കുക, ഡോർബെൽ അടിക്കുക, തുടങ്ങിയവ',
+    'checkout.payment': 'പേയ്‌മെന്റ് രീതി',
+    'checkout.paymentHint': 'നിങ്ങൾക്ക് ഇഷ്ടമുള്ള പേയ്‌മെന്റ് രീതി തിരഞ്ഞെടുക്കുക',
+    'checkout.cardNumber': 'കാർഡ് നമ്പർ',
+    'checkout.cardName': 'കാർഡ് ഉടമയുടെ പേര്',
+    'checkout.cardNamePlaceholder': 'കാർഡിലുള്ളതുപോലെ പേര്',
+    'checkout.expiry': 'കാലാവധി തീയതി',
+    'checkout.cvv': 'CVV',
+    'checkout.upiId': 'UPI ഐഡി',
+    'checkout.bank': 'ബാങ്ക് തിരഞ്ഞെടുക്കുക',
+    'checkout.chooseBank': 'നിങ്ങളുടെ ബാങ്ക് തിരഞ്ഞെടുക്കുക',
+    'checkout.paymentSecured': 'നിങ്ങളുടെ പേയ്‌മെന്റ് വിവരങ്ങൾ 256-ബിറ്റ് SSL എൻക്രിപ്ഷൻ ഉപയോഗിച്ച് സുരക്ഷിതമാണ്',
+    'checkout.ageConfirm': 'എനിക്ക് {age} വയസ്സോ അതിൽ കൂടുതലോ ഉണ്ടെന്നും എന്റെ പ്രദേശത്ത് മദ്യം വാങ്ങാൻ നിയമപരമായി അനുവാദമുണ്ടെന്നും ഞാൻ സ്ഥിരീകരിക്കുന്നു. ഡെലിവറി സമയത്ത് സാധുവായ പ്രായ സ്ഥിരീകരണം ആവശ്യമായേക്കാമെന്ന് എനിക്കറിയാം.',
+    'checkout.saveProfile': 'അടുത്ത തവണത്തേക്ക് എന്റെ വിവരങ്ങളും ഡെലിവറി വിലാസവും ഈ ബ്രൗസറിൽ ഓർത്തുവയ്ക്കുക. കാർഡ് നമ്പറുകളും UPI ഐഡികളും ഒരിക്കലും സേവ് ചെയ്യില്ല.',
+    'checkout.forgetProfile': 'സേവ് ചെയ്ത എന്റെ വിവരങ്ങൾ മറക്കുക',
+    'checkout.terms': '{terms}, {privacy} എന്നിവ ഞാൻ അംഗീകരിക്കുന്നു. SMS, ഇമെയിൽ വഴി ഓർഡർ അപ്‌ഡേറ്റുകൾ ലഭിക്കാൻ ഞാൻ സമ്മതിക്കുന്നു.',
+    'checkout.termsLink': 'നിബന്ധനകളും വ്യവസ്ഥകളും',
+    'checkout.privacyLink': 'സ്വകാര്യതാ നയം',
+    'checkout.summary': 'ഓർഡർ സംഗ്രഹം',
+    'checkout.summaryHint': 'നിങ്ങളുടെ ഇനങ്ങൾ പരിശോധിക്കുക',
+    'checkout.calculating': 'കണക്കാക്കുന്നു...',
+    'checkout.secure': '100% സുരക്ഷിതമായ പേയ്‌മെന്റ്',
+    'gift.occasionUnavailable': '{date}-ന് ഡെലിവറി സാധ്യമല്ല. അതിനു ശേഷം ലഭ്യമായ ആദ്യ ഡെലിവറി {next} ആണ്. അവസരത്തിന് മറ്റൊരു തീയതി തിരഞ്ഞെടുക്കുക',
+    'gift.occasion.birthday': 'ജന്മദിനം',
+    'gift.occasion.anniversary': 'വാർഷികം',
+    'gift.occasion.wedding': 'വിവാഹം',
+    'gift.occasion.housewarming': 'ഗൃഹപ്രവേശം',
+    'gift.occasion.festival': 'ഉത്സവം',
+    'gift.occasion.other': 'മറ്റുള്ളവ',
+    'gift.for': '{name}-നുള്ള സമ്മാനം',
+    'gift.wrapped': 'ഗിഫ്റ്റ് റാപ്പ് ചെയ്തത്',
+    'gift.notGift': '{id} ഒരു ഗിഫ്റ്റ് ഓർഡർ അല്ല',
+    'reviews.count': { one: '{count} റിവ്യൂ', other: '{count} റിവ്യൂകൾ' },
+    'reviews.none': 'ഇതുവരെ റിവ്യൂകളില്ല',
+    'reviews.summary': { one: '{count} റിവ്യൂവിൽ നിന്ന് 5-ൽ {rating} റേറ്റിംഗ്', other: '{count} റിവ്യൂകളിൽ നിന്ന് 5-ൽ {rating} റേറ്റിംഗ്' },
+    'reviews.stars': { one: '{count} നക്ഷത്രം', other: '{count} നക്ഷത്രങ്ങൾ' },
+    'reviews.title': '{name} റിവ്യൂകൾ',
+    'reviews.empty': 'ഇതുവരെ ആരും {name} റിവ്യൂ ചെയ്തിട്ടില്ല. ഓർഡർ ഡെലിവർ ചെയ്ത ഉപഭോക്താക്കളിൽ നിന്നാണ് റിവ്യൂകൾ.',
+    'reviews.by': '{name} • {date}',
+    'reviews.nose': 'ഗന്ധം',
+    'reviews.palate': 'രുചി',
+    'reviews.finish': 'ഫിനിഷ്',
+    'reviews.report': 'റിപ്പോർട്ട് ചെയ്യുക',
+    'reviews.reportedBadge': 'റിപ്പോർട്ട് ചെയ്തു',
+    'reviews.reported': 'അറിയിച്ചതിന് നന്ദി. ഞങ്ങളുടെ ജീവനക്കാർ ഇത് പരിശോധിക്കും.',
+    'reviews.close': 'അടയ്ക്കുക',
+    'reviews.write': '{name} റിവ്യൂ ചെയ്യുക',
+    'reviews.done': '{name} റിവ്യൂ ചെയ്തു',
+    'reviews.yourRating': 'നിങ്ങളുടെ റേറ്റിംഗ്',
+    'reviews.tastingNotes': 'ടേസ്റ്റിംഗ് കുറിപ്പുകൾ (ഓപ്ഷണൽ)',
+    'reviews.comment': 'നിങ്ങളുടെ റിവ്യൂ (ഓപ്ഷണൽ)',
+    'reviews.post': 'റിവ്യൂ പോസ്റ്റ് ചെയ്യുക',
+    'reviews.cancel': 'റദ്ദാക്കുക',
+    'reviews.posted': 'നന്ദി! {name}-നെക്കുറിച്ചുള്ള നിങ്ങളുടെ റിവ്യൂ ഇപ്പോൾ മെനുവിലുണ്ട്',
+    'reviews.held': 'നന്ദി! ഞങ്ങളുടെ ജീവനക്കാർ പരിശോധിച്ച ശേഷം {name}-നെക്കുറിച്ചുള്ള നിങ്ങളുടെ റിവ്യൂ ദൃശ്യമാകും',
+    'reviews.notDelivered': '{name} ഉള്ള ഒരു ഓർഡർ ഡെലിവർ ചെയ്ത ശേഷം നിങ്ങൾക്ക് റിവ്യൂ ചെയ്യാം',
+    'reviews.duplicate': 'നിങ്ങൾ ഇതിനകം {name} റിവ്യൂ ചെയ്തിട്ടുണ്ട്',
+    'reviews.saveFailed': '{name}-ന്റെ റിവ്യൂ പോസ്റ്റ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    'reviews.reportFailed': 'റിവ്യൂ റിപ്പോർട്ട് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    
+    'orders.empty': 'നിങ്ങൾക്ക് ഇതുവരെ പ്രീ-ബുക്കിംഗുകളൊന്നുമില്ല.',
+    'orders.noMatch': 'ആ ഓർഡർ ഐഡിയോ ഫോൺ നമ്പറോ ഉള്ള ഓർഡറുകളൊന്നുമില്ല.',
+    'orders.placed': '{date}-ന് നൽകിയത്',
+    'orders.pickup': 'പിക്കപ്പ്: {date}',
+    'orders.expected': 'പ്രതീക്ഷിക്കുന്നത്: {date}',
+    'orders.token': 'ടോക്കൺ {token}',
+    'orders.viewDetails': 'വിശദാംശങ്ങൾ കാണുക',
+    'orders.cancel': 'പ്രീ-ബുക്കിംഗ് റദ്ദാക്കുക',
+    'orders.cancelled': 'ഓർഡർ {id} റദ്ദാക്കി',
+    'orders.reorder': 'വീണ്ടും ഓർഡർ ചെയ്യുക',
+    'reorder.added': 'ഓർഡർ {id}-ലെ ഇനങ്ങൾ നിങ്ങളുടെ കാർട്ടിലുണ്ട്',
+    'reorder.repriced': '{name} ഇപ്പോൾ {price} ആണ് (മുമ്പ് {was})',
+    'reorder.reduced': '{name} {count} എണ്ണം മാത്രമേ ചേർക്കാനായുള്ളൂ',
+    'reorder.unavailable': '{name} ഇപ്പോൾ ലഭ്യമല്ല',
+    'reorder.nothing': 'ഓർഡർ {id}-ലെ ഇനങ്ങളൊന്നും ഇപ്പോൾ ലഭ്യമല്ല',
+    'reorder.notFound': 'ഓർഡർ {id} കണ്ടെത്തിയില്ല',
+    'reorder.saveFailed': 'കാർട്ട് അപ്ഡേറ്റ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    'reorder.checkout': 'ചെക്ക്ഔട്ട്',
+    'profile.label.home': 'വീട്',
+    'profile.label.office': 'ഓഫീസ്',
+    'profile.label.other': 'മറ്റുള്ളവ',
+    'profile.addressOption': '{label}: {address}, {city}',
+    'profile.defaultOption': '{address} (സ്ഥിരം)',
+    'profile.newAddress': 'പുതിയ വിലാസം',
+    'profile.defaultSet': 'ഇതാണ് ഇപ്പോൾ നിങ്ങളുടെ സ്ഥിര വിലാസം',
+    'profile.addressRemoved': 'വിലാസം നീക്കം ചെയ്തു',
+    'profile.forgotten': 'സംരക്ഷിച്ച വിവരങ്ങൾ ഈ ബ്രൗസറിൽ നിന്ന് നീക്കം ചെയ്തു',
+    'status.confirmed': 'സ്ഥിരീകരിച്ചു',
+    'status.packed': 'പായ്ക്ക് ചെയ്തു',
+    'status.ready': 'തയ്യാർ',
+    'status.dispatched': 'അയച്ചു',
+    'status.delivered': 'ഡെലിവർ ചെയ്തു',
+    'status.cancelled': 'റദ്ദാക്കി',
+    'status.expired': 'കാലഹരണപ്പെട്ടു',
+    'status.note.cancelledByCustomer': 'ഉപഭോക്താവ് റദ്ദാക്കി',
+    'status.note.reservationExpired': 'റിസർവേഷൻ കാലഹരണപ്പെട്ടു',
+    'status.note.collectedAtCounter': 'കൗണ്ടറിൽ നിന്ന് കൈപ്പറ്റി',
+    'status.note.updatedByStore': 'സ്റ്റോർ അപ്ഡേറ്റ് ചെയ്തു',
+    'status.note.updatedAtCounter': 'കൗണ്ടറിൽ അപ്ഡേറ്റ് ചെയ്തു',
+    'status.note.notAccepted': 'സ്റ്റോർ സ്വീകരിച്ചില്ല',
+    
+    'code.hintPickup': 'ഔട്ട്‌ലെറ്റ് കൗണ്ടറിൽ ഈ കോഡ് കാണിക്കുക',
+    'code.hintDelivery': 'ഡെലിവറി ഏജന്റിനെ ഈ കോഡ് കാണിക്കുക',
+    'code.label': 'ഓർഡർ കോഡ് {code}',
+    'code.collected': '{id} ഇതിനകം ശേഖരിച്ചു കഴിഞ്ഞു',
+    'code.homeDelivery': '{id} ഹോം ഡെലിവറിക്കുള്ളതാണ്, കൗണ്ടറിൽ നിന്ന് ശേഖരിക്കാനാവില്ല',
+    'code.notCollectable': '{id} {status} ആണ്, ശേഖരിക്കാനാവില്ല',
+    'code.notFound': '{id} എന്ന ബുക്കിംഗ് കണ്ടെത്തിയില്ല',
+    
+    'confirmation.title': 'ഓർഡർ സ്ഥിരീകരിച്ചു!',
+    'confirmation.message': 'നിങ്ങളുടെ ഓർഡർ വിജയകരമായി നൽകി. 15 മിനിറ്റിനുള്ളിൽ സ്ഥിരീകരണ കോൾ ലഭിക്കും.',
+    'confirmation.notFound': 'ഓർഡർ കണ്ടെത്തിയില്ല',
+    'confirmation.notFoundText': 'നിങ്ങളുടെ ഓർഡർ വിവരങ്ങൾ കണ്ടെത്താനായില്ല. ദയവായി പുതിയ ഓർഡർ നൽകുക.',
+    'confirmation.notFoundLink': 'നിങ്ങളുടെ ഓർഡർ വിവരങ്ങൾ കണ്ടെത്താനായില്ല. സാധുവായ ഓർഡർ സ്ഥിരീകരണ ലിങ്ക് ആണെന്ന് ഉറപ്പാക്കുക.',
+    'confirmation.more': '{name} + {count} എണ്ണം കൂടി',
+    'confirmation.yourToken': 'നിങ്ങളുടെ പിക്കപ്പ് ടോക്കൺ',
+    'confirmation.pickupToken': 'പിക്കപ്പ് ടോക്കൺ',
+    'confirmation.showAtCounter': '{outlet} കൗണ്ടറിൽ ഇത് കാണിക്കുക',
+    'confirmation.expectedDelivery': 'പ്രതീക്ഷിക്കുന്ന ഡെലിവറി: {date}',
+    'confirmation.orderId': 'ഓർഡർ ഐഡി: {id}',
+    'confirmation.placed': 'നൽകിയത്: {date}',
+    'confirmation.customerInfo': 'ഉപഭോക്തൃ വിവരങ്ങൾ',
+    'confirmation.orderDetails': 'ഓർഡർ വിശദാംശങ്ങൾ',
+    'confirmation.payment': 'പേയ്‌മെന്റ്: {method}',
+    'confirmation.customerName': 'ഉപഭോക്താവിന്റെ പേര്',
+    'confirmation.phone': 'ഫോൺ നമ്പർ',
+    'confirmation.pickupOutlet': 'പിക്കപ്പ് ഔട്ട്‌ലെറ്റ്',
+    'confirmation.deliveryAddress': 'ഡെലിവറി വിലാസം',
+    'confirmation.paymentMethod': 'പേയ്‌മെന്റ് രീതി',
+    'confirmation.status': 'ഓർഡർ നില',
+    'confirmation.orderDate': 'ഓർഡർ തീയതി',
+    'confirmation.pickupWindow': 'പിക്കപ്പ് സമയം',
+    'confirmation.estimatedDelivery': 'പ്രതീക്ഷിക്കുന്ന ഡെലിവറി',
+    'confirmation.toBeConfirmed': 'സ്ഥിരീകരിക്കാനുണ്ട്',
+    'confirmation.newOrder': 'പുതിയ ഓർഡർ നൽകുക',
+    'confirmation.backHome': 'ഹോമിലേക്ക് മടങ്ങുക',
+    'confirmation.orderAgain': 'വീണ്ടും ഓർഡർ ചെയ്യുക',
+    'confirmation.printInvoice': 'ഇൻവോയ്സ് പ്രിന്റ് ചെയ്യുക',
+    'confirmation.downloadInvoice': 'ഇൻവോയ്സ് ഡൗൺലോഡ് ചെയ്യുക',
+    'confirmation.giftReceipt': 'ഗിഫ്റ്റ് രസീത് പ്രിന്റ് ചെയ്യുക',
+    'confirmation.giftRecipient': 'സമ്മാനം സ്വീകരിക്കുന്നയാൾ',
+    'confirmation.giftMessage': 'സമ്മാന സന്ദേശം',
+    'confirmation.giftOccasion': 'അവസരം',
+    'confirmation.share': 'ഓർഡർ പങ്കിടുക',
+    'confirmation.copied': 'ഓർഡർ വിവരങ്ങൾ ക്ലിപ്പ്ബോർഡിലേക്ക് പകർത്തി!',
+    'age.title': 'നിങ്ങൾക്ക് നിയമപരമായ മദ്യപാന പ്രായമായോ?',
+    'age.text': 'ബ്രൗസ് ചെയ്യാനും പ്രീ-ബുക്ക് ചെയ്യാനും നിങ്ങളുടെ സംസ്ഥാനത്തെ നിയമപരമായ മദ്യപാന പ്രായം ആയിരിക്കണം.',
+    'age.confirm': 'അതെ, തുടരുക',
+    'age.decline': 'ഇല്ല',
+    'age.required': 'പ്രീ-ബുക്ക് ചെയ്യാൻ നിയമപരമായ മദ്യപാന പ്രായം ആയിരിക്കണം.',
+    'admin.setPasscode': 'ഒരു അഡ്മിൻ പാസ്‌കോഡ് സജ്ജമാക്കുക',
+    'admin.passcodeTooShort': 'പാസ്‌കോഡിന് കുറഞ്ഞത് {count} അക്ഷരങ്ങൾ വേണം',
+    'admin.wrongPasscode': 'പാസ്‌കോഡ് തെറ്റാണ്',
+    'admin.passcodeSaveFailed': 'പാസ്‌കോഡ് സേവ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    'print.allowPopups': 'പ്രിന്റ് ചെയ്യാൻ പോപ്പ്-അപ്പുകൾ അനുവദിക്കുക',
+    'outbox.queued': 'നിങ്ങൾ ഓഫ്‌ലൈനാണ്. ഓർഡർ സേവ് ചെയ്തു; വീണ്ടും ഓൺലൈനാകുമ്പോൾ അയയ്ക്കും.',
+    'outbox.pending': 'അയയ്ക്കാൻ കാത്തിരിക്കുന്നു',
+    'outbox.pendingHint': 'നിങ്ങൾ വീണ്ടും ഓൺലൈനാകുമ്പോൾ ഈ ഓർഡർ സ്റ്റോറിലേക്ക് അയയ്ക്കും. പിക്കപ്പ് ടോക്കൺ അപ്പോൾ ലഭിക്കും.',
+    'outbox.sent': 'ഓർഡർ {id} സ്റ്റോറിലേക്ക് അയച്ചു',
+    'outbox.rejected': 'ഓർഡർ {id} നൽകാനായില്ല: {error} അടച്ച തുക തിരികെ നൽകി.',
+    'outbox.waiting': { one: '{count} ഓർഡർ അയയ്ക്കാൻ കാത്തിരിക്കുന്നു', other: '{count} ഓർഡറുകൾ അയയ്ക്കാൻ കാത്തിരിക്കുന്നു' },
+    'outbox.offline': 'ഓഫ്‌ലൈൻ',
+    'sync.cartChanged': 'മറ്റൊരു ടാബിൽ നിങ്ങളുടെ കാർട്ട് മാറ്റി. ഓർഡർ നൽകുന്നതിന് മുമ്പ് പരിശോധിക്കുക.',
+    'sync.cartMerged': 'രണ്ട് ടാബുകളിൽ ഒരേസമയം കാർട്ട് മാറ്റി; രണ്ട് മാറ്റങ്ങളും നിലനിർത്തി.',
+    'sync.orderInProgress': 'ഈ ഓർഡർ മറ്റൊരു ടാബിൽ ഇതിനകം നൽകിക്കൊണ്ടിരിക്കുന്നു.',
+    'sync.languageChanged': 'മറ്റൊരു ടാബിൽ ഭാഷ മാറ്റി.',
+    'sync.reload': 'റീലോഡ് ചെയ്യുക',
+    'route.notFound': 'പേജ് കണ്ടെത്തിയില്ല'
+  },
+  
+  hi: {
+    'language.label': 'भाषा',
+    'notify.dismiss': 'बंद करें',
+    'notify.undo': 'पूर्ववत करें',
+    'notify.viewOrder': 'ऑर्डर देखें',
+    'nav.home': 'होम',
+    'nav.menu': 'मेनू',
+    'nav.products': 'उत्पाद',
+    'nav.offers': 'ऑफ़र',
+    'nav.order': 'ऑर्डर',
+    'nav.newOrder': 'नया ऑर्डर',
+    'nav.myOrders': 'मेरे ऑर्डर',
+    'page.menu': 'प्रीमियम शराब मेनू',
+    'page.order': 'अपना ऑर्डर पूरा करें',
+    'page.myOrders': 'आपकी प्री-बुकिंग',
+    'unit.bottles': { one: '{count} बोतल', other: '{count} बोतलें' },
+    'eta.today': 'आज',
+    'eta.tomorrow': 'कल',
+    'eta.inDays': { one: '{count} दिन', other: '{count} दिन' },
+    
+    'validation.name': 'नाम कम से कम {min} अक्षरों का होना चाहिए',
+    'validation.phone': 'कृपया मान्य 10 अंकों का भारतीय मोबाइल नंबर दर्ज करें',
+    'validation.email': 'कृपया मान्य ईमेल पता दर्ज करें',
+    'validation.address': 'पता कम से कम {min} अक्षरों का होना चाहिए',
+    'validation.pin': 'कृपया मान्य 6 अंकों का पिन कोड दर्ज करें',
+    'validation.pinUnknown': '{pin} भारतीय पिन कोड नहीं है',
+    'validation.pinState': 'पिन {pin} {expected} में है, {state} में नहीं',
+    'validation.gstin': 'कृपया मान्य 15 अक्षरों का GSTIN दर्ज करें',
+    'validation.contact': 'कृपया मान्य ईमेल पता या फ़ोन नंबर दर्ज करें',
+    'validation.outlet': 'कृपया पिकअप आउटलेट चुनें',
+    'validation.city': 'कृपया मान्य शहर का नाम दर्ज करें',
+    'validation.state': 'कृपया अपना राज्य चुनें',
+    'validation.dateOfBirth': 'कृपया अपनी जन्मतिथि दर्ज करें',
+    'validation.payment': 'कृपया भुगतान का तरीका चुनें',
+    'validation.age': 'कृपया पुष्टि करें कि आप शराब खरीदने की कानूनी उम्र के हैं',
+    'validation.terms': 'कृपया नियम व शर्तें और गोपनीयता नीति स्वीकार करें',
+    'validation.giftPickup': 'उपहार प्राप्तकर्ता को डिलीवर किए जाते हैं। कृपया होम डिलीवरी चुनें',
+    'validation.recipientDateOfBirth': 'कृपया प्राप्तकर्ता की जन्मतिथि दर्ज करें',
+    'validation.giftMessageLength': 'उपहार संदेश अधिकतम {max} अक्षरों का हो सकता है',
+    'validation.giftMessageWords': 'कृपया उपहार संदेश में अपशब्दों का प्रयोग न करें',
+    'validation.occasionDate': 'कृपया अवसर के लिए आज या उसके बाद की तारीख चुनें',
+    'validation.reviewRating': 'कृपया 1 से 5 स्टार के बीच रेटिंग चुनें',
+    'validation.reviewNoteLength': 'कृपया टेस्टिंग नोट्स {max} अक्षरों तक रखें',
+    'validation.reviewCommentLength': 'कृपया अपना रिव्यू {max} अक्षरों तक रखें',
+    'payment.cardNumber': 'कृपया मान्य कार्ड नंबर दर्ज करें',
+    'payment.cardBrand': 'हम Visa, Mastercard, RuPay और American Express कार्ड स्वीकार करते हैं',
+    'payment.cardName': 'कृपया कार्ड पर लिखा नाम दर्ज करें',
+    'payment.expiry': 'कृपया समाप्ति तिथि MM/YY के रूप में दर्ज करें',
+    'payment.expired': 'इस कार्ड की अवधि समाप्त हो चुकी है',
+    'payment.cvv': 'कृपया {length} अंकों का CVV दर्ज करें',
+    'payment.upiId': 'कृपया मान्य UPI आईडी दर्ज करें, जैसे name@okaxis',
+    'payment.bank': 'कृपया अपना बैंक चुनें',
+    'payment.unavailable': 'यह भुगतान तरीका उपलब्ध नहीं है',
+    'payment.declined': 'आपका भुगतान अस्वीकार हो गया। कृपया कोई दूसरा कार्ड या भुगतान तरीका आज़माएँ।',
+    'payment.timeout': 'भुगतान समय पर पूरा नहीं हुआ और आपसे कोई राशि नहीं ली गई। कृपया फिर से प्रयास करें।',
+    'payment.failed': 'भुगतान विफल रहा। कृपया फिर से प्रयास करें।',
+    'payment.method.cod': 'कैश ऑन डिलीवरी',
+    'payment.method.card': 'क्रेडिट/डेबिट कार्ड',
+    'payment.method.upi': 'UPI भुगतान',
+    'payment.method.netbanking': 'नेट बैंकिंग',
+    'payment.method.wallet': 'डिजिटल वॉलेट',
+    
+    'compliance.prohibited': '{state} में शराब की बिक्री प्रतिबंधित है, इसलिए हम वहाँ डिलीवरी नहीं कर सकते',
+    'compliance.invalidDateOfBirth': 'कृपया मान्य जन्मतिथि दर्ज करें',
+    'compliance.minimumAge': '{state} में शराब खरीदने के लिए आपकी उम्र कम से कम {age} वर्ष होनी चाहिए',
+    'compliance.blockedDelivery': '{state} में {date} को डिलीवरी की अनुमति नहीं है ({reason})। कृपया कोई दूसरी तारीख चुनें',
+    'compliance.blockedPickup': '{state} में {date} को पिकअप की अनुमति नहीं है ({reason})। कृपया कोई दूसरी तारीख चुनें',
+    'compliance.dailyVolume': '{state} में प्रति व्यक्ति प्रतिदिन अधिकतम {limit} लीटर की अनुमति है; इस ऑर्डर से आपका कुल {total} लीटर हो जाएगा{including}',
+    'compliance.dailyAlcohol': '{state} में प्रति व्यक्ति प्रतिदिन अधिकतम {limit} लीटर शुद्ध अल्कोहल की अनुमति है; इस ऑर्डर से आपका कुल {total} लीटर हो जाएगा{including}',
+    'compliance.alreadyBooked': ' (उस दिन के लिए पहले से बुक {litres} लीटर सहित)',
+    'compliance.recipientAge': '{state} में शराब प्राप्त करने के लिए प्राप्तकर्ता की उम्र कम से कम {age} वर्ष होनी चाहिए',
+    'compliance.recipientDailyVolume': '{state} में प्रति व्यक्ति प्रतिदिन अधिकतम {limit} लीटर की अनुमति है; इस उपहार से प्राप्तकर्ता का कुल {total} लीटर हो जाएगा{including}',
+    'compliance.recipientDailyAlcohol': '{state} में प्रति व्यक्ति प्रतिदिन अधिकतम {limit} लीटर शुद्ध अल्कोहल की अनुमति है; इस उपहार से प्राप्तकर्ता का कुल {total} लीटर हो जाएगा{including}',
+    
+    'cart.added': '{name} कार्ट में जोड़ा गया',
+    'cart.removed': '{name} कार्ट से हटाया गया',
+    'cart.maxLine': 'आप {name} की अधिकतम {max} बोतलें ही प्री-बुक कर सकते हैं',
+    'cart.quantityRange': 'मात्रा {min} से {max} के बीच होनी चाहिए',
+    'cart.invalidQuantity': '{name} की मात्रा {min} से {max} के बीच होनी चाहिए',
+    'cart.empty': 'आपका कार्ट खाली है',
+    'cart.emptyOrder': 'आपका कार्ट खाली है। कृपया पहले मेनू से उत्पाद जोड़ें।',
+    'cart.noItems': 'कोई आइटम नहीं चुना गया',
+    'cart.browse': 'उत्पाद देखें',
+    'cart.decrease': 'मात्रा घटाएँ',
+    'cart.increase': 'मात्रा बढ़ाएँ',
+    'cart.remove': 'हटाएँ',
+    'cart.clearCart': 'कार्ट खाली करें',
+    'cart.clear': 'साफ़ करें',
+    'cart.proceed': 'ऑर्डर पर आगे बढ़ें',
+    
+    'stock.outBadge': 'स्टॉक में नहीं',
+    'stock.lowBadge': 'केवल {count} बचे हैं',
+    'stock.out': '{name} स्टॉक में नहीं है',
+    'stock.onlyOf': { one: '{name} की केवल {count} बोतल उपलब्ध है', other: '{name} की केवल {count} बोतलें उपलब्ध हैं' },
+    'stock.only': { one: 'केवल {count} बोतल उपलब्ध है', other: 'केवल {count} बोतलें उपलब्ध हैं' },
+    'waitlist.placeholder': 'ईमेल या फ़ोन',
+    'waitlist.label': 'स्टॉक सूचना के लिए ईमेल या फ़ोन',
+    'waitlist.notify': 'मुझे सूचित करें',
+    'waitlist.joined': '{name} फिर से स्टॉक में आने पर हम आपको सूचित करेंगे',
+    'waitlist.saveFailed': 'प्रतीक्षा सूची में शामिल नहीं हो सके। कृपया फिर से प्रयास करें।',
+    
+    'menu.addToCart': 'कार्ट में जोड़ें',
+    'menu.inCart': 'कार्ट में ({count}) • और जोड़ें',
+    'menu.size': 'बोतल का आकार',
+    'menu.results': { one: '{count} उत्पाद', other: '{count} उत्पाद' },
+    'menu.resultsFiltered': { one: '{count} में से {shown} उत्पाद दिखाया जा रहा है', other: '{count} में से {shown} उत्पाद दिखाए जा रहे हैं' },
+    'menu.intro': 'पारखियों के लिए सावधानी से चुनी गई प्रीमियम स्पिरिट्स का हमारा संग्रह देखें।',
+    'menu.introCart': 'अपनी पसंद की स्पिरिट्स कार्ट में जोड़ें और ऑर्डर करें।',
+    'menu.yourCart': 'आपका कार्ट',
+    'menu.search': 'खोजें',
+    'menu.searchPlaceholder': 'नाम, प्रकार या स्वाद नोट्स से खोजें',
+    'menu.abv': 'ABV (%)',
+    'menu.price': 'कीमत (₹)',
+    'menu.min': 'न्यूनतम',
+    'menu.max': 'अधिकतम',
+    'menu.abvMin': 'न्यूनतम ABV',
+    'menu.abvMax': 'अधिकतम ABV',
+    'menu.priceMin': 'न्यूनतम कीमत',
+    'menu.priceMax': 'अधिकतम कीमत',
+    'menu.sortBy': 'क्रमबद्ध करें',
+    'menu.category': 'श्रेणी',
+    'menu.clearFilters': 'फ़िल्टर हटाएँ',
+    'menu.emptyTitle': 'आपके फ़िल्टर से कोई स्पिरिट मेल नहीं खाती',
+    'menu.emptyHint': 'दूसरी वर्तनी आज़माएँ, ABV या कीमत की सीमा बढ़ाएँ, या फ़िल्टर हटाएँ।',
+    'menu.sort.relevance': 'सबसे उपयुक्त',
+    'menu.sort.priceAsc': 'कीमत: कम से ज़्यादा',
+    'menu.sort.priceDesc': 'कीमत: ज़्यादा से कम',
+    'menu.sort.abvAsc': 'ABV: कम से ज़्यादा',
+    'menu.sort.abvDesc': 'ABV: ज़्यादा से कम',
+    'menu.sort.nameAsc': 'नाम: A से Z',
+    'menu.sort.ratingDesc': 'सबसे ज़्यादा रेटिंग',
+    
+    'pricing.subtotal': 'उप-योग',
+    'pricing.total': 'कुल',
+    'pricing.totalAmount': 'कुल राशि',
+    'pricing.included': 'शामिल',
+    'pricing.giftWrap': 'गिफ्ट रैपिंग',
+    'pricing.totalValue': 'कुल: {amount}',
+    'offers.validUntil': '{date} तक मान्य',
+    
+    'order.emptyHint': 'बोतलें जोड़ने के लिए {link}',
+    'order.browseCollection': 'संग्रह देखें',
+    'order.lineDetails': '{abv}% ABV • {price} • मात्रा: {count}',
+    'order.place': 'ऑर्डर करें',
+    'order.placeTotal': 'ऑर्डर करें - {amount}',
+    'order.etaPickup': '🏬 अनुमानित पिकअप',
+    'order.etaDelivery': '🚚 अनुमानित डिलीवरी',
+    'order.chooseOutlet': 'पिकअप समय देखने के लिए आउटलेट चुनें',
+    'order.noDeliverySlots': 'अभी कोई डिलीवरी स्लॉट उपलब्ध नहीं है',
+    'order.outletInfo': '{address}, {city} • खुला {open} - {close}',
+    'order.windowOption': '{label} ({count} बाकी)',
+    'order.noWindows': 'इस तारीख को कोई समय बाकी नहीं है',
+    'order.pinDeliverable': '{place} • हम यहाँ डिलीवरी करते हैं',
+    'order.pinNotServiced': '{place} • हम अभी यहाँ डिलीवरी नहीं करते',
+    'order.notServiced': 'हम अभी पिन {pin} पर डिलीवरी नहीं करते। आप अपना ऑर्डर हमारे किसी आउटलेट से ले सकते हैं।',
+    'order.pickupFrom': '{outlet} से लें',
+    'order.pickupAt': '{outlet} से पिकअप, {address}',
+    'order.pickupInstead': 'आउटलेट पिकअप चुनें',
+    'order.selectOutlet': 'पहले आउटलेट चुनें',
+    'order.placed': 'ऑर्डर सफलतापूर्वक दिया गया! रीडायरेक्ट हो रहा है...',
+    'order.correctErrors': 'कृपया नीचे दी गई त्रुटियाँ ठीक करें',
+    'order.failed': 'ऑर्डर नहीं दिया जा सका',
+    'order.noPickupWindows': 'अगले कुछ दिनों में इस आउटलेट पर कोई पिकअप समय उपलब्ध नहीं है। कृपया कोई दूसरा आउटलेट चुनें।',
+    'order.noDeliveryDays': 'अगले कुछ हफ़्तों में कोई डिलीवरी स्लॉट उपलब्ध नहीं है। कृपया बाद में फिर से प्रयास करें।',
+    'order.saveFailed': 'ऑर्डर सहेजा नहीं जा सका। कृपया फिर से प्रयास करें।',
+    'order.invalid': 'ऑर्डर की कुछ जानकारी अधूरी या अमान्य है। कृपया फ़ॉर्म जाँचकर फिर से प्रयास करें।',
+    'order.duplicate': 'यह ऑर्डर पहले ही दिया जा चुका है।',
+    'order.pricesChanged': 'कार्ट भरने के बाद कीमतें या ऑफ़र बदल गए हैं। कृपया ऑर्डर फिर से दें।',
+    'order.slotUnavailable': 'आपका डिलीवरी स्लॉट या पिकअप समय अब उपलब्ध नहीं है। कृपया कोई और समय चुनें।',
+    'order.notCompliant': 'यह ऑर्डर आपके राज्य के एक्साइज़ नियमों के अनुरूप नहीं है। कृपया इसे जाँचकर फिर से प्रयास करें।',
+    'checkout.back': '← संग्रह पर वापस जाएँ',
+    'checkout.subtitle': 'आपकी प्रीमियम स्पिरिट्स पहुँचाने के लिए बस कुछ जानकारी',
+    'checkout.personal': 'व्यक्तिगत जानकारी',
+    'checkout.personalHint': 'ऑर्डर अपडेट के लिए आपकी संपर्क जानकारी',
+    'checkout.firstName': 'पहला नाम',
+    'checkout.firstNameError': 'कृपया अपना पहला नाम दर्ज करें',
+    'checkout.lastName': 'उपनाम',
+    'checkout.lastNameError': 'कृपया अपना उपनाम दर्ज करें',
+    'checkout.email': 'ईमेल पता',
+    'checkout.phone': 'फ़ोन नंबर',
+    'checkout.phoneError': 'कृपया मान्य फ़ोन नंबर दर्ज करें',
+    'checkout.dateOfBirth': 'जन्म तिथि',
+    'checkout.company': 'कंपनी का नाम (वैकल्पिक)',
+    'checkout.companyPlaceholder': 'व्यावसायिक इनवॉइस के लिए',
+    'checkout.gstin': 'GSTIN (वैकल्पिक)',
+    'checkout.fulfilment': 'डिलीवरी या पिकअप',
+    'checkout.fulfilmentHint': 'घर पर मँगवाएँ, या हमारे किसी आउटलेट से लें',
+    'checkout.delivery': 'होम डिलीवरी',
+    'checkout.pickup': 'आउटलेट पिकअप',
+    'checkout.pickupInfo': 'पिकअप जानकारी',
+    'checkout.pickupHint': 'एक आउटलेट और 15 मिनट का पिकअप समय चुनें',
+    'checkout.outlet': 'आउटलेट',
+    'checkout.selectOutlet': 'आउटलेट चुनें',
+    'checkout.pickupDate': 'पिकअप तारीख',
+    'checkout.pickupWindow': 'पिकअप समय',
+    'checkout.gift': 'उपहार के रूप में भेजें',
+    'checkout.giftHint': 'हम आपके संदेश के साथ प्राप्तकर्ता को डिलीवर करते हैं; उनकी गिफ़्ट रसीद में कीमतें नहीं दिखतीं',
+    'checkout.isGift': 'यह ऑर्डर एक उपहार है। नीचे दिया गया डिलीवरी पता प्राप्तकर्ता का है।',
+    'checkout.recipientName': 'प्राप्तकर्ता का नाम',
+    'checkout.recipientNameError': 'कृपया प्राप्तकर्ता का नाम दर्ज करें',
+    'checkout.recipientPhone': 'प्राप्तकर्ता का फ़ोन',
+    'checkout.recipientDateOfBirth': 'प्राप्तकर्ता की जन्म तिथि',
+    'checkout.recipientAgeError': 'प्राप्तकर्ता की उम्र भी शराब पीने की क़ानूनी उम्र होनी चाहिए',
+    'checkout.occasion': 'अवसर (वैकल्पिक)',
+    'checkout.noOccasion': 'कोई विशेष अवसर नहीं',
+    'checkout.occasionDate': 'डिलीवरी की तारीख (वैकल्पिक)',
+    'checkout.occasionDateError': 'कृपया आज या उसके बाद की तारीख चुनें',
+    'checkout.giftMessage': 'उपहार संदेश (वैकल्पिक)',
+    'checkout.giftMessagePlaceholder': 'जन्मदिन मुबारक! ऐसे कई और जश्नों के नाम।',
+    'checkout.giftMessageError': 'कृपया अपना उपहार संदेश जाँचें',
+    'checkout.giftWrap': 'गिफ़्ट रैप करें (+{fee})',
+    'checkout.deliveryInfo': 'डिलीवरी जानकारी',
+    'checkout.deliveryInfoHint': 'हम आपका ऑर्डर कहाँ डिलीवर करें?',
+    'checkout.savedAddresses': 'सहेजे गए पते',
+    'checkout.makeDefault': 'डिफ़ॉल्ट बनाएँ',
+    'checkout.removeAddress': 'हटाएँ',
+    'checkout.address': 'पूरा पता',
+    'checkout.addressPlaceholder': 'मकान/फ़्लैट नंबर, इमारत का नाम, गली का नाम',
+    'checkout.addressError': 'कृपया अपना पूरा पता दर्ज करें',
+    'checkout.pin': 'पिन कोड',
+    'checkout.city': 'शहर',
+    'checkout.cityError': 'कृपया अपना शहर दर्ज करें',
+    'checkout.state': 'राज्य',
+    'checkout.selectState': 'राज्य चुनें',
+    'checkout.unionTerritories': 'केंद्र शासित प्रदेश',
+    'checkout.landmark': 'लैंडमार्क (वैकल्पिक)',
+    'checkout.landmarkPlaceholder': 'मेट्रो स्टेशन, मॉल आदि के पास',
+    'checkout.addressType': 'पते का प्रकार',
+    'checkout.preferences': 'डिलीवरी प्राथमिकताएँ',
+    'checkout.preferencesHint': 'आप अपना ऑर्डर कब पाना चाहेंगे?',
+    'checkout.deliveryDate': 'पसंदीदा डिलीवरी तारीख',
+    'checkout.timeSlot': 'पसंदीदा समय',
+    'checkout.slot.anytime': 'कभी भी',
+    'checkout.slot.morning': 'सुबह (9 AM - 12 PM)',
+    'checkout.slot.afternoon': 'दोपहर (12 PM - 4 PM)',
+    'checkout.slot.evening': 'शाम (4 PM - 8 PM)',
+    'checkout.instructions': 'डिलीवरी के लिए विशेष निर्देश',
+    'checkout.instructionsPlaceholder': 'सिक्योरिटी को दें, घंटी बजाएँ, आदि',
+    'checkout.payment': 'भुगतान का तरीका',
+    'checkout.paymentHint': 'अपना पसंदीदा भुगतान विकल्प चुनें',
+    'checkout.cardNumber': 'कार्ड नंबर',
+    'checkout.cardName': 'कार्डधारक का नाम',
+    'checkout.cardNamePlaceholder': 'कार्ड पर लिखा नाम',
+    'checkout.expiry': 'समाप्ति तिथि',
+    'checkout.cvv': 'CVV',
+    'checkout.upiId': 'UPI आईडी',
+    'checkout.bank': 'बैंक चुनें',
+    'checkout.chooseBank': 'अपना बैंक चुनें',
+    'checkout.paymentSecured': 'आपकी भुगतान जानकारी 256-बिट SSL एन्क्रिप्शन से सुरक्षित है',
+    'checkout.ageConfirm': 'मैं पुष्टि करता/करती हूँ कि मेरी उम्र {age} वर्ष या उससे अधिक है और मुझे अपने क्षेत्र में मादक पेय ख़रीदने की क़ानूनी अनुमति है। मैं समझता/समझती हूँ कि डिलीवरी के समय उम्र का मान्य सत्यापन माँगा जा सकता है।',
+    'checkout.saveProfile': 'अगली बार के लिए मेरी जानकारी और डिलीवरी पता इस ब्राउज़र में याद रखें। कार्ड नंबर और UPI आईडी कभी सहेजे नहीं जाते।',
+    'checkout.forgetProfile': 'मेरी सहेजी गई जानकारी भूल जाएँ',
+    'checkout.terms': 'मैं {terms} और {privacy} से सहमत हूँ। मैं SMS और ईमेल से ऑर्डर अपडेट पाने की सहमति देता/देती हूँ।',
+    'checkout.termsLink': 'नियम और शर्तें',
+    'checkout.privacyLink': 'गोपनीयता नीति',
+    'checkout.summary': 'ऑर्डर सारांश',
+    'checkout.summaryHint': 'अपने आइटम देखें',
+    'checkout.calculating': 'गणना हो रही है...',
+    'checkout.secure': '100% सुरक्षित भुगतान',
+    'gift.occasionUnavailable': '{date} को डिलीवरी संभव नहीं है। उसके बाद पहली उपलब्ध डिलीवरी {next} है। कृपया अवसर के लिए कोई दूसरी तारीख चुनें',
+    'gift.occasion.birthday': 'जन्मदिन',
+    'gift.occasion.anniversary': 'सालगिरह',
+    'gift.occasion.wedding': 'शादी',
+    'gift.occasion.housewarming': 'गृहप्रवेश',
+    'gift.occasion.festival': 'त्योहार',
+    'gift.occasion.other': 'अन्य',
+    'gift.for': '{name} के लिए उपहार',
+    'gift.wrapped': 'गिफ्ट रैप किया गया',
+    'gift.notGift': '{id} गिफ्ट ऑर्डर नहीं है',
+    'reviews.count': { one: '{count} रिव्यू', other: '{count} रिव्यू' },
+    'reviews.none': 'अभी कोई रिव्यू नहीं',
+    'reviews.summary': { one: '{count} रिव्यू के आधार पर 5 में से {rating}', other: '{count} रिव्यू के आधार पर 5 में से {rating}' },
+    'reviews.stars': { one: '{count} स्टार', other: '{count} स्टार' },
+    'reviews.title': '{name} के रिव्यू',
+    'reviews.empty': 'अभी तक किसी ने {name} का रिव्यू नहीं किया है। रिव्यू उन ग्राहकों से आते हैं जिनका ऑर्डर डिलीवर हो चुका है।',
+    'reviews.by': '{name} • {date}',
+    'reviews.nose': 'सुगंध',
+    'reviews.palate': 'स्वाद',
+    'reviews.finish': 'फिनिश',
+    'reviews.report': 'रिपोर्ट करें',
+    'reviews.reportedBadge': 'रिपोर्ट किया गया',
+    'reviews.reported': 'बताने के लिए धन्यवाद। हमारा स्टाफ इसे देखेगा।',
+    'reviews.close': 'बंद करें',
+    'reviews.write': '{name} का रिव्यू लिखें',
+    'reviews.done': '{name} का रिव्यू किया गया',
+    'reviews.yourRating': 'आपकी रेटिंग',
+    'reviews.tastingNotes': 'टेस्टिंग नोट्स (वैकल्पिक)',
+    'reviews.comment': 'आपका रिव्यू (वैकल्पिक)',
+    'reviews.post': 'रिव्यू पोस्ट करें',
+    'reviews.cancel': 'रद्द करें',
+    'reviews.posted': 'धन्यवाद! {name} का आपका रिव्यू अब मेन्यू पर है',
+    'reviews.held': 'धन्यवाद! हमारे स्टाफ की जाँच के बाद {name} का आपका रिव्यू दिखाई देगा',
+    'reviews.notDelivered': '{name} वाला ऑर्डर डिलीवर होने के बाद आप उसका रिव्यू कर सकते हैं',
+    'reviews.duplicate': 'आप {name} का रिव्यू पहले ही कर चुके हैं',
+    'reviews.saveFailed': '{name} का रिव्यू पोस्ट नहीं हो सका। कृपया फिर से प्रयास करें।',
+    'reviews.reportFailed': 'रिव्यू रिपोर्ट नहीं हो सका। कृपया फिर से प्रयास करें।',
+    
+    'orders.empty': 'आपकी अभी तक कोई प्री-बुकिंग नहीं है।',
+    'orders.noMatch': 'उस ऑर्डर आईडी या फ़ोन नंबर से कोई ऑर्डर नहीं मिला।',
+    'orders.placed': '{date} को दिया गया',
+    'orders.pickup': 'पिकअप: {date}',
+    'orders.expected': 'अपेक्षित: {date}',
+    'orders.token': 'टोकन {token}',
+    'orders.viewDetails': 'विवरण देखें',
+    'orders.cancel': 'प्री-बुकिंग रद्द करें',
+    'orders.cancelled': 'ऑर्डर {id} रद्द किया गया',
+    'orders.reorder': 'फिर से ऑर्डर करें',
+    'reorder.added': 'ऑर्डर {id} के आइटम आपके कार्ट में हैं',
+    'reorder.repriced': '{name} अब {price} का है ({was} था)',
+    'reorder.reduced': '{name} की केवल {count} बोतलें जोड़ी जा सकीं',
+    'reorder.unavailable': '{name} अब उपलब्ध नहीं है',
+    'reorder.nothing': 'ऑर्डर {id} का कोई भी आइटम अभी उपलब्ध नहीं है',
+    'reorder.notFound': 'ऑर्डर {id} नहीं मिला',
+    'reorder.saveFailed': 'आपकी कार्ट अपडेट नहीं हो सकी। कृपया फिर से प्रयास करें।',
+    'reorder.checkout': 'चेकआउट',
+    'profile.label.home': 'घर',
+    'profile.label.office': 'ऑफ़िस',
+    'profile.label.other': 'अन्य',
+    'profile.addressOption': '{label}: {address}, {city}',
+    'profile.defaultOption': '{address} (डिफ़ॉल्ट)',
+    'profile.newAddress': 'नया पता',
+    'profile.defaultSet': 'यह अब आपका डिफ़ॉल्ट पता है',
+    'profile.addressRemoved': 'पता हटा दिया गया',
+    'profile.forgotten': 'आपकी सहेजी गई जानकारी इस ब्राउज़र से हटा दी गई है',
+    'status.confirmed': 'पुष्ट',
+    'status.packed': 'पैक किया गया',
+    'status.ready': 'तैयार',
+    'status.dispatched': 'भेजा गया',
+    'status.delivered': 'डिलीवर किया गया',
+    'status.cancelled': 'रद्द',
+    'status.expired': 'समाप्त',
+    'status.note.cancelledByCustomer': 'ग्राहक द्वारा रद्द',
+    'status.note.reservationExpired': 'आरक्षण समाप्त',
+    'status.note.collectedAtCounter': 'काउंटर पर प्राप्त किया गया',
+    'status.note.updatedByStore': 'स्टोर द्वारा अपडेट किया गया',
+    'status.note.updatedAtCounter': 'काउंटर पर अपडेट किया गया',
+    'status.note.notAccepted': 'स्टोर ने स्वीकार नहीं किया',
+    
+    'code.hintPickup': 'आउटलेट काउंटर पर यह कोड दिखाएँ',
+    'code.hintDelivery': 'डिलीवरी एजेंट को यह कोड दिखाएँ',
+    'code.label': 'ऑर्डर कोड {code}',
+    'code.collected': '{id} पहले ही लिया जा चुका है',
+    'code.homeDelivery': '{id} होम डिलीवरी के लिए है, इसे काउंटर से नहीं लिया जा सकता',
+    'code.notCollectable': '{id} {status} है और इसे लिया नहीं जा सकता',
+    'code.notFound': '{id} के लिए कोई बुकिंग नहीं मिली',
+    
+    'confirmation.title': 'ऑर्डर की पुष्टि हो गई!',
+    'confirmation.message': 'आपका ऑर्डर सफलतापूर्वक दिया गया है। 15 मिनट के भीतर आपको पुष्टि के लिए कॉल आएगी।',
+    'confirmation.notFound': 'ऑर्डर नहीं मिला',
+    'confirmation.notFoundText': 'हमें आपके ऑर्डर का विवरण नहीं मिला। कृपया नया ऑर्डर दें।',
+    'confirmation.notFoundLink': 'हमें आपके ऑर्डर का विवरण नहीं मिला। कृपया सुनिश्चित करें कि आपके पास मान्य ऑर्डर पुष्टि लिंक है।',
+    'confirmation.more': '{name} + {count} और',
+    'confirmation.yourToken': 'आपका पिकअप टोकन',
+    'confirmation.pickupToken': 'पिकअप टोकन',
+    'confirmation.showAtCounter': '{outlet} के काउंटर पर इसे दिखाएँ',
+    'confirmation.expectedDelivery': 'अपेक्षित डिलीवरी: {date}',
+    'confirmation.orderId': 'ऑर्डर आईडी: {id}',
+    'confirmation.placed': 'दिया गया: {date}',
+    'confirmation.customerInfo': 'ग्राहक जानकारी',
+    'confirmation.orderDetails': 'ऑर्डर विवरण',
+    'confirmation.payment': 'भुगतान: {method}',
+    'confirmation.customerName': 'ग्राहक का नाम',
+    'confirmation.phone': 'फ़ोन नंबर',
+    'confirmation.pickupOutlet': 'पिकअप आउटलेट',
+    'confirmation.deliveryAddress': 'डिलीवरी पता',
+    'confirmation.paymentMethod': 'भुगतान का तरीका',
+    'confirmation.status': 'ऑर्डर की स्थिति',
+    'confirmation.orderDate': 'ऑर्डर की तारीख',
+    'confirmation.pickupWindow': 'पिकअप समय',
+    'confirmation.estimatedDelivery': 'अनुमानित डिलीवरी',
+    'confirmation.toBeConfirmed': 'पुष्टि होनी बाकी',
+    'confirmation.newOrder': 'नया ऑर्डर दें',
+    'confirmation.backHome': 'होम पर वापस जाएँ',
+    'confirmation.orderAgain': 'फिर से ऑर्डर करें',
+    'confirmation.printInvoice': 'इनवॉइस प्रिंट करें',
+    'confirmation.downloadInvoice': 'इनवॉइस डाउनलोड करें',
+    'confirmation.giftReceipt': 'गिफ्ट रसीद प्रिंट करें',
+    'confirmation.giftRecipient': 'उपहार प्राप्तकर्ता',
+    'confirmation.giftMessage': 'उपहार संदेश',
+    'confirmation.giftOccasion': 'अवसर',
+    'confirmation.share': 'ऑर्डर साझा करें',
+    'confirmation.copied': 'ऑर्डर विवरण क्लिपबोर्ड पर कॉपी हो गया!',
+    'age.title': 'क्या आप शराब पीने की कानूनी उम्र के हैं?',
+    'age.text': 'ब्राउज़ और प्री-बुक करने के लिए आपको अपने राज्य में शराब पीने की कानूनी उम्र का होना चाहिए।',
+    'age.confirm': 'हाँ, आगे बढ़ें',
+    'age.decline': 'नहीं',
+    'age.required': 'प्री-बुक करने के लिए आपको शराब पीने की कानूनी उम्र का होना चाहिए।',
+    'admin.setPasscode': 'एडमिन पासकोड सेट करें',
+    'admin.passcodeTooShort': 'पासकोड कम से कम {count} अक्षरों का होना चाहिए',
+    'admin.wrongPasscode': 'गलत पासकोड',
+    'admin.passcodeSaveFailed': 'पासकोड सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+    'print.allowPopups': 'प्रिंट करने के लिए पॉप-अप की अनुमति दें',
+    'outbox.queued': 'आप ऑफ़लाइन हैं। आपका ऑर्डर सहेज लिया गया है और ऑनलाइन होने पर भेज दिया जाएगा।',
+    'outbox.pending': 'भेजे जाने की प्रतीक्षा में',
+    'outbox.pendingHint': 'ऑनलाइन होने पर यह ऑर्डर स्टोर को भेज दिया जाएगा। पिकअप टोकन तभी जारी होगा।',
+    'outbox.sent': 'ऑर्डर {id} स्टोर को भेज दिया गया',
+    'outbox.rejected': 'ऑर्डर {id} नहीं दिया जा सका: {error} किया गया भुगतान वापस कर दिया गया है।',
+    'outbox.waiting': { one: '{count} ऑर्डर भेजे जाने की प्रतीक्षा में', other: '{count} ऑर्डर भेजे जाने की प्रतीक्षा में' },
+    'outbox.offline': 'ऑफ़लाइन',
+    'sync.cartChanged': 'आपका कार्ट दूसरे टैब में बदला गया। ऑर्डर देने से पहले कृपया जाँच लें।',
+    'sync.cartMerged': 'आपका कार्ट दो टैब में एक साथ बदला गया; दोनों बदलाव रखे गए हैं।',
+    'sync.orderInProgress': 'यह ऑर्डर पहले से दूसरे टैब में दिया जा रहा है।',
+    'sync.languageChanged': 'भाषा दूसरे टैब में बदली गई।',
+    'sync.reload': 'रीलोड करें',
+    'route.notFound': 'पेज नहीं मिला'
   }
 };
 
@@ -162,7 +1937,7 @@ const DOM = {
    * Create element with attributes and content
    * @param {string} tag - HTML tag name
    * @param {Object} attributes - Element attributes
-   * @param {string} content - Inner HTML content
+   * @param {Object|string} content - Safe HTML from html``, or plain text
    * @returns {Element}
    */
   create: (tag, attributes = {}, content = '') => {
@@ -178,13 +1953,17 @@ const DOM = {
         element.setAttribute(key, value);
       }
     });
-    if (content) element.innerHTML = content;
+    if (Template.isSafe(content)) {
+      Template.render(element, content);
+    } else if (content) {
+      element.textContent = content;
+    }
     return element;
   }
 };
 
 /**
- * Currency formatting utility
+ * Currency formatting utility, using the active language's locale
  * @param {number} amount - Amount to format
  * @returns {string} Formatted currency string
  */
@@ -193,7 +1972,160 @@ const formatCurrency = (amount) => {
     console.warn('Invalid amount provided to formatCurrency:', amount);
     return `${CONFIG.CURRENCY.SYMBOL}0`;
   }
-  return `${CONFIG.CURRENCY.SYMBOL}${amount.toLocaleString(CONFIG.CURRENCY.LOCALE)}`;
+  return `${CONFIG.CURRENCY.SYMBOL}${amount.toLocaleString(I18n.getLocale())}`;
+};
+
+/**
+ * Bottle size formatting utility
+ * @param {number} volumeMl - Volume in millilitres
+ * @returns {string} e.g. "375 ml" or "1 L"
+ */
+const formatVolume = (volumeMl) => volumeMl >= 1000 ? `${volumeMl / 1000} L` : `${volumeMl} ml`;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+/**
+ * HTML templating that escapes by default. `html` is a tagged template:
+ * interpolated values are escaped unless they are themselves templates or
+ * were marked with Template.trusted(). Arrays are rendered item by item, and
+ * null, undefined and false render nothing. Events are bound by delegation
+ * on `data-action` attributes instead of inline handlers.
+ */
+const Template = {
+  SAFE: Symbol('Template.safe'),
+  
+  /**
+   * Mark markup as trusted so it is inserted as-is
+   * @param {string} markup - HTML from a trusted source
+   * @returns {Object} Safe HTML
+   */
+  trusted: (markup) => ({
+    [Template.SAFE]: true,
+    markup: String(markup),
+    toString() {
+      return this.markup;
+    }
+  }),
+  
+  /**
+   * Check whether a value is safe HTML
+   * @param {*} value - Value to check
+   * @returns {boolean}
+   */
+  isSafe: (value) => Boolean(value && value[Template.SAFE]),
+  
+  /**
+   * Turn a value into markup, escaping anything that is not safe HTML
+   * @param {*} value - Value to render
+   * @returns {string} Markup
+   */
+  escape: (value) => {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(Template.escape).join('');
+    if (Template.isSafe(value)) return value.markup;
+    return escapeHtml(value);
+  },
+  
+  /**
+   * Tagged template that escapes its interpolated values
+   * @returns {Object} Safe HTML
+   */
+  html: (strings, ...values) => Template.trusted(
+    strings.reduce((markup, string, index) => markup + Template.escape(values[index - 1]) + string)
+  ),
+  
+  /**
+   * Join values with a separator, escaping both
+   * @param {Array} values - Values to join
+   * @param {*} separator - Separator, e.g. html`<br>`
+   * @returns {Object} Safe HTML
+   */
+  join: (values, separator = '') => Template.trusted(
+    values.map(Template.escape).join(Template.escape(separator))
+  ),
+  
+  /**
+   * Translate a message whose parameters may be markup. The message and
+   * plain parameters are escaped; safe HTML parameters are kept.
+   * @param {string} key - Message key
+   * @param {Object} params - Interpolation values
+   * @returns {Object} Safe HTML
+   */
+  t: (key, params = {}) => {
+    const markup = [];
+    const placeholders = Object.fromEntries(Object.entries(params).map(([name, value]) => {
+      if (!Template.isSafe(value)) return [name, value];
+      markup.push(value.markup);
+      return [name, `\u0000${markup.length - 1}\u0000`];
+    }));
+    return Template.trusted(
+      escapeHtml(I18n.t(key, placeholders)).replace(/\u0000(\d+)\u0000/g, (match, index) => markup[index])
+    );
+  },
+  
+  /**
+   * Replace an element's content with a template
+   * @param {Element} element - Target element
+   * @param {*} template - Safe HTML (anything else is rendered as text)
+   */
+  render: (element, template) => {
+    if (!element) return;
+    element.innerHTML = Template.escape(template);
+  },
+  
+  /**
+   * Add a template to the end of an element's content
+   * @param {Element} element - Target element
+   * @param {*} template - Safe HTML (anything else is rendered as text)
+   */
+  append: (element, template) => {
+    if (!element) return;
+    element.insertAdjacentHTML('beforeend', Template.escape(template));
+  },
+  
+  /**
+   * Handle events from `[data-action]` elements inside a root
+   * @param {Element|Document} root - Element to listen on
+   * @param {Object} handlers - Functions keyed by action name, called with
+   *   (target, event) where target is the element carrying data-action
+   * @param {Object} options - { event, signal }
+   */
+  bind: (root, handlers, { event: type = 'click', signal } = {}) => {
+    if (!root) return;
+    root.addEventListener(type, (event) => {
+      const target = event.target.closest?.('[data-action]');
+      if (!target || !root.contains(target)) return;
+      const handler = handlers[target.dataset.action];
+      if (handler) handler(target, event);
+    }, { signal });
+  }
+};
+
+const { html } = Template;
+
+/**
+ * Delay a function until calls have stopped for `wait` milliseconds
+ * @param {Function} fn - Function to debounce
+ * @param {number} wait - Quiet period in milliseconds
+ * @returns {Function} Debounced function
+ */
+const debounce = (fn, wait) => {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
 };
 
 /**
@@ -256,6 +2188,110 @@ const Storage = {
   }
 };
 
+/**
+ * Localisation utilities
+ *
+ * Customer-facing text is looked up by key in I18N_MESSAGES for the language
+ * saved in the user preferences, and numbers and dates use that language's
+ * locale. The staff pages (admin, counter, verify) and tax invoices stay in
+ * English.
+ */
+const I18n = {
+  /**
+   * Get the active language code
+   * @returns {string} A key of CONFIG.I18N.LANGUAGES
+   */
+  getLanguage: () => {
+    const language = Storage.getItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES)?.language;
+    return CONFIG.I18N.LANGUAGES[language] ? language : CONFIG.I18N.DEFAULT_LANGUAGE;
+  },
+  
+  /**
+   * Save the language preference
+   * @param {string} language - Language code
+   * @returns {boolean} Success status
+   */
+  setLanguage: (language) => {
+    if (!CONFIG.I18N.LANGUAGES[language]) return false;
+    const preferences = Storage.getItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES) || {};
+    return Storage.setItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES, { ...preferences, language });
+  },
+  
+  /**
+   * Get the locale for number and date formatting
+   * @returns {string} e.g. "ml-IN"
+   */
+  getLocale: () => CONFIG.I18N.LANGUAGES[I18n.getLanguage()].locale,
+  
+  /**
+   * Look up a message and fill in its `{placeholders}`. Plural messages pick
+   * their form from `params.count`; unknown keys fall back to English.
+   * @param {string} key - Message key
+   * @param {Object} params - Placeholder values
+   * @returns {string} Translated text
+   */
+  t: (key, params = {}) => {
+    let message = I18N_MESSAGES[I18n.getLanguage()]?.[key] ?? I18N_MESSAGES.en[key];
+    if (message === undefined) {
+      console.warn('Missing message:', key);
+      return key;
+    }
+    
+    if (typeof message === 'object') {
+      const category = new Intl.PluralRules(I18n.getLocale()).select(Number(params.count) || 0);
+      message = message[category] ?? message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined ? String(params[name]) : placeholder);
+  },
+  
+  /**
+   * Describe an API error in the current language: the message for the
+   * error's `code` when there is one, otherwise the fallback. The server's
+   * and adapters' own messages are English and meant for logs.
+   * @param {Error} error - Error from ApiClient
+   * @param {string} fallback - Message key
+   * @param {Object} params - Placeholder values
+   * @returns {string} Translated text
+   */
+  error: (error, fallback, params = {}) =>
+    I18n.t(error?.code && error.code in I18N_MESSAGES.en ? error.code : fallback, params),
+  
+  /**
+   * Translate static markup: elements with `data-i18n` get the message as
+   * text, and `data-i18n-placeholder`, `data-i18n-aria-label` and
+   * `data-i18n-label` set those attributes
+   */
+  translatePage: () => {
+    document.documentElement.lang = I18n.getLanguage();
+    DOM.selectAll('[data-i18n]').forEach(element => {
+      element.textContent = I18n.t(element.dataset.i18n);
+    });
+    ['placeholder', 'aria-label', 'label'].forEach(attribute => {
+      DOM.selectAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, I18n.t(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+  },
+  
+  /**
+   * Fill every `[data-language-switcher]` select; changing it saves the
+   * preference and reloads the page in the new language
+   */
+  renderSwitchers: () => {
+    DOM.selectAll('select[data-language-switcher]').forEach(select => {
+      Template.render(select, Object.entries(CONFIG.I18N.LANGUAGES)
+        .map(([code, language]) => html`<option value="${code}" lang="${code}">${language.label}</option>`));
+      select.value = I18n.getLanguage();
+      select.setAttribute('aria-label', I18n.t('language.label'));
+      select.addEventListener('change', () => {
+        if (I18n.setLanguage(select.value)) window.location.reload();
+      });
+    });
+  }
+};
+
 /**
  * Input validation utilities
  */
@@ -270,7 +2306,7 @@ const Validator = {
     const isValid = trimmedName.length >= CONFIG.VALIDATION.MIN_NAME_LENGTH;
     return {
       isValid,
-      message: isValid ? '' : `Name must be at least ${CONFIG.VALIDATION.MIN_NAME_LENGTH} characters long`
+      message: isValid ? '' : I18n.t('validation.name', { min: CONFIG.VALIDATION.MIN_NAME_LENGTH })
     };
   },
   
@@ -280,12 +2316,28 @@ const Validator = {
    * @returns {Object} Validation result
    */
   validatePhone: (phone) => {
-    const trimmedPhone = (phone || '').trim().replace(/\s+/g, '');
+    // Accept +91 / 0 prefixes and separators, e.g. "+91 98765-43210"
+    const trimmedPhone = (phone || '').trim().replace(/[\s-]+/g, '').replace(/^(\+?91|0)(?=\d{10}$)/, '');
     const isValid = CONFIG.VALIDATION.PHONE_REGEX.test(trimmedPhone);
     return {
       isValid,
       value: trimmedPhone,
-      message: isValid ? '' : 'Please enter a valid 10-digit Indian mobile number'
+      message: isValid ? '' : I18n.t('validation.phone')
+    };
+  },
+  
+  /**
+   * Validate email address
+   * @param {string} email - Email address
+   * @returns {Object} Validation result
+   */
+  validateEmail: (email) => {
+    const trimmedEmail = (email || '').trim();
+    const isValid = CONFIG.VALIDATION.EMAIL_REGEX.test(trimmedEmail);
+    return {
+      isValid,
+      value: trimmedEmail.toLowerCase(),
+      message: isValid ? '' : I18n.t('validation.email')
     };
   },
   
@@ -299,7 +2351,7 @@ const Validator = {
     const isValid = trimmedAddress.length >= CONFIG.VALIDATION.MIN_ADDRESS_LENGTH;
     return {
       isValid,
-      message: isValid ? '' : `Address must be at least ${CONFIG.VALIDATION.MIN_ADDRESS_LENGTH} characters long`
+      message: isValid ? '' : I18n.t('validation.address', { min: CONFIG.VALIDATION.MIN_ADDRESS_LENGTH })
     };
   },
   
@@ -310,633 +2362,8742 @@ const Validator = {
    */
   validatePIN: (pin) => {
     const trimmedPIN = (pin || '').trim();
-    const isValid = CONFIG.VALIDATION.PIN_REGEX.test(trimmedPIN);
+    if (!CONFIG.VALIDATION.PIN_REGEX.test(trimmedPIN)) {
+      return { isValid: false, message: I18n.t('validation.pin') };
+    }
+    
+    // Six digits are not enough: the PIN must start with a postal region in use
+    const isValid = PinDirectory.getStates(trimmedPIN).length > 0;
     return {
       isValid,
-      message: isValid ? '' : 'Please enter a valid 6-digit PIN code'
+      message: isValid ? '' : I18n.t('validation.pinUnknown', { pin: trimmedPIN })
     };
-  }
-};
-
-/* ========================================
-   CORE APPLICATION MODULES
-   ======================================== */
-
-/**
- * Product management module
- */
-const ProductManager = {
-  /**
-   * Get all products
-   * @returns {Array} Array of products
-   */
-  getAllProducts: () => [...PRODUCT_CATALOG.products],
+  },
   
   /**
-   * Get product by ID
-   * @param {string} productId - Product identifier
-   * @returns {Object|null} Product object or null
+   * Validate an optional GSTIN for business invoices
+   * @param {string} gstin - GSTIN
+   * @returns {Object} Validation result
    */
-  getProductById: (productId) => {
-    return PRODUCT_CATALOG.products.find(product => product.id === productId) || null;
+  validateGSTIN: (gstin) => {
+    const value = (gstin || '').trim().toUpperCase();
+    const isValid = value === '' || CONFIG.VALIDATION.GSTIN_REGEX.test(value);
+    return {
+      isValid,
+      value,
+      message: isValid ? '' : I18n.t('validation.gstin')
+    };
   },
   
   /**
-   * Get products by category
-   * @param {string} category - Product category
-   * @returns {Array} Filtered products
+   * Check text for any of CONFIG.GIFT.BLOCKED_WORDS. Look-alike characters
+   * are read as letters and repeated letters squeezed, so "sh1iit" matches,
+   * while words that merely contain a blocked word ("Scunthorpe") do not.
+   * @param {string} text - Text to check
+   * @returns {boolean}
    */
-  getProductsByCategory: (category) => {
-    return PRODUCT_CATALOG.products.filter(product => product.category === category);
+  containsBlockedWord: (text) => {
+    const lookalikes = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+    const squeeze = (word) => word.replace(/(.)\1+/g, '$1');
+    const blocked = new Set(CONFIG.GIFT.BLOCKED_WORDS.map(squeeze));
+    return (text || '').toLowerCase()
+      .replace(/[013457@$]/g, char => lookalikes[char])
+      .split(/[^a-z]+/)
+      .some(word => word && blocked.has(squeeze(word)));
   },
   
   /**
-   * Search products by name
-   * @param {string} query - Search query
-   * @returns {Array} Matching products
-   */
-  searchProducts: (query) => {
-    const searchTerm = query.toLowerCase().trim();
-    return PRODUCT_CATALOG.products.filter(product => 
-      product.name.toLowerCase().includes(searchTerm) ||
-      product.category.toLowerCase().includes(searchTerm)
-    );
-  }
-};
-
-/**
- * Selection management module
- */
-const SelectionManager = {
-  /**
-   * Select a product
-   * @param {string} productId - Product ID to select
-   * @returns {boolean} Success status
+   * Validate an optional gift message
+   * @param {string} message - Gift message
+   * @returns {Object} Validation result
    */
-  selectProduct: (productId) => {
-    const product = ProductManager.getProductById(productId);
-    if (!product) {
-      console.warn('Product not found:', productId);
-      return false;
+  validateGiftMessage: (message) => {
+    const value = (message || '').trim();
+    if (value.length > CONFIG.GIFT.MESSAGE_MAX_LENGTH) {
+      return {
+        isValid: false,
+        value,
+        message: I18n.t('validation.giftMessageLength', { max: CONFIG.GIFT.MESSAGE_MAX_LENGTH })
+      };
     }
     
-    const success = Storage.setItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCT, product);
-    if (success) {
-      UIManager.updateSelectedSummary();
-      UIManager.showNotification('Product selected successfully', 'success');
+    const isValid = !Validator.containsBlockedWord(value);
+    return {
+      isValid,
+      value,
+      message: isValid ? '' : I18n.t('validation.giftMessageWords')
+    };
+  },
+  
+  /**
+   * Validate a product review from the review form
+   * @param {Object} fields - { rating, nose, palate, finish, comment }
+   * @returns {Object} { isValid, errors: { field: message }, value: { rating, tastingNotes, comment } }
+   */
+  validateReview: (fields) => {
+    const errors = {};
+    const rating = Number(fields.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > CONFIG.REVIEWS.RATING_MAX) {
+      errors.rating = I18n.t('validation.reviewRating');
     }
-    return success;
+    
+    const tastingNotes = {};
+    CONFIG.REVIEWS.TASTING_NOTES.forEach(note => {
+      tastingNotes[note] = (fields[note] || '').trim();
+      if (tastingNotes[note].length > CONFIG.REVIEWS.NOTE_MAX_LENGTH) {
+        errors[note] = I18n.t('validation.reviewNoteLength', { max: CONFIG.REVIEWS.NOTE_MAX_LENGTH });
+      }
+    });
+    
+    const comment = (fields.comment || '').trim();
+    if (comment.length > CONFIG.REVIEWS.COMMENT_MAX_LENGTH) {
+      errors.comment = I18n.t('validation.reviewCommentLength', { max: CONFIG.REVIEWS.COMMENT_MAX_LENGTH });
+    }
+    
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+      value: { rating, tastingNotes, comment }
+    };
   },
   
   /**
-   * Get currently selected product
-   * @returns {Object|null} Selected product or null
+   * Validate a catalog product
+   * @param {Object} product - Product fields
+   * @returns {Object} { isValid, errors: { field: message } }
    */
-  getSelectedProduct: () => {
-    return Storage.getItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCT);
+  validateProduct: (product) => {
+    const errors = {};
+    const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+    
+    if (!CONFIG.VALIDATION.SLUG_REGEX.test(product.id || '')) {
+      errors.id = 'ID must use lowercase letters, numbers and hyphens';
+    }
+    if (!Validator.validateName(product.name).isValid) {
+      errors.name = `Name must be at least ${CONFIG.VALIDATION.MIN_NAME_LENGTH} characters long`;
+    }
+    if (!CONFIG.VALIDATION.SLUG_REGEX.test(product.category || '')) {
+      errors.category = 'Category must use lowercase letters, numbers and hyphens';
+    }
+    if (typeof product.abv !== 'number' || !(product.abv >= 0 && product.abv <= 100)) {
+      errors.abv = 'ABV must be between 0 and 100';
+    }
+    
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    const variantErrors = variants.flatMap((variant, index) => {
+      const messages = [];
+      if (!CONFIG.VALIDATION.SLUG_REGEX.test(variant.sku || '')) {
+        messages.push('SKU must use lowercase letters, numbers and hyphens');
+      } else if (variants.findIndex(other => other.sku === variant.sku) !== index) {
+        messages.push('SKU is used by another size');
+      }
+      if (!isWholeNumber(variant.volumeMl) || variant.volumeMl === 0) {
+        messages.push('volume must be a whole number of millilitres');
+      }
+      if (typeof variant.price !== 'number' || !(variant.price > 0)) {
+        messages.push('price must be greater than zero');
+      }
+      if (variant.stock !== undefined && !isWholeNumber(variant.stock)) {
+        messages.push('stock must be a whole number');
+      }
+      return messages.map(message => `Size ${variant.sku || index + 1}: ${message}`);
+    });
+    if (variants.length === 0) {
+      errors.variants = 'Add at least one size';
+    } else if (variantErrors.length > 0) {
+      errors.variants = variantErrors.join('; ');
+    }
+    
+    return { isValid: Object.keys(errors).length === 0, errors };
   },
   
   /**
-   * Clear product selection
-   * @returns {boolean} Success status
+   * Validate a promotional offer
+   * @param {Object} offer - Offer fields
+   * @returns {Object} { isValid, errors: { field: message } }
    */
-  clearSelection: () => {
-    const success = Storage.removeItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCT);
-    if (success) {
-      UIManager.updateSelectedSummary();
+  validateOffer: (offer) => {
+    const errors = {};
+    const benefit = offer.benefit || {};
+    
+    if (!CONFIG.VALIDATION.SLUG_REGEX.test(offer.id || '')) {
+      errors.id = 'ID must use lowercase letters, numbers and hyphens';
     }
-    return success;
+    if (!(offer.title || '').trim()) {
+      errors.title = 'Title is required';
+    }
+    if (!(offer.description || '').trim()) {
+      errors.description = 'Description is required';
+    }
+    if (offer.validUntil && !CONFIG.VALIDATION.DATE_KEY_REGEX.test(offer.validUntil)) {
+      errors.validUntil = 'Expiry must be a date';
+    }
+    if (offer.minOrderValue !== undefined && !(offer.minOrderValue >= 0)) {
+      errors.minOrderValue = 'Minimum order value cannot be negative';
+    }
+    if (offer.minQuantity !== undefined && !(Number.isInteger(offer.minQuantity) && offer.minQuantity >= 1)) {
+      errors.minQuantity = 'Minimum quantity must be a whole number of at least 1';
+    }
+    if ((offer.applicableDays || []).some(day => !OfferEngine.WEEKDAYS.includes(day))) {
+      errors.applicableDays = 'Unknown weekday';
+    }
+    
+    if (benefit.type === 'percentage' && !(benefit.value > 0 && benefit.value <= 100)) {
+      errors.benefitValue = 'Percentage must be between 1 and 100';
+    } else if (benefit.type === 'flat' && !(benefit.value > 0)) {
+      errors.benefitValue = 'Discount amount must be greater than zero';
+    } else if (benefit.type === 'perk' && !(benefit.label || '').trim()) {
+      errors.benefitLabel = 'Describe the perk';
+    } else if (!['percentage', 'flat', 'perk'].includes(benefit.type)) {
+      errors.benefitType = 'Choose a benefit type';
+    }
+    
+    return { isValid: Object.keys(errors).length === 0, errors };
   }
 };
 
 /**
- * Order management module
+ * QR code encoder (byte mode, error correction level M, versions 1-9).
+ *
+ * Self-contained so codes render without a network connection. Produces an
+ * SVG string that scales cleanly on screen and on printed receipts.
  */
-const OrderManager = {
+const QRCode = {
   /**
-   * Generate estimated delivery date
-   * @returns {Object} ETA information
+   * Level M block structure per version: [EC codewords per block, data codewords of each block]
+   * @constant {Array}
    */
-  generateETA: () => {
-    const today = new Date();
-    const dayOfWeek = today.getDay(); // 0 = Sunday, 6 = Saturday
-    
-    // Add weekend delay if ordered on weekend
-    let baseDays = Math.floor(Math.random() * (CONFIG.DELIVERY.MAX_DAYS - CONFIG.DELIVERY.MIN_DAYS + 1)) + CONFIG.DELIVERY.MIN_DAYS;
+  BLOCKS: [
+    null,
+    [10, [16]],
+    [16, [28]],
+    [26, [44]],
+    [18, [32, 32]],
+    [24, [43, 43]],
+    [16, [27, 27, 27, 27]],
+    [18, [31, 31, 31, 31]],
+    [22, [38, 38, 39, 39]],
+    [22, [36, 36, 36, 37, 37]]
+  ],
+  
+  /**
+   * Alignment pattern centres per version
+   * @constant {Array}
+   */
+  ALIGNMENT: [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46]],
+  
+  /**
+   * Galois field GF(256) exponent and log tables
+   * @type {Object|null}
+   */
+  field: null,
+  
+  /**
+   * Build (once) the GF(256) tables for the QR polynomial 0x11D
+   * @returns {Object} { exp, log }
+   */
+  getField: () => {
+    if (!QRCode.field) {
+      const exp = new Array(512);
+      const log = new Array(256);
+      let value = 1;
+      for (let i = 0; i < 255; i++) {
+        exp[i] = value;
+        log[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+      }
+      for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+      QRCode.field = { exp, log };
+    }
+    return QRCode.field;
+  },
+  
+  /**
+   * Multiply in GF(256)
+   * @param {number} a - Factor
+   * @param {number} b - Factor
+   * @returns {number}
+   */
+  multiply: (a, b) => {
+    if (a === 0 || b === 0) return 0;
+    const { exp, log } = QRCode.getField();
+    return exp[log[a] + log[b]];
+  },
+  
+  /**
+   * Compute Reed-Solomon error correction codewords
+   * @param {number[]} data - Data codewords
+   * @param {number} degree - Number of EC codewords
+   * @returns {number[]} EC codewords
+   */
+  getErrorCorrection: (data, degree) => {
+    const { exp } = QRCode.getField();
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(generator.length + 1).fill(0);
+      generator.forEach((coefficient, j) => {
+        next[j] ^= coefficient;
+        next[j + 1] ^= QRCode.multiply(coefficient, exp[i]);
+      });
+      generator = next;
+    }
     
-    if (dayOfWeek === 0 || dayOfWeek === 6) { // Weekend
-      baseDays += CONFIG.DELIVERY.WEEKEND_DELAY;
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ remainder.shift();
+      remainder.push(0);
+      for (let j = 0; j < degree; j++) {
+        remainder[j] ^= QRCode.multiply(generator[j + 1], factor);
+      }
+    });
+    return remainder;
+  },
+  
+  /**
+   * Encode text into interleaved data and EC codewords
+   * @param {string} text - Text to encode
+   * @returns {Object} { version, codewords }
+   */
+  getCodewords: (text) => {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = QRCode.BLOCKS.findIndex(entry =>
+      entry && entry[1].reduce((sum, size) => sum + size, 0) >= bytes.length + 2
+    );
+    if (version === -1) {
+      throw new Error('Text is too long for a QR code');
     }
     
-    const deliveryDate = new Date(today.getTime() + baseDays * 24 * 60 * 60 * 1000);
+    const [ecSize, blockSizes] = QRCode.BLOCKS[version];
+    const capacity = blockSizes.reduce((sum, size) => sum + size, 0);
     
-    return {
-      date: deliveryDate,
-      dateString: deliveryDate.toLocaleDateString(CONFIG.CURRENCY.LOCALE, {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
-      }),
-      daysFromNow: baseDays,
-      relative: baseDays === 1 ? 'Tomorrow' : `${baseDays} days`
+    // Mode indicator (byte), 8-bit length, data, terminator and padding
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
     };
+    push(0b0100, 4);
+    push(bytes.length, 8);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0; data.length < capacity; pad++) {
+      data.push(pad % 2 === 0 ? 0xEC : 0x11);
+    }
+    
+    // Split into blocks and interleave
+    let offset = 0;
+    const blocks = blockSizes.map(size => {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      return { data: block, ec: QRCode.getErrorCorrection(block, ecSize) };
+    });
+    const codewords = [];
+    for (let i = 0; i < Math.max(...blockSizes); i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) codewords.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecSize; i++) {
+      blocks.forEach(block => codewords.push(block.ec[i]));
+    }
+    
+    return { version, codewords };
   },
   
   /**
-   * Generate unique order ID
-   * @returns {string} Order ID
+   * Test a mask pattern at a module
+   * @param {number} mask - Mask number 0-7
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {boolean} Whether the module is inverted
    */
-  generateOrderId: () => {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 4);
-    return `LLX-${timestamp}-${random}`.toUpperCase();
+  isMasked: (mask, x, y) => {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+      case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+      default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+    }
   },
   
   /**
-   * Validate order form data
-   * @param {Object} formData - Form data to validate
-   * @returns {Object} Validation results
+   * Score a finished matrix; lower is easier for scanners to read
+   * @param {boolean[][]} modules - Matrix
+   * @returns {number} Penalty
    */
-  validateOrderForm: (formData) => {
-    const errors = {};
-    let isValid = true;
+  getPenalty: (modules) => {
+    const size = modules.length;
+    const finderLike = [true, false, true, true, true, false, true];
+    let penalty = 0;
+    let dark = 0;
     
-    // Validate name
-    const nameValidation = Validator.validateName(formData.name);
-    if (!nameValidation.isValid) {
-      errors.name = nameValidation.message;
-      isValid = false;
+    const scoreLine = (line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finderLike.every((value, j) => line[i + j] === value)) continue;
+        const before = line.slice(Math.max(0, i - 4), i);
+        const after = line.slice(i + 7, i + 11);
+        if ((i < 4 || before.every(value => !value)) || (i + 11 > size || after.every(value => !value))) {
+          penalty += 40;
+        }
+      }
+    };
+    
+    for (let y = 0; y < size; y++) {
+      scoreLine(modules[y]);
+      scoreLine(modules.map(row => row[y]));
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const colour = modules[y][x];
+          if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) {
+            penalty += 3;
+          }
+        }
+      }
     }
     
-    // Validate phone
-    const phoneValidation = Validator.validatePhone(formData.phone);
-    if (!phoneValidation.isValid) {
-      errors.phone = phoneValidation.message;
-      isValid = false;
+    return penalty + Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  },
+  
+  /**
+   * Build the module matrix for some text
+   * @param {string} text - Text to encode
+   * @returns {boolean[][]} Rows of modules, true for dark
+   */
+  create: (text) => {
+    const { version, codewords } = QRCode.getCodewords(text);
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
     }
     
-    // Validate address
-    const addressValidation = Validator.validateAddress(formData.address);
-    if (!addressValidation.isValid) {
-      errors.address = addressValidation.message;
-      isValid = false;
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+    
+    // Alignment patterns, skipping the three that overlap finders
+    const centres = QRCode.ALIGNMENT[version];
+    centres.forEach((cy, i) => {
+      centres.forEach((cx, j) => {
+        const last = centres.length - 1;
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+    
+    // Format information (level M) around the finders, plus the dark module
+    const drawFormat = (mask) => {
+      let remainder = mask;
+      for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+      const bits = ((mask << 10) | remainder) ^ 0x5412;
+      const bit = (i) => ((bits >>> i) & 1) === 1;
+      for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+      set(8, 7, bit(6));
+      set(8, 8, bit(7));
+      set(7, 8, bit(8));
+      for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+      for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+      for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+      set(8, size - 8, true);
+    };
+    drawFormat(0);
+    
+    // Version information (version 7 and up)
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
     }
     
-    // Validate city
-    if (!formData.city || formData.city.trim().length < 2) {
-      errors.city = 'Please enter a valid city name';
-      isValid = false;
+    // Data in two-column zigzags from the bottom right, skipping the timing column
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
     }
     
-    // Validate PIN
-    const pinValidation = Validator.validatePIN(formData.pin);
-    if (!pinValidation.isValid) {
-      errors.pin = pinValidation.message;
-      isValid = false;
+    // Pick the mask with the lowest penalty
+    const applyMask = (mask) => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          if (!reserved[y][x] && QRCode.isMasked(mask, x, y)) modules[y][x] = !modules[y][x];
+        }
+      }
+    };
+    let best = { mask: 0, penalty: Infinity };
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(mask);
+      drawFormat(mask);
+      const penalty = QRCode.getPenalty(modules);
+      if (penalty < best.penalty) best = { mask, penalty };
+      applyMask(mask);
     }
+    applyMask(best.mask);
+    drawFormat(best.mask);
     
-    // Validate payment method
-    if (!formData.payment) {
-      errors.payment = 'Please select a payment method';
-      isValid = false;
+    return modules;
+  },
+  
+  /**
+   * Render text as an SVG QR code
+   * @param {string} text - Text to encode
+   * @param {Object} options - { size: pixels, label: accessible name }
+   * @returns {Object} Safe HTML for the SVG
+   */
+  toSVG: (text, options = {}) => {
+    const modules = QRCode.create(text);
+    const quietZone = 4;
+    const extent = modules.length + quietZone * 2;
+    const path = modules.map((row, y) => row
+      .map((dark, x) => (dark ? `M${x + quietZone} ${y + quietZone}h1v1h-1z` : ''))
+      .join('')
+    ).join('');
+    
+    return html`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" width="${options.size || 160}" height="${options.size || 160}" role="img" aria-label="${options.label || 'QR code'}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+};
+
+/* ========================================
+   CORE APPLICATION MODULES
+   ======================================== */
+
+/**
+ * Catalog file schema
+ *
+ * Products are sold in one or more sizes (variants), each with its own SKU,
+ * volume and price and optionally its own stock count and image. Catalog
+ * files are JSON ({ products, offers }) or CSV with one row per size, and are
+ * checked here before use. Keep the rules in sync with CatalogFile in
+ * server.js.
+ */
+const CatalogSchema = {
+  // CSV header; rows sharing an id are the sizes of one product
+  CSV_COLUMNS: ['id', 'name', 'category', 'abv', 'description', 'sku', 'volumeMl', 'price', 'stock', 'image'],
+  
+  // Columns a CSV file may leave out or leave blank
+  CSV_OPTIONAL: ['description', 'sku', 'stock', 'image'],
+  
+  /**
+   * Get the size that stands for a product where one price is needed
+   * @param {Object} product - Product with variants
+   * @returns {Object|null} The standard-size variant, else the first
+   */
+  getDefaultVariant: (product) => {
+    const variants = product.variants || [];
+    return variants.find(variant => variant.volumeMl === CONFIG.CATALOG.DEFAULT_VOLUME_ML) || variants[0] || null;
+  },
+  
+  /**
+   * Give a product the variant shape. Products saved before sizes existed
+   * carry one price, volume and stock and become a single size. SKUs default
+   * to "<id>-<volume>", sizes are ordered smallest first, and the default
+   * size's price and volume are copied onto the product for sorting and
+   * filtering.
+   * @param {Object} product - Product in either shape
+   * @returns {Object} Product with variants
+   */
+  normalizeProduct: (product) => {
+    const { price, volumeMl, stock, ...fields } = product && typeof product === 'object' ? product : {};
+    let sizes = [];
+    if (Array.isArray(fields.variants) && fields.variants.length > 0) {
+      sizes = fields.variants;
+    } else if (price !== undefined) {
+      sizes = [{ volumeMl: volumeMl ?? CONFIG.CATALOG.DEFAULT_VOLUME_ML, price, ...(stock !== undefined ? { stock } : {}) }];
     }
     
-    // Validate quantity
-    const quantity = parseInt(formData.quantity, 10);
-    if (isNaN(quantity) || quantity < 1 || quantity > 10) {
-      errors.quantity = 'Quantity must be between 1 and 10';
-      isValid = false;
+    const variants = sizes
+      .map(variant => ({ ...variant, sku: variant.sku || `${fields.id}-${variant.volumeMl}` }))
+      .sort((a, b) => a.volumeMl - b.volumeMl);
+    const standard = CatalogSchema.getDefaultVariant({ variants });
+    return standard
+      ? { ...fields, variants, price: standard.price, volumeMl: standard.volumeMl }
+      : { ...fields, variants };
+  },
+  
+  /**
+   * Split CSV text into rows of cells. Handles quoted cells, doubled quotes
+   * and both line ending styles.
+   * @param {string} text - CSV text
+   * @returns {Array<string[]>} Rows
+   */
+  parseCsv: (text) => {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let index = 0; index < source.length; index++) {
+      const char = source[index];
+      if (quoted) {
+        if (char === '"' && source[index + 1] === '"') {
+          cell += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[index + 1] === '\n') index++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
     }
     
-    return { isValid, errors, validatedData: { ...formData, phone: phoneValidation.value } };
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
   },
   
   /**
-   * Process order submission
-   * @param {Object} formData - Order form data
-   * @returns {Object} Processing result
+   * Build products from CSV text with a header row. A product's name,
+   * category, ABV and description come from its first row, and its image
+   * from the first row that has one.
+   * @param {string} text - CSV text
+   * @returns {Object} { products, errors }
    */
-  processOrder: (formData) => {
-    const selectedProduct = SelectionManager.getSelectedProduct();
-    if (!selectedProduct) {
-      return {
-        success: false,
-        error: 'No product selected. Please select a product from the menu first.'
-      };
+  fromCsv: (text) => {
+    const [header = [], ...rows] = CatalogSchema.parseCsv(text);
+    const columns = header.map(column => column.trim());
+    const missing = CatalogSchema.CSV_COLUMNS
+      .filter(column => !CatalogSchema.CSV_OPTIONAL.includes(column) && !columns.includes(column));
+    if (missing.length > 0) {
+      return { products: [], errors: [`The header row is missing: ${missing.join(', ')}`] };
     }
     
-    const validation = OrderManager.validateOrderForm(formData);
-    if (!validation.isValid) {
-      return {
-        success: false,
-        errors: validation.errors
-      };
+    const errors = [];
+    const products = new Map();
+    const toNumber = (value) => (value === '' ? undefined : Number(value));
+    
+    rows.forEach((cells, index) => {
+      // Row numbers as a spreadsheet shows them, counting the header
+      const rowNumber = index + 2;
+      if (cells.every(cell => cell.trim() === '')) return;
+      if (cells.length > columns.length) {
+        errors.push(`Row ${rowNumber}: has more cells than the header row`);
+      }
+      
+      const row = Object.fromEntries(columns.map((column, position) => [column, (cells[position] || '').trim()]));
+      if (!row.id) {
+        errors.push(`Row ${rowNumber}: id is required`);
+        return;
+      }
+      
+      if (!products.has(row.id)) {
+        products.set(row.id, {
+          id: row.id,
+          name: row.name,
+          category: row.category,
+          abv: toNumber(row.abv),
+          description: row.description || '',
+          variants: []
+        });
+      }
+      const product = products.get(row.id);
+      product.image = product.image || row.image || '';
+      product.variants.push({
+        ...(row.sku ? { sku: row.sku } : {}),
+        volumeMl: toNumber(row.volumeMl),
+        price: toNumber(row.price),
+        ...(row.stock ? { stock: toNumber(row.stock) } : {}),
+        ...(row.image ? { image: row.image } : {})
+      });
+    });
+    
+    return { products: [...products.values()], errors };
+  },
+  
+  /**
+   * Check a catalog against the schema
+   * @param {Object} catalog - { products, offers }
+   * @returns {Object} { products, offers, errors }; products are normalised
+   *   and offers is null when the catalog has none (CSV files)
+   */
+  validate: (catalog) => {
+    if (!catalog || !Array.isArray(catalog.products)) {
+      return { products: [], offers: null, errors: ['The catalog must contain a list of products'] };
     }
     
-    const orderId = OrderManager.generateOrderId();
-    const eta = OrderManager.generateETA();
+    const errors = [];
+    const skus = new Set();
+    const products = catalog.products.map(product => CatalogSchema.normalizeProduct(product));
     
-    const booking = {
-      id: orderId,
-      createdAt: new Date().toISOString(),
-      status: 'confirmed',
-      customer: validation.validatedData,
-      product: selectedProduct,
-      eta,
-      totalAmount: selectedProduct.price * parseInt(validation.validatedData.quantity, 10)
-    };
+    products.forEach((product, index) => {
+      const label = `Product ${product.id || index + 1}`;
+      Object.values(Validator.validateProduct(product).errors).forEach(message => errors.push(`${label}: ${message}`));
+      if (product.id && products.findIndex(other => other.id === product.id) !== index) {
+        errors.push(`${label}: ID is used by another product`);
+      }
+      new Set(product.variants.map(variant => variant.sku)).forEach(sku => {
+        if (skus.has(sku)) errors.push(`${label}: SKU ${sku} is used by another product`);
+        skus.add(sku);
+      });
+    });
     
-    const success = Storage.setItem(CONFIG.STORAGE_KEYS.BOOKING_DATA, booking);
+    let offers = null;
+    if (catalog.offers !== undefined) {
+      if (!Array.isArray(catalog.offers)) errors.push('Offers must be a list');
+      offers = Array.isArray(catalog.offers) ? catalog.offers : [];
+      offers.forEach((offer, index) => {
+        const label = `Offer ${offer?.id || index + 1}`;
+        Object.values(Validator.validateOffer(offer || {}).errors).forEach(message => errors.push(`${label}: ${message}`));
+      });
+    }
     
-    return {
-      success,
-      booking: success ? booking : null,
-      error: success ? null : 'Failed to save order. Please try again.'
-    };
+    return { products, offers, errors };
+  },
+  
+  /**
+   * Parse and validate the contents of a catalog file
+   * @param {string} text - File contents
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Object} { products, offers, errors }
+   */
+  parse: (text, format) => {
+    if (format === 'csv') {
+      const { products, errors } = CatalogSchema.fromCsv(text);
+      const result = CatalogSchema.validate({ products });
+      return { ...result, errors: [...errors, ...result.errors] };
+    }
+    
+    let catalog;
+    try {
+      catalog = JSON.parse(text);
+    } catch (error) {
+      return { products: [], offers: null, errors: [`Not valid JSON (${error.message})`] };
+    }
+    return CatalogSchema.validate(catalog);
+  },
+  
+  /**
+   * Fetch, parse and validate a catalog file
+   * @param {string} url - File URL; a .csv extension selects CSV
+   * @returns {Promise<Object>} { products, offers }
+   * @throws {Error} Listing every problem found in the file
+   */
+  load: async (url) => {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`${url} could not be loaded (status ${response.status})`);
+    }
+    
+    const { products, offers, errors } = CatalogSchema.parse(await response.text(), /\.csv$/i.test(url) ? 'csv' : 'json');
+    if (errors.length > 0) {
+      throw new Error(`${url} is invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return { products, offers };
+  }
+};
+
+/**
+ * Product management module
+ */
+const ProductManager = {
+  /**
+   * Catalog currently in use; starts with the bundled catalog and is
+   * replaced by `load` with whatever the active API adapter returns
+   */
+  catalog: {
+    products: PRODUCT_CATALOG.products.map(product => CatalogSchema.normalizeProduct(product)),
+    offers: [...PRODUCT_CATALOG.offers]
+  },
+  
+  /**
+   * Load products and offers through the API client
+   * @returns {Promise<Object>} Loaded catalog
+   */
+  load: async () => {
+    try {
+      const [products, offers] = await Promise.all([ApiClient.getCatalog(), ApiClient.getOffers()]);
+      ProductManager.catalog = { products: products.map(product => CatalogSchema.normalizeProduct(product)), offers };
+    } catch (error) {
+      console.error('Catalog load error, using bundled catalog:', error);
+    }
+    return ProductManager.catalog;
+  },
+  
+  /**
+   * Get all products
+   * @returns {Array} Array of products
+   */
+  getAllProducts: () => [...ProductManager.catalog.products],
+  
+  /**
+   * Get all offers
+   * @returns {Array} Array of offers
+   */
+  getOffers: () => [...ProductManager.catalog.offers],
+  
+  /**
+   * Validate and save a product, updating the cached catalog
+   * @param {Object} product - Product fields
+   * @returns {Promise<Object>} { success, errors, error }
+   */
+  saveProduct: async (fields) => {
+    const product = CatalogSchema.normalizeProduct(fields);
+    const validation = Validator.validateProduct(product);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    try {
+      const saved = CatalogSchema.normalizeProduct(await ApiClient.saveProduct(product));
+      const products = ProductManager.catalog.products.filter(entry => entry.id !== saved.id);
+      const index = ProductManager.catalog.products.findIndex(entry => entry.id === saved.id);
+      products.splice(index === -1 ? products.length : index, 0, saved);
+      ProductManager.catalog = { ...ProductManager.catalog, products };
+      return { success: true, product: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Remove a product from the catalog
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  deleteProduct: async (productId) => {
+    try {
+      await ApiClient.deleteProduct(productId);
+      ProductManager.catalog = {
+        ...ProductManager.catalog,
+        products: ProductManager.catalog.products.filter(product => product.id !== productId)
+      };
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Validate and save an offer, updating the cached catalog
+   * @param {Object} offer - Offer fields
+   * @returns {Promise<Object>} { success, errors, error }
+   */
+  saveOffer: async (offer) => {
+    const validation = Validator.validateOffer(offer);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    try {
+      const saved = await ApiClient.saveOffer(offer);
+      const offers = ProductManager.catalog.offers.filter(entry => entry.id !== saved.id);
+      const index = ProductManager.catalog.offers.findIndex(entry => entry.id === saved.id);
+      offers.splice(index === -1 ? offers.length : index, 0, saved);
+      ProductManager.catalog = { ...ProductManager.catalog, offers };
+      return { success: true, offer: saved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Remove an offer from the catalog
+   * @param {string} offerId - Offer ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  deleteOffer: async (offerId) => {
+    try {
+      await ApiClient.deleteOffer(offerId);
+      ProductManager.catalog = {
+        ...ProductManager.catalog,
+        offers: ProductManager.catalog.offers.filter(offer => offer.id !== offerId)
+      };
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Get product by ID
+   * @param {string} productId - Product identifier
+   * @returns {Object|null} Product object or null
+   */
+  getProductById: (productId) => {
+    return ProductManager.catalog.products.find(product => product.id === productId) || null;
+  },
+  
+  /**
+   * Get one size of a product as a product of its own: the product's fields
+   * with the size's SKU, volume, price, stock and image
+   * @param {string} sku - Variant SKU, or a product ID for its default size
+   * @returns {Object|null} Product variant or null
+   */
+  getVariant: (sku) => {
+    for (const product of ProductManager.catalog.products) {
+      const variant = product.id === sku
+        ? CatalogSchema.getDefaultVariant(product)
+        : product.variants.find(entry => entry.sku === sku);
+      if (variant) {
+        return { ...product, ...variant, image: variant.image || product.image };
+      }
+    }
+    return null;
+  },
+  
+  /**
+   * Get products by category
+   * @param {string} category - Product category
+   * @returns {Array} Filtered products
+   */
+  getProductsByCategory: (category) => {
+    return ProductManager.catalog.products.filter(product => product.category === category);
+  },
+  
+  /**
+   * Edit distance between two strings, counting a swap of adjacent
+   * characters as one edit (optimal string alignment)
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Number of single-character edits
+   */
+  getEditDistance: (a, b) => {
+    let beforePrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  },
+  
+  /**
+   * Score how well a product matches a search query. Every query word must
+   * match a word of the name, category or description, either as a prefix
+   * or within a small number of typos.
+   * @param {Object} product - Product
+   * @param {string} query - Search query
+   * @returns {number} Relevance score; 0 when the product does not match
+   */
+  getSearchScore: (product, query) => {
+    const terms = (query || '').toLowerCase().split(/[^a-z0-9%.]+/).filter(Boolean);
+    if (terms.length === 0) return 1;
+    
+    const fields = [
+      { weight: 3, words: product.name.toLowerCase().split(/[^a-z0-9%.]+/) },
+      { weight: 2, words: [product.category.toLowerCase()] },
+      { weight: 1, words: (product.description || '').toLowerCase().split(/[^a-z0-9%.]+/) }
+    ];
+    
+    let score = 0;
+    for (const term of terms) {
+      const allowedTypos = term.length >= 6 ? 2 : term.length >= 4 ? 1 : 0;
+      let best = 0;
+      fields.forEach(({ weight, words }) => {
+        words.filter(Boolean).forEach(word => {
+          if (word.startsWith(term)) {
+            best = Math.max(best, weight * 2);
+          } else if (allowedTypos > 0 &&
+            ProductManager.getEditDistance(term, word.slice(0, term.length + 1)) <= allowedTypos) {
+            best = Math.max(best, weight);
+          }
+        });
+      });
+      if (best === 0) return 0;
+      score += best;
+    }
+    return score;
+  },
+  
+  /**
+   * Search products by name, category and description, tolerating typos
+   * @param {string} query - Search query
+   * @returns {Array} Matching products, best match first
+   */
+  searchProducts: (query) => {
+    return ProductManager.catalog.products
+      .map(product => ({ product, score: ProductManager.getSearchScore(product, query) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(({ product }) => product);
+  }
+};
+
+/**
+ * Menu filtering module
+ *
+ * Applies a search query, facet filters and a sort order to the catalog.
+ * Criteria round-trip through the URL query string so filtered views can be
+ * bookmarked and shared.
+ */
+const CatalogFilter = {
+  /**
+   * Sort options and the message keys of their labels
+   * @constant {Object}
+   */
+  SORT_OPTIONS: {
+    relevance: 'menu.sort.relevance',
+    'price-asc': 'menu.sort.priceAsc',
+    'price-desc': 'menu.sort.priceDesc',
+    'abv-asc': 'menu.sort.abvAsc',
+    'abv-desc': 'menu.sort.abvDesc',
+    'name-asc': 'menu.sort.nameAsc',
+    'rating-desc': 'menu.sort.ratingDesc'
+  },
+  
+  /**
+   * Criteria with no filtering applied
+   * @returns {Object} { query, categories, abvMin, abvMax, priceMin, priceMax, sort }
+   */
+  getDefaults: () => ({
+    query: '',
+    categories: [],
+    abvMin: null,
+    abvMax: null,
+    priceMin: null,
+    priceMax: null,
+    sort: 'relevance'
+  }),
+  
+  /**
+   * Read criteria from a URL query string
+   * @param {string} search - e.g. window.location.search
+   * @returns {Object} Criteria
+   */
+  fromSearch: (search) => {
+    const params = new URLSearchParams(search);
+    const toNumber = (key) => {
+      const value = parseFloat(params.get(key));
+      return isNaN(value) ? null : value;
+    };
+    const sort = params.get('sort');
+    
+    return {
+      ...CatalogFilter.getDefaults(),
+      query: params.get('q') || '',
+      categories: (params.get('category') || '').split(',').filter(Boolean),
+      abvMin: toNumber('abvMin'),
+      abvMax: toNumber('abvMax'),
+      priceMin: toNumber('priceMin'),
+      priceMax: toNumber('priceMax'),
+      sort: CatalogFilter.SORT_OPTIONS[sort] ? sort : 'relevance'
+    };
+  },
+  
+  /**
+   * Write criteria as a URL query string, omitting defaults
+   * @param {Object} criteria - Criteria
+   * @returns {string} Query string including the leading "?", or ""
+   */
+  toSearch: (criteria) => {
+    const params = new URLSearchParams();
+    if (criteria.query.trim()) params.set('q', criteria.query.trim());
+    if (criteria.categories.length) params.set('category', criteria.categories.join(','));
+    ['abvMin', 'abvMax', 'priceMin', 'priceMax'].forEach(key => {
+      if (criteria[key] !== null) params.set(key, criteria[key]);
+    });
+    if (criteria.sort !== 'relevance') params.set('sort', criteria.sort);
+    
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  },
+  
+  /**
+   * Check whether any filter is active
+   * @param {Object} criteria - Criteria
+   * @returns {boolean}
+   */
+  isFiltered: (criteria) => CatalogFilter.toSearch({ ...criteria, sort: 'relevance' }) !== '',
+  
+  /**
+   * Apply criteria to the catalog
+   * @param {Object} criteria - Criteria
+   * @returns {Object} { products, total, facets: { categories: [{ value, count }] } }
+   */
+  apply: (criteria) => {
+    const inRange = (value, min, max) => (min === null || value >= min) && (max === null || value <= max);
+    const scores = new Map();
+    
+    // Everything except the category facet, so category counts stay meaningful
+    const matching = ProductManager.getAllProducts().filter(product => {
+      const score = ProductManager.getSearchScore(product, criteria.query);
+      scores.set(product.id, score);
+      // A product is in the price range when any of its sizes is
+      return score > 0 &&
+        inRange(product.abv, criteria.abvMin, criteria.abvMax) &&
+        product.variants.some(variant => inRange(variant.price, criteria.priceMin, criteria.priceMax));
+    });
+    
+    const allCategories = [...new Set(ProductManager.getAllProducts().map(product => product.category))];
+    const categories = allCategories.map(value => ({
+      value,
+      count: matching.filter(product => product.category === value).length
+    }));
+    
+    const inCategories = criteria.categories.length
+      ? new Set(criteria.categories.flatMap(category => ProductManager.getProductsByCategory(category)).map(product => product.id))
+      : null;
+    const products = matching.filter(product => !inCategories || inCategories.has(product.id));
+    
+    const comparators = {
+      relevance: (a, b) => scores.get(b.id) - scores.get(a.id),
+      'price-asc': (a, b) => a.price - b.price,
+      'price-desc': (a, b) => b.price - a.price,
+      'abv-asc': (a, b) => a.abv - b.abv,
+      'abv-desc': (a, b) => b.abv - a.abv,
+      'name-asc': (a, b) => a.name.localeCompare(b.name),
+      // Unreviewed products last; more reviews break ties
+      'rating-desc': (a, b) => {
+        const [first, second] = [a, b].map(product => ReviewManager.getSummary(product.id));
+        return second.average - first.average || second.count - first.count;
+      }
+    };
+    products.sort(comparators[criteria.sort] || comparators.relevance);
+    
+    return { products, total: ProductManager.getAllProducts().length, facets: { categories } };
+  }
+};
+
+/**
+ * Offer evaluation module
+ *
+ * Evaluates the rules declared on catalog offers against an order and
+ * a reference date. Percentage and flat discounts reduce the total; perks are
+ * recorded on the booking for fulfilment.
+ */
+const OfferEngine = {
+  /**
+   * Weekday names indexed by Date#getDay
+   * @constant {string[]}
+   */
+  WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  
+  /**
+   * Check a single offer's rules against an order
+   * @param {Object} offer - Offer definition
+   * @param {Object} order - Order with subtotal and itemCount
+   * @param {Date} date - Reference date
+   * @returns {string|null} Rejection reason, or null when the offer applies
+   */
+  getRejectionReason: (offer, order, date) => {
+    if (offer.validUntil) {
+      const expiry = new Date(`${offer.validUntil}T23:59:59`);
+      if (date > expiry) {
+        return `Offer expired on ${expiry.toLocaleDateString(CONFIG.CURRENCY.LOCALE)}`;
+      }
+    }
+    
+    if (offer.minOrderValue && order.subtotal < offer.minOrderValue) {
+      return `Requires a minimum order value of ${formatCurrency(offer.minOrderValue)}`;
+    }
+    
+    if (offer.minQuantity && order.itemCount < offer.minQuantity) {
+      return `Requires at least ${offer.minQuantity} bottles in the order`;
+    }
+    
+    if (Array.isArray(offer.applicableDays) && offer.applicableDays.length > 0) {
+      const today = OfferEngine.WEEKDAYS[date.getDay()];
+      if (!offer.applicableDays.includes(today)) {
+        const days = offer.applicableDays.map(day => day.charAt(0).toUpperCase() + day.slice(1));
+        return `Only available on ${days.join(', ')}`;
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Calculate the discount amount an offer grants
+   * @param {Object} offer - Offer definition
+   * @param {number} subtotal - Order subtotal
+   * @returns {number} Discount in rupees
+   */
+  calculateDiscount: (offer, subtotal) => {
+    const benefit = offer.benefit || {};
+    switch (benefit.type) {
+      case 'percentage':
+        return Math.round(subtotal * benefit.value / 100);
+      case 'flat':
+        return Math.min(benefit.value, subtotal);
+      default:
+        return 0;
+    }
+  },
+  
+  /**
+   * Evaluate every offer against an order
+   * @param {Object} order - Order with items, subtotal and itemCount
+   * @param {Date} date - Reference date
+   * @param {Array} offers - Offers to evaluate (defaults to the catalog)
+   * @returns {Object} { applied: [{ offer, discount, perk }], rejected: [{ offer, reason }] }
+   */
+  evaluate: (order, date = new Date(), offers = ProductManager.getOffers()) => {
+    const applied = [];
+    const rejected = [];
+    
+    offers.forEach(offer => {
+      const reason = OfferEngine.getRejectionReason(offer, order, date);
+      if (reason) {
+        rejected.push({ offer, reason });
+        return;
+      }
+      
+      const benefit = offer.benefit || {};
+      applied.push({
+        offer,
+        discount: OfferEngine.calculateDiscount(offer, order.subtotal),
+        perk: benefit.type === 'perk' ? { id: benefit.perk, label: benefit.label || offer.title } : null
+      });
+    });
+    
+    return { applied, rejected };
+  },
+  
+  /**
+   * Build the priced line-item breakdown for an order
+   * @param {Array} items - Lines of { productId, name, price, quantity, subtotal }
+   * @param {Date} date - Reference date
+   * @param {Object} options - { giftWrap } to charge CONFIG.GIFT.WRAP_FEE
+   * @returns {Object} Breakdown with subtotal, discounts, perks, charges, rejected offers and total
+   */
+  priceOrder: (items, date = new Date(), { giftWrap = false } = {}) => {
+    const subtotal = items.reduce((total, item) => total + item.subtotal, 0);
+    const itemCount = items.reduce((count, item) => count + item.quantity, 0);
+    const { applied, rejected } = OfferEngine.evaluate({ items, subtotal, itemCount }, date);
+    
+    const discounts = applied
+      .filter(entry => entry.discount > 0)
+      .map(({ offer, discount }) => ({ offerId: offer.id, title: offer.title, amount: discount }));
+    const perks = applied
+      .filter(entry => entry.perk)
+      .map(({ offer, perk }) => ({ offerId: offer.id, title: offer.title, perk: perk.id, label: perk.label }));
+    const discountTotal = Math.min(
+      discounts.reduce((total, discount) => total + discount.amount, 0),
+      subtotal
+    );
+    // Charges are added after discounts, which only apply to the bottles
+    const charges = giftWrap ? [{ id: 'giftWrap', amount: CONFIG.GIFT.WRAP_FEE }] : [];
+    const chargesTotal = charges.reduce((total, charge) => total + charge.amount, 0);
+    
+    return {
+      subtotal,
+      itemCount,
+      discounts,
+      perks,
+      discountTotal,
+      charges,
+      chargesTotal,
+      total: subtotal - discountTotal + chargesTotal,
+      rejectedOffers: rejected.map(({ offer, reason }) => ({ offerId: offer.id, title: offer.title, reason })),
+      evaluatedAt: date.toISOString()
+    };
+  }
+};
+
+/**
+ * Delivery scheduling module
+ *
+ * Computes delivery dates from business hours, cut-off time, holidays, dry
+ * days and per-slot capacity. All calculations are relative to `clock()`,
+ * which can be replaced (or passed per call) to get reproducible results.
+ */
+const DeliveryScheduler = {
+  /**
+   * Current time source
+   * @returns {Date}
+   */
+  clock: () => new Date(),
+  
+  /**
+   * Replace the clock, e.g. with a fixed date in tests
+   * @param {Function} clock - Function returning a Date
+   */
+  setClock: (clock) => {
+    DeliveryScheduler.clock = clock;
+  },
+  
+  /**
+   * Format a date as a local YYYY-MM-DD key
+   * @param {Date} date - Date to format
+   * @returns {string} Date key
+   */
+  toDateKey: (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
+  
+  /**
+   * Parse a YYYY-MM-DD key as local midnight
+   * @param {string} dateKey - Date key
+   * @returns {Date|null} Parsed date or null when invalid
+   */
+  parseDateKey: (dateKey) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '')) return null;
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return isNaN(date.getTime()) ? null : date;
+  },
+  
+  /**
+   * Get a copy of a date moved by a number of days, at local midnight
+   * @param {Date} date - Start date
+   * @param {number} days - Days to add
+   * @returns {Date}
+   */
+  addDays: (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days),
+  
+  /**
+   * Format a date for customers, in the chosen language
+   * @param {Date} date - Date to format
+   * @returns {string} e.g. "12 Oct 2026"
+   */
+  formatDate: (date) => date.toLocaleDateString(I18n.getLocale(), {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  }),
+  
+  /**
+   * Explain why deliveries cannot happen on a date
+   * @param {Date} date - Date to check
+   * @returns {string|null} Reason, or null when the date is a delivery day
+   */
+  getClosureReason: (date) => {
+    const dateKey = DeliveryScheduler.toDateKey(date);
+    
+    if (CONFIG.DELIVERY.DRY_DAYS.includes(dateKey) || date.getDate() === CONFIG.DELIVERY.MONTHLY_DRY_DAY) {
+      return 'dry day';
+    }
+    if (CONFIG.DELIVERY.PUBLIC_HOLIDAYS.includes(dateKey)) {
+      return 'public holiday';
+    }
+    if (CONFIG.DELIVERY.CLOSED_WEEKDAYS.includes(date.getDay())) {
+      return 'store closed';
+    }
+    return null;
+  },
+  
+  /**
+   * Check whether deliveries run on a date
+   * @param {Date} date - Date to check
+   * @returns {boolean}
+   */
+  isDeliveryDay: (date) => DeliveryScheduler.getClosureReason(date) === null,
+  
+  /**
+   * Get the business day on which an order placed at `now` is processed
+   * @param {Date} now - Order time
+   * @returns {Date} Processing date at local midnight
+   */
+  getProcessingDate: (now) => {
+    let date = DeliveryScheduler.addDays(now, 0);
+    const hour = now.getHours();
+    const afterCutoff = hour >= Math.min(CONFIG.DELIVERY.CUTOFF_HOUR, CONFIG.DELIVERY.BUSINESS_HOURS.CLOSE);
+    
+    if (afterCutoff || !DeliveryScheduler.isDeliveryDay(date)) {
+      date = DeliveryScheduler.addDays(date, 1);
+    }
+    while (!DeliveryScheduler.isDeliveryDay(date)) {
+      date = DeliveryScheduler.addDays(date, 1);
+    }
+    return date;
+  },
+  
+  /**
+   * Get the number of orders booked into a slot
+   * @param {string} dateKey - Date key
+   * @param {string} slotId - Slot ID
+   * @returns {number} Booked count
+   */
+  getSlotLoad: (dateKey, slotId) => {
+    const bookings = Storage.getItem(CONFIG.STORAGE_KEYS.SLOT_BOOKINGS) || {};
+    return bookings[`${dateKey}|${slotId}`] || 0;
+  },
+  
+  /**
+   * Record an order against a slot's capacity
+   * @param {string} dateKey - Date key
+   * @param {string} slotId - Slot ID
+   * @returns {boolean} Success status
+   */
+  reserveSlot: (dateKey, slotId) => {
+    const bookings = Storage.getItem(CONFIG.STORAGE_KEYS.SLOT_BOOKINGS) || {};
+    const key = `${dateKey}|${slotId}`;
+    bookings[key] = (bookings[key] || 0) + 1;
+    return Storage.setItem(CONFIG.STORAGE_KEYS.SLOT_BOOKINGS, bookings);
+  },
+  
+  /**
+   * Release a previously reserved slot
+   * @param {string} dateKey - Date key
+   * @param {string} slotId - Slot ID
+   * @returns {boolean} Success status
+   */
+  releaseSlot: (dateKey, slotId) => {
+    const bookings = Storage.getItem(CONFIG.STORAGE_KEYS.SLOT_BOOKINGS) || {};
+    const key = `${dateKey}|${slotId}`;
+    if (!bookings[key]) return true;
+    bookings[key] -= 1;
+    if (bookings[key] <= 0) delete bookings[key];
+    return Storage.setItem(CONFIG.STORAGE_KEYS.SLOT_BOOKINGS, bookings);
+  },
+  
+  /**
+   * Find the first slot on a date with free capacity
+   * @param {string} dateKey - Date key
+   * @param {string} timeSlot - Preferred slot ID or 'anytime'
+   * @param {Function} getSlotLoad - Load lookup
+   * @returns {Object|null} Slot definition or null
+   */
+  findOpenSlot: (dateKey, timeSlot, getSlotLoad) => {
+    const candidates = CONFIG.DELIVERY.TIME_SLOTS.filter(slot =>
+      !timeSlot || timeSlot === 'anytime' || slot.id === timeSlot
+    );
+    return candidates.find(slot => getSlotLoad(dateKey, slot.id) < slot.capacity) || null;
+  },
+  
+  /**
+   * Schedule a delivery
+   * @param {Object} preferences - { deliveryDate: 'YYYY-MM-DD', timeSlot }
+   * @param {Object} options - { now: Date, getSlotLoad: Function }
+   * @returns {Object|null} ETA details, or null when no slot is free within the search window
+   */
+  schedule: (preferences = {}, options = {}) => {
+    const now = options.now || DeliveryScheduler.clock();
+    const getSlotLoad = options.getSlotLoad || DeliveryScheduler.getSlotLoad;
+    const timeSlot = preferences.timeSlot || 'anytime';
+    const adjustments = [];
+    
+    const processingDate = DeliveryScheduler.getProcessingDate(now);
+    const earliest = DeliveryScheduler.addDays(processingDate, CONFIG.DELIVERY.LEAD_DAYS);
+    let candidate = earliest;
+    
+    const preferred = DeliveryScheduler.parseDateKey(preferences.deliveryDate);
+    if (preferred) {
+      if (preferred < earliest) {
+        adjustments.push(`Earliest available delivery is ${DeliveryScheduler.toDateKey(earliest)}`);
+      } else {
+        candidate = preferred;
+      }
+    }
+    
+    for (let offset = 0; offset <= CONFIG.DELIVERY.MAX_SEARCH_DAYS; offset++) {
+      const date = DeliveryScheduler.addDays(candidate, offset);
+      const dateKey = DeliveryScheduler.toDateKey(date);
+      const closure = DeliveryScheduler.getClosureReason(date);
+      
+      if (closure) {
+        adjustments.push(`No deliveries on ${dateKey} (${closure})`);
+        continue;
+      }
+      
+      const slot = DeliveryScheduler.findOpenSlot(dateKey, timeSlot, getSlotLoad);
+      if (!slot) {
+        adjustments.push(`No capacity left on ${dateKey}`);
+        continue;
+      }
+      
+      const daysFromNow = Math.round((date - DeliveryScheduler.addDays(now, 0)) / (24 * 60 * 60 * 1000));
+      return {
+        date,
+        dateKey,
+        dateString: DeliveryScheduler.formatDate(date),
+        slot: { id: slot.id, label: slot.label, start: slot.start, end: slot.end },
+        daysFromNow,
+        relative: daysFromNow === 1 ? I18n.t('eta.tomorrow') : I18n.t('eta.inDays', { count: daysFromNow }),
+        adjusted: adjustments.length > 0,
+        adjustments
+      };
+    }
+    
+    return null;
+  }
+};
+
+/**
+ * Outlet pickup scheduling module
+ *
+ * Splits each outlet's opening hours into fixed windows with a capacity,
+ * sharing the slot-load counters used for deliveries, and hands out
+ * sequential queue tokens per outlet and day. Outlets follow the same
+ * closures (dry days, holidays) as deliveries.
+ */
+const PickupScheduler = {
+  /**
+   * Get all pickup outlets
+   * @returns {Array} Outlets
+   */
+  getOutlets: () => [...CONFIG.PICKUP.OUTLETS],
+  
+  /**
+   * Get an outlet by ID
+   * @param {string} outletId - Outlet ID
+   * @returns {Object|null}
+   */
+  getOutlet: (outletId) => CONFIG.PICKUP.OUTLETS.find(outlet => outlet.id === outletId) || null,
+  
+  /**
+   * Format fractional hours as a clock time
+   * @param {number} hours - e.g. 10.25
+   * @returns {string} e.g. "10:15 AM"
+   */
+  formatTime: (hours) => {
+    const date = new Date(2000, 0, 1, Math.floor(hours), Math.round((hours % 1) * 60));
+    return date.toLocaleTimeString(I18n.getLocale(), { hour: 'numeric', minute: '2-digit', hour12: true });
+  },
+  
+  /**
+   * Build the slot ID a pickup window is counted under
+   * @param {string} outletId - Outlet ID
+   * @param {string} windowId - Window ID (HHMM)
+   * @returns {string}
+   */
+  getSlotId: (outletId, windowId) => `pickup:${outletId}:${windowId}`,
+  
+  /**
+   * List an outlet's pickup windows for a day
+   * @param {Object} outlet - Outlet
+   * @returns {Array} Windows of { id, label, start, end } with fractional hours
+   */
+  getWindows: (outlet) => {
+    const step = CONFIG.PICKUP.WINDOW_MINUTES / 60;
+    const windows = [];
+    for (let start = outlet.hours.OPEN; start + step <= outlet.hours.CLOSE + 1e-9; start += step) {
+      const hours = Math.floor(start);
+      const minutes = Math.round((start - hours) * 60);
+      windows.push({
+        id: `${String(hours).padStart(2, '0')}${String(minutes).padStart(2, '0')}`,
+        label: `${PickupScheduler.formatTime(start)} - ${PickupScheduler.formatTime(start + step)}`,
+        start,
+        end: start + step
+      });
+    }
+    return windows;
+  },
+  
+  /**
+   * List the windows that can still be booked at an outlet on a day
+   * @param {string} outletId - Outlet ID
+   * @param {string} dateKey - YYYY-MM-DD
+   * @param {Object} options - { now: Date, getSlotLoad: Function }
+   * @returns {Array} Windows with a `remaining` count
+   */
+  getAvailableWindows: (outletId, dateKey, options = {}) => {
+    const outlet = PickupScheduler.getOutlet(outletId);
+    const date = DeliveryScheduler.parseDateKey(dateKey);
+    if (!outlet || !date || DeliveryScheduler.getClosureReason(date)) return [];
+    
+    const now = options.now || DeliveryScheduler.clock();
+    const getSlotLoad = options.getSlotLoad || DeliveryScheduler.getSlotLoad;
+    const earliest = new Date(now.getTime() + CONFIG.PICKUP.LEAD_MINUTES * 60000);
+    
+    return PickupScheduler.getWindows(outlet)
+      .filter(slot => {
+        const start = new Date(date);
+        start.setMinutes(Math.round(slot.start * 60));
+        return start >= earliest;
+      })
+      .map(slot => ({
+        ...slot,
+        remaining: CONFIG.PICKUP.WINDOW_CAPACITY - getSlotLoad(dateKey, PickupScheduler.getSlotId(outletId, slot.id))
+      }))
+      .filter(slot => slot.remaining > 0);
+  },
+  
+  /**
+   * Schedule a pickup
+   * @param {Object} preferences - { outletId, pickupDate: 'YYYY-MM-DD', pickupWindow: 'HHMM' }
+   * @param {Object} options - { now: Date, getSlotLoad: Function }
+   * @returns {Object|null} ETA details in the same shape as DeliveryScheduler.schedule,
+   *   or null when the outlet has no free window within the search range
+   */
+  schedule: (preferences = {}, options = {}) => {
+    const outlet = PickupScheduler.getOutlet(preferences.outletId);
+    if (!outlet) return null;
+    
+    const now = options.now || DeliveryScheduler.clock();
+    const today = DeliveryScheduler.addDays(now, 0);
+    const adjustments = [];
+    let candidate = today;
+    
+    const preferred = DeliveryScheduler.parseDateKey(preferences.pickupDate);
+    if (preferred) {
+      if (preferred < today) {
+        adjustments.push(`Earliest available pickup is ${DeliveryScheduler.toDateKey(today)}`);
+      } else {
+        candidate = preferred;
+      }
+    }
+    
+    for (let offset = 0; offset <= CONFIG.PICKUP.MAX_SEARCH_DAYS; offset++) {
+      const date = DeliveryScheduler.addDays(candidate, offset);
+      const dateKey = DeliveryScheduler.toDateKey(date);
+      const closure = DeliveryScheduler.getClosureReason(date);
+      
+      if (closure) {
+        adjustments.push(`${outlet.name} is closed on ${dateKey} (${closure})`);
+        continue;
+      }
+      
+      const windows = PickupScheduler.getAvailableWindows(outlet.id, dateKey, { ...options, now });
+      if (windows.length === 0) {
+        adjustments.push(`No pickup windows left on ${dateKey}`);
+        continue;
+      }
+      
+      let slot = windows.find(entry => entry.id === preferences.pickupWindow);
+      if (!slot) {
+        // Next free window after the requested one, or the first of the day
+        slot = windows.find(entry => entry.id > (preferences.pickupWindow || '')) || windows[0];
+        if (preferences.pickupWindow && offset === 0) {
+          adjustments.push(`Requested window is unavailable; moved to ${slot.label}`);
+        }
+      }
+      
+      const daysFromNow = Math.round((date - today) / (24 * 60 * 60 * 1000));
+      return {
+        date,
+        dateKey,
+        dateString: DeliveryScheduler.formatDate(date),
+        slot: { id: PickupScheduler.getSlotId(outlet.id, slot.id), label: slot.label, start: slot.start, end: slot.end },
+        outletId: outlet.id,
+        daysFromNow,
+        relative: daysFromNow === 0
+          ? I18n.t('eta.today')
+          : daysFromNow === 1 ? I18n.t('eta.tomorrow') : I18n.t('eta.inDays', { count: daysFromNow }),
+        adjusted: adjustments.length > 0,
+        adjustments
+      };
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Give a new pickup order the next queue token for its outlet and day.
+   * Tokens start at 1 each day; server.js numbers orders the same way.
+   * @param {Object} order - Canonical pickup order
+   * @param {Array} orders - Orders already booked
+   * @returns {Object} Order with `pickup.token` set
+   */
+  assignToken: (order, orders) => {
+    if (order.fulfilment !== 'pickup' || order.pickup.token) return order;
+    const last = PickupScheduler.getQueue(orders, order.pickup.outletId, order.eta.dateKey)
+      .reduce((max, entry) => Math.max(max, entry.pickup.token || 0), 0);
+    return { ...order, pickup: { ...order.pickup, token: last + 1 } };
+  },
+  
+  /**
+   * Format an order's queue token for display
+   * @param {Object} order - Canonical pickup order
+   * @returns {string} e.g. "KOC-007", or '' before a token is assigned
+   */
+  formatToken: (order) => {
+    if (!order.pickup?.token) return '';
+    const outlet = PickupScheduler.getOutlet(order.pickup.outletId);
+    return `${outlet ? outlet.code : 'PU'}-${String(order.pickup.token).padStart(3, '0')}`;
+  },
+  
+  /**
+   * Get an outlet's pickup orders for a day in token order
+   * @param {Array} orders - Canonical orders
+   * @param {string} outletId - Outlet ID
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Array} Orders sorted by token
+   */
+  getQueue: (orders, outletId, dateKey) => {
+    return orders
+      .filter(order => order.fulfilment === 'pickup' &&
+        order.pickup?.outletId === outletId &&
+        order.eta?.dateKey === dateKey)
+      .sort((a, b) => a.pickup.token - b.pickup.token);
+  }
+};
+
+/**
+ * PIN code directory module
+ *
+ * Looks PINs up in the bundled PIN_DIRECTORY to fill in the city and state,
+ * catch a PIN that does not belong to the chosen state, and decide whether
+ * we deliver there: within CONFIG.SERVICE_AREA.OUTLET_RADIUS_KM of an outlet,
+ * or in one of the extra delivery zones.
+ */
+const PinDirectory = {
+  /**
+   * Get the states a PIN can belong to
+   * @param {string} pin - PIN code
+   * @returns {string[]} State codes (empty for a prefix that is not in use)
+   */
+  getStates: (pin) => {
+    const digits = String(pin || '').trim();
+    if (!CONFIG.VALIDATION.PIN_REGEX.test(digits)) return [];
+    
+    // Longest prefix first: a whole PIN, a sorting district, a postal region
+    const match = [6, 3, 2]
+      .map(length => PIN_DIRECTORY.regions[digits.slice(0, length)])
+      .find(Boolean);
+    return match ? [].concat(match) : [];
+  },
+  
+  /**
+   * Get a state's name
+   * @param {string} stateCode - State code
+   * @returns {string} Name, or the code when unknown
+   */
+  getStateName: (stateCode) => PIN_DIRECTORY.states[stateCode] || stateCode,
+  
+  /**
+   * Look up a PIN
+   * @param {string} pin - PIN code
+   * @returns {Object|null} { pin, states, state, city, location }, where state
+   *   is set when the PIN belongs to one state only and city and location
+   *   when its district is known; null for an unknown PIN
+   */
+  lookup: (pin) => {
+    const states = PinDirectory.getStates(pin);
+    if (states.length === 0) return null;
+    
+    const digits = String(pin).trim();
+    const district = PIN_DIRECTORY.districts[digits.slice(0, 3)];
+    const known = district && states.includes(district.state) ? district : null;
+    return {
+      pin: digits,
+      states,
+      state: known?.state || (states.length === 1 ? states[0] : null),
+      city: known?.city || null,
+      location: known ? { lat: known.lat, lng: known.lng } : null
+    };
+  },
+  
+  /**
+   * Describe where a PIN is, e.g. "Kochi, Kerala"
+   * @param {Object} place - Result of lookup
+   * @returns {string}
+   */
+  formatPlace: (place) => [
+    place.city,
+    place.states.map(PinDirectory.getStateName).join(' / ')
+  ].filter(Boolean).join(', '),
+  
+  /**
+   * Check that a PIN belongs to a state
+   * @param {string} pin - PIN code
+   * @param {string} stateCode - Chosen state code
+   * @returns {Object} { matches, expected } where expected names the PIN's
+   *   state(s); unknown PINs always match
+   */
+  checkState: (pin, stateCode) => {
+    const states = PinDirectory.getStates(pin);
+    return {
+      matches: states.length === 0 || states.includes(stateCode),
+      expected: states.map(PinDirectory.getStateName).join(' / ')
+    };
+  },
+  
+  /**
+   * Great-circle distance between two points
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number} Kilometres
+   */
+  distanceKm: (from, to) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  },
+  
+  /**
+   * Find the outlet nearest to a PIN
+   * @param {string} pin - PIN code
+   * @param {Array} outlets - Outlets to choose from
+   * @returns {Object|null} { outlet, distanceKm }, or null when the PIN's
+   *   district is not known
+   */
+  getNearestOutlet: (pin, outlets = PickupScheduler.getOutlets()) => {
+    const location = PinDirectory.lookup(pin)?.location;
+    if (!location) return null;
+    
+    return outlets
+      .filter(outlet => outlet.location)
+      .map(outlet => ({ outlet, distanceKm: PinDirectory.distanceKm(location, outlet.location) }))
+      .sort((a, b) => a.distanceKm - b.distanceKm)[0] || null;
+  },
+  
+  /**
+   * Decide whether we deliver to a PIN
+   * @param {string} pin - PIN code
+   * @returns {Object} { serviceable, zone, nearest, pickupOutlet } where zone
+   *   is the delivery zone covering the PIN, nearest the result of
+   *   getNearestOutlet and pickupOutlet the closest outlet in the PIN's state
+   *   (null when the state has none), to suggest instead of delivery
+   */
+  getServiceability: (pin) => {
+    const digits = String(pin || '').trim();
+    const states = PinDirectory.getStates(digits);
+    const { OUTLET_RADIUS_KM: radius, ZONES: zones } = CONFIG.SERVICE_AREA;
+    const zone = zones.find(entry => entry.pinPrefixes.some(prefix => digits.startsWith(prefix))) || null;
+    const nearest = PinDirectory.getNearestOutlet(digits);
+    const inRadius = Boolean(radius && nearest && nearest.distanceKm <= radius);
+    const outletsInState = PickupScheduler.getOutlets().filter(outlet => states.includes(outlet.state));
+    
+    return {
+      serviceable: states.length > 0 && (Boolean(zone) || inRadius),
+      zone,
+      nearest,
+      pickupOutlet: PinDirectory.getNearestOutlet(digits, outletsInState)?.outlet || outletsInState[0] || null
+    };
+  }
+};
+
+/**
+ * Order code module
+ *
+ * The code printed as a QR on confirmations is "WP:<order ID>:<signature>".
+ * The server signs it with a secret browsers never see and checks it again
+ * when the order is verified or collected (server.js). Orders kept only in
+ * this browser carry a local checksum instead, which catches typos but can be
+ * computed by anyone with this file.
+ */
+const OrderCode = {
+  /**
+   * Compute the local checksum for an order ID (salted 32-bit FNV-1a)
+   * @param {string} orderId - Order ID
+   * @returns {string} Base-36 checksum
+   */
+  getChecksum: (orderId) => {
+    const input = `${CONFIG.ORDER_CODE.CHECKSUM_SALT}|${String(orderId).toUpperCase()}`;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36).toUpperCase().padStart(CONFIG.ORDER_CODE.CHECKSUM_LENGTH, '0')
+      .slice(-CONFIG.ORDER_CODE.CHECKSUM_LENGTH);
+  },
+  
+  /**
+   * Build the local code for an order
+   * @param {string} orderId - Order ID
+   * @returns {string} e.g. "WP:LLX-MVF4Y3GP-EOL3:0K2J9Z"
+   */
+  create: (orderId) => {
+    const id = String(orderId).toUpperCase();
+    return `${CONFIG.ORDER_CODE.PREFIX}:${id}:${OrderCode.getChecksum(id)}`;
+  },
+  
+  /**
+   * Code to show for an order: the server's signed code, or the local one
+   * for orders the server has not seen yet
+   * @param {Object} order - Canonical order
+   * @returns {string}
+   */
+  forOrder: (order) => order.code || OrderCode.create(order.id),
+  
+  /**
+   * Split a scanned or typed code into its parts, without checking them
+   * @param {string} code - Code, with or without the prefix
+   * @returns {Object|null} { orderId, checksum }, or null when it is not an order code
+   */
+  split: (code) => {
+    const parts = String(code || '').trim().toUpperCase().replace(/\s+/g, '').split(':');
+    if (parts[0] === CONFIG.ORDER_CODE.PREFIX) parts.shift();
+    
+    const [orderId, checksum] = parts;
+    return parts.length === 2 && orderId && checksum ? { orderId, checksum } : null;
+  },
+  
+  /**
+   * Parse a scanned or typed local code
+   * @param {string} code - Code, with or without the prefix
+   * @returns {Object} { isValid, orderId, message }
+   */
+  parse: (code) => {
+    const parts = OrderCode.split(code);
+    if (!parts) {
+      return { isValid: false, orderId: null, message: 'This is not a Wrong Pour order code' };
+    }
+    
+    const { orderId, checksum } = parts;
+    if (checksum !== OrderCode.getChecksum(orderId)) {
+      return { isValid: false, orderId, message: 'Checksum mismatch: the code was mistyped or altered' };
+    }
+    return { isValid: true, orderId, message: '' };
+  }
+};
+
+/**
+ * Excise compliance module
+ *
+ * Applies the per-state rules in COMPLIANCE_RULES to an order: legal age,
+ * daily volume limits (including the customer's other orders for the same
+ * delivery day) and blocked dates such as dry days and election days.
+ */
+const ComplianceEngine = {
+  /**
+   * Rules table currently in use; replaced by `load`
+   */
+  rules: COMPLIANCE_RULES,
+  
+  /**
+   * Load the rules table through the API client
+   * @returns {Promise<Object>} Loaded rules
+   */
+  load: async () => {
+    try {
+      ComplianceEngine.rules = await ApiClient.getComplianceRules();
+    } catch (error) {
+      console.error('Compliance rules load error, using bundled rules:', error);
+    }
+    return ComplianceEngine.rules;
+  },
+  
+  /**
+   * Get the effective rules for a state
+   * @param {string} stateCode - State code
+   * @returns {Object} Rules merged over the defaults
+   */
+  getRules: (stateCode) => {
+    const { states = {} } = ComplianceEngine.rules;
+    return { ...ComplianceEngine.rules.default, ...(states[stateCode] || {}) };
+  },
+  
+  /**
+   * Get a customer's age in whole years on a date
+   * @param {string} dateOfBirth - YYYY-MM-DD
+   * @param {Date} onDate - Reference date
+   * @returns {number|null} Age, or null when the date of birth is invalid
+   */
+  getAge: (dateOfBirth, onDate) => {
+    const birth = DeliveryScheduler.parseDateKey(dateOfBirth);
+    if (!birth) return null;
+    
+    const hadBirthday = onDate.getMonth() > birth.getMonth() ||
+      (onDate.getMonth() === birth.getMonth() && onDate.getDate() >= birth.getDate());
+    return onDate.getFullYear() - birth.getFullYear() - (hadBirthday ? 0 : 1);
+  },
+  
+  /**
+   * Total the bottle volume and pure alcohol of order items
+   * @param {Array} items - Order items
+   * @returns {Object} { litres, alcoholLitres }
+   */
+  measure: (items = []) => {
+    return items.reduce((totals, item) => {
+      const volumeMl = item.volumeMl || ProductManager.getProductById(item.productId)?.volumeMl || ComplianceEngine.rules.defaultVolumeMl;
+      const litres = (volumeMl * item.quantity) / 1000;
+      return {
+        litres: totals.litres + litres,
+        alcoholLitres: totals.alcoholLitres + litres * ((item.abv || 0) / 100)
+      };
+    }, { litres: 0, alcoholLitres: 0 });
+  },
+  
+  /**
+   * Find a blocked-date entry covering a date
+   * @param {Object} rules - Effective state rules
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Object|null} Matching entry
+   */
+  getBlockedDate: (rules, dateKey) => {
+    return (rules.blockedDates || []).find(entry =>
+      entry.date ? entry.date === dateKey : dateKey >= entry.from && dateKey <= entry.to
+    ) || null;
+  },
+  
+  /**
+   * Check one person's daily volume and alcohol limits
+   * @param {Object} order - Order being placed
+   * @param {Array} otherOrders - Other orders; only that person's active orders
+   *   for the same day count
+   * @param {Object} context - { rules, stateName, dateKey, personOf, isRecipient }:
+   *   personOf picks the person from an order; isRecipient words the message
+   *   for a gift's recipient rather than the buyer
+   * @returns {Object|null} Violation, or null within the limits
+   */
+  checkDailyLimits: (order, otherOrders, { rules, stateName, dateKey, personOf, isRecipient }) => {
+    const phoneOf = (entry) => Validator.validatePhone(personOf(entry)?.phone || '').value;
+    const phone = phoneOf(order);
+    const sameDayItems = otherOrders
+      .filter(other => other.id !== order.id &&
+        ![CONFIG.ORDER_STATUS.CANCELLED, CONFIG.ORDER_STATUS.EXPIRED].includes(other.status) &&
+        OrderModel.getDeliveryDateKey(other) === dateKey &&
+        phoneOf(other) === phone)
+      .flatMap(other => other.items);
+    const previous = ComplianceEngine.measure(sameDayItems);
+    const current = ComplianceEngine.measure(order.items);
+    const totalLitres = previous.litres + current.litres;
+    const totalAlcohol = previous.alcoholLitres + current.alcoholLitres;
+    const including = previous.litres > 0 ? I18n.t('compliance.alreadyBooked', { litres: previous.litres.toFixed(2) }) : '';
+    
+    if (rules.maxLitresPerDay && totalLitres > rules.maxLitresPerDay + 1e-9) {
+      return {
+        rule: isRecipient ? 'recipient-daily-volume' : 'daily-volume',
+        field: null,
+        message: I18n.t(isRecipient ? 'compliance.recipientDailyVolume' : 'compliance.dailyVolume', {
+          state: stateName,
+          limit: rules.maxLitresPerDay,
+          total: totalLitres.toFixed(2),
+          including
+        })
+      };
+    }
+    if (rules.maxAlcoholLitresPerDay && totalAlcohol > rules.maxAlcoholLitresPerDay + 1e-9) {
+      return {
+        rule: isRecipient ? 'recipient-daily-alcohol' : 'daily-alcohol',
+        field: null,
+        message: I18n.t(isRecipient ? 'compliance.recipientDailyAlcohol' : 'compliance.dailyAlcohol', {
+          state: stateName,
+          limit: rules.maxAlcoholLitresPerDay,
+          total: totalAlcohol.toFixed(2),
+          including
+        })
+      };
+    }
+    return null;
+  },
+  
+  /**
+   * Check an order against the rules for its delivery state. Both the buyer
+   * and a gift's recipient must be of legal age. Daily limits apply to the
+   * person receiving the alcohol and to the buyer, whose gifts count towards
+   * their own limit.
+   * @param {Object} order - Canonical order (with eta and customer.dateOfBirth)
+   * @param {Array} otherOrders - Other orders placed by or handed to the buyer
+   *   or the recipient; any others are ignored
+   * @returns {Object} { isCompliant, violations: [{ rule, field, message }] }
+   */
+  check: (order, otherOrders = []) => {
+    const isPickup = order.fulfilment === 'pickup';
+    const stateCode = isPickup ? order.pickup.state : order.delivery.state;
+    const rules = ComplianceEngine.getRules(stateCode);
+    const stateName = rules.name || stateCode;
+    const dateKey = OrderModel.getDeliveryDateKey(order);
+    const violations = [];
+    
+    if (rules.prohibited) {
+      violations.push({
+        rule: 'prohibited',
+        field: isPickup ? 'outletId' : 'state',
+        message: I18n.t('compliance.prohibited', { state: stateName })
+      });
+      return { isCompliant: false, violations };
+    }
+    
+    const deliveryDate = DeliveryScheduler.parseDateKey(dateKey);
+    const age = ComplianceEngine.getAge(order.customer.dateOfBirth, deliveryDate);
+    if (age === null) {
+      violations.push({ rule: 'age', field: 'dateOfBirth', message: I18n.t('compliance.invalidDateOfBirth') });
+    } else if (age < rules.minimumAge) {
+      violations.push({
+        rule: 'age',
+        field: 'dateOfBirth',
+        message: I18n.t('compliance.minimumAge', { age: rules.minimumAge, state: stateName })
+      });
+    }
+    
+    if (order.gift) {
+      const recipientAge = ComplianceEngine.getAge(order.gift.recipient.dateOfBirth, deliveryDate);
+      if (recipientAge === null || recipientAge < rules.minimumAge) {
+        violations.push({
+          rule: 'recipient-age',
+          field: 'giftRecipientDateOfBirth',
+          message: recipientAge === null
+            ? I18n.t('validation.recipientDateOfBirth')
+            : I18n.t('compliance.recipientAge', { age: rules.minimumAge, state: stateName })
+        });
+      }
+    }
+
+    const blocked = ComplianceEngine.getBlockedDate(rules, dateKey);
+    if (blocked) {
+      violations.push({
+        rule: 'blocked-date',
+        field: isPickup ? 'pickupDate' : 'deliveryDate',
+        message: I18n.t(isPickup ? 'compliance.blockedPickup' : 'compliance.blockedDelivery', {
+          state: stateName,
+          date: dateKey,
+          reason: blocked.reason
+        })
+      });
+    }
+    
+    // Count the other active orders for the same day handed to the person
+    // receiving this one, then those the buyer placed, gifts included. The
+    // second check only adds something new when one of the orders is a gift.
+    const context = { rules, stateName, dateKey };
+    const limitViolations = [
+      ComplianceEngine.checkDailyLimits(order, otherOrders, {
+        ...context,
+        personOf: OrderModel.getRecipient,
+        isRecipient: Boolean(order.gift)
+      }),
+      ComplianceEngine.checkDailyLimits(order, otherOrders, {
+        ...context,
+        personOf: (entry) => entry.customer,
+        isRecipient: false
+      })
+    ].filter(Boolean);
+    limitViolations.forEach(violation => {
+      if (!violations.some(existing => existing.rule === violation.rule)) violations.push(violation);
+    });
+    
+    return { isCompliant: violations.length === 0, violations };
+  }
+};
+
+/**
+ * Inventory module
+ *
+ * Tracks bottles on hand per product size, by SKU (seeded from each size's
+ * `stock` in the catalog), and the stock reserved by open pre-bookings.
+ * Reservations are released when an order is cancelled or expires, and
+ * consumed when it is delivered. Sizes without a `stock` figure are treated as
+ * untracked and always available.
+ */
+const InventoryManager = {
+  /**
+   * Load persisted inventory state. Counts and holds saved before products
+   * had sizes are keyed by product ID and belong to its default size.
+   * @returns {Object} { onHand: { sku: count }, reservations: [] }
+   */
+  getState: () => {
+    const state = Storage.getItem(CONFIG.STORAGE_KEYS.INVENTORY) || {};
+    const toSku = (key) => (ProductManager.getProductById(key) ? ProductManager.getVariant(key).sku : key);
+    return {
+      onHand: Object.fromEntries(Object.entries(state.onHand || {}).map(([key, count]) => [toSku(key), count])),
+      reservations: (state.reservations || []).map(reservation => ({
+        ...reservation,
+        items: reservation.items.map(item => ({ ...item, sku: item.sku || toSku(item.productId) }))
+      }))
+    };
+  },
+  
+  /**
+   * Persist inventory state
+   * @param {Object} state - Inventory state
+   * @returns {boolean} Success status
+   */
+  saveState: (state) => Storage.setItem(CONFIG.STORAGE_KEYS.INVENTORY, state),
+  
+  /**
+   * Get the bottles on hand for a product size
+   * @param {string} sku - Variant SKU
+   * @param {Object} state - Inventory state
+   * @returns {number|null} Count, or null when the size is untracked
+   */
+  getOnHand: (sku, state = InventoryManager.getState()) => {
+    if (sku in state.onHand) return state.onHand[sku];
+    const stock = ProductManager.getVariant(sku)?.stock;
+    return typeof stock === 'number' ? stock : null;
+  },
+  
+  /**
+   * Get the bottles of a product size held by open reservations
+   * @param {string} sku - Variant SKU
+   * @param {Object} state - Inventory state
+   * @returns {number}
+   */
+  getReserved: (sku, state = InventoryManager.getState()) => {
+    return state.reservations.reduce((total, reservation) => total + reservation.items
+      .filter(item => item.sku === sku)
+      .reduce((sum, item) => sum + item.quantity, 0), 0);
+  },
+  
+  /**
+   * Get the bottles of a product size that can still be pre-booked
+   * @param {string} sku - Variant SKU
+   * @returns {number} Available count (Infinity when untracked)
+   */
+  getAvailable: (sku) => {
+    const state = InventoryManager.getState();
+    const onHand = InventoryManager.getOnHand(sku, state);
+    if (onHand === null) return Infinity;
+    return Math.max(0, onHand - InventoryManager.getReserved(sku, state));
+  },
+  
+  /**
+   * Classify a product size's availability
+   * @param {string} sku - Variant SKU
+   * @returns {string} 'out', 'low' or 'in'
+   */
+  getStatus: (sku) => {
+    const available = InventoryManager.getAvailable(sku);
+    if (available === 0) return 'out';
+    return available <= CONFIG.INVENTORY.LOW_STOCK_THRESHOLD ? 'low' : 'in';
+  },
+  
+  /**
+   * Find items that exceed available stock
+   * @param {Array} items - Order items ({ productId, sku, name, volumeMl, quantity })
+   * @returns {Array} Shortfalls of { productId, sku, name, requested, available }
+   */
+  checkAvailability: (items) => {
+    return items
+      .map(item => ({
+        productId: item.productId,
+        sku: item.sku,
+        name: OrderModel.formatItemName(item),
+        requested: item.quantity,
+        available: InventoryManager.getAvailable(item.sku)
+      }))
+      .filter(line => line.requested > line.available);
+  },
+  
+  /**
+   * Reserve stock for an order until its hold expires
+   * @param {Object} order - Canonical order
+   * @returns {boolean} Success status
+   */
+  reserve: (order) => {
+    const state = InventoryManager.getState();
+    const holdFrom = order.eta?.date ? new Date(order.eta.date) : new Date(order.createdAt);
+    if (order.eta?.slot?.end) {
+      holdFrom.setHours(0, Math.round(order.eta.slot.end * 60), 0, 0);
+    }
+    
+    state.reservations = state.reservations.filter(reservation => reservation.orderId !== order.id);
+    state.reservations.push({
+      orderId: order.id,
+      items: order.items.map(({ productId, sku, quantity }) => ({ productId, sku, quantity })),
+      createdAt: order.createdAt,
+      expiresAt: new Date(holdFrom.getTime() + CONFIG.INVENTORY.RESERVATION_HOLD_HOURS * 3600000).toISOString()
+    });
+    return InventoryManager.saveState(state);
+  },
+  
+  /**
+   * Return an order's reserved stock to the pool
+   * @param {string} orderId - Order ID
+   * @returns {boolean} Success status
+   */
+  release: (orderId) => {
+    const state = InventoryManager.getState();
+    state.reservations = state.reservations.filter(reservation => reservation.orderId !== orderId);
+    return InventoryManager.saveState(state);
+  },
+  
+  /**
+   * Deduct an order's reserved stock from the bottles on hand
+   * @param {string} orderId - Order ID
+   * @returns {boolean} Success status
+   */
+  commit: (orderId) => {
+    const state = InventoryManager.getState();
+    const reservation = state.reservations.find(entry => entry.orderId === orderId);
+    if (!reservation) return false;
+    
+    reservation.items.forEach(({ sku, quantity }) => {
+      const onHand = InventoryManager.getOnHand(sku, state);
+      if (onHand !== null) {
+        state.onHand[sku] = Math.max(0, onHand - quantity);
+      }
+    });
+    state.reservations = state.reservations.filter(entry => entry !== reservation);
+    return InventoryManager.saveState(state);
+  },
+  
+  /**
+   * Set the bottles on hand for a product size, e.g. after a delivery from the supplier
+   * @param {string} sku - Variant SKU
+   * @param {number} quantity - New count
+   * @returns {boolean} Success status
+   */
+  setStock: (sku, quantity) => {
+    const state = InventoryManager.getState();
+    state.onHand[sku] = Math.max(0, parseInt(quantity, 10) || 0);
+    return InventoryManager.saveState(state);
+  },
+  
+  /**
+   * Expire pre-bookings whose hold has lapsed, returning their stock
+   * @param {Date} now - Reference time
+   * @returns {Promise<string[]>} IDs of released orders
+   */
+  releaseExpired: async (now = new Date()) => {
+    const expired = InventoryManager.getState().reservations
+      .filter(reservation => new Date(reservation.expiresAt) <= now);
+    const released = [];
+    
+    for (const reservation of expired) {
+      const order = OrderLedger.getById(reservation.orderId);
+      
+      if (!order) {
+        InventoryManager.release(reservation.orderId);
+        released.push(reservation.orderId);
+      } else if (OrderLedger.canTransition(order.status, CONFIG.ORDER_STATUS.EXPIRED)) {
+        try {
+          await ApiClient.updateOrderStatus(order.id, CONFIG.ORDER_STATUS.EXPIRED, 'status.note.reservationExpired');
+          released.push(order.id);
+        } catch (error) {
+          console.error('Reservation expiry error:', error);
+        }
+      }
+    }
+    
+    return released;
+  },
+  
+  /**
+   * Add a contact to a product size's restock waitlist
+   * @param {string} sku - Variant SKU
+   * @param {string} contact - Email address or phone number
+   * @returns {Object} { success, error }
+   */
+  joinWaitlist: (sku, contact) => {
+    const email = Validator.validateEmail(contact);
+    const phone = Validator.validatePhone(contact);
+    if (!email.isValid && !phone.isValid) {
+      return { success: false, error: I18n.t('validation.contact') };
+    }
+    
+    const value = email.isValid ? email.value : phone.value;
+    const waitlist = Storage.getItem(CONFIG.STORAGE_KEYS.WAITLIST) || [];
+    if (waitlist.some(entry => entry.sku === sku && entry.contact === value)) {
+      return { success: true, error: null };
+    }
+    
+    waitlist.push({ sku, contact: value, createdAt: new Date().toISOString() });
+    const success = Storage.setItem(CONFIG.STORAGE_KEYS.WAITLIST, waitlist);
+    return { success, error: success ? null : I18n.t('waitlist.saveFailed') };
+  },
+  
+  /**
+   * Get waitlist signups for a product size
+   * @param {string} sku - Variant SKU
+   * @returns {Array} Entries of { sku, contact, createdAt }
+   */
+  getWaitlist: (sku) => {
+    // Signups from before products had sizes carry the product ID instead
+    return (Storage.getItem(CONFIG.STORAGE_KEYS.WAITLIST) || []).filter(entry => (entry.sku || entry.productId) === sku);
+  }
+};
+
+/**
+ * Cart management module
+ *
+ * The cart is persisted as a list of `{ productId, sku, quantity }` lines,
+ * one per product size. Prices are always resolved from the catalog so totals
+ * reflect current pricing. Methods taking a SKU also accept a product ID,
+ * meaning that product's default size.
+ */
+const CartManager = {
+  /**
+   * Get raw cart lines from storage
+   * @returns {Array} Array of { productId, sku, quantity } lines
+   */
+  getItems: () => {
+    const items = TabSync.readCartItems(Storage.getItem(CONFIG.STORAGE_KEYS.CART));
+    if (items) {
+      // Lines saved before products had sizes are for the default size
+      return items.map(item => (item.sku ? item : { ...item, sku: CartManager.resolveSku(item.productId) }));
+    }
+    
+    // Migrate a selection saved by the old single-product model
+    const legacyProduct = Storage.getItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCT);
+    if (legacyProduct && legacyProduct.id) {
+      const migrated = [{ productId: legacyProduct.id, sku: CartManager.resolveSku(legacyProduct.id), quantity: 1 }];
+      Storage.setItem(CONFIG.STORAGE_KEYS.CART, TabSync.stampCart(migrated));
+      Storage.removeItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCT);
+      return migrated;
+    }
+    return [];
+  },
+  
+  /**
+   * Persist cart lines and refresh cart-dependent UI
+   * @param {Array} items - Cart lines to store
+   * @returns {boolean} Success status
+   */
+  saveItems: (items) => {
+    const success = Storage.setItem(CONFIG.STORAGE_KEYS.CART, TabSync.stampCart(items));
+    if (success) {
+      UIManager.refreshCartViews();
+    }
+    return success;
+  },
+  
+  /**
+   * Turn a SKU or product ID into the SKU of a cart line
+   * @param {string} key - Variant SKU or product ID
+   * @returns {string} SKU (the key itself when it is not in the catalog)
+   */
+  resolveSku: (key) => ProductManager.getVariant(key)?.sku || key,
+  
+  /**
+   * Get cart lines resolved against the catalog
+   * @returns {Array} Lines of { product, quantity, subtotal }, where product
+   *   is the chosen size from ProductManager.getVariant
+   */
+  getLines: () => {
+    return CartManager.getItems()
+      .map(item => {
+        const product = ProductManager.getVariant(item.sku);
+        if (!product) return null;
+        return {
+          product,
+          quantity: item.quantity,
+          subtotal: product.price * item.quantity
+        };
+      })
+      .filter(Boolean);
+  },
+  
+  /**
+   * Get quantity of a product size in the cart
+   * @param {string} sku - Variant SKU
+   * @returns {number} Quantity (0 if absent)
+   */
+  getQuantity: (sku) => {
+    const item = CartManager.getItems().find(line => line.sku === CartManager.resolveSku(sku));
+    return item ? item.quantity : 0;
+  },
+  
+  /**
+   * Add a product size to the cart, merging with an existing line
+   * @param {string} sku - Variant SKU to add
+   * @param {number} quantity - Quantity to add
+   * @returns {boolean} Success status
+   */
+  addItem: (sku, quantity = 1) => {
+    const product = ProductManager.getVariant(sku);
+    if (!product) {
+      console.warn('Product not found:', sku);
+      return false;
+    }
+    
+    const name = OrderModel.formatItemName(product);
+    const items = CartManager.getItems();
+    const existing = items.find(line => line.sku === product.sku);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    
+    if (newQuantity > CONFIG.CART.MAX_LINE_QUANTITY) {
+      UIManager.showNotification(I18n.t('cart.maxLine', { max: CONFIG.CART.MAX_LINE_QUANTITY, name }), 'error');
+      return false;
+    }
+    
+    const available = InventoryManager.getAvailable(product.sku);
+    if (newQuantity > available) {
+      UIManager.showNotification(
+        available === 0
+          ? I18n.t('stock.out', { name })
+          : I18n.t('stock.onlyOf', { count: available, name }),
+        'error'
+      );
+      return false;
+    }
+    
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      items.push({ productId: product.id, sku: product.sku, quantity: newQuantity });
+    }
+    
+    const success = CartManager.saveItems(items);
+    if (success) {
+      UIManager.showNotification(I18n.t('cart.added', { name }), 'success');
+    }
+    return success;
+  },
+  
+  /**
+   * Remove a product size's line from the cart
+   * @param {string} sku - Variant SKU to remove
+   * @returns {boolean} Success status
+   */
+  removeItem: (sku) => {
+    const items = CartManager.getItems().filter(line => line.sku !== CartManager.resolveSku(sku));
+    return CartManager.saveItems(items);
+  },
+  
+  /**
+   * Set the quantity of a cart line; zero or less removes the line
+   * @param {string} sku - Variant SKU
+   * @param {number} quantity - New quantity
+   * @returns {boolean} Success status
+   */
+  updateQuantity: (sku, quantity) => {
+    const parsedQuantity = parseInt(quantity, 10);
+    if (isNaN(parsedQuantity)) return false;
+    
+    if (parsedQuantity < CONFIG.CART.MIN_LINE_QUANTITY) {
+      return CartManager.removeItem(sku);
+    }
+    
+    if (parsedQuantity > CONFIG.CART.MAX_LINE_QUANTITY) {
+      UIManager.showNotification(I18n.t('cart.quantityRange', { min: CONFIG.CART.MIN_LINE_QUANTITY, max: CONFIG.CART.MAX_LINE_QUANTITY }), 'error');
+      return false;
+    }
+    
+    const lineSku = CartManager.resolveSku(sku);
+    const available = InventoryManager.getAvailable(lineSku);
+    if (parsedQuantity > available) {
+      UIManager.showNotification(I18n.t('stock.only', { count: available }), 'error');
+      return false;
+    }
+    
+    const items = CartManager.getItems();
+    const existing = items.find(line => line.sku === lineSku);
+    if (!existing) return false;
+    
+    existing.quantity = parsedQuantity;
+    return CartManager.saveItems(items);
+  },
+  
+  /**
+   * Empty the cart
+   * @returns {boolean} Success status
+   */
+  clear: () => {
+    Storage.removeItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCT);
+    return CartManager.saveItems([]);
+  },
+  
+  /**
+   * Replace the cart with a previous order's items at today's prices. Sizes
+   * no longer sold are left out and quantities are cut to what is available.
+   * @param {Object} order - Canonical order
+   * @returns {Object} { success, error, previous, repriced, reduced, unavailable },
+   *   where previous holds the cart lines that were replaced
+   */
+  reorder: (order) => {
+    const lines = [];
+    const repriced = [];
+    const reduced = [];
+    const unavailable = [];
+    
+    (order.items || []).forEach(item => {
+      // Items from before products had sizes are for the default size
+      const product = ProductManager.getVariant(item.sku || item.productId);
+      const name = OrderModel.formatItemName(product || item);
+      const available = product ? InventoryManager.getAvailable(product.sku) : 0;
+      const quantity = Math.min(item.quantity, CONFIG.CART.MAX_LINE_QUANTITY, available);
+      
+      if (quantity < CONFIG.CART.MIN_LINE_QUANTITY) {
+        unavailable.push({ name });
+        return;
+      }
+      if (quantity < item.quantity) {
+        reduced.push({ name, requested: item.quantity, quantity });
+      }
+      if (product.price !== item.price) {
+        repriced.push({ name, was: item.price, price: product.price });
+      }
+      lines.push({ productId: product.id, sku: product.sku, quantity });
+    });
+    
+    if (lines.length === 0) {
+      return {
+        success: false,
+        error: I18n.t('reorder.nothing', { id: order.id }),
+        previous: [],
+        repriced,
+        reduced,
+        unavailable
+      };
+    }
+    
+    const previous = CartManager.getItems();
+    const success = CartManager.saveItems(lines);
+    return {
+      success,
+      error: success ? null : I18n.t('reorder.saveFailed'),
+      previous,
+      repriced,
+      reduced,
+      unavailable
+    };
+  },
+  
+  /**
+   * Get total number of bottles in the cart
+   * @returns {number} Bottle count
+   */
+  getItemCount: () => {
+    return CartManager.getItems().reduce((count, line) => count + line.quantity, 0);
+  },
+  
+  /**
+   * Get cart total
+   * @returns {number} Sum of line subtotals
+   */
+  getTotal: () => {
+    return CartManager.getLines().reduce((total, line) => total + line.subtotal, 0);
+  },
+  
+  /**
+   * Snapshot cart lines as order items
+   * @returns {Array} Items of { productId, sku, name, price, abv, volumeMl, image, quantity, subtotal }
+   */
+  toOrderItems: () => {
+    return CartManager.getLines().map(({ product, quantity, subtotal }) => ({
+      productId: product.id,
+      sku: product.sku,
+      name: product.name,
+      price: product.price,
+      abv: product.abv,
+      volumeMl: product.volumeMl,
+      category: product.category,
+      image: product.image,
+      quantity,
+      subtotal
+    }));
+  },
+  
+  /**
+   * Price the cart with applicable offers
+   * @param {Date} date - Reference date
+   * @param {Object} options - Charges to add, see OfferEngine.priceOrder
+   * @returns {Object} Pricing breakdown from OfferEngine.priceOrder
+   */
+  getPricing: (date = new Date(), options = {}) => OfferEngine.priceOrder(CartManager.toOrderItems(), date, options),
+  
+  /**
+   * Check whether the cart is empty
+   * @returns {boolean}
+   */
+  isEmpty: () => CartManager.getLines().length === 0
+};
+
+/**
+ * Selection management module
+ * @deprecated Kept for backward compatibility; delegates to CartManager
+ */
+const SelectionManager = {
+  /**
+   * Select a product (adds one bottle to the cart)
+   * @param {string} productId - Product ID to select
+   * @returns {boolean} Success status
+   */
+  selectProduct: (productId) => CartManager.addItem(productId, 1),
+  
+  /**
+   * Get the first product in the cart
+   * @returns {Object|null} Product or null
+   */
+  getSelectedProduct: () => {
+    const [firstLine] = CartManager.getLines();
+    return firstLine ? firstLine.product : null;
+  },
+  
+  /**
+   * Clear product selection (empties the cart)
+   * @returns {boolean} Success status
+   */
+  clearSelection: () => CartManager.clear()
+};
+
+/**
+ * Order model module
+ *
+ * Defines the single canonical order shape used by every page:
+ *
+ *   {
+ *     schemaVersion, id, createdAt, updatedAt, status, statusHistory,
+ *     customer: { name, email, phone },
+ *     delivery: { address, landmark, city, state, pin, addressType, instructions, preferredDate, timeSlot },
+ *     payment: { method, status, reference, instrument },
+ *     items: [{ productId, sku, name, price, abv, volumeMl, image, quantity, subtotal }],
+ *     itemCount, pricing, eta, totalAmount
+ *   }
+ *
+ * Older shapes (the single-product booking from script.js and the URL/session
+ * payload read by the confirmation page) are upgraded by `migrate`.
+ */
+const OrderModel = {
+  /**
+   * Message keys of the payment method display names
+   * @constant {Object}
+   */
+  PAYMENT_LABELS: {
+    cod: 'payment.method.cod',
+    card: 'payment.method.card',
+    upi: 'payment.method.upi',
+    netbanking: 'payment.method.netbanking',
+    wallet: 'payment.method.wallet'
+  },
+  
+  /**
+   * Message keys of the status history notes that orders saved before notes
+   * were stored as keys hold in English
+   * @constant {Object}
+   */
+  LEGACY_STATUS_NOTES: {
+    'Cancelled by customer': 'status.note.cancelledByCustomer',
+    'Reservation expired': 'status.note.reservationExpired',
+    'Collected at counter': 'status.note.collectedAtCounter',
+    'Updated by store': 'status.note.updatedByStore',
+    'Updated at the counter': 'status.note.updatedAtCounter'
+  },
+  
+  /**
+   * Build a canonical order, filling defaults for missing fields
+   * @param {Object} fields - Order fields
+   * @returns {Object} Canonical order
+   */
+  create: (fields = {}) => {
+    const items = (fields.items || []).map(item => {
+      const quantity = parseInt(item.quantity, 10) || 0;
+      const price = Number(item.price) || 0;
+      return {
+        productId: item.productId || null,
+        sku: item.sku || null,
+        name: item.name || '',
+        price,
+        abv: item.abv ?? null,
+        volumeMl: item.volumeMl ?? null,
+        category: item.category || '',
+        image: item.image || '',
+        quantity,
+        subtotal: Number(item.subtotal ?? price * quantity)
+      };
+    });
+    const status = fields.status || CONFIG.ORDER_STATUS.CONFIRMED;
+    const createdAt = fields.createdAt || new Date().toISOString();
+    const eta = fields.eta
+      ? { ...fields.eta, date: fields.eta.date ? new Date(fields.eta.date).toISOString() : null }
+      : null;
+    
+    return {
+      schemaVersion: CONFIG.ORDER_SCHEMA_VERSION,
+      id: fields.id || '',
+      createdAt,
+      updatedAt: fields.updatedAt || null,
+      status,
+      statusHistory: fields.statusHistory || [{ status, at: createdAt }],
+      customer: {
+        name: fields.customer?.name || '',
+        email: fields.customer?.email || '',
+        phone: fields.customer?.phone || '',
+        dateOfBirth: fields.customer?.dateOfBirth || '',
+        company: fields.customer?.company || '',
+        gstin: fields.customer?.gstin || ''
+      },
+      delivery: {
+        address: fields.delivery?.address || '',
+        landmark: fields.delivery?.landmark || '',
+        city: fields.delivery?.city || '',
+        state: fields.delivery?.state || '',
+        pin: fields.delivery?.pin || '',
+        addressType: fields.delivery?.addressType || 'home',
+        instructions: fields.delivery?.instructions || '',
+        preferredDate: fields.delivery?.preferredDate || '',
+        timeSlot: fields.delivery?.timeSlot || 'anytime'
+      },
+      fulfilment: fields.fulfilment === 'pickup' ? 'pickup' : 'delivery',
+      pickup: fields.pickup
+        ? {
+          outletId: fields.pickup.outletId || '',
+          outletName: fields.pickup.outletName || '',
+          address: fields.pickup.address || '',
+          state: fields.pickup.state || '',
+          token: Number(fields.pickup.token) || null
+        }
+        : null,
+      // A gift is handed to someone other than the buyer; `delivery` is their address
+      gift: fields.gift
+        ? {
+          recipient: {
+            name: fields.gift.recipient?.name || '',
+            phone: fields.gift.recipient?.phone || '',
+            dateOfBirth: fields.gift.recipient?.dateOfBirth || ''
+          },
+          message: fields.gift.message || '',
+          wrap: Boolean(fields.gift.wrap),
+          occasion: fields.gift.occasion?.type || fields.gift.occasion?.date
+            ? { type: fields.gift.occasion.type || '', date: fields.gift.occasion.date || '' }
+            : null
+        }
+        : null,
+      // Only the gateway result is kept: `instrument` is already masked and
+      // card numbers or CVVs never reach the order
+      payment: {
+        method: fields.payment?.method || 'cod',
+        status: fields.payment?.status || CONFIG.PAYMENT_STATUS.PENDING,
+        reference: fields.payment?.reference || null,
+        instrument: fields.payment?.instrument || ''
+      },
+      items,
+      itemCount: items.reduce((count, item) => count + item.quantity, 0),
+      pricing: fields.pricing || null,
+      eta,
+      invoice: fields.invoice?.number
+        ? { number: fields.invoice.number, issuedAt: fields.invoice.issuedAt || null }
+        : null,
+      // Signed by the server when it accepts the order
+      code: fields.code || null,
+      totalAmount: Number(fields.totalAmount ?? items.reduce((total, item) => total + item.subtotal, 0))
+    };
+  },
+  
+  /**
+   * Validate a canonical order
+   * @param {Object} order - Order to validate
+   * @returns {Object} { isValid, errors: string[] }
+   */
+  validate: (order) => {
+    const errors = [];
+    
+    if (!order || typeof order !== 'object') {
+      return { isValid: false, errors: ['Order must be an object'] };
+    }
+    if (order.schemaVersion !== CONFIG.ORDER_SCHEMA_VERSION) {
+      errors.push(`Unsupported schema version: ${order.schemaVersion}`);
+    }
+    if (!order.id) {
+      errors.push('Order ID is required');
+    }
+    if (isNaN(new Date(order.createdAt).getTime())) {
+      errors.push('Order date is invalid');
+    }
+    if (!Object.values(CONFIG.ORDER_STATUS).includes(order.status)) {
+      errors.push(`Unknown order status: ${order.status}`);
+    }
+    if (!order.customer?.name) {
+      errors.push('Customer name is required');
+    }
+    if (order.fulfilment === 'pickup' && !order.pickup?.outletId) {
+      errors.push('Pickup orders need an outlet');
+    }
+    if (order.gift && order.fulfilment !== 'delivery') {
+      errors.push('Gift orders must be delivered');
+    }
+    if (order.gift && (!order.gift.recipient?.name || !order.gift.recipient?.phone)) {
+      errors.push("Gift orders need the recipient's name and phone number");
+    }
+    if (!Array.isArray(order.items) || order.items.length === 0) {
+      errors.push('Order must contain at least one item');
+    } else if (order.items.some(item => !item.name || item.quantity < 1 || item.price < 0)) {
+      errors.push('Every item needs a name, a positive quantity and a price');
+    }
+    if (typeof order.totalAmount !== 'number' || isNaN(order.totalAmount) || order.totalAmount < 0) {
+      errors.push('Order total is invalid');
+    }
+    
+    return { isValid: errors.length === 0, errors };
+  },
+  
+  /**
+   * Upgrade any known order shape to the canonical model
+   * @param {Object} raw - Stored or received order data
+   * @returns {Object|null} Canonical order, or null when the shape is unknown
+   */
+  migrate: (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    
+    if (raw.schemaVersion === CONFIG.ORDER_SCHEMA_VERSION) {
+      return OrderModel.create(raw);
+    }
+    
+    // Confirmation page payload: { orderId, product, quantity, total, customer, payment, timestamp }
+    if (raw.orderId) {
+      const quantity = parseInt(raw.quantity, 10) || 1;
+      const total = Number(raw.total) || 0;
+      return OrderModel.create({
+        id: raw.orderId,
+        createdAt: raw.timestamp,
+        status: raw.status,
+        customer: { name: raw.customer?.name, phone: raw.customer?.phone },
+        delivery: {
+          address: raw.customer?.address,
+          city: raw.customer?.city,
+          pin: raw.customer?.pin
+        },
+        payment: { method: raw.payment },
+        items: [{ name: raw.product, price: total / quantity, quantity, subtotal: total }],
+        totalAmount: total
+      });
+    }
+    
+    // script.js booking: flat customer form data plus one product or a list of items
+    if (raw.id && raw.customer) {
+      const { customer } = raw;
+      const items = raw.items || (raw.product ? [{
+        productId: raw.product.id,
+        sku: raw.product.sku || null,
+        name: raw.product.name,
+        price: raw.product.price,
+        abv: raw.product.abv,
+        image: raw.product.image,
+        quantity: parseInt(customer.quantity || customer.qty, 10) || 1
+      }] : []);
+      
+      return OrderModel.create({
+        ...raw,
+        customer: { name: customer.name, email: customer.email, phone: customer.phone },
+        delivery: {
+          address: customer.address,
+          city: customer.city,
+          state: customer.state,
+          pin: customer.pin,
+          preferredDate: customer.deliveryDate,
+          timeSlot: customer.timeSlot
+        },
+        payment: { method: customer.payment },
+        items
+      });
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Serialise an order for storage or transfer
+   * @param {Object} order - Canonical order
+   * @returns {string} JSON string
+   */
+  serialize: (order) => JSON.stringify(order),
+  
+  /**
+   * Parse, migrate and validate serialised order data
+   * @param {string} json - JSON string
+   * @returns {Object|null} Canonical order, or null when invalid
+   */
+  deserialize: (json) => {
+    try {
+      const order = OrderModel.migrate(JSON.parse(json));
+      return order && OrderModel.validate(order).isValid ? order : null;
+    } catch (error) {
+      console.warn('Could not parse order data:', error);
+      return null;
+    }
+  },
+  
+  /**
+   * Name an order item or product size with its bottle size
+   * @param {Object} item - Anything with a name and volumeMl
+   * @returns {string} e.g. "Old Monk Dark Rum (375 ml)"
+   */
+  formatItemName: (item) => (item.volumeMl ? `${item.name} (${formatVolume(item.volumeMl)})` : item.name),
+  
+  /**
+   * Format the delivery address on one line
+   * @param {Object} order - Canonical order
+   * @returns {string}
+   */
+  formatAddress: (order) => {
+    if (order.fulfilment === 'pickup' && order.pickup) {
+      return I18n.t('order.pickupAt', { outlet: order.pickup.outletName, address: order.pickup.address });
+    }
+    const { address, landmark, city, state, pin } = order.delivery;
+    const locality = [city, state].filter(Boolean).join(', ');
+    return [address, landmark, `${locality}${pin ? ` - ${pin}` : ''}`].filter(Boolean).join(', ');
+  },
+  
+  /**
+   * Get the display name of the payment method
+   * @param {Object} order - Canonical order
+   * @returns {string}
+   */
+  formatPayment: (order) => {
+    const { method, instrument } = order.payment;
+    const label = OrderModel.PAYMENT_LABELS[method] ? I18n.t(OrderModel.PAYMENT_LABELS[method]) : method.toUpperCase();
+    return instrument ? `${label} (${instrument})` : label;
+  },
+  
+  /**
+   * Translate a status history note. Notes are message keys; any other text
+   * is shown as it was recorded.
+   * @param {string} note - Note from a status history entry
+   * @returns {string}
+   */
+  formatStatusNote: (note) => {
+    const key = OrderModel.LEGACY_STATUS_NOTES[note] || note;
+    return key in I18N_MESSAGES.en ? I18n.t(key) : note;
+  },
+  
+  /**
+   * Get the person an order is handed to: the gift recipient, or the buyer
+   * @param {Object} order - Canonical order
+   * @returns {Object} { name, phone, dateOfBirth }
+   */
+  getRecipient: (order) => order.gift?.recipient || order.customer,
+  
+  /**
+   * Get the day an order is due, falling back to the day it was placed
+   * @param {Object} order - Canonical order
+   * @returns {string} YYYY-MM-DD
+   */
+  getDeliveryDateKey: (order) => order.eta?.dateKey || DeliveryScheduler.toDateKey(new Date(order.createdAt)),
+  
+  /**
+   * Export orders as CSV
+   * @param {Array} orders - Canonical orders
+   * @returns {string} CSV text with a header row
+   */
+  toCSV: (orders) => {
+    const columns = [
+      ['Order ID', order => order.id],
+      ['Placed', order => order.createdAt],
+      ['Status', order => order.status],
+      ['Customer', order => order.customer.name],
+      ['Phone', order => order.customer.phone],
+      ['Email', order => order.customer.email],
+      ['Gift For', order => (order.gift ? `${order.gift.recipient.name} (${order.gift.recipient.phone})` : '')],
+      ['Gift Message', order => order.gift?.message || ''],
+      ['Delivery Date', order => OrderModel.getDeliveryDateKey(order)],
+      ['Time Slot', order => order.eta?.slot?.label || ''],
+      ['Address', order => OrderModel.formatAddress(order)],
+      ['Items', order => order.items.map(item => `${item.quantity} x ${OrderModel.formatItemName(item)}`).join('; ')],
+      ['Bottles', order => order.itemCount],
+      ['Discount', order => order.pricing?.discountTotal || 0],
+      ['Total', order => order.totalAmount],
+      ['Payment', order => OrderModel.formatPayment(order)],
+      ['Payment Status', order => order.payment.status || ''],
+      ['Payment Reference', order => order.payment.reference || '']
+    ];
+    
+    // Quote every cell and neutralise spreadsheet formulas
+    const toCell = (value) => {
+      const text = String(value ?? '');
+      const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+      return `"${safe.replace(/"/g, '""')}"`;
+    };
+    
+    return [
+      columns.map(([header]) => toCell(header)).join(','),
+      ...orders.map(order => columns.map(([, getValue]) => toCell(getValue(order))).join(','))
+    ].join('\r\n');
+  }
+};
+
+/**
+ * Order ledger module
+ *
+ * Keeps every booking placed from this browser, keyed by order ID, and
+ * moves orders through the status lifecycle in CONFIG.ORDER_TRANSITIONS.
+ */
+const OrderLedger = {
+  /**
+   * Stored entries as they are. Until an order list is saved, the single
+   * booking kept by earlier versions stands in for it.
+   * @returns {Array} Raw entries
+   */
+  readStored: () => {
+    const orders = Storage.getItem(CONFIG.STORAGE_KEYS.ORDERS);
+    if (Array.isArray(orders)) return orders;
+    
+    const legacyBooking = Storage.getItem(CONFIG.STORAGE_KEYS.BOOKING_DATA);
+    return legacyBooking ? [legacyBooking] : [];
+  },
+  
+  /**
+   * Read a stored entry as a canonical order
+   * @param {Object} entry - Raw entry
+   * @returns {Object|null} Order, or null when the entry is unreadable
+   */
+  readEntry: (entry) => {
+    const order = OrderModel.migrate(entry);
+    return order && OrderModel.validate(order).isValid ? order : null;
+  },
+  
+  /**
+   * Get all orders, newest first. Reading never writes: older shapes are
+   * upgraded in memory, and unreadable entries are skipped but stay stored.
+   * @returns {Array} Orders
+   */
+  getAll: () => OrderLedger.readStored()
+    .map(OrderLedger.readEntry)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+  
+  /**
+   * Persist the full order list. Stored entries that getAll skips are kept
+   * after it, so a record this version cannot read is never lost.
+   * @param {Array} orders - Orders to store
+   * @returns {boolean} Success status
+   */
+  saveAll: (orders) => {
+    const unreadable = OrderLedger.readStored().filter(entry => !OrderLedger.readEntry(entry));
+    const success = Storage.setItem(CONFIG.STORAGE_KEYS.ORDERS, [...orders, ...unreadable]);
+    if (success) {
+      // The legacy booking is now part of the list
+      Storage.removeItem(CONFIG.STORAGE_KEYS.BOOKING_DATA);
+    }
+    return success;
+  },
+  
+  /**
+   * Add a new order to the ledger
+   * @param {Object} order - Canonical order from OrderModel.create
+   * @returns {boolean} Success status
+   */
+  add: (order) => {
+    const validation = OrderModel.validate(order);
+    if (!validation.isValid) {
+      console.error('Refusing to store invalid order:', validation.errors);
+      return false;
+    }
+    
+    const orders = OrderLedger.getAll();
+    const success = OrderLedger.saveAll([order, ...orders]);
+    if (success) {
+      Storage.setItem(CONFIG.STORAGE_KEYS.LAST_ORDER_ID, order.id);
+    }
+    return success;
+  },
+  
+  /**
+   * Insert or replace an order, e.g. when caching a server copy
+   * @param {Object} order - Canonical order
+   * @returns {boolean} Success status
+   */
+  upsert: (order) => {
+    const orders = OrderLedger.getAll();
+    const index = orders.findIndex(entry => entry.id === order.id);
+    if (index === -1) {
+      return OrderLedger.add(order);
+    }
+    orders[index] = order;
+    return OrderLedger.saveAll(orders);
+  },
+  
+  /**
+   * Find an order by ID (case-insensitive)
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} Order or null
+   */
+  getById: (orderId) => {
+    const searchId = (orderId || '').trim().toUpperCase();
+    return OrderLedger.getAll().find(order => order.id.toUpperCase() === searchId) || null;
+  },
+  
+  /**
+   * Get the most recently placed order
+   * @returns {Object|null} Order or null
+   */
+  getLastOrder: () => {
+    const lastOrderId = Storage.getItem(CONFIG.STORAGE_KEYS.LAST_ORDER_ID);
+    return (lastOrderId && OrderLedger.getById(lastOrderId)) || OrderLedger.getAll()[0] || null;
+  },
+  
+  /**
+   * Find orders placed with a phone number
+   * @param {string} phone - Phone number, with or without +91 and spaces
+   * @returns {Array} Matching orders, newest first
+   */
+  findByPhone: (phone) => {
+    const digits = (phone || '').replace(/\D/g, '').slice(-10);
+    if (digits.length !== 10) return [];
+    return OrderLedger.getAll().filter(order =>
+      (order.customer?.phone || '').replace(/\D/g, '').slice(-10) === digits
+    );
+  },
+  
+  /**
+   * Find orders handed to a phone number: the buyer's own orders and gifts
+   * sent to them, but not gifts they sent to others
+   * @param {string} phone - Phone number, with or without +91 and spaces
+   * @returns {Array} Matching orders, newest first
+   */
+  findByRecipient: (phone) => {
+    const digits = (phone || '').replace(/\D/g, '').slice(-10);
+    if (digits.length !== 10) return [];
+    return OrderLedger.getAll().filter(order =>
+      (OrderModel.getRecipient(order).phone || '').replace(/\D/g, '').slice(-10) === digits
+    );
+  },
+
+  /**
+   * Look up orders by order ID or phone number
+   * @param {string} query - Order ID or phone number
+   * @returns {Array} Matching orders
+   */
+  lookup: (query) => {
+    const byId = OrderLedger.getById(query);
+    return byId ? [byId] : OrderLedger.findByPhone(query);
+  },
+  
+  /**
+   * Check whether a status change is allowed
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean}
+   */
+  canTransition: (fromStatus, toStatus) => {
+    return (CONFIG.ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  },
+  
+  /**
+   * Free or consume the resources an order holds after a status change
+   * @param {Object} order - Canonical order
+   * @param {string} status - New status
+   */
+  applyStatusEffects: (order, status) => {
+    // Free the delivery slot and stock when an order will not be fulfilled
+    if (status === CONFIG.ORDER_STATUS.CANCELLED || status === CONFIG.ORDER_STATUS.EXPIRED) {
+      if (order.eta?.dateKey && order.eta.slot) {
+        DeliveryScheduler.releaseSlot(order.eta.dateKey, order.eta.slot.id);
+      }
+      InventoryManager.release(order.id);
+    }
+    
+    if (status === CONFIG.ORDER_STATUS.DELIVERED) {
+      InventoryManager.commit(order.id);
+    }
+  },
+  
+  /**
+   * Move an order to a new status
+   * @param {string} orderId - Order ID
+   * @param {string} status - New status
+   * @param {Object} options - { note: message key, now: Date }
+   * @returns {Object} { success, order, error }
+   */
+  updateStatus: (orderId, status, options = {}) => {
+    const orders = OrderLedger.getAll();
+    const order = orders.find(entry => entry.id === orderId);
+    
+    if (!order) {
+      return { success: false, order: null, error: `Order ${orderId} not found` };
+    }
+    
+    if (!OrderLedger.canTransition(order.status, status)) {
+      return {
+        success: false,
+        order,
+        error: `Cannot change order from ${order.status} to ${status}`
+      };
+    }
+    
+    const at = (options.now || new Date()).toISOString();
+    order.status = status;
+    order.updatedAt = at;
+    order.statusHistory = [
+      ...(order.statusHistory || []),
+      { status, at, ...(options.note ? { note: options.note } : {}) }
+    ];
+    
+    OrderLedger.applyStatusEffects(order, status);
+    
+    const success = OrderLedger.saveAll(orders);
+    return {
+      success,
+      order,
+      error: success ? null : 'Failed to update order. Please try again.'
+    };
+  }
+};
+
+/**
+ * Customer profile module
+ *
+ * Remembers the contact details, delivery addresses and payment method of
+ * the customer using this browser, so the order form can fill them in.
+ * Addresses are labelled like the order form's address type (home, office,
+ * other) and one of them is the default. Card numbers and UPI IDs are never
+ * stored; only the payment method is.
+ */
+const CustomerProfile = {
+  /**
+   * Get the saved profile
+   * @returns {Object|null} { contact, addresses, defaultAddressId, paymentMethod, updatedAt }
+   */
+  get: () => {
+    const profile = Storage.getItem(CONFIG.STORAGE_KEYS.CUSTOMER_PROFILE);
+    if (!profile || typeof profile !== 'object') return null;
+    
+    const addresses = Array.isArray(profile.addresses) ? profile.addresses : [];
+    return {
+      contact: profile.contact || {},
+      addresses,
+      defaultAddressId: addresses.some(address => address.id === profile.defaultAddressId)
+        ? profile.defaultAddressId
+        : addresses[0]?.id || null,
+      paymentMethod: profile.paymentMethod || null,
+      updatedAt: profile.updatedAt || null
+    };
+  },
+  
+  /**
+   * Persist the profile
+   * @param {Object} profile - Profile fields
+   * @returns {boolean} Success status
+   */
+  save: (profile) => Storage.setItem(CONFIG.STORAGE_KEYS.CUSTOMER_PROFILE, {
+    ...profile,
+    updatedAt: new Date().toISOString()
+  }),
+  
+  /**
+   * Get the saved profile, or an empty one to start from
+   * @returns {Object}
+   */
+  getOrCreate: () => CustomerProfile.get() || {
+    contact: {},
+    addresses: [],
+    defaultAddressId: null,
+    paymentMethod: null
+  },
+  
+  /**
+   * Get a saved address
+   * @param {string} addressId - Address ID
+   * @returns {Object|null} Address or null
+   */
+  getAddress: (addressId) => {
+    return CustomerProfile.get()?.addresses.find(address => address.id === addressId) || null;
+  },
+  
+  /**
+   * Get the default delivery address
+   * @returns {Object|null} Address or null
+   */
+  getDefaultAddress: () => {
+    const profile = CustomerProfile.get();
+    return profile?.addresses.find(address => address.id === profile.defaultAddressId) || null;
+  },
+  
+  /**
+   * Validate a delivery address
+   * @param {Object} fields - { label, address, landmark, city, state, pin }
+   * @returns {Object} { isValid, errors: { field: message } }
+   */
+  validateAddress: (fields) => {
+    const errors = {};
+    
+    if (!CONFIG.PROFILE.ADDRESS_LABELS.includes(fields.label)) {
+      errors.label = `Address label must be one of: ${CONFIG.PROFILE.ADDRESS_LABELS.join(', ')}`;
+    }
+    
+    const addressValidation = Validator.validateAddress(fields.address);
+    if (!addressValidation.isValid) {
+      errors.address = addressValidation.message;
+    }
+    
+    if (!(fields.city || '').trim()) {
+      errors.city = I18n.t('validation.city');
+    }
+    
+    if (!fields.state) {
+      errors.state = I18n.t('validation.state');
+    }
+    
+    const pinValidation = Validator.validatePIN(fields.pin);
+    if (!pinValidation.isValid) {
+      errors.pin = pinValidation.message;
+    }
+    
+    return { isValid: Object.keys(errors).length === 0, errors };
+  },
+  
+  /**
+   * Add or update a delivery address. An address matching a saved one with
+   * the same label is updated in place.
+   * @param {Object} fields - { id, label, address, landmark, city, state, pin }
+   * @param {Object} options - { makeDefault }
+   * @returns {Object} { success, address, errors }
+   */
+  saveAddress: (fields, { makeDefault = false } = {}) => {
+    const validation = CustomerProfile.validateAddress(fields);
+    if (!validation.isValid) {
+      return { success: false, address: null, errors: validation.errors };
+    }
+    
+    const profile = CustomerProfile.getOrCreate();
+    const normalise = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+    const existing = profile.addresses.find(saved => saved.id === fields.id || (
+      saved.label === fields.label &&
+      saved.pin === fields.pin.trim() &&
+      normalise(saved.address) === normalise(fields.address)
+    ));
+    
+    const address = {
+      id: existing?.id || `addr-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      label: fields.label,
+      address: fields.address.trim(),
+      landmark: (fields.landmark || '').trim(),
+      city: fields.city.trim(),
+      state: fields.state,
+      pin: fields.pin.trim()
+    };
+    
+    // Most recently used first; the oldest address other than the default makes room
+    const addresses = [address, ...profile.addresses.filter(saved => saved.id !== address.id)];
+    const defaultAddressId = makeDefault || !profile.defaultAddressId ? address.id : profile.defaultAddressId;
+    if (addresses.length > CONFIG.PROFILE.MAX_ADDRESSES) {
+      addresses.splice(addresses.findLastIndex(saved => saved.id !== defaultAddressId), 1);
+    }
+    
+    const success = CustomerProfile.save({ ...profile, addresses, defaultAddressId });
+    return { success, address: success ? address : null, errors: {} };
+  },
+  
+  /**
+   * Make a saved address the default
+   * @param {string} addressId - Address ID
+   * @returns {boolean} Success status
+   */
+  setDefaultAddress: (addressId) => {
+    const profile = CustomerProfile.get();
+    if (!profile?.addresses.some(address => address.id === addressId)) return false;
+    return CustomerProfile.save({ ...profile, defaultAddressId: addressId });
+  },
+  
+  /**
+   * Forget a saved address; the next one becomes the default if needed
+   * @param {string} addressId - Address ID
+   * @returns {boolean} Success status
+   */
+  removeAddress: (addressId) => {
+    const profile = CustomerProfile.get();
+    if (!profile) return false;
+    
+    const addresses = profile.addresses.filter(address => address.id !== addressId);
+    return CustomerProfile.save({
+      ...profile,
+      addresses,
+      defaultAddressId: profile.defaultAddressId === addressId ? addresses[0]?.id || null : profile.defaultAddressId
+    });
+  },
+  
+  /**
+   * Remember the details of a placed order for next time
+   * @param {Object} order - Canonical order
+   * @returns {boolean} Success status
+   */
+  rememberOrder: (order) => {
+    const { customer, delivery, payment } = order;
+    const profile = CustomerProfile.getOrCreate();
+    const saved = CustomerProfile.save({
+      ...profile,
+      contact: {
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        dateOfBirth: customer.dateOfBirth || '',
+        company: customer.company || '',
+        gstin: customer.gstin || ''
+      },
+      paymentMethod: payment.method
+    });
+    
+    // A gift's address is the recipient's, not the customer's
+    if (!saved || order.fulfilment !== 'delivery' || order.gift) return saved;
+    return CustomerProfile.saveAddress({ ...delivery, label: delivery.addressType }).success;
+  },
+  
+  /**
+   * Forget everything saved about the customer
+   * @returns {boolean} Success status
+   */
+  clear: () => Storage.removeItem(CONFIG.STORAGE_KEYS.CUSTOMER_PROFILE),
+  
+  /**
+   * Describe an address for a picker
+   * @param {Object} address - Saved address
+   * @returns {string} e.g. "Home: 12 MG Road, Kochi"
+   */
+  formatAddress: (address) => I18n.t('profile.addressOption', {
+    label: I18n.t(`profile.label.${address.label}`),
+    address: address.address.split('\n')[0],
+    city: address.city
+  })
+};
+
+/**
+ * Product reviews. Customers review the products of their delivered orders,
+ * once per product, with a star rating, tasting notes and a comment. Reviews
+ * are stored through ApiClient like orders; those loaded for the page are
+ * cached here so the menu can show and sort by average rating. Reviews with
+ * a blocked word are held for moderation, and customers can report abusive
+ * ones for staff to hide.
+ */
+const ReviewManager = {
+  /**
+   * Reviews loaded by `load`, newest first, whatever their status
+   * @type {Array}
+   */
+  reviews: [],
+  
+  /**
+   * Load every review through the API client
+   * @returns {Promise<Array>} Reviews
+   */
+  load: async () => {
+    try {
+      ReviewManager.reviews = await ApiClient.listReviews();
+    } catch (error) {
+      console.error('Review load error:', error);
+    }
+    return ReviewManager.reviews;
+  },
+  
+  /**
+   * Swap an updated review into the cache
+   * @param {Object} review - Review returned by the API
+   */
+  replace: (review) => {
+    ReviewManager.reviews = ReviewManager.reviews.map(entry => (entry.id === review.id ? review : entry));
+  },
+  
+  /**
+   * Get a product's published reviews, newest first
+   * @param {string} productId - Product ID
+   * @returns {Array} Reviews
+   */
+  getPublished: (productId) => ReviewManager.reviews.filter(review =>
+    review.productId === productId && review.status === CONFIG.REVIEWS.STATUS.PUBLISHED
+  ),
+  
+  /**
+   * Average a product's published ratings
+   * @param {string} productId - Product ID
+   * @returns {Object} { average, count }; average has one decimal, 0 without reviews
+   */
+  getSummary: (productId) => {
+    const published = ReviewManager.getPublished(productId);
+    const total = published.reduce((sum, review) => sum + review.rating, 0);
+    return {
+      average: published.length ? Math.round((total / published.length) * 10) / 10 : 0,
+      count: published.length
+    };
+  },
+  
+  /**
+   * Find a customer's review of a product, whatever its status
+   * @param {string} phone - Customer phone number
+   * @param {string} productId - Product ID
+   * @returns {Object|null} Review
+   */
+  findByCustomer: (phone, productId) => {
+    const digits = (phone || '').replace(/\D/g, '').slice(-10);
+    return ReviewManager.reviews.find(review =>
+      review.productId === productId && (review.customer.phone || '').replace(/\D/g, '').slice(-10) === digits
+    ) || null;
+  },
+  
+  /**
+   * List the products of an order that its customer can review. Only
+   * delivered orders qualify; products they already reviewed are marked.
+   * @param {Object} order - Canonical order
+   * @returns {Array} [{ productId, name, reviewed }]
+   */
+  getReviewableItems: (order) => {
+    if (order.status !== CONFIG.ORDER_STATUS.DELIVERED) return [];
+    
+    const seen = new Set();
+    return (order.items || [])
+      .filter(item => item.productId && !seen.has(item.productId) && seen.add(item.productId))
+      .map(item => ({
+        productId: item.productId,
+        name: item.name,
+        reviewed: Boolean(ReviewManager.findByCustomer(order.customer.phone, item.productId))
+      }));
+  },
+  
+  /**
+   * Build a canonical review of one of an order's products
+   * @param {Object} order - Delivered order
+   * @param {string} productId - Product ID
+   * @param {Object} value - Fields from Validator.validateReview
+   * @returns {Object} Review
+   */
+  create: (order, productId, { rating, tastingNotes, comment }) => {
+    const item = order.items.find(entry => entry.productId === productId);
+    const held = [comment, ...Object.values(tastingNotes)].some(text => Validator.containsBlockedWord(text));
+    return {
+      id: `REV-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase(),
+      productId,
+      productName: item.name,
+      orderId: order.id,
+      customer: { name: order.customer.name, phone: order.customer.phone },
+      rating,
+      tastingNotes,
+      comment,
+      status: held ? CONFIG.REVIEWS.STATUS.PENDING : CONFIG.REVIEWS.STATUS.PUBLISHED,
+      reports: 0,
+      createdAt: new Date().toISOString()
+    };
+  },
+  
+  /**
+   * Validate and post a review of a product from a delivered order
+   * @param {Object} fields - { orderId, productId, rating, nose, palate, finish, comment }
+   * @returns {Promise<Object>} { success, review, errors, error }
+   */
+  submit: async (fields) => {
+    const validation = Validator.validateReview(fields);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+    
+    const order = await ApiClient.getOrder(fields.orderId).catch(() => OrderLedger.getById(fields.orderId));
+    const item = order?.items.find(entry => entry.productId === fields.productId);
+    const name = item?.name || ProductManager.getProductById(fields.productId)?.name || fields.productId;
+    if (!item || order.status !== CONFIG.ORDER_STATUS.DELIVERED) {
+      return { success: false, error: I18n.t('reviews.notDelivered', { name }) };
+    }
+    if (ReviewManager.findByCustomer(order.customer.phone, fields.productId)) {
+      return { success: false, error: I18n.t('reviews.duplicate', { name }) };
+    }
+    
+    try {
+      const review = await ApiClient.createReview(ReviewManager.create(order, fields.productId, validation.value));
+      ReviewManager.reviews = [review, ...ReviewManager.reviews];
+      return { success: true, review };
+    } catch (error) {
+      return { success: false, error: I18n.error(error, 'reviews.saveFailed', { name }) };
+    }
+  },
+  
+  /**
+   * Check whether this browser has reported a review
+   * @param {string} reviewId - Review ID
+   * @returns {boolean}
+   */
+  isReported: (reviewId) => (Storage.getItem(CONFIG.STORAGE_KEYS.REVIEW_REPORTS) || []).includes(reviewId),
+  
+  /**
+   * Report a review as abusive so it shows in the moderation queue. Each
+   * browser reports a review once.
+   * @param {string} reviewId - Review ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  report: async (reviewId) => {
+    if (ReviewManager.isReported(reviewId)) return { success: true, error: null };
+    
+    try {
+      ReviewManager.replace(await ApiClient.reportReview(reviewId));
+      const reported = Storage.getItem(CONFIG.STORAGE_KEYS.REVIEW_REPORTS) || [];
+      Storage.setItem(CONFIG.STORAGE_KEYS.REVIEW_REPORTS, [...reported, reviewId]);
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: I18n.error(error, 'reviews.reportFailed') };
+    }
+  },
+  
+  /**
+   * Reviews waiting for staff: held ones, and published ones customers reported
+   * @returns {Array} Reviews, newest first
+   */
+  getModerationQueue: () => ReviewManager.reviews.filter(review =>
+    review.status === CONFIG.REVIEWS.STATUS.PENDING ||
+    (review.status === CONFIG.REVIEWS.STATUS.PUBLISHED && review.reports > 0)
+  ),
+  
+  /**
+   * Publish or hide a review. Publishing clears its reports.
+   * @param {string} reviewId - Review ID
+   * @param {string} status - CONFIG.REVIEWS.STATUS.PUBLISHED or HIDDEN
+   * @param {string} note - Moderation note
+   * @returns {Promise<Object>} { success, review, error }
+   */
+  moderate: async (reviewId, status, note) => {
+    try {
+      const review = await ApiClient.updateReviewStatus(reviewId, status, note);
+      ReviewManager.replace(review);
+      return { success: true, review };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Shorten a reviewer's name for public display
+   * @param {string} name - Full name
+   * @returns {string} e.g. "Ravi K."
+   */
+  formatAuthor: (name) => {
+    const [first = '', ...rest] = (name || '').trim().split(/\s+/);
+    const last = rest.pop();
+    return last ? `${first} ${last.charAt(0).toUpperCase()}.` : first;
+  },
+  
+  /**
+   * Draw a rating as stars
+   * @param {number} rating - Rating, rounded to whole stars
+   * @returns {string} e.g. "★★★★☆"
+   */
+  formatStars: (rating) => {
+    const full = Math.round(rating);
+    return '★'.repeat(full) + '☆'.repeat(CONFIG.REVIEWS.RATING_MAX - full);
+  }
+};
+
+/* ========================================
+   DATA ACCESS
+   ======================================== */
+
+/**
+ * Create an API error
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status (0 for network failures)
+ * @param {string} [code] - Message key for customers, see I18n.error
+ * @returns {Error}
+ */
+const createApiError = (message, status = 0, code = null) =>
+  Object.assign(new Error(message), { name: 'ApiError', status, code });
+
+/**
+ * Offline adapter backed by the catalog file and the local order ledger
+ */
+const OfflineAdapter = {
+  name: 'offline',
+  
+  /**
+   * Pending or resolved catalog file, read once per page load
+   * @type {Promise<Object>|null}
+   */
+  fileCatalog: null,
+  
+  /**
+   * Catalog file from CONFIG.CATALOG.URL. Pages opened from disk cannot fetch
+   * it, and a file that fails validation is not used; both fall back to the
+   * bundled catalog.
+   * @returns {Promise<Object>} { products, offers }
+   */
+  getFileCatalog: () => {
+    if (!OfflineAdapter.fileCatalog) {
+      OfflineAdapter.fileCatalog = /^https?:$/.test(window.location.protocol)
+        ? CatalogSchema.load(CONFIG.CATALOG.URL)
+          .then(catalog => ({ products: catalog.products, offers: catalog.offers || PRODUCT_CATALOG.offers }))
+          .catch(error => {
+            console.error(`Catalog file error, using bundled catalog: ${error.message}`);
+            return PRODUCT_CATALOG;
+          })
+        : Promise.resolve(PRODUCT_CATALOG);
+    }
+    return OfflineAdapter.fileCatalog;
+  },
+  
+  /**
+   * Catalog edited in the admin console, or the catalog file
+   * @returns {Promise<Object>} { products, offers }
+   */
+  getStoredCatalog: async () => {
+    const stored = Storage.getItem(CONFIG.STORAGE_KEYS.CATALOG);
+    const file = await OfflineAdapter.getFileCatalog();
+    return {
+      products: [...(stored?.products || file.products)],
+      offers: [...(stored?.offers || file.offers)]
+    };
+  },
+  
+  /**
+   * Insert, replace or remove an entry in the stored catalog
+   * @param {string} collection - 'products' or 'offers'
+   * @param {string} id - Entry ID
+   * @param {Object|null} entry - New entry, or null to remove
+   * @returns {Promise<Object|null>} Saved entry
+   */
+  updateStoredCatalog: async (collection, id, entry) => {
+    const catalog = await OfflineAdapter.getStoredCatalog();
+    const index = catalog[collection].findIndex(item => item.id === id);
+    
+    if (!entry && index === -1) throw createApiError(`${id} not found`, 404);
+    if (!entry) {
+      catalog[collection].splice(index, 1);
+    } else if (index === -1) {
+      catalog[collection].push(entry);
+    } else {
+      catalog[collection][index] = entry;
+    }
+    
+    if (!Storage.setItem(CONFIG.STORAGE_KEYS.CATALOG, catalog)) {
+      throw createApiError('Failed to save the catalog. Please try again.', 500);
+    }
+    return entry;
+  },
+  
+  getCatalog: async () => (await OfflineAdapter.getStoredCatalog()).products,
+  
+  getOffers: async () => (await OfflineAdapter.getStoredCatalog()).offers,
+  
+  saveProduct: (product) => OfflineAdapter.updateStoredCatalog('products', product.id, product),
+  
+  deleteProduct: async (productId) => {
+    await OfflineAdapter.updateStoredCatalog('products', productId, null);
+  },
+  
+  saveOffer: (offer) => OfflineAdapter.updateStoredCatalog('offers', offer.id, offer),
+  
+  deleteOffer: async (offerId) => {
+    await OfflineAdapter.updateStoredCatalog('offers', offerId, null);
+  },
+  
+  getComplianceRules: async () => COMPLIANCE_RULES,
+  
+  listOrders: async (filters = {}) => {
+    let orders = filters.phone ? OrderLedger.findByPhone(filters.phone) : OrderLedger.getAll();
+    if (filters.recipient) {
+      const received = new Set(OrderLedger.findByRecipient(filters.recipient).map(order => order.id));
+      orders = orders.filter(order => received.has(order.id));
+    }
+    if (filters.status) {
+      orders = orders.filter(order => order.status === filters.status);
+    }
+    return orders;
+  },
+  
+  getOrder: async (orderId) => {
+    const order = OrderLedger.getById(orderId);
+    if (!order) throw createApiError(`Order ${orderId} not found`, 404);
+    return order;
+  },
+  
+  createOrder: async (order) => {
+    const booked = PickupScheduler.assignToken(order, OrderLedger.getAll());
+    if (!OrderLedger.add(booked)) {
+      throw createApiError('Failed to save order. Please try again.', 500, 'order.saveFailed');
+    }
+    return booked;
+  },
+  
+  issueInvoice: async (orderId) => {
+    const order = await OfflineAdapter.getOrder(orderId);
+    if (order.invoice) return order;
+    
+    const issuedAt = new Date();
+    const invoiced = { ...order, invoice: { number: InvoiceManager.takeLocalNumber(issuedAt), issuedAt: issuedAt.toISOString() } };
+    if (!OrderLedger.upsert(invoiced)) {
+      throw createApiError('Failed to save the invoice number. Please try again.', 500);
+    }
+    return invoiced;
+  },
+  
+  updateOrderStatus: async (orderId, status, note) => {
+    const result = OrderLedger.updateStatus(orderId, status, { note });
+    if (!result.success) {
+      throw createApiError(result.error, result.order ? 409 : 404);
+    }
+    return result.order;
+  },
+  
+  verifyOrderCode: async (code) => {
+    const parts = OrderCode.split(code);
+    if (!parts) throw createApiError('This is not a Wrong Pour order code', 422);
+    
+    const order = await OfflineAdapter.getOrder(parts.orderId);
+    // Orders cached from the server carry its signed code; others the local checksum
+    const isValid = order.code
+      ? OrderCode.split(order.code)?.checksum === parts.checksum
+      : OrderCode.parse(code).isValid;
+    if (!isValid) throw createApiError('The code was mistyped or altered', 422);
+    return order;
+  },
+  
+  collectOrder: async (code) => {
+    const order = await OfflineAdapter.verifyOrderCode(code);
+    const error = OrderManager.getCollectionError(order);
+    if (error) throw createApiError(error, 409);
+    
+    // Every status on the way is saved at once, so a failure leaves the order as it was
+    const at = new Date().toISOString();
+    const collected = {
+      ...order,
+      status: CONFIG.ORDER_STATUS.DELIVERED,
+      updatedAt: at,
+      statusHistory: [
+        ...(order.statusHistory || []),
+        ...OrderManager.getCollectionPath(order.status).map(status => ({ status, at, note: 'status.note.collectedAtCounter' }))
+      ]
+    };
+    if (!OrderLedger.upsert(collected)) {
+      throw createApiError('Failed to update order. Please try again.', 500);
+    }
+    OrderLedger.applyStatusEffects(collected, CONFIG.ORDER_STATUS.DELIVERED);
+    return collected;
+  },
+  
+  /**
+   * Reviews saved in this browser, newest first
+   * @returns {Array} Reviews
+   */
+  getStoredReviews: () => Storage.getItem(CONFIG.STORAGE_KEYS.REVIEWS) || [],
+  
+  /**
+   * Change a stored review
+   * @param {string} reviewId - Review ID
+   * @param {Function} update - Receives the review and returns its new version
+   * @returns {Promise<Object>} Saved review
+   */
+  updateStoredReview: async (reviewId, update) => {
+    const reviews = OfflineAdapter.getStoredReviews();
+    const index = reviews.findIndex(review => review.id === reviewId);
+    if (index === -1) throw createApiError(`Review ${reviewId} not found`, 404);
+    
+    reviews[index] = update(reviews[index]);
+    if (!Storage.setItem(CONFIG.STORAGE_KEYS.REVIEWS, reviews)) {
+      throw createApiError('Failed to save the review. Please try again.', 500);
+    }
+    return reviews[index];
+  },
+  
+  listReviews: async (filters = {}) => OfflineAdapter.getStoredReviews().filter(review =>
+    (!filters.productId || review.productId === filters.productId) &&
+    (!filters.status || review.status === filters.status)
+  ),
+  
+  createReview: async (review) => {
+    const order = OrderLedger.getById(review.orderId);
+    if (order?.status !== CONFIG.ORDER_STATUS.DELIVERED || !order.items.some(item => item.productId === review.productId)) {
+      throw createApiError('Only products from a delivered order can be reviewed', 422, 'reviews.notDelivered');
+    }
+    
+    const reviews = OfflineAdapter.getStoredReviews();
+    const phone = order.customer.phone.replace(/\D/g, '').slice(-10);
+    if (reviews.some(entry => entry.productId === review.productId && entry.customer.phone.replace(/\D/g, '').slice(-10) === phone)) {
+      throw createApiError('This customer has already reviewed this product', 409, 'reviews.duplicate');
+    }
+    
+    const saved = { ...review, customer: { name: order.customer.name, phone: order.customer.phone } };
+    if (!Storage.setItem(CONFIG.STORAGE_KEYS.REVIEWS, [saved, ...reviews])) {
+      throw createApiError('Failed to save the review', 500, 'reviews.saveFailed');
+    }
+    return saved;
+  },
+  
+  updateReviewStatus: (reviewId, status, note) => {
+    const { PUBLISHED, HIDDEN } = CONFIG.REVIEWS.STATUS;
+    if (![PUBLISHED, HIDDEN].includes(status)) {
+      return Promise.reject(createApiError(`Reviews cannot be marked ${status}`, 422));
+    }
+    return OfflineAdapter.updateStoredReview(reviewId, review => ({
+      ...review,
+      status,
+      reports: status === PUBLISHED ? 0 : review.reports,
+      moderatedAt: new Date().toISOString(),
+      ...(note ? { moderationNote: note } : {})
+    }));
+  },
+  
+  reportReview: (reviewId) => OfflineAdapter.updateStoredReview(reviewId, review => ({
+    ...review,
+    reports: (review.reports || 0) + 1
+  })),
+  
+  hasAdminPasscode: async () => Boolean(Storage.getItem(CONFIG.STORAGE_KEYS.ADMIN_PASSCODE)),
+  
+  setAdminPasscode: async (hash) => {
+    if (!Storage.setItem(CONFIG.STORAGE_KEYS.ADMIN_PASSCODE, hash)) {
+      throw createApiError('Failed to save the passcode', 500);
+    }
+    return { isSet: true };
+  },
+  
+  checkAdminPasscode: async (hash) => hash === Storage.getItem(CONFIG.STORAGE_KEYS.ADMIN_PASSCODE)
+};
+
+/**
+ * HTTP adapter for the local REST backend (server.js). Orders it returns are
+ * cached in the local ledger so "My Orders" keeps working offline.
+ */
+const HttpAdapter = {
+  name: 'http',
+  
+  /**
+   * Perform a JSON request against the API. Requests from a tab with the
+   * admin console unlocked carry the passcode digest.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below CONFIG.API.BASE_URL
+   * @param {Object} body - Request body
+   * @param {Object} headers - Extra request headers
+   * @returns {Promise<*>} Parsed response
+   */
+  request: async (method, path, body, headers = {}) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.API.TIMEOUT_MS);
+    const credential = AdminSession.getCredential();
+    
+    let response;
+    try {
+      response = await fetch(`${CONFIG.API.BASE_URL}${path}`, {
+        method,
+        headers: {
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...(credential ? { [CONFIG.ADMIN.HEADER]: credential } : {}),
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw createApiError(error.name === 'AbortError' ? 'The server took too long to respond' : 'Could not reach the server');
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw createApiError(payload?.error || `Request failed with status ${response.status}`, response.status, payload?.code);
+    }
+    return payload;
+  },
+  
+  getCatalog: () => HttpAdapter.request('GET', '/catalog'),
+  
+  getOffers: () => HttpAdapter.request('GET', '/offers'),
+  
+  getComplianceRules: () => HttpAdapter.request('GET', '/compliance'),
+  
+  saveProduct: (product) => HttpAdapter.request('PUT', `/products/${encodeURIComponent(product.id)}`, product),
+  
+  deleteProduct: (productId) => HttpAdapter.request('DELETE', `/products/${encodeURIComponent(productId)}`),
+  
+  saveOffer: (offer) => HttpAdapter.request('PUT', `/offers/${encodeURIComponent(offer.id)}`, offer),
+  
+  deleteOffer: (offerId) => HttpAdapter.request('DELETE', `/offers/${encodeURIComponent(offerId)}`),
+  
+  listOrders: async (filters = {}) => {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    const orders = await HttpAdapter.request('GET', `/orders${query ? `?${query}` : ''}`);
+    return orders.map(OrderModel.migrate).filter(Boolean);
+  },
+  
+  getOrder: async (orderId) => {
+    const order = OrderModel.migrate(await HttpAdapter.request('GET', `/orders/${encodeURIComponent(orderId)}`));
+    if (OrderLedger.getById(order.id)) {
+      OrderLedger.upsert(order);
+    }
+    return order;
+  },
+  
+  createOrder: async (order) => {
+    const saved = OrderModel.migrate(await HttpAdapter.request('POST', '/orders', order));
+    OrderLedger.upsert(saved);
+    return saved;
+  },
+  
+  issueInvoice: async (orderId) => {
+    const order = OrderModel.migrate(await HttpAdapter.request('POST', `/orders/${encodeURIComponent(orderId)}/invoice`));
+    if (OrderLedger.getById(order.id)) {
+      OrderLedger.upsert(order);
+    }
+    return order;
+  },
+  
+  updateOrderStatus: async (orderId, status, note) => {
+    const path = `/orders/${encodeURIComponent(orderId)}/status`;
+    const updated = OrderModel.migrate(await HttpAdapter.request('PATCH', path, { status, note }));
+    OrderLedger.applyStatusEffects(updated, status);
+    OrderLedger.upsert(updated);
+    return updated;
+  },
+  
+  verifyOrderCode: async (code) => {
+    const order = OrderModel.migrate(await HttpAdapter.request('POST', '/order-codes/verify', { code }));
+    if (OrderLedger.getById(order.id)) {
+      OrderLedger.upsert(order);
+    }
+    return order;
+  },
+  
+  collectOrder: async (code) => {
+    const collected = OrderModel.migrate(await HttpAdapter.request('POST', '/order-codes/collect', { code }));
+    OrderLedger.applyStatusEffects(collected, CONFIG.ORDER_STATUS.DELIVERED);
+    OrderLedger.upsert(collected);
+    return collected;
+  },
+  
+  listReviews: (filters = {}) => {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    return HttpAdapter.request('GET', `/reviews${query ? `?${query}` : ''}`);
+  },
+  
+  createReview: (review) => HttpAdapter.request('POST', '/reviews', review),
+  
+  updateReviewStatus: (reviewId, status, note) =>
+    HttpAdapter.request('PATCH', `/reviews/${encodeURIComponent(reviewId)}/status`, { status, note }),
+  
+  reportReview: (reviewId) => HttpAdapter.request('POST', `/reviews/${encodeURIComponent(reviewId)}/report`),
+  
+  hasAdminPasscode: async () => (await HttpAdapter.request('GET', '/admin/passcode')).isSet,
+  
+  setAdminPasscode: (hash) => HttpAdapter.request('PUT', '/admin/passcode', { hash }),
+  
+  checkAdminPasscode: async (hash) => {
+    try {
+      await HttpAdapter.request('GET', '/admin/session', undefined, { [CONFIG.ADMIN.HEADER]: hash });
+      return true;
+    } catch (error) {
+      if (error.status === 401) return false;
+      throw error;
+    }
+  }
+};
+
+/**
+ * API client used by the managers and renderers. Every method returns a
+ * Promise; the adapter is picked once per page load according to
+ * CONFIG.API.MODE.
+ */
+const ApiClient = {
+  adapters: { offline: OfflineAdapter, http: HttpAdapter },
+  
+  /**
+   * Pending or resolved adapter selection
+   * @type {Promise<Object>|null}
+   */
+  adapterPromise: null,
+  
+  /**
+   * Resolve the adapter to use for this page load
+   * @returns {Promise<Object>} Adapter
+   */
+  getAdapter: () => {
+    if (!ApiClient.adapterPromise) {
+      ApiClient.adapterPromise = (async () => {
+        if (CONFIG.API.MODE !== 'auto') {
+          return ApiClient.adapters[CONFIG.API.MODE] || OfflineAdapter;
+        }
+        if (!/^https?:$/.test(window.location.protocol)) {
+          return OfflineAdapter;
+        }
+        try {
+          await HttpAdapter.getCatalog();
+          // Lets OrderOutbox tell "server down" from "opened from disk" later
+          Storage.setItem(CONFIG.STORAGE_KEYS.API_SEEN, true);
+          return HttpAdapter;
+        } catch (error) {
+          console.warn('API unavailable, working offline:', error.message);
+          return OfflineAdapter;
+        }
+      })();
+    }
+    return ApiClient.adapterPromise;
+  },
+  
+  /**
+   * Use a specific adapter, e.g. a test double
+   * @param {Object} adapter - Adapter implementing the ApiClient methods
+   */
+  setAdapter: (adapter) => {
+    ApiClient.adapterPromise = Promise.resolve(adapter);
+  },
+  
+  /**
+   * Call a method on the active adapter
+   * @param {string} method - Adapter method name
+   * @param {...*} args - Method arguments
+   * @returns {Promise<*>}
+   */
+  call: async (method, ...args) => {
+    const adapter = await ApiClient.getAdapter();
+    return adapter[method](...args);
+  },
+  
+  getCatalog: () => ApiClient.call('getCatalog'),
+  getOffers: () => ApiClient.call('getOffers'),
+  getComplianceRules: () => ApiClient.call('getComplianceRules'),
+  saveProduct: (product) => ApiClient.call('saveProduct', product),
+  deleteProduct: (productId) => ApiClient.call('deleteProduct', productId),
+  saveOffer: (offer) => ApiClient.call('saveOffer', offer),
+  deleteOffer: (offerId) => ApiClient.call('deleteOffer', offerId),
+  listOrders: (filters) => ApiClient.call('listOrders', filters),
+  getOrder: (orderId) => ApiClient.call('getOrder', orderId),
+  createOrder: (order) => ApiClient.call('createOrder', order),
+  updateOrderStatus: (orderId, status, note) => ApiClient.call('updateOrderStatus', orderId, status, note),
+  issueInvoice: (orderId) => ApiClient.call('issueInvoice', orderId),
+  verifyOrderCode: (code) => ApiClient.call('verifyOrderCode', code),
+  collectOrder: (code) => ApiClient.call('collectOrder', code),
+  listReviews: (filters) => ApiClient.call('listReviews', filters),
+  createReview: (review) => ApiClient.call('createReview', review),
+  updateReviewStatus: (reviewId, status, note) => ApiClient.call('updateReviewStatus', reviewId, status, note),
+  reportReview: (reviewId) => ApiClient.call('reportReview', reviewId),
+  hasAdminPasscode: () => ApiClient.call('hasAdminPasscode'),
+  setAdminPasscode: (hash) => ApiClient.call('setAdminPasscode', hash),
+  checkAdminPasscode: (hash) => ApiClient.call('checkAdminPasscode', hash),
+  
+  /**
+   * Look up orders by order ID or phone number
+   * @param {string} query - Order ID or phone number
+   * @returns {Promise<Array>} Matching orders
+   */
+  lookupOrders: async (query) => {
+    try {
+      return [await ApiClient.getOrder(query.trim())];
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    const phone = Validator.validatePhone(query);
+    return phone.isValid ? ApiClient.listOrders({ phone: phone.value }) : [];
+  }
+};
+
+/**
+ * Outbox for orders placed while the server is unreachable. Orders wait in
+ * local storage, oldest first, and are submitted when the browser is back
+ * online. The server re-checks every price, so an order built from a stale
+ * catalog is rejected; it is then refunded and cancelled here instead of
+ * being fulfilled at the old price.
+ */
+const OrderOutbox = {
+  /**
+   * Pending or running flush
+   * @type {Promise<void>|null}
+   */
+  flushing: null,
+  
+  retryTimer: null,
+  
+  /**
+   * Queued entries, oldest first
+   * @returns {Array} Entries of { order, queuedAt, attempts, lastError }
+   */
+  getAll: () => Storage.getItem(CONFIG.STORAGE_KEYS.OUTBOX) || [],
+  
+  /**
+   * @param {Array} entries - Entries to store
+   * @returns {boolean} Success status
+   */
+  saveAll: (entries) => Storage.setItem(CONFIG.STORAGE_KEYS.OUTBOX, entries),
+  
+  /**
+   * @returns {number} Orders waiting to be sent
+   */
+  getPendingCount: () => OrderOutbox.getAll().length,
+  
+  /**
+   * Check whether an order is still waiting to be sent
+   * @param {string} orderId - Order ID
+   * @returns {boolean}
+   */
+  has: (orderId) => OrderOutbox.getAll().some(entry => entry.order.id === orderId),
+  
+  /**
+   * Decide whether an order should be queued rather than submitted or failed.
+   * That is the case when the server is unreachable: either this page fell
+   * back to local storage although the server has answered here before, or a
+   * submission to the server failed on the network.
+   * @param {Error} [error] - Error from submitting the order
+   * @returns {Promise<boolean>}
+   */
+  shouldQueue: async (error = null) => {
+    const adapter = await ApiClient.getAdapter();
+    if (adapter === HttpAdapter) {
+      return error?.name === 'ApiError' && error.status === 0;
+    }
+    return !error && CONFIG.API.MODE === 'auto' && Boolean(Storage.getItem(CONFIG.STORAGE_KEYS.API_SEEN));
+  },
+  
+  /**
+   * Queue an order and keep a copy in the ledger so it shows in "My Orders"
+   * @param {Object} order - Canonical order, already paid for
+   * @returns {boolean} Success status
+   */
+  enqueue: (order) => {
+    const entries = [...OrderOutbox.getAll(), { order, queuedAt: new Date().toISOString(), attempts: 0, lastError: null }];
+    if (!OrderOutbox.saveAll(entries)) return false;
+    if (!OrderLedger.upsert(order)) {
+      OrderOutbox.saveAll(entries.slice(0, -1));
+      return false;
+    }
+    OrderOutbox.changed();
+    return true;
+  },
+  
+  /**
+   * Drop an entry from the outbox
+   * @param {string} orderId - Order ID
+   */
+  remove: (orderId) => {
+    OrderOutbox.saveAll(OrderOutbox.getAll().filter(entry => entry.order.id !== orderId));
+  },
+  
+  /**
+   * Withdraw a queued order before it is sent, refunding its payment
+   * @param {string} orderId - Order ID
+   * @param {string} note - Message key of the reason recorded in the status history
+   * @returns {Promise<Object>} Cancelled order
+   */
+  cancel: async (orderId, note) => {
+    const entry = OrderOutbox.getAll().find(other => other.order.id === orderId);
+    if (!entry) throw createApiError(`Order ${orderId} is not waiting to be sent`, 404);
+    
+    OrderOutbox.remove(orderId);
+    await PaymentProvider.refund(entry.order.payment);
+    const result = OrderLedger.updateStatus(orderId, CONFIG.ORDER_STATUS.CANCELLED, { note });
+    OrderOutbox.changed();
+    if (!result.success) throw createApiError(result.error, 409);
+    return result.order;
+  },
+  
+  /**
+   * Submit one queued order
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<string>} 'sent', 'rejected' or 'offline'
+   */
+  submit: async ({ order }) => {
+    try {
+      await HttpAdapter.createOrder(order);
+    } catch (error) {
+      if (error.status === 0) {
+        OrderOutbox.saveAll(OrderOutbox.getAll().map(entry => entry.order.id === order.id
+          ? { ...entry, attempts: entry.attempts + 1, lastError: error.message }
+          : entry));
+        return 'offline';
+      }
+      
+      // An earlier attempt may have reached the server without us hearing back
+      const alreadySent = error.status === 409 && await HttpAdapter.getOrder(order.id).then(() => true, () => false);
+      if (!alreadySent) {
+        await OrderOutbox.cancel(order.id, 'status.note.notAccepted').catch(() => null);
+        UIManager.showNotification(I18n.t('outbox.rejected', { id: order.id, error: I18n.error(error, 'order.saveFailed') }), 'error', { duration: 0 });
+        return 'rejected';
+      }
+    }
+    
+    OrderOutbox.remove(order.id);
+    UIManager.showNotification(I18n.t('outbox.sent', { id: order.id }), 'success');
+    return 'sent';
+  },
+  
+  /**
+   * Send queued orders in the order they were placed, stopping at the first
+   * network failure. Only one flush runs at a time.
+   * @returns {Promise<void>}
+   */
+  flush: () => {
+    if (!OrderOutbox.flushing) {
+      OrderOutbox.flushing = (async () => {
+        for (const entry of OrderOutbox.getAll()) {
+          if (await OrderOutbox.submit(entry) === 'offline') break;
+        }
+        OrderOutbox.changed();
+      })().finally(() => {
+        OrderOutbox.flushing = null;
+      });
+    }
+    return OrderOutbox.flushing;
+  },
+  
+  /**
+   * Let the page know the outbox changed; pages listen for 'orderschange'
+   * on window to refresh the orders they show
+   */
+  changed: () => {
+    UIManager.renderOutboxStatus();
+    window.dispatchEvent(new CustomEvent('orderschange'));
+  },
+  
+  /**
+   * Send queued orders now, whenever the browser comes back online, and
+   * every CONFIG.OFFLINE.OUTBOX_RETRY_MS in case it is wrong about being offline
+   */
+  start: () => {
+    const flushIfOnline = () => {
+      if (navigator.onLine && OrderOutbox.getPendingCount() > 0) OrderOutbox.flush();
+    };
+    
+    window.addEventListener('online', flushIfOnline);
+    window.addEventListener('offline', UIManager.renderOutboxStatus);
+    clearInterval(OrderOutbox.retryTimer);
+    OrderOutbox.retryTimer = setInterval(flushIfOnline, CONFIG.OFFLINE.OUTBOX_RETRY_MS);
+    
+    UIManager.renderOutboxStatus();
+    flushIfOnline();
+  }
+};
+
+/**
+ * Installable offline shell: registers the service worker (sw.js), which
+ * caches the pages, script, styles and bottle images
+ */
+const OfflineShell = {
+  /**
+   * Register the service worker. Browsers only allow it over HTTP(S).
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  register: async () => {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+      return null;
+    }
+    try {
+      return await navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER_URL);
+    } catch (error) {
+      console.warn('Service worker registration failed:', error.message);
+      return null;
+    }
+  }
+};
+
+/**
+ * Cross-tab synchronisation. Tabs share state through local storage, so the
+ * browser's `storage` event already tells every other tab what changed;
+ * TabSync refreshes the views that depend on each key.
+ *
+ * The cart is stored as `{ revision, parent, tabId, items }`. Two writes with
+ * the same parent were made from the same cart at the same moment in
+ * different tabs; the tab with the lower ID merges both changes so neither
+ * is lost. Order submission runs under a lock shared by every tab.
+ */
+const TabSync = {
+  tabId: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+  
+  /**
+   * This tab's most recent cart write: { revision, parent, base, items, at }
+   * @type {Object|null}
+   */
+  lastCartWrite: null,
+  
+  writeCount: 0,
+  
+  /**
+   * Read cart lines from a stored value of either format
+   * @param {Array|Object|null} stored - Stored cart
+   * @returns {Array|null} Lines, or null when nothing usable is stored
+   */
+  readCartItems: (stored) => {
+    if (Array.isArray(stored)) return stored;
+    return Array.isArray(stored?.items) ? stored.items : null;
+  },
+  
+  /**
+   * Wrap cart lines for storage, remembering what they replaced
+   * @param {Array} items - Cart lines to store
+   * @returns {Object} Stored cart
+   */
+  stampCart: (items) => {
+    const stored = Storage.getItem(CONFIG.STORAGE_KEYS.CART);
+    const record = {
+      revision: `${TabSync.tabId}-${++TabSync.writeCount}`,
+      parent: stored?.revision || null,
+      tabId: TabSync.tabId,
+      items
+    };
+    TabSync.lastCartWrite = { ...record, base: TabSync.readCartItems(stored) || [], at: Date.now() };
+    return record;
+  },
+  
+  /**
+   * Merge a cart written by another tab from the same parent as this tab's
+   * last write: each line gets both tabs' changes to its quantity
+   * @param {Object|null} incoming - Cart written by the other tab
+   * @returns {boolean} Whether a merged cart was saved
+   */
+  mergeCart: (incoming) => {
+    const mine = TabSync.lastCartWrite;
+    if (!mine || !incoming?.revision || incoming.revision === mine.revision) return false;
+    if (incoming.parent !== mine.parent || Date.now() - mine.at > CONFIG.SYNC.CONFLICT_WINDOW_MS) return false;
+    // Both tabs see the conflict; only one of them may resolve it
+    if (TabSync.tabId > incoming.tabId) return false;
+    
+    const quantities = new Map();
+    const lines = new Map();
+    const apply = (items, sign) => items.forEach(({ productId, sku, quantity }) => {
+      const key = sku || CartManager.resolveSku(productId);
+      const line = lines.get(key) || { productId, sku: key, quantity: 0 };
+      lines.set(key, { ...line, quantity: line.quantity + sign * quantity });
+    });
+    apply(mine.items, 1);
+    apply(incoming.items, 1);
+    apply(mine.base, -1);
+    
+    const merged = [...lines.values()]
+      .filter(line => line.quantity >= CONFIG.CART.MIN_LINE_QUANTITY)
+      .map(line => ({ ...line, quantity: Math.min(line.quantity, CONFIG.CART.MAX_LINE_QUANTITY) }));
+    return CartManager.saveItems(merged);
+  },
+  
+  /**
+   * Refresh this tab after another tab changed local storage
+   * @param {StorageEvent} event - Storage event
+   */
+  handleStorage: (event) => {
+    if (event.storageArea && event.storageArea !== window.localStorage) return;
+    const { key } = event;
+    const keys = CONFIG.STORAGE_KEYS;
+    
+    if (key === null || key === keys.CART || key === keys.SELECTED_PRODUCT) {
+      const merged = key === keys.CART && TabSync.mergeCart(Storage.getItem(keys.CART));
+      UIManager.refreshCartViews();
+      if (merged) {
+        UIManager.showNotification(I18n.t('sync.cartMerged'), 'info');
+      } else if (DOM.select('#orderForm')) {
+        // The order being filled in is no longer what the customer last saw
+        UIManager.showNotification(I18n.t('sync.cartChanged'), 'warning');
+      }
+    }
+    
+    if (key === null || key === keys.ORDERS || key === keys.OUTBOX) {
+      UIManager.renderOutboxStatus();
+      window.dispatchEvent(new CustomEvent('orderschange'));
+    }
+    
+    if ((key === null || key === keys.USER_PREFERENCES) && I18n.getLanguage() !== document.documentElement.lang) {
+      // Reload in the new language, unless that would throw away a half-filled order
+      if (DOM.select('#orderForm')) {
+        UIManager.showNotification(I18n.t('sync.languageChanged'), 'info', {
+          duration: 0,
+          actions: [{ label: I18n.t('sync.reload'), onClick: () => window.location.reload() }]
+        });
+      } else {
+        window.location.reload();
+      }
+    }
+  },
+  
+  /**
+   * Run a task unless another tab (or this one) is already running it.
+   * Uses the Web Locks API, or a lease in local storage where it is missing.
+   * @param {string} name - Lock name
+   * @param {Function} task - Async task
+   * @returns {Promise<*|null>} The task's result, or null when the lock was held
+   */
+  withLock: async (name, task) => {
+    if (navigator.locks) {
+      return navigator.locks.request(`luxe-liquor-${name}`, { ifAvailable: true }, lock => (lock ? task() : null));
+    }
+    
+    const leases = Storage.getItem(CONFIG.STORAGE_KEYS.LOCKS) || {};
+    if (leases[name]?.expiresAt > Date.now()) return null;
+    Storage.setItem(CONFIG.STORAGE_KEYS.LOCKS, {
+      ...leases,
+      [name]: { tabId: TabSync.tabId, expiresAt: Date.now() + CONFIG.SYNC.LOCK_LEASE_MS }
+    });
+    
+    try {
+      return await task();
+    } finally {
+      const current = Storage.getItem(CONFIG.STORAGE_KEYS.LOCKS) || {};
+      if (current[name]?.tabId === TabSync.tabId) {
+        delete current[name];
+        Storage.setItem(CONFIG.STORAGE_KEYS.LOCKS, current);
+      }
+    }
+  },
+  
+  /**
+   * Start following changes made in other tabs
+   */
+  start: () => {
+    window.addEventListener('storage', TabSync.handleStorage);
+  }
+};
+
+/* ========================================
+   PAYMENTS
+   ======================================== */
+
+/**
+ * Mock payment gateway
+ *
+ * Stands in for a card/UPI/netbanking processor. It approves everything after
+ * a short delay except the test instruments in CONFIG.PAYMENT.TEST_OUTCOMES,
+ * which are declined or never answered. Swap it for a real client through
+ * PaymentProvider.setGateway.
+ */
+const MockPaymentGateway = {
+  /**
+   * Resolve after `ms` milliseconds
+   * @param {number} ms - Delay
+   * @returns {Promise<void>}
+   */
+  wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  
+  /**
+   * Create a gateway reference such as "pay_LX4K2M9A1B2C"
+   * @param {string} prefix - Reference prefix
+   * @returns {string}
+   */
+  createReference: (prefix) =>
+    `${prefix}_${(Date.now().toString(36) + Math.random().toString(36).slice(2, 6)).toUpperCase()}`,
+  
+  /**
+   * Place a hold for the amount
+   * @param {Object} request - { method, amount, orderId, instrument }
+   * @returns {Promise<Object>} { approved, reference, reason }
+   */
+  authorise: async ({ instrument }) => {
+    const outcome = CONFIG.PAYMENT.TEST_OUTCOMES[instrument] || 'approve';
+    if (outcome === 'timeout') {
+      return new Promise(() => {});
+    }
+    await MockPaymentGateway.wait(CONFIG.PAYMENT.GATEWAY_LATENCY_MS);
+    return outcome === 'decline'
+      ? { approved: false, reference: null, reason: 'declined' }
+      : { approved: true, reference: MockPaymentGateway.createReference('auth'), reason: '' };
+  },
+  
+  /**
+   * Settle an authorised hold
+   * @param {string} authorisation - Reference returned by authorise
+   * @returns {Promise<Object>} { captured, reference }
+   */
+  capture: async (authorisation) => {
+    await MockPaymentGateway.wait(CONFIG.PAYMENT.GATEWAY_LATENCY_MS);
+    return { captured: Boolean(authorisation), reference: MockPaymentGateway.createReference('pay') };
+  },
+  
+  /**
+   * Refund a captured payment
+   * @param {string} reference - Payment reference
+   * @returns {Promise<Object>} { refunded }
+   */
+  refund: async (reference) => {
+    await MockPaymentGateway.wait(CONFIG.PAYMENT.GATEWAY_LATENCY_MS);
+    return { refunded: Boolean(reference) };
+  }
+};
+
+/**
+ * Cash on delivery: nothing to validate or charge up front
+ */
+const CodPaymentProvider = {
+  method: 'cod',
+  
+  /**
+   * @param {Object} details - Unused
+   * @returns {Object} { isValid, errors, value }
+   */
+  validate: () => ({ isValid: true, errors: {}, value: {} }),
+  
+  /**
+   * @returns {Promise<Object>} Payment result, collected on hand-over
+   */
+  authorise: async () => ({
+    status: CONFIG.PAYMENT_STATUS.PENDING,
+    reference: null,
+    instrument: '',
+    error: null
+  }),
+  
+  /**
+   * @param {Object} authorisation - Result of authorise
+   * @returns {Promise<Object>} The same result; cash is taken by the courier or counter
+   */
+  capture: async (authorisation) => authorisation
+};
+
+/**
+ * Shared authorise/capture flow for the providers that go through the gateway
+ * @param {Object} request - Gateway request: { method, amount, orderId, instrument }
+ * @param {string} instrument - Masked instrument kept on the order
+ * @returns {Promise<Object>} Payment result
+ */
+const authoriseWithGateway = async (request, instrument) => {
+  const result = await PaymentProvider.getGateway().authorise(request);
+  return result.approved
+    ? { status: CONFIG.PAYMENT_STATUS.AUTHORISED, reference: result.reference, instrument, error: null }
+    : { status: CONFIG.PAYMENT_STATUS.FAILED, reference: null, instrument, error: I18n.t('payment.declined') };
+};
+
+/**
+ * Capture a gateway authorisation
+ * @param {Object} authorisation - Result of authorise
+ * @returns {Promise<Object>} Payment result
+ */
+const captureWithGateway = async (authorisation) => {
+  const result = await PaymentProvider.getGateway().capture(authorisation.reference);
+  return result.captured
+    ? { ...authorisation, status: CONFIG.PAYMENT_STATUS.CAPTURED, reference: result.reference }
+    : { ...authorisation, status: CONFIG.PAYMENT_STATUS.FAILED, error: I18n.t('payment.failed') };
+};
+
+/**
+ * Credit and debit cards (Visa, Mastercard, RuPay, American Express)
+ */
+const CardPaymentProvider = {
+  method: 'card',
+  
+  /**
+   * Card brands by number prefix, with valid lengths and CVV length
+   * @constant {Object}
+   */
+  BRANDS: {
+    amex: { label: 'American Express', pattern: /^3[47]/, lengths: [15], cvvLength: 4 },
+    visa: { label: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvvLength: 3 },
+    mastercard: { label: 'Mastercard', pattern: /^(5[1-5]|2(22[1-9]|2[3-9]\d|[3-6]\d\d|7[01]\d|720))/, lengths: [16], cvvLength: 3 },
+    rupay: { label: 'RuPay', pattern: /^(508|60|65|81|82|353|356)/, lengths: [16], cvvLength: 3 }
+  },
+  
+  /**
+   * Check a card number with the Luhn checksum
+   * @param {string} digits - Card number digits
+   * @returns {boolean}
+   */
+  passesLuhn: (digits) => {
+    let sum = 0;
+    [...digits].reverse().forEach((char, index) => {
+      let digit = Number(char);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+    return digits.length > 0 && sum % 10 === 0;
+  },
+  
+  /**
+   * Identify the card brand from the number
+   * @param {string} digits - Card number digits
+   * @returns {string|null} Key of BRANDS
+   */
+  getBrand: (digits) =>
+    Object.keys(CardPaymentProvider.BRANDS).find(brand => CardPaymentProvider.BRANDS[brand].pattern.test(digits)) || null,
+  
+  /**
+   * Validate the card fields
+   * @param {Object} details - { cardNumber, cardName, expiryDate, cvv }
+   * @returns {Object} { isValid, errors, value: { number, name, expiryMonth, expiryYear, cvv, brand } }
+   */
+  validate: (details = {}) => {
+    const errors = {};
+    const number = String(details.cardNumber || '').replace(/[\s-]/g, '');
+    const name = String(details.cardName || '').trim();
+    const cvv = String(details.cvv || '').trim();
+    const brand = CardPaymentProvider.getBrand(number);
+    
+    if (!/^\d{12,19}$/.test(number) || !CardPaymentProvider.passesLuhn(number)) {
+      errors.cardNumber = I18n.t('payment.cardNumber');
+    } else if (!brand || !CardPaymentProvider.BRANDS[brand].lengths.includes(number.length)) {
+      errors.cardNumber = I18n.t('payment.cardBrand');
+    }
+    
+    if (name.length < CONFIG.VALIDATION.MIN_NAME_LENGTH) {
+      errors.cardName = I18n.t('payment.cardName');
+    }
+    
+    const expiry = String(details.expiryDate || '').trim().match(/^(\d{2})\s*\/\s*(\d{2})$/);
+    const expiryMonth = expiry ? Number(expiry[1]) : 0;
+    const expiryYear = expiry ? 2000 + Number(expiry[2]) : 0;
+    if (!expiry || expiryMonth < 1 || expiryMonth > 12) {
+      errors.expiryDate = I18n.t('payment.expiry');
+    } else if (new Date(expiryYear, expiryMonth, 1) <= DeliveryScheduler.clock()) {
+      // Cards are valid until the end of their expiry month
+      errors.expiryDate = I18n.t('payment.expired');
+    }
+    
+    const cvvLength = brand ? CardPaymentProvider.BRANDS[brand].cvvLength : 3;
+    if (!new RegExp(`^\\d{${cvvLength}}$`).test(cvv)) {
+      errors.cvv = I18n.t('payment.cvv', { length: cvvLength });
+    }
+    
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+      value: { number, name, expiryMonth, expiryYear, cvv, brand }
+    };
+  },
+  
+  /**
+   * Mask a card for display, e.g. "Visa •••• 4242"
+   * @param {Object} card - Validated card
+   * @returns {string}
+   */
+  mask: (card) => `${CardPaymentProvider.BRANDS[card.brand]?.label || 'Card'} •••• ${card.number.slice(-4)}`,
+  
+  /**
+   * @param {Object} card - Validated card
+   * @param {number} amount - Amount in rupees
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Payment result
+   */
+  authorise: (card, amount, orderId) => authoriseWithGateway(
+    { method: 'card', amount, orderId, instrument: card.number },
+    CardPaymentProvider.mask(card)
+  ),
+  
+  capture: captureWithGateway
+};
+
+/**
+ * UPI collect requests to a virtual payment address
+ */
+const UpiPaymentProvider = {
+  method: 'upi',
+  
+  /**
+   * Validate the UPI ID (VPA), e.g. "name@okaxis"
+   * @param {Object} details - { upiId }
+   * @returns {Object} { isValid, errors, value: { vpa } }
+   */
+  validate: (details = {}) => {
+    const vpa = String(details.upiId || '').trim().toLowerCase();
+    const isValid = CONFIG.VALIDATION.VPA_REGEX.test(vpa);
+    return {
+      isValid,
+      errors: isValid ? {} : { upiId: I18n.t('payment.upiId') },
+      value: { vpa }
+    };
+  },
+  
+  /**
+   * Mask a VPA for display, e.g. "ra•••@okaxis"
+   * @param {string} vpa - UPI ID
+   * @returns {string}
+   */
+  mask: (vpa) => {
+    const [handle, provider] = vpa.split('@');
+    return `${handle.slice(0, 2)}•••@${provider}`;
+  },
+  
+  /**
+   * @param {Object} details - Validated { vpa }
+   * @param {number} amount - Amount in rupees
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Payment result
+   */
+  authorise: ({ vpa }, amount, orderId) => authoriseWithGateway(
+    { method: 'upi', amount, orderId, instrument: vpa },
+    UpiPaymentProvider.mask(vpa)
+  ),
+  
+  capture: captureWithGateway
+};
+
+/**
+ * Net banking through the customer's bank
+ */
+const NetbankingPaymentProvider = {
+  method: 'netbanking',
+  
+  /**
+   * Validate the chosen bank against CONFIG.PAYMENT.BANKS
+   * @param {Object} details - { bankName }
+   * @returns {Object} { isValid, errors, value: { bank } }
+   */
+  validate: (details = {}) => {
+    const bank = String(details.bankName || '');
+    const isValid = Boolean(CONFIG.PAYMENT.BANKS[bank]);
+    return {
+      isValid,
+      errors: isValid ? {} : { bankName: I18n.t('payment.bank') },
+      value: { bank }
+    };
+  },
+  
+  /**
+   * @param {Object} details - Validated { bank }
+   * @param {number} amount - Amount in rupees
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Payment result
+   */
+  authorise: ({ bank }, amount, orderId) => authoriseWithGateway(
+    { method: 'netbanking', amount, orderId, instrument: bank },
+    CONFIG.PAYMENT.BANKS[bank]
+  ),
+  
+  capture: captureWithGateway
+};
+
+/**
+ * Payment entry point used by the order flow. Each provider implements
+ * `validate(details)`, `authorise(details, amount, orderId)` and
+ * `capture(authorisation)`; results have the shape
+ * `{ status, reference, instrument, error }`, where `instrument` is already
+ * masked. Only that result is stored on the order - never the card number
+ * or CVV.
+ */
+const PaymentProvider = {
+  providers: {
+    cod: CodPaymentProvider,
+    card: CardPaymentProvider,
+    upi: UpiPaymentProvider,
+    netbanking: NetbankingPaymentProvider
+  },
+  
+  gateway: MockPaymentGateway,
+  
+  /**
+   * Get the provider for a payment method
+   * @param {string} method - Payment method
+   * @returns {Object|null}
+   */
+  get: (method) => PaymentProvider.providers[method] || null,
+  
+  /**
+   * @returns {Object} Gateway client
+   */
+  getGateway: () => PaymentProvider.gateway,
+  
+  /**
+   * Use a different gateway client, e.g. a real processor or a test double
+   * @param {Object} gateway - Object implementing authorise, capture and refund
+   */
+  setGateway: (gateway) => {
+    PaymentProvider.gateway = gateway;
+  },
+  
+  /**
+   * Validate the fields of a payment method
+   * @param {string} method - Payment method
+   * @param {Object} details - Raw form fields
+   * @returns {Object} { isValid, errors: { field: message }, value }
+   */
+  validate: (method, details = {}) => {
+    const provider = PaymentProvider.get(method);
+    if (!provider) {
+      return { isValid: false, errors: { payment: I18n.t('payment.unavailable') }, value: {} };
+    }
+    return provider.validate(details);
+  },
+  
+  /**
+   * Authorise and capture a payment, giving up after CONFIG.PAYMENT.TIMEOUT_MS
+   * @param {string} method - Payment method
+   * @param {Object} details - Validated details from `validate`
+   * @param {number} amount - Amount in rupees
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { success, payment: { method, status, reference, instrument }, error }
+   */
+  charge: async (method, details, amount, orderId) => {
+    const provider = PaymentProvider.get(method);
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve({
+        status: CONFIG.PAYMENT_STATUS.FAILED,
+        reference: null,
+        instrument: '',
+        error: I18n.t('payment.timeout')
+      }), CONFIG.PAYMENT.TIMEOUT_MS);
+    });
+    
+    let result;
+    try {
+      result = await Promise.race([
+        (async () => {
+          const authorisation = await provider.authorise(details, amount, orderId);
+          return authorisation.status === CONFIG.PAYMENT_STATUS.FAILED ? authorisation : provider.capture(authorisation);
+        })(),
+        timeout
+      ]);
+    } catch (error) {
+      console.error('Payment error:', error);
+      result = { status: CONFIG.PAYMENT_STATUS.FAILED, reference: null, instrument: '', error: I18n.t('payment.failed') };
+    } finally {
+      clearTimeout(timer);
+    }
+    
+    return {
+      success: result.status !== CONFIG.PAYMENT_STATUS.FAILED,
+      payment: { method, status: result.status, reference: result.reference, instrument: result.instrument },
+      error: result.error
+    };
+  },
+  
+  /**
+   * Refund a captured payment when the order could not be saved
+   * @param {Object} payment - Payment stored on the order
+   * @returns {Promise<boolean>} Whether a refund was made
+   */
+  refund: async (payment) => {
+    if (payment?.status !== CONFIG.PAYMENT_STATUS.CAPTURED) return false;
+    try {
+      const result = await PaymentProvider.getGateway().refund(payment.reference);
+      return result.refunded;
+    } catch (error) {
+      console.error('Refund error:', error);
+      return false;
+    }
+  }
+};
+
+/**
+ * Order management module
+ */
+const OrderManager = {
+  /**
+   * Generate estimated delivery or pickup date
+   * @param {Object} preferences - { deliveryDate, timeSlot } from the order form, or
+   *   { fulfilment: 'pickup', outletId, pickupDate, pickupWindow } for outlet pickup
+   * @returns {Object|null} ETA information, or null when no slot is available
+   */
+  generateETA: (preferences = {}) => preferences.fulfilment === 'pickup'
+    ? PickupScheduler.schedule(preferences)
+    : DeliveryScheduler.schedule(preferences),
+  
+  /**
+   * Generate unique order ID
+   * @returns {string} Order ID
+   */
+  generateOrderId: () => {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 4);
+    return `LLX-${timestamp}-${random}`.toUpperCase();
+  },
+  
+  /**
+   * Validate order form data
+   * @param {Object} formData - Form data to validate
+   * @returns {Object} Validation results
+   */
+  validateOrderForm: (formData) => {
+    const errors = {};
+    let isValid = true;
+    
+    // Validate name
+    const nameValidation = Validator.validateName(formData.name);
+    if (!nameValidation.isValid) {
+      errors.name = nameValidation.message;
+      isValid = false;
+    }
+    
+    // Validate phone
+    const phoneValidation = Validator.validatePhone(formData.phone);
+    if (!phoneValidation.isValid) {
+      errors.phone = phoneValidation.message;
+      isValid = false;
+    }
+    
+    // Validate email
+    const emailValidation = Validator.validateEmail(formData.email);
+    if (!emailValidation.isValid) {
+      errors.email = emailValidation.message;
+      isValid = false;
+    }
+    
+    if (formData.fulfilment === 'pickup') {
+      // Validate outlet
+      if (!PickupScheduler.getOutlet(formData.outletId)) {
+        errors.outletId = I18n.t('validation.outlet');
+        isValid = false;
+      }
+    } else {
+      // Validate address
+      const addressValidation = Validator.validateAddress(formData.address);
+      if (!addressValidation.isValid) {
+        errors.address = addressValidation.message;
+        isValid = false;
+      }
+      
+      // Validate city
+      if (!formData.city || formData.city.trim().length < 2) {
+        errors.city = I18n.t('validation.city');
+        isValid = false;
+      }
+      
+      // Validate state
+      if (!formData.state) {
+        errors.state = I18n.t('validation.state');
+        isValid = false;
+      }
+      
+      // Validate PIN, and that it is in the chosen state
+      const pinValidation = Validator.validatePIN(formData.pin);
+      if (!pinValidation.isValid) {
+        errors.pin = pinValidation.message;
+        isValid = false;
+      } else if (formData.state) {
+        const pinState = PinDirectory.checkState(formData.pin, formData.state);
+        if (!pinState.matches) {
+          errors.state = I18n.t('validation.pinState', {
+            pin: formData.pin.trim(),
+            expected: pinState.expected,
+            state: PinDirectory.getStateName(formData.state)
+          });
+          isValid = false;
+        }
+      }
+    }
+    
+    // Validate date of birth (the legal age itself is checked by ComplianceEngine)
+    if (!DeliveryScheduler.parseDateKey(formData.dateOfBirth)) {
+      errors.dateOfBirth = I18n.t('validation.dateOfBirth');
+      isValid = false;
+    }
+    
+    // Validate the gift recipient and message; the delivery address is the recipient's
+    let recipientPhoneValidation = { value: '' };
+    let giftMessageValidation = { value: '' };
+    if (formData.gift) {
+      if (formData.fulfilment === 'pickup') {
+        errors.isGift = I18n.t('validation.giftPickup');
+        isValid = false;
+      }
+      
+      const recipientNameValidation = Validator.validateName(formData.gift.recipientName);
+      if (!recipientNameValidation.isValid) {
+        errors.giftRecipientName = recipientNameValidation.message;
+        isValid = false;
+      }
+      
+      recipientPhoneValidation = Validator.validatePhone(formData.gift.recipientPhone);
+      if (!recipientPhoneValidation.isValid) {
+        errors.giftRecipientPhone = recipientPhoneValidation.message;
+        isValid = false;
+      }
+      
+      if (!DeliveryScheduler.parseDateKey(formData.gift.recipientDateOfBirth)) {
+        errors.giftRecipientDateOfBirth = I18n.t('validation.recipientDateOfBirth');
+        isValid = false;
+      }
+      
+      giftMessageValidation = Validator.validateGiftMessage(formData.gift.message);
+      if (!giftMessageValidation.isValid) {
+        errors.giftMessage = giftMessageValidation.message;
+        isValid = false;
+      }
+      
+      // The occasion date is optional, but cannot be in the past
+      if (formData.gift.occasionDate) {
+        const occasionDate = DeliveryScheduler.parseDateKey(formData.gift.occasionDate);
+        if (!occasionDate || occasionDate < DeliveryScheduler.addDays(DeliveryScheduler.clock(), 0)) {
+          errors.giftOccasionDate = I18n.t('validation.occasionDate');
+          isValid = false;
+        }
+      }
+    }
+
+    // Validate GSTIN (optional, for business invoices)
+    const gstinValidation = Validator.validateGSTIN(formData.gstin);
+    if (!gstinValidation.isValid) {
+      errors.gstin = gstinValidation.message;
+      isValid = false;
+    }
+    
+    // Validate payment method and the chosen method's own fields
+    let paymentValidation = { value: {} };
+    if (!formData.payment) {
+      errors.payment = I18n.t('validation.payment');
+      isValid = false;
+    } else {
+      paymentValidation = PaymentProvider.validate(formData.payment, formData.paymentDetails);
+      if (!paymentValidation.isValid) {
+        Object.assign(errors, paymentValidation.errors);
+        isValid = false;
+      }
+    }
+    
+    // Validate declarations
+    if (!formData.ageVerified) {
+      errors.ageVerified = I18n.t('validation.age');
+      isValid = false;
+    }
+    
+    if (!formData.termsAccepted) {
+      errors.termsAccepted = I18n.t('validation.terms');
+      isValid = false;
+    }
+    
+    return {
+      isValid,
+      errors,
+      validatedData: {
+        ...formData,
+        phone: phoneValidation.value,
+        email: emailValidation.value,
+        gstin: gstinValidation.value,
+        gift: formData.gift && {
+          ...formData.gift,
+          recipientPhone: recipientPhoneValidation.value,
+          message: giftMessageValidation.value
+        },
+        paymentDetails: paymentValidation.value
+      }
+    };
+  },
+  
+  /**
+   * Process order submission. Only one tab at a time may submit, so the
+   * same cart cannot be ordered twice from two tabs.
+   * @param {Object} formData - Order form data
+   * @returns {Promise<Object>} { success, booking, queued, error, errors, suggestPickup },
+   *   where suggestPickup ({ outletId }) is set when we do not deliver to the PIN
+   */
+  processOrder: async (formData) => {
+    const result = await TabSync.withLock('order-submission', () => OrderManager.submitOrder(formData));
+    return result || { success: false, booking: null, error: I18n.t('sync.orderInProgress') };
+  },
+  
+  /**
+   * Validate, charge and save an order from the cart
+   * @param {Object} formData - Order form data
+   * @returns {Promise<Object>} { success, booking, queued, error, errors, suggestPickup }
+   */
+  submitOrder: async (formData) => {
+    const lines = CartManager.getLines();
+    if (lines.length === 0) {
+      return {
+        success: false,
+        error: I18n.t('cart.emptyOrder')
+      };
+    }
+    
+    const invalidLine = lines.find(line =>
+      line.quantity < CONFIG.CART.MIN_LINE_QUANTITY || line.quantity > CONFIG.CART.MAX_LINE_QUANTITY
+    );
+    if (invalidLine) {
+      return {
+        success: false,
+        error: I18n.t('cart.invalidQuantity', {
+          name: invalidLine.product.name,
+          min: CONFIG.CART.MIN_LINE_QUANTITY,
+          max: CONFIG.CART.MAX_LINE_QUANTITY
+        })
+      };
+    }
+    
+    const validation = OrderManager.validateOrderForm(formData);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors
+      };
+    }
+    
+    const data = validation.validatedData;
+    const isPickup = data.fulfilment === 'pickup';
+    
+    // Refuse deliveries outside the service area before charging, and offer
+    // pickup from an outlet in the same state instead
+    if (!isPickup) {
+      const serviceability = PinDirectory.getServiceability(data.pin);
+      if (!serviceability.serviceable) {
+        const message = I18n.t('order.notServiced', { pin: data.pin.trim() });
+        return {
+          success: false,
+          errors: { pin: message },
+          error: message,
+          suggestPickup: { outletId: serviceability.pickupOutlet?.id || null }
+        };
+      }
+    }
+    
+    // A gift for an occasion is delivered on the day itself or not at all
+    const occasionDate = data.gift?.occasionDate || '';
+    const eta = OrderManager.generateETA({
+      fulfilment: data.fulfilment,
+      deliveryDate: occasionDate || data.deliveryDate,
+      timeSlot: data.timeSlot,
+      outletId: data.outletId,
+      pickupDate: data.pickupDate,
+      pickupWindow: data.pickupWindow
+    });
+    if (!eta) {
+      return {
+        success: false,
+        error: I18n.t(isPickup ? 'order.noPickupWindows' : 'order.noDeliveryDays')
+      };
+    }
+    if (occasionDate && eta.dateKey !== occasionDate) {
+      const message = I18n.t('gift.occasionUnavailable', {
+        date: DeliveryScheduler.formatDate(DeliveryScheduler.parseDateKey(occasionDate)),
+        next: eta.dateString
+      });
+      return {
+        success: false,
+        errors: { giftOccasionDate: message },
+        error: message
+      };
+    }
+
+    const orderId = OrderManager.generateOrderId();
+    const placedAt = new Date();
+    const items = CartManager.toOrderItems();
+    const pricing = OfferEngine.priceOrder(items, placedAt, { giftWrap: Boolean(data.gift?.wrap) });
+    const outlet = isPickup ? PickupScheduler.getOutlet(data.outletId) : null;
+    const occasion = CONFIG.GIFT.OCCASIONS.includes(data.gift?.occasion) ? data.gift.occasion : '';
+    
+    const booking = OrderModel.create({
+      id: orderId,
+      createdAt: placedAt.toISOString(),
+      status: CONFIG.ORDER_STATUS.CONFIRMED,
+      customer: {
+        name: data.name.trim(),
+        email: data.email,
+        phone: data.phone,
+        dateOfBirth: data.dateOfBirth,
+        company: (data.company || '').trim(),
+        gstin: data.gstin
+      },
+      fulfilment: isPickup ? 'pickup' : 'delivery',
+      delivery: isPickup ? {} : {
+        address: data.address.trim(),
+        landmark: (data.landmark || '').trim(),
+        city: data.city.trim(),
+        state: data.state,
+        pin: data.pin.trim(),
+        addressType: data.addressType,
+        instructions: (data.instructions || '').trim(),
+        preferredDate: occasionDate || data.deliveryDate,
+        timeSlot: data.timeSlot
+      },
+      gift: data.gift && {
+        recipient: {
+          name: data.gift.recipientName.trim(),
+          phone: data.gift.recipientPhone,
+          dateOfBirth: data.gift.recipientDateOfBirth
+        },
+        message: data.gift.message,
+        wrap: Boolean(data.gift.wrap),
+        occasion: occasion || occasionDate ? { type: occasion, date: occasionDate } : null
+      },
+      // The queue token is assigned when the order is stored
+      pickup: outlet && {
+        outletId: outlet.id,
+        outletName: outlet.name,
+        address: `${outlet.address}, ${outlet.city} - ${outlet.pin}`,
+        state: outlet.state
+      },
+      payment: { method: data.payment },
+      items,
+      pricing,
+      eta,
+      totalAmount: pricing.total
+    });
+    
+    const shortfalls = InventoryManager.checkAvailability(items);
+    if (shortfalls.length > 0) {
+      return {
+        success: false,
+        error: shortfalls
+          .map(line => line.available === 0
+            ? I18n.t('stock.out', { name: line.name })
+            : I18n.t('stock.onlyOf', { count: line.available, name: line.name }))
+          .join('. ')
+      };
+    }
+    
+    // Apply the delivery or outlet state's excise rules, counting the other
+    // orders handed to the person receiving this one and those the buyer placed
+    const recipientPhone = OrderModel.getRecipient(booking).phone;
+    const [received, placed] = await Promise.all([
+      ApiClient.listOrders({ recipient: recipientPhone }).catch(() => OrderLedger.findByRecipient(recipientPhone)),
+      ApiClient.listOrders({ phone: data.phone }).catch(() => OrderLedger.findByPhone(data.phone))
+    ]);
+    const otherOrders = [...received, ...placed.filter(order => !received.some(entry => entry.id === order.id))];
+    const compliance = ComplianceEngine.check(booking, otherOrders);
+    if (!compliance.isCompliant) {
+      const errors = {};
+      compliance.violations
+        .filter(violation => violation.field)
+        .forEach(violation => { errors[violation.field] = violation.message; });
+      return {
+        success: false,
+        errors,
+        error: compliance.violations.map(violation => violation.message).join('. ')
+      };
+    }
+    
+    // Charge last, once nothing else can reject the order
+    const charge = await PaymentProvider.charge(data.payment, data.paymentDetails, booking.totalAmount, orderId);
+    if (!charge.success) {
+      return { success: false, booking: null, error: charge.error };
+    }
+    booking.payment = charge.payment;
+    
+    // While the server is unreachable the order waits in the outbox
+    let saved = booking;
+    let queued = false;
+    try {
+      queued = await OrderOutbox.shouldQueue();
+      if (!queued) saved = await ApiClient.createOrder(booking);
+    } catch (error) {
+      queued = await OrderOutbox.shouldQueue(error);
+      if (!queued) {
+        console.error('Order submission error:', error);
+        await PaymentProvider.refund(booking.payment);
+        return {
+          success: false,
+          booking: null,
+          error: I18n.error(error, 'order.saveFailed')
+        };
+      }
+    }
+    
+    if (queued && !OrderOutbox.enqueue(booking)) {
+      await PaymentProvider.refund(booking.payment);
+      return { success: false, booking: null, error: I18n.t('order.saveFailed') };
+    }
+    
+    DeliveryScheduler.reserveSlot(eta.dateKey, eta.slot.id);
+    InventoryManager.reserve(saved);
+    CartManager.clear();
+    if (formData.saveProfile) {
+      CustomerProfile.rememberOrder(booking);
+    }
+    return { success: true, booking: saved, queued, error: null };
+  },
+  
+  /**
+   * Find the shortest run of status changes from a status to delivered
+   * @param {string} status - Current status
+   * @returns {string[]|null} Statuses to apply in order, or null when unreachable
+   */
+  getCollectionPath: (status) => {
+    const target = CONFIG.ORDER_STATUS.DELIVERED;
+    const queue = [[status]];
+    const seen = new Set([status]);
+    while (queue.length > 0) {
+      const path = queue.shift();
+      const last = path[path.length - 1];
+      if (last === target) return path.slice(1);
+      (CONFIG.ORDER_TRANSITIONS[last] || []).forEach(next => {
+        if (!seen.has(next) && next !== CONFIG.ORDER_STATUS.CANCELLED && next !== CONFIG.ORDER_STATUS.EXPIRED) {
+          seen.add(next);
+          queue.push([...path, next]);
+        }
+      });
+    }
+    return null;
+  },
+  
+  /**
+   * Explain why an order cannot be handed over at the counter
+   * @param {Object} order - Canonical order
+   * @returns {string} Reason, or '' when it can be collected
+   */
+  getCollectionError: (order) => {
+    if (order.status === CONFIG.ORDER_STATUS.DELIVERED) {
+      return I18n.t('code.collected', { id: order.id });
+    }
+    if (order.fulfilment !== 'pickup') {
+      return I18n.t('code.homeDelivery', { id: order.id });
+    }
+    if (!OrderManager.getCollectionPath(order.status)) {
+      return I18n.t('code.notCollectable', { id: order.id, status: order.status });
+    }
+    return '';
+  },
+  
+  /**
+   * Hand a pickup order over at the counter, marking it delivered in one
+   * step. The code is checked again when collecting, and each order can be
+   * collected once.
+   * @param {string} code - Scanned or typed order code
+   * @returns {Promise<Object>} { success, order, error }
+   */
+  collectOrder: async (code) => {
+    let order = null;
+    try {
+      order = await ApiClient.verifyOrderCode(code);
+      const error = OrderManager.getCollectionError(order);
+      if (error) {
+        return { success: false, order, error };
+      }
+      return { success: true, order: await ApiClient.collectOrder(code), error: null };
+    } catch (error) {
+      return {
+        success: false,
+        order,
+        error: error.status === 404 ? I18n.t('code.notFound', { id: OrderCode.split(code)?.orderId }) : error.message
+      };
+    }
+  }
+};
+
+/**
+ * Tax invoice module
+ *
+ * Builds GST-style tax invoices from canonical orders. Catalog prices are
+ * tax-inclusive, so each line's taxable value is worked back from the amount
+ * paid, taxes are rounded to the paisa per line, and the grand total is
+ * rounded to the nearest rupee with an explicit round-off line.
+ */
+const InvoiceManager = {
+  /**
+   * Invoice line names for pricing charges, by charge ID
+   * @constant {Object}
+   */
+  CHARGE_NAMES: {
+    giftWrap: 'Gift wrapping'
+  },
+  
+  /**
+   * Financial year (April to March) for a date
+   * @param {Date} date - Date
+   * @returns {string} e.g. "2026-27"
+   */
+  getFinancialYear: (date = new Date()) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  },
+  
+  /**
+   * Format an invoice number
+   * @param {string} financialYear - e.g. "2026-27"
+   * @param {number} sequence - Sequence within the year
+   * @param {string} prefix - Series prefix
+   * @returns {string} e.g. "WP/2026-27/00001"
+   */
+  formatNumber: (financialYear, sequence, prefix = CONFIG.INVOICE.PREFIX) =>
+    `${prefix}/${financialYear}/${String(sequence).padStart(CONFIG.INVOICE.SEQUENCE_DIGITS, '0')}`,
+  
+  /**
+   * Take the next number from this browser's invoice series (LOCAL_PREFIX)
+   * @param {Date} date - Issue date
+   * @returns {string} Invoice number
+   */
+  takeLocalNumber: (date = new Date()) => {
+    const financialYear = InvoiceManager.getFinancialYear(date);
+    const sequences = Storage.getItem(CONFIG.STORAGE_KEYS.INVOICE_SEQUENCE) || {};
+    sequences[financialYear] = (sequences[financialYear] || 0) + 1;
+    Storage.setItem(CONFIG.STORAGE_KEYS.INVOICE_SEQUENCE, sequences);
+    return InvoiceManager.formatNumber(financialYear, sequences[financialYear], CONFIG.INVOICE.LOCAL_PREFIX);
+  },
+  
+  /**
+   * Get the HSN code and tax components for a product category
+   * @param {string} category - Product category
+   * @param {boolean} intraState - Whether the place of supply is the seller's state
+   * @returns {Object} { hsn, components: [{ id, label, rate }] }
+   */
+  getTaxRule: (category, intraState) => {
+    const rule = { ...CONFIG.INVOICE.TAXES.default, ...(CONFIG.INVOICE.TAXES[category] || {}) };
+    const components = rule.components.flatMap(component => {
+      if (!component.gst) return [component];
+      return intraState
+        ? [
+          { id: 'cgst', label: 'CGST', rate: component.rate / 2 },
+          { id: 'sgst', label: 'SGST', rate: component.rate / 2 }
+        ]
+        : [{ id: 'igst', label: 'IGST', rate: component.rate }];
+    });
+    return { hsn: rule.hsn, components };
+  },
+  
+  /**
+   * Spell out a rupee amount the Indian way (lakh, crore)
+   * @param {number} amount - Whole rupees
+   * @returns {string} e.g. "Rupees One Lakh Twenty Thousand Only"
+   */
+  toWords: (amount) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+      'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+    const belowHundred = (n) => (n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]}${n % 10 ? ` ${ones[n % 10]}` : ''}`);
+    const belowThousand = (n) => [
+      n >= 100 ? `${ones[Math.floor(n / 100)]} Hundred` : '',
+      belowHundred(n % 100)
+    ].filter(Boolean).join(' ');
+    
+    let rest = Math.floor(Math.abs(amount));
+    if (rest === 0) return 'Rupees Zero Only';
+    
+    const parts = [];
+    [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']].forEach(([unit, name]) => {
+      if (rest >= unit) {
+        const count = Math.floor(rest / unit);
+        // Amounts over 99 crore repeat the scale: "One Hundred Crore"
+        parts.push(`${count >= 100 ? InvoiceManager.toWords(count).replace(/^Rupees | Only$/g, '') : belowHundred(count)} ${name}`);
+        rest %= unit;
+      }
+    });
+    if (rest > 0) parts.push(belowThousand(rest));
+    return `Rupees ${parts.join(' ')} Only`;
+  },
+  
+  /**
+   * Build an invoice for an order
+   * @param {Object} order - Canonical order with an invoice number
+   * @returns {Object} Invoice with lines, tax summary and totals (amounts in rupees)
+   */
+  build: (order) => {
+    const seller = CONFIG.INVOICE.SELLER;
+    const isPickup = order.fulfilment === 'pickup';
+    const placeOfSupply = (isPickup ? order.pickup?.state : order.delivery.state) || seller.state;
+    const intraState = placeOfSupply === seller.state;
+    const toPaise = (amount) => Math.round(amount * 100);
+    
+    // Spread order-level discounts across the bottles in proportion to their
+    // value; charges such as gift wrapping follow as lines of their own
+    const charges = (order.pricing?.charges || []).map(charge => ({
+      name: InvoiceManager.CHARGE_NAMES[charge.id] || charge.id,
+      category: charge.id,
+      price: charge.amount,
+      quantity: 1,
+      subtotal: charge.amount
+    }));
+    const billed = [...order.items, ...charges];
+    const itemsPaise = billed.map(item => toPaise(item.subtotal));
+    const grossPaise = itemsPaise.slice(0, order.items.length).reduce((sum, value) => sum + value, 0);
+    const discountPaise = order.pricing ? toPaise(order.pricing.discountTotal ?? (order.pricing.subtotal - order.pricing.total)) : 0;
+    let discountLeft = discountPaise;
+    
+    const taxSummary = new Map();
+    const lines = billed.map((item, index) => {
+      const category = item.category || ProductManager.getProductById(item.productId)?.category || '';
+      const rule = InvoiceManager.getTaxRule(category, intraState);
+      let discount = 0;
+      if (index === order.items.length - 1) {
+        discount = discountLeft;
+      } else if (index < order.items.length) {
+        discount = Math.round(discountPaise * itemsPaise[index] / (grossPaise || 1));
+      }
+      discountLeft -= discount;
+      
+      const inclusive = itemsPaise[index] - discount;
+      const totalRate = rule.components.reduce((sum, component) => sum + component.rate, 0);
+      const taxable = Math.round(inclusive / (1 + totalRate));
+      const taxes = rule.components.map(component => ({
+        ...component,
+        amount: Math.round(taxable * component.rate)
+      }));
+      
+      taxes.forEach(tax => {
+        const key = `${tax.label}|${tax.rate}`;
+        const entry = taxSummary.get(key) || { label: tax.label, rate: tax.rate, taxable: 0, amount: 0 };
+        entry.taxable += taxable;
+        entry.amount += tax.amount;
+        taxSummary.set(key, entry);
+      });
+      
+      return {
+        name: OrderModel.formatItemName(item),
+        hsn: rule.hsn,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        discount: discount / 100,
+        taxable: taxable / 100,
+        taxes: taxes.map(tax => ({ ...tax, amount: tax.amount / 100 })),
+        total: (taxable + taxes.reduce((sum, tax) => sum + tax.amount, 0)) / 100
+      };
+    });
+    
+    const taxablePaise = lines.reduce((sum, line) => sum + toPaise(line.taxable), 0);
+    const taxPaise = [...taxSummary.values()].reduce((sum, entry) => sum + entry.amount, 0);
+    const beforeRounding = taxablePaise + taxPaise;
+    const rounded = Math.round(beforeRounding / 100) * 100;
+    
+    return {
+      number: order.invoice?.number || '',
+      issuedAt: order.invoice?.issuedAt || new Date().toISOString(),
+      orderId: order.id,
+      orderCode: OrderCode.forOrder(order),
+      orderDate: order.createdAt,
+      seller,
+      // A gift is billed to the buyer and shipped to the recipient
+      buyer: {
+        name: order.customer.name,
+        company: order.customer.company || '',
+        gstin: order.customer.gstin || '',
+        phone: order.customer.phone,
+        email: order.customer.email,
+        address: order.gift ? '' : OrderModel.formatAddress(order)
+      },
+      shipTo: order.gift
+        ? { name: order.gift.recipient.name, phone: order.gift.recipient.phone, address: OrderModel.formatAddress(order) }
+        : null,
+      placeOfSupply: `${ComplianceEngine.getRules(placeOfSupply).name || placeOfSupply} (${placeOfSupply})`,
+      intraState,
+      lines,
+      taxSummary: [...taxSummary.values()].map(entry => ({
+        ...entry,
+        taxable: entry.taxable / 100,
+        amount: entry.amount / 100
+      })),
+      totals: {
+        discount: discountPaise / 100,
+        taxable: taxablePaise / 100,
+        tax: taxPaise / 100,
+        roundOff: (rounded - beforeRounding) / 100,
+        total: rounded / 100
+      },
+      amountInWords: InvoiceManager.toWords(rounded / 100),
+      payment: OrderModel.formatPayment(order)
+    };
+  },
+  
+  /**
+   * Render an invoice as a standalone, print-ready HTML document
+   * @param {Object} invoice - Invoice from build()
+   * @returns {string} HTML document
+   */
+  toHTML: (invoice) => {
+    const money = (amount) => amount.toLocaleString(CONFIG.CURRENCY.LOCALE, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+    const percent = (rate) => `${+(rate * 100).toFixed(2)}%`;
+    const date = (iso) => new Date(iso).toLocaleDateString(CONFIG.CURRENCY.LOCALE, {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    });
+    const { seller, buyer, totals, orderCode } = invoice;
+    
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${invoice.number}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #000; background: #fff; font-size: 13px; }
+    h1 { font-size: 20px; text-align: center; margin: 0 0 16px; letter-spacing: 2px; }
+    .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 16px; }
+    .parties > div { flex: 1; }
+    .parties .order-code { flex: 0 0 auto; text-align: center; font-family: monospace; font-size: 10px; }
+    .meta { margin-bottom: 16px; }
+    .meta span { display: inline-block; margin-right: 24px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #999; padding: 6px; text-align: right; vertical-align: top; }
+    th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+    th { background: #f2f2f2; }
+    .totals { width: 50%; margin-left: auto; }
+    .totals td:first-child { text-align: left; }
+    .grand td { font-weight: bold; font-size: 15px; }
+    .words { font-style: italic; margin-bottom: 24px; }
+    .footer { display: flex; justify-content: space-between; align-items: flex-end; font-size: 11px; color: #444; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>TAX INVOICE</h1>
+  <div class="parties">
+    <div>
+      <strong>${seller.legalName}</strong><br>
+      ${seller.address}<br>
+      GSTIN: ${seller.gstin}<br>
+      Excise Licence: ${seller.exciseLicence}<br>
+      ${seller.email}
+    </div>
+    <div>
+      <strong>Bill To</strong><br>
+      ${buyer.company && html`${buyer.company}<br>`}
+      ${buyer.name}<br>
+      ${buyer.address && html`${buyer.address}<br>`}
+      ${buyer.phone}${buyer.email ? ` • ${buyer.email}` : ''}<br>
+      ${buyer.gstin ? `GSTIN: ${buyer.gstin}` : 'Unregistered buyer'}
+    </div>
+    ${invoice.shipTo && html`<div>
+      <strong>Ship To</strong><br>
+      ${invoice.shipTo.name}<br>
+      ${invoice.shipTo.address}<br>
+      ${invoice.shipTo.phone}
+    </div>`}
+    <div class="order-code">
+      ${QRCode.toSVG(orderCode, { size: 110, label: `Order code ${orderCode}` })}<br>
+      ${orderCode}
+    </div>
+  </div>
+  <div class="meta">
+    <span><strong>Invoice No:</strong> ${invoice.number}</span>
+    <span><strong>Invoice Date:</strong> ${date(invoice.issuedAt)}</span>
+    <span><strong>Order:</strong> ${invoice.orderId} (${date(invoice.orderDate)})</span>
+    <span><strong>Place of Supply:</strong> ${invoice.placeOfSupply}</span>
+  </div>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Item</th><th>HSN</th><th>Qty</th><th>Rate</th><th>Discount</th><th>Taxable Value</th><th>Taxes</th><th>Amount</th></tr>
+    </thead>
+    <tbody>
+      ${invoice.lines.map((line, index) => html`
+      <tr>
+        <td>${index + 1}</td>
+        <td>${line.name}</td>
+        <td>${line.hsn}</td>
+        <td>${line.quantity}</td>
+        <td>${money(line.unitPrice)}</td>
+        <td>${money(line.discount)}</td>
+        <td>${money(line.taxable)}</td>
+        <td>${Template.join(line.taxes.map(tax => `${tax.label} @ ${percent(tax.rate)}: ${money(tax.amount)}`), html`<br>`)}</td>
+        <td>${money(line.total)}</td>
+      </tr>`)}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tbody>
+      <tr><td>Taxable value</td><td>${money(totals.taxable)}</td></tr>
+      ${invoice.taxSummary.map(tax => html`
+      <tr><td>${tax.label} @ ${percent(tax.rate)} on ${money(tax.taxable)}</td><td>${money(tax.amount)}</td></tr>`)}
+      <tr><td>Round off</td><td>${totals.roundOff >= 0 ? '' : '-'}${money(Math.abs(totals.roundOff))}</td></tr>
+      <tr class="grand"><td>Total (${CONFIG.CURRENCY.SYMBOL})</td><td>${money(totals.total)}</td></tr>
+    </tbody>
+  </table>
+  <div class="words">${invoice.amountInWords}</div>
+  <div class="footer">
+    <div>
+      Payment: ${invoice.payment}${totals.discount ? ` • Discounts applied: ${money(totals.discount)}` : ''}<br>
+      Prices are inclusive of all taxes. This is a computer-generated invoice.
+    </div>
+    <div>For ${seller.legalName}<br><br>Authorised Signatory</div>
+  </div>
+</body>
+</html>`);
+  },
+  
+  /**
+   * Render a gift order's receipt: what is in the parcel, who it is from and
+   * the gift message, without any prices
+   * @param {Object} order - Canonical gift order
+   * @returns {string} HTML document
+   */
+  toGiftReceiptHTML: (order) => {
+    const { gift, customer } = order;
+    const seller = CONFIG.INVOICE.SELLER;
+    const date = (value) => new Date(value).toLocaleDateString(CONFIG.CURRENCY.LOCALE, {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    });
+    const occasion = gift.occasion && [
+      I18N_MESSAGES.en[`gift.occasion.${gift.occasion.type}`],
+      gift.occasion.date && date(`${gift.occasion.date}T00:00:00`)
+    ].filter(Boolean).join(' • ');
+    const orderCode = OrderCode.forOrder(order);
+    
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Gift Receipt ${order.id}</title>
+  <style>
+    body { font-family: Georgia, serif; margin: 32px; color: #000; background: #fff; font-size: 14px; }
+    h1 { font-size: 20px; text-align: center; margin: 0 0 24px; letter-spacing: 2px; }
+    .parties { text-align: center; margin-bottom: 16px; line-height: 1.6; }
+    .occasion { text-align: center; font-style: italic; margin-bottom: 16px; }
+    .message { white-space: pre-line; border-left: 3px solid #999; margin: 0 auto 24px; padding: 8px 16px; max-width: 480px; font-size: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; font-family: Arial, sans-serif; }
+    th, td { border: 1px solid #999; padding: 6px; text-align: left; }
+    th:last-child, td:last-child { text-align: right; width: 80px; }
+    th { background: #f2f2f2; }
+    .footer { display: flex; justify-content: space-between; align-items: flex-end; font-family: Arial, sans-serif; font-size: 11px; color: #444; }
+    .order-code { text-align: center; font-family: monospace; font-size: 10px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>GIFT RECEIPT</h1>
+  <div class="parties">
+    For <strong>${gift.recipient.name}</strong><br>
+    From <strong>${customer.name}</strong>
+  </div>
+  ${occasion && html`<div class="occasion">${occasion}</div>`}
+  ${gift.message && html`<blockquote class="message">${gift.message}</blockquote>`}
+  <table>
+    <thead>
+      <tr><th>Item</th><th>Qty</th></tr>
+    </thead>
+    <tbody>
+      ${order.items.map(item => html`
+      <tr><td>${OrderModel.formatItemName(item)}</td><td>${item.quantity}</td></tr>`)}
+      ${gift.wrap && html`
+      <tr><td>Gift wrapping</td><td>1</td></tr>`}
+    </tbody>
+  </table>
+  <div class="footer">
+    <div>
+      Order ${order.id} (${date(order.createdAt)})<br>
+      ${seller.name} • ${seller.email}<br>
+      This gift receipt does not show prices.
+    </div>
+    <div class="order-code">
+      ${QRCode.toSVG(orderCode, { size: 90, label: `Order code ${orderCode}` })}<br>
+      ${orderCode}
+    </div>
+  </div>
+</body>
+</html>`);
+  },
+  
+  /**
+   * Get an order's invoice, taking an invoice number the first time
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Invoice from build()
+   */
+  getInvoice: async (orderId) => InvoiceManager.build(await ApiClient.issueInvoice(orderId)),
+  
+  /**
+   * Open a document in a new window and print it
+   * @param {Function} getMarkup - Resolves to the HTML document to print
+   * @returns {Promise<Object>} { success, error }
+   */
+  printDocument: async (getMarkup) => {
+    // Open the window before awaiting so popup blockers treat it as user-initiated
+    const printWindow = window.open('', '_blank');
+    try {
+      const markup = await getMarkup();
+      if (!printWindow) {
+        return { success: false, error: I18n.t('print.allowPopups') };
+      }
+      printWindow.document.write(markup);
+      printWindow.document.close();
+      printWindow.print();
+      return { success: true, error: null };
+    } catch (error) {
+      printWindow?.close();
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Open an order's invoice in a new window and print it
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  print: (orderId) => InvoiceManager.printDocument(async () =>
+    InvoiceManager.toHTML(await InvoiceManager.getInvoice(orderId))),
+  
+  /**
+   * Print the gift receipt for a gift order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  printGiftReceipt: (orderId) => InvoiceManager.printDocument(async () => {
+    // Orders still in the outbox are only known to this browser
+    const order = await ApiClient.getOrder(orderId).catch(() => OrderLedger.getById(orderId));
+    if (!order?.gift) throw new Error(I18n.t('gift.notGift', { id: orderId }));
+    return InvoiceManager.toGiftReceiptHTML(order);
+  }),
+  
+  /**
+   * Download an order's invoice as an HTML file
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} { success, error }
+   */
+  download: async (orderId) => {
+    try {
+      const invoice = await InvoiceManager.getInvoice(orderId);
+      const blob = new Blob([InvoiceManager.toHTML(invoice)], { type: 'text/html;charset=utf-8' });
+      const link = DOM.create('a', {
+        href: URL.createObjectURL(blob),
+        download: `invoice-${invoice.number.replace(/\//g, '-')}.html`
+      });
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+/**
+ * Admin console access module
+ *
+ * The first visit sets a passcode, and its SHA-256 hash is kept by the API:
+ * in the server's store, or in localStorage when working offline. Unlocking
+ * keeps the hash in sessionStorage for the tab's session, and HttpAdapter
+ * sends it with every request so server.js can check staff-only routes.
+ */
+const AdminSession = {
+  /**
+   * Hash a passcode
+   * @param {string} passcode - Passcode
+   * @returns {Promise<string>} Hex digest
+   */
+  hash: async (passcode) => {
+    const bytes = new TextEncoder().encode(passcode);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+  
+  /**
+   * Check whether a passcode has been set
+   * @returns {Promise<boolean>}
+   */
+  hasPasscode: () => ApiClient.hasAdminPasscode(),
+  
+  /**
+   * Set the passcode and unlock the console
+   * @param {string} passcode - New passcode
+   * @returns {Promise<Object>} { success, error }
+   */
+  setPasscode: async (passcode) => {
+    if ((passcode || '').length < CONFIG.ADMIN.MIN_PASSCODE_LENGTH) {
+      return { success: false, error: I18n.t('admin.passcodeTooShort', { count: CONFIG.ADMIN.MIN_PASSCODE_LENGTH }) };
+    }
+    const hash = await AdminSession.hash(passcode);
+    try {
+      await ApiClient.setAdminPasscode(hash);
+    } catch (error) {
+      console.error('Admin passcode error:', error);
+      return { success: false, error: I18n.t('admin.passcodeSaveFailed') };
+    }
+    sessionStorage.setItem(CONFIG.ADMIN.SESSION_KEY, hash);
+    return { success: true, error: null };
+  },
+  
+  /**
+   * Unlock the console with the passcode
+   * @param {string} passcode - Passcode attempt
+   * @returns {Promise<boolean>} Whether the passcode matched
+   */
+  unlock: async (passcode) => {
+    const hash = await AdminSession.hash(passcode || '');
+    let matches = false;
+    try {
+      matches = await ApiClient.checkAdminPasscode(hash);
+    } catch (error) {
+      console.error('Admin unlock error:', error);
+    }
+    if (matches) {
+      sessionStorage.setItem(CONFIG.ADMIN.SESSION_KEY, hash);
+    }
+    return matches;
+  },
+  
+  /**
+   * Check whether the console is unlocked in this tab
+   * @returns {boolean}
+   */
+  isUnlocked: () => /^[0-9a-f]{64}$/.test(sessionStorage.getItem(CONFIG.ADMIN.SESSION_KEY) || ''),
+  
+  /**
+   * Get the passcode digest to send with API requests
+   * @returns {string|null} Digest while unlocked
+   */
+  getCredential: () => AdminSession.isUnlocked() ? sessionStorage.getItem(CONFIG.ADMIN.SESSION_KEY) : null,
+  
+  /**
+   * Lock the console
+   */
+  lock: () => {
+    sessionStorage.removeItem(CONFIG.ADMIN.SESSION_KEY);
+  }
+};
+
+/**
+ * Notification centre. Messages queue by severity, stack in the corner of
+ * the page and are read out through ARIA live regions. Timers pause while a
+ * message is hovered or focused.
+ */
+const NotificationCenter = {
+  queue: [],
+  active: [],
+  nextId: 1,
+  
+  /**
+   * Get (or create) the stack that holds visible notifications
+   * @returns {HTMLElement}
+   */
+  getStack: () => {
+    let stack = DOM.select('.notification-stack');
+    if (!stack) {
+      stack = DOM.create('div', { className: 'notification-stack' });
+      document.body.appendChild(stack);
+    }
+    return stack;
+  },
+  
+  /**
+   * Read a message out to screen readers. Errors interrupt; everything else
+   * waits for the reader to finish.
+   * @param {string} message - Message text
+   * @param {string} type - Notification type
+   */
+  announce: (message, type) => {
+    const assertive = type === 'error';
+    const selector = `.notification-live[aria-live="${assertive ? 'assertive' : 'polite'}"]`;
+    let region = DOM.select(selector);
+    if (!region) {
+      region = DOM.create('div', {
+        className: 'notification-live',
+        role: assertive ? 'alert' : 'status',
+        'aria-live': assertive ? 'assertive' : 'polite',
+        'aria-atomic': 'true'
+      });
+      document.body.appendChild(region);
+    }
+    
+    // Clear first so a repeated message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 50);
+  },
+  
+  /**
+   * Queue a notification
+   * @param {string} message - Message text (not HTML)
+   * @param {Object} options - { type, duration, actions: [{ label, onClick }] }
+   * @returns {number} Notification ID, for dismiss()
+   */
+  show: (message, options = {}) => {
+    const type = CONFIG.NOTIFICATIONS.SEVERITY[options.type] === undefined ? 'info' : options.type;
+    const entry = {
+      id: NotificationCenter.nextId++,
+      message: String(message),
+      type,
+      duration: options.duration ?? CONFIG.NOTIFICATIONS.DURATIONS[type],
+      actions: options.actions || []
+    };
+    
+    NotificationCenter.queue.push(entry);
+    NotificationCenter.queue.sort((a, b) =>
+      CONFIG.NOTIFICATIONS.SEVERITY[b.type] - CONFIG.NOTIFICATIONS.SEVERITY[a.type] || a.id - b.id
+    );
+    NotificationCenter.flush();
+    return entry.id;
+  },
+  
+  /**
+   * Show queued notifications while there is room in the stack
+   */
+  flush: () => {
+    while (NotificationCenter.active.length < CONFIG.NOTIFICATIONS.MAX_VISIBLE && NotificationCenter.queue.length > 0) {
+      NotificationCenter.render(NotificationCenter.queue.shift());
+    }
+  },
+  
+  /**
+   * Build a notification element and place it above any of lower severity
+   * @param {Object} entry - Queued notification
+   */
+  render: (entry) => {
+    const severity = CONFIG.NOTIFICATIONS.SEVERITY[entry.type];
+    const element = DOM.create('div', {
+      className: `notification notification-${entry.type}`,
+      dataset: { notificationId: entry.id, severity }
+    });
+    
+    element.appendChild(DOM.create('span', { className: 'notification-message' }, entry.message));
+    
+    entry.actions.forEach(action => {
+      const button = DOM.create('button', { type: 'button', className: 'notification-action' }, action.label);
+      button.addEventListener('click', () => {
+        action.onClick?.();
+        NotificationCenter.dismiss(entry.id);
+      });
+      element.appendChild(button);
+    });
+    
+    const close = DOM.create('button', {
+      type: 'button',
+      className: 'notification-close',
+      'aria-label': I18n.t('notify.dismiss')
+    }, '×');
+    close.addEventListener('click', () => NotificationCenter.dismiss(entry.id));
+    element.appendChild(close);
+    
+    element.addEventListener('mouseenter', () => NotificationCenter.pause(entry));
+    element.addEventListener('mouseleave', () => NotificationCenter.resume(entry));
+    element.addEventListener('focusin', () => NotificationCenter.pause(entry));
+    element.addEventListener('focusout', () => NotificationCenter.resume(entry));
+    
+    const stack = NotificationCenter.getStack();
+    const below = Array.from(stack.children).find(other => Number(other.dataset.severity) < severity);
+    stack.insertBefore(element, below || null);
+    
+    entry.element = element;
+    entry.remaining = entry.duration;
+    NotificationCenter.active.push(entry);
+    NotificationCenter.announce(entry.message, entry.type);
+    
+    // Animate in
+    setTimeout(() => element.classList.add('show'), 10);
+    NotificationCenter.resume(entry);
+  },
+  
+  /**
+   * Stop a notification's timer, keeping the time it has left
+   * @param {Object} entry - Visible notification
+   */
+  pause: (entry) => {
+    if (!entry.timer) return;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.remaining -= Date.now() - entry.startedAt;
+  },
+  
+  /**
+   * Restart a notification's timer with the time it has left
+   * @param {Object} entry - Visible notification
+   */
+  resume: (entry) => {
+    if (entry.timer || !(entry.duration > 0)) return;
+    if (entry.element.matches(':hover') || entry.element.contains(document.activeElement)) return;
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => NotificationCenter.dismiss(entry.id), Math.max(entry.remaining, 0));
+  },
+  
+  /**
+   * Remove a notification, whether visible or still queued
+   * @param {number} id - Notification ID
+   */
+  dismiss: (id) => {
+    NotificationCenter.queue = NotificationCenter.queue.filter(entry => entry.id !== id);
+    
+    const entry = NotificationCenter.active.find(other => other.id === id);
+    if (!entry) return;
+    
+    clearTimeout(entry.timer);
+    NotificationCenter.active = NotificationCenter.active.filter(other => other !== entry);
+    entry.element.classList.remove('show');
+    setTimeout(() => entry.element.remove(), 300);
+    NotificationCenter.flush();
+  },
+  
+  /**
+   * Remove every notification
+   */
+  clear: () => {
+    NotificationCenter.queue = [];
+    [...NotificationCenter.active].forEach(entry => NotificationCenter.dismiss(entry.id));
+  }
+};
+
+/**
+ * UI Management module
+ */
+const UIManager = {
+  /**
+   * Show notification to user
+   * @param {string} message - Notification message (plain text)
+   * @param {string} type - Notification type (info, success, warning, error)
+   * @param {Object} options - { duration, actions }, see NotificationCenter.show
+   * @returns {number} Notification ID
+   */
+  showNotification: (message, type = 'info', options = {}) =>
+    NotificationCenter.show(message, { ...options, type }),
+  
+  /**
+   * Size chosen on each menu card, by product ID; cards without a choice show
+   * the product's default size
+   */
+  variantChoices: {},
+  
+  /**
+   * Get the size a menu card shows
+   * @param {Object} product - Product
+   * @returns {Object} Product variant from ProductManager.getVariant
+   */
+  getChosenVariant: (product) => {
+    const chosen = product.variants.find(entry => entry.sku === UIManager.variantChoices[product.id]);
+    return ProductManager.getVariant(chosen ? chosen.sku : product.id);
+  },
+  
+  /**
+   * Describe what a menu card shows, so unchanged cards can be kept
+   * @param {Object} product - Product
+   * @returns {string}
+   */
+  getCardSignature: (product) => {
+    const variant = UIManager.getChosenVariant(product);
+    const stockStatus = InventoryManager.getStatus(variant.sku);
+    const sizes = product.variants.map(entry => `${entry.sku}:${entry.volumeMl}:${entry.price}`).join(',');
+    const rating = ReviewManager.getSummary(product.id);
+    return [product.name, product.abv, product.category, variant.sku, variant.price, variant.image, sizes, stockStatus,
+      stockStatus === 'low' ? InventoryManager.getAvailable(variant.sku) : '', rating.average, rating.count].join('|');
+  },
+  
+  /**
+   * Build a menu card for the size chosen on it, with a size picker when the
+   * product comes in more than one size
+   * @param {Object} product - Product
+   * @returns {HTMLElement} Card
+   */
+  createProductCard: (product) => {
+    const variant = UIManager.getChosenVariant(product);
+    const stockStatus = InventoryManager.getStatus(variant.sku);
+    const available = InventoryManager.getAvailable(variant.sku);
+    const rating = ReviewManager.getSummary(product.id);
+    
+    const card = DOM.create('div', 
+      { className: 'product', dataset: { productId: product.id, signature: UIManager.getCardSignature(product) } },
+      html`
+        <img src="${variant.image}" alt="${OrderModel.formatItemName(variant)}" loading="lazy" data-fallback="images/placeholder.jpg" />
+        <div class="name">${product.name}</div>
+        <div class="meta">${product.abv}% ABV • ${product.category.charAt(0).toUpperCase() + product.category.slice(1)}</div>
+        <button type="button" class="rating-summary" data-action="show-reviews" data-product-id="${product.id}"
+          aria-label="${rating.count ? I18n.t('reviews.summary', { rating: rating.average, count: rating.count }) : I18n.t('reviews.none')}">
+          ${rating.count
+            ? html`<span class="stars" aria-hidden="true">${ReviewManager.formatStars(rating.average)}</span> ${rating.average.toFixed(1)} (${rating.count})`
+            : I18n.t('reviews.none')}
+        </button>
+        ${product.variants.length > 1
+          ? html`<select class="variant-picker" aria-label="${I18n.t('menu.size')}">
+               ${product.variants.map(entry => html`
+                 <option value="${entry.sku}" ${entry.sku === variant.sku ? 'selected' : ''}>${formatVolume(entry.volumeMl)} • ${formatCurrency(entry.price)}</option>
+               `)}
+             </select>`
+          : html`<div class="meta">${formatVolume(variant.volumeMl)}</div>`}
+        <div class="price">${formatCurrency(variant.price)}</div>
+        ${stockStatus === 'out' ? html`<div class="stock-badge out">${I18n.t('stock.outBadge')}</div>` : ''}
+        ${stockStatus === 'low' ? html`<div class="stock-badge low">${I18n.t('stock.lowBadge', { count: available })}</div>` : ''}
+        ${stockStatus === 'out'
+          ? html`<form class="waitlist-form">
+               <input type="text" name="contact" placeholder="${I18n.t('waitlist.placeholder')}" aria-label="${I18n.t('waitlist.label')}" required />
+               <button type="submit" class="select-btn">${I18n.t('waitlist.notify')}</button>
+             </form>`
+          : html`<button class="select-btn" data-id="${variant.sku}">${I18n.t('menu.addToCart')}</button>`}
+      `
+    );
+    
+    const picker = card.querySelector('.variant-picker');
+    if (picker) {
+      picker.addEventListener('change', () => {
+        UIManager.variantChoices[product.id] = picker.value;
+        const replacement = UIManager.createProductCard(product);
+        card.replaceWith(replacement);
+        replacement.querySelector('.variant-picker').focus();
+        UIManager.updateMenuGridState();
+      });
+    }
+    
+    const addButton = card.querySelector('.select-btn[data-id]');
+    if (addButton) {
+      addButton.addEventListener('click', (event) => {
+        CartManager.addItem(event.currentTarget.dataset.id, 1);
+      });
+    }
+    
+    const waitlistForm = card.querySelector('.waitlist-form');
+    if (waitlistForm) {
+      waitlistForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const result = InventoryManager.joinWaitlist(variant.sku, waitlistForm.elements.contact.value);
+        UIManager.showNotification(
+          result.success ? I18n.t('waitlist.joined', { name: OrderModel.formatItemName(variant) }) : result.error,
+          result.success ? 'success' : 'error'
+        );
+        if (result.success) waitlistForm.reset();
+      });
+    }
+    
+    return card;
+  },
+  
+  /**
+   * Render product grid for menu page. Existing cards are kept and only
+   * reordered, so re-filtering does not rebuild images or listeners.
+   * @param {Array} products - Products to show, in display order
+   */
+  renderMenuGrid: (products = ProductManager.getAllProducts()) => {
+    const grid = DOM.select('#menuGrid');
+    if (!grid) return;
+    
+    const existing = new Map(
+      Array.from(grid.querySelectorAll('.product[data-product-id]')).map(card => [card.dataset.productId, card])
+    );
+    const wanted = new Set(products.map(product => product.id));
+    
+    // Drop cards that are no longer shown, plus anything that is not a card
+    Array.from(grid.children).forEach(child => {
+      if (!wanted.has(child.dataset.productId)) child.remove();
+    });
+    
+    products.forEach((product, index) => {
+      let card = existing.get(product.id);
+      
+      if (card && card.dataset.signature !== UIManager.getCardSignature(product)) {
+        card.remove();
+        card = null;
+      }
+      
+      if (!card) {
+        card = UIManager.createProductCard(product);
+      }
+      
+      if (grid.children[index] !== card) {
+        grid.insertBefore(card, grid.children[index] || null);
+      }
+    });
+    
+    const emptyState = DOM.select('#menuEmpty');
+    if (emptyState) {
+      emptyState.hidden = products.length > 0;
+    }
+    
+    UIManager.updateMenuGridState();
+  },
+  
+  /**
+   * Render category facet checkboxes with match counts
+   * @param {Array} categories - [{ value, count }] from CatalogFilter.apply
+   * @param {string[]} selected - Selected categories
+   */
+  renderCategoryFacets: (categories, selected = []) => {
+    const container = DOM.select('#categoryFacets');
+    if (!container) return;
+    
+    categories.forEach(({ value, count }) => {
+      let option = container.querySelector(`[data-category="${value}"]`);
+      if (!option) {
+        option = DOM.create('label', 
+          { className: 'facet-option', dataset: { category: value } },
+          html`<input type="checkbox" value="${value}" /> ${value.charAt(0).toUpperCase() + value.slice(1)} <span class="facet-count"></span>`
+        );
+        container.appendChild(option);
+      }
+      
+      const checkbox = option.querySelector('input');
+      checkbox.checked = selected.includes(value);
+      checkbox.disabled = count === 0 && !checkbox.checked;
+      option.classList.toggle('disabled', checkbox.disabled);
+      option.querySelector('.facet-count').textContent = `(${count})`;
+    });
+  },
+  
+  /**
+   * Show a product's description and published reviews on the menu page
+   * @param {string|null} productId - Product ID, or null to close the panel
+   */
+  renderProductReviews: (productId) => {
+    const panel = DOM.select('#productReviews');
+    if (!panel) return;
+    
+    const product = productId ? ProductManager.getProductById(productId) : null;
+    panel.hidden = !product;
+    if (!product) {
+      panel.textContent = '';
+      return;
+    }
+    
+    const reviews = ReviewManager.getPublished(product.id);
+    const rating = ReviewManager.getSummary(product.id);
+    const formatDate = (iso) => new Date(iso).toLocaleDateString(I18n.getLocale(), { day: 'numeric', month: 'short', year: 'numeric' });
+    
+    Template.render(panel, html`
+      <div class="reviews-header">
+        <div>
+          <h3>${I18n.t('reviews.title', { name: product.name })}</h3>
+          ${product.description ? html`<p class="reviews-description">${product.description}</p>` : ''}
+          ${rating.count ? html`<div class="review-meta"><span class="stars" aria-hidden="true">${ReviewManager.formatStars(rating.average)}</span> ${I18n.t('reviews.summary', { rating: rating.average.toFixed(1), count: rating.count })}</div>` : ''}
+        </div>
+        <button type="button" class="btn" data-action="close-reviews">${I18n.t('reviews.close')}</button>
+      </div>
+      ${reviews.length === 0 ? html`<p class="reviews-description">${I18n.t('reviews.empty', { name: product.name })}</p>` : ''}
+      ${reviews.map(review => {
+        const notes = CONFIG.REVIEWS.TASTING_NOTES.filter(note => review.tastingNotes?.[note]);
+        return html`
+          <article class="review">
+            <div class="review-meta">
+              <span class="stars" role="img" aria-label="${I18n.t('reviews.stars', { count: review.rating })}">${ReviewManager.formatStars(review.rating)}</span>
+              ${I18n.t('reviews.by', { name: ReviewManager.formatAuthor(review.customer.name), date: formatDate(review.createdAt) })}
+            </div>
+            ${notes.length ? html`
+              <dl class="tasting-notes">
+                ${notes.map(note => html`<dt>${I18n.t(`reviews.${note}`)}</dt><dd>${review.tastingNotes[note]}</dd>`)}
+              </dl>
+            ` : ''}
+            ${review.comment ? html`<p>${review.comment}</p>` : ''}
+            ${ReviewManager.isReported(review.id)
+              ? html`<span class="review-report">${I18n.t('reviews.reportedBadge')}</span>`
+              : html`<button type="button" class="review-report" data-action="report-review" data-review-id="${review.id}">${I18n.t('reviews.report')}</button>`}
+          </article>
+        `;
+      })}
+    `);
+  },
+  
+  /**
+   * Reflect cart quantities on the menu grid buttons
+   */
+  updateMenuGridState: () => {
+    DOM.selectAll('.select-btn[data-id]').forEach(button => {
+      const quantity = CartManager.getQuantity(button.dataset.id);
+      button.classList.toggle('selected', quantity > 0);
+      button.textContent = quantity > 0 ? I18n.t('menu.inCart', { count: quantity }) : I18n.t('menu.addToCart');
+    });
+  },
+  
+  /**
+   * Show how many orders are waiting in the outbox, and whether the browser
+   * is offline, in a pill at the bottom of the page
+   */
+  renderOutboxStatus: () => {
+    const count = OrderOutbox.getPendingCount();
+    const offline = !navigator.onLine;
+    let pill = DOM.select('.outbox-status');
+    
+    if (count === 0 && !offline) {
+      pill?.remove();
+      return;
+    }
+    
+    if (!pill) {
+      pill = DOM.create('div', { className: 'outbox-status', role: 'status' });
+      document.body.appendChild(pill);
+    }
+    pill.classList.toggle('offline', offline);
+    pill.textContent = [
+      offline ? I18n.t('outbox.offline') : '',
+      count > 0 ? I18n.t('outbox.waiting', { count }) : ''
+    ].filter(Boolean).join(' • ');
+  },
+  
+  /**
+   * Refresh every view that depends on the cart
+   */
+  refreshCartViews: () => {
+    UIManager.updateMenuGridState();
+    UIManager.updateSelectedSummary();
+    UIManager.renderCartSummary();
+    UIManager.renderOrderSummary();
+  },
+  
+  /**
+   * Update cart summary with editable lines
+   */
+  updateSelectedSummary: () => {
+    const summaryElement = DOM.select('#selectedSummary');
+    if (!summaryElement) return;
+    
+    const lines = CartManager.getLines();
+    
+    if (lines.length === 0) {
+      Template.render(summaryElement, html`
+        <div style="color: var(--muted); text-align: center; padding: 20px;">
+          <p>${I18n.t('cart.empty')}</p>
+          <a href="menu.html" class="btn">${I18n.t('cart.browse')}</a>
+        </div>
+      `);
+      return;
+    }
+    
+    const lineMarkup = lines.map(({ product, quantity, subtotal }) => html`
+      <div style="display: flex; gap: 12px; align-items: center; flex-wrap: wrap;">
+        <img src="${product.image}" alt="${product.name}" 
+             style="width: 72px; height: 56px; object-fit: cover; border-radius: 8px;"
+             data-fallback="images/placeholder.jpg" />
+        <div style="flex: 1; min-width: 200px;">
+          <div style="font-weight: 700; margin-bottom: 4px;">${product.name}</div>
+          <div style="color: var(--muted); font-size: 13px;">
+            ${formatVolume(product.volumeMl)} • ${product.abv}% ABV • ${formatCurrency(product.price)}
+          </div>
+          ${product.description ? html`<div style="color: var(--muted); font-size: 12px; margin-top: 2px;">${product.description}</div>` : ''}
+        </div>
+        <div style="display: flex; gap: 6px; align-items: center;">
+          <button class="btn" data-action="decrement-quantity" data-product-id="${product.sku}" aria-label="${I18n.t('cart.decrease')}">−</button>
+          <span style="min-width: 20px; text-align: center; font-weight: 700;">${quantity}</span>
+          <button class="btn" data-action="increment-quantity" data-product-id="${product.sku}" aria-label="${I18n.t('cart.increase')}">+</button>
+        </div>
+        <div style="min-width: 80px; text-align: right; font-weight: 700; color: var(--accent);">${formatCurrency(subtotal)}</div>
+        <button class="btn" data-action="remove-from-cart" data-product-id="${product.sku}" style="font-size: 12px;">${I18n.t('cart.remove')}</button>
+      </div>
+    `);
+    
+    Template.render(summaryElement, html`
+      <div style="display: flex; flex-direction: column; gap: 12px;">
+        ${lineMarkup}
+        <div style="border-top: 1px solid rgba(255,255,255,0.04); padding-top: 12px;">
+          ${UIManager.renderPricingBreakdown(CartManager.getPricing())}
+        </div>
+        <div>
+          <button class="btn" data-action="clear-selection" style="font-size: 12px;">${I18n.t('cart.clearCart')}</button>
+        </div>
+      </div>
+    `);
+  },
+  
+  /**
+   * Build markup for a pricing breakdown
+   * @param {Object} pricing - Breakdown from OfferEngine.priceOrder
+   * @returns {Object} Safe HTML
+   */
+  renderPricingBreakdown: (pricing) => {
+    const row = (label, value, style = '') => html`
+      <div style="display: flex; justify-content: space-between; gap: 12px; margin-bottom: 4px; ${style}">
+        <span>${label}</span><span>${value}</span>
+      </div>
+    `;
+    
+    return `
+      ${row(I18n.t('pricing.subtotal'), formatCurrency(pricing.subtotal), 'color: var(--muted);')}
+      ${pricing.discounts.map(discount => row(discount.title, `−${formatCurrency(discount.amount)}`, 'color: #2ecc71;'))}
+      ${pricing.perks.map(perk => row(perk.label, I18n.t('pricing.included'), 'color: var(--muted); font-size: 13px;'))}
+      ${(pricing.charges || []).map(charge => row(I18n.t(`pricing.${charge.id}`), formatCurrency(charge.amount), 'color: var(--muted);'))}
+      ${row(I18n.t('pricing.total'), formatCurrency(pricing.total), 'font-weight: 800; color: var(--accent); font-size: 16px;')}
+    `;
+  },
+  
+  /**
+   * Render the floating cart panel on the menu page
+   */
+  renderCartSummary: () => {
+    const panel = DOM.select('#cartSummary');
+    const content = DOM.select('#cartContent');
+    if (!panel || !content) return;
+    
+    const lines = CartManager.getLines();
+    
+    if (lines.length === 0) {
+      content.textContent = I18n.t('cart.noItems');
+      panel.classList.remove('show');
+      return;
+    }
+    
+    Template.render(content, html`
+      ${lines.map(({ product, quantity, subtotal }) => html`
+        <div style="display: flex; justify-content: space-between; gap: 10px; margin-bottom: 8px;">
+          <div>
+            <strong>${OrderModel.formatItemName(product)}</strong><br>
+            <span style="color: var(--muted); font-size: 13px;">${quantity} × ${formatCurrency(product.price)}</span>
+          </div>
+          <span style="color: gold; white-space: nowrap;">${formatCurrency(subtotal)}</span>
+        </div>
+      `)}
+      <hr style="border-color: rgba(255,255,255,0.2);">
+      <div style="display: flex; justify-content: space-between; margin: 10px 0;">
+        <strong>${I18n.t('unit.bottles', { count: CartManager.getItemCount() })}</strong>
+        <strong>${I18n.t('pricing.totalValue', { amount: formatCurrency(CartManager.getPricing().total) })}</strong>
+      </div>
+      <div style="display: flex; gap: 6px; flex-wrap: wrap;">
+        <a href="order.html" class="btn">${I18n.t('cart.proceed')}</a>
+        <button class="btn" data-action="clear-selection">${I18n.t('cart.clear')}</button>
+      </div>
+    `);
+    
+    panel.classList.add('show');
+  },
+  
+  /**
+   * Render offers list
+   */
+  renderOffers: () => {
+    const container = DOM.select('#offersList');
+    if (!container) return;
+    
+    container.textContent = '';
+    
+    ProductManager.getOffers().forEach(offer => {
+      const offerElement = DOM.create('div',
+        { className: 'offer' },
+        html`
+          <div class="title">${offer.title}</div>
+          <div class="sub">${offer.description}</div>
+          ${offer.validUntil ? html`<div style="font-size: 11px; color: var(--muted); margin-top: 6px;">${I18n.t('offers.validUntil', { date: new Date(offer.validUntil).toLocaleDateString(I18n.getLocale()) })}</div>` : ''}
+        `
+      );
+      
+      container.appendChild(offerElement);
+    });
+  },
+  
+  /**
+   * Render a list of orders with their status history
+   * @param {Array} orders - Orders to render
+   * @param {string} emptyMessage - Message shown when the list is empty
+   */
+  renderOrderHistory: (orders, emptyMessage = I18n.t('orders.empty')) => {
+    const container = DOM.select('#ordersList');
+    if (!container) return;
+    
+    if (orders.length === 0) {
+      Template.render(container, html`
+        <div style="color: var(--muted); text-align: center; padding: 30px;">
+          <p style="margin-bottom: 16px;">${emptyMessage}</p>
+          <a href="menu.html" class="cta">${I18n.t('cart.browse')}</a>
+        </div>
+      `);
+      return;
+    }
+    
+    const formatTimestamp = (iso) => new Date(iso).toLocaleString(I18n.getLocale(), {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const queuedIds = new Set(OrderOutbox.getAll().map(entry => entry.order.id));
+    
+    Template.render(container, orders.map(order => html`
+      <div class="booking" style="margin-bottom: 14px;">
+        <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+          <div>
+            <div style="font-weight: 800;">${order.id}</div>
+            <div class="order-id">${I18n.t('orders.placed', { date: new Date(order.createdAt).toLocaleDateString(I18n.getLocale()) })} • ${I18n.t('unit.bottles', { count: order.itemCount || 1 })}</div>
+          </div>
+          <div style="text-align: right;">
+            <span class="status-badge status-${order.status}">${I18n.t(`status.${order.status}`)}</span>
+            ${queuedIds.has(order.id) ? html`<span class="status-badge outbox-badge">${I18n.t('outbox.pending')}</span>` : ''}
+            <div style="font-weight: 800; color: var(--accent); margin-top: 4px;">${formatCurrency(order.totalAmount)}</div>
+          </div>
+        </div>
+        <div style="color: var(--muted); font-size: 13px;">
+          ${(order.items || []).map(item => `${item.quantity} × ${OrderModel.formatItemName(item)}`).join(', ')}
+        </div>
+        ${order.eta ? html`<div class="eta" style="font-size: 13px;">${I18n.t(order.fulfilment === 'pickup' ? 'orders.pickup' : 'orders.expected', { date: order.eta.dateString })}${order.eta.slot ? ` • ${order.eta.slot.label}` : ''}</div>` : ''}
+        ${order.fulfilment === 'pickup' ? html`<div style="color: var(--muted); font-size: 13px;">${order.pickup.outletName}${order.pickup.token ? html` • ${Template.t('orders.token', { token: html`<strong>${PickupScheduler.formatToken(order)}</strong>` })}` : ''}</div>` : ''}
+        ${order.gift ? html`<div style="color: var(--muted); font-size: 13px;">🎁 ${I18n.t('gift.for', { name: order.gift.recipient.name })}</div>` : ''}
+        <ol class="status-timeline" style="margin: 0; padding-left: 18px; color: var(--muted); font-size: 12px;">
+          ${(order.statusHistory || []).map(entry => html`
+            <li><strong>${I18n.t(`status.${entry.status}`)}</strong> — ${formatTimestamp(entry.at)}${entry.note ? ` (${OrderModel.formatStatusNote(entry.note)})` : ''}</li>
+          `)}
+        </ol>
+        <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+          <a href="conformation.html?orderId=${encodeURIComponent(order.id)}" class="btn">${I18n.t('orders.viewDetails')}</a>
+          ${order.status === CONFIG.ORDER_STATUS.CONFIRMED ? html`<button class="btn" data-action="cancel-order" data-order-id="${order.id}">${I18n.t('orders.cancel')}</button>` : ''}
+          ${order.items?.length ? html`<button class="btn" data-action="reorder" data-order-id="${order.id}">${I18n.t('orders.reorder')}</button>` : ''}
+          ${ReviewManager.getReviewableItems(order).map(item => item.reviewed
+            ? html`<span class="review-done">✓ ${I18n.t('reviews.done', { name: item.name })}</span>`
+            : html`<button class="btn" data-action="write-review" data-order-id="${order.id}" data-product-id="${item.productId}">${I18n.t('reviews.write', { name: item.name })}</button>`)}
+        </div>
+      </div>
+    `));
+  },
+  
+  /**
+   * Display form validation errors
+   * @param {Object} errors - Error object
+   */
+  displayFormErrors: (errors, fieldMap = {}) => {
+    UIManager.clearFormErrors();
+    
+    // Display new errors, reusing a field's own error element when it has one
+    Object.entries(errors).forEach(([field, message]) => {
+      const fieldName = fieldMap[field] || field;
+      const input = DOM.select(`#${fieldName}`) || DOM.select(`[name="${fieldName}"]`);
+      if (!input) return;
+      
+      input.classList.add('error');
+      const container = input.closest('.form-group, .payment-methods, .age-verification') || input.parentNode;
+      const staticError = container.querySelector('.error-message:not([data-generated])');
+      
+      if (staticError) {
+        staticError.textContent = message;
+        staticError.classList.add('show');
+        staticError.style.display = 'flex';
+        return;
+      }
+      
+      const errorElement = DOM.create('div', 
+        { className: 'error-message show', 'data-generated': 'true' },
+        message
+      );
+      errorElement.style.cssText = 'color: #e74c3c; font-size: 12px; margin-top: 4px; display: flex;';
+      container.appendChild(errorElement);
+    });
+  },
+  
+  /**
+   * Clear form validation errors
+   */
+  clearFormErrors: () => {
+    DOM.selectAll('.error-message[data-generated]').forEach(el => el.remove());
+    DOM.selectAll('.error-message').forEach(el => {
+      el.classList.remove('show');
+      el.style.display = '';
+    });
+    DOM.selectAll('.error').forEach(el => el.classList.remove('error'));
+  },
+  
+  /**
+   * Render the cart, pricing and delivery estimate in the order page summary
+   */
+  renderOrderSummary: () => {
+    const itemsContainer = DOM.select('#orderCartItems');
+    if (!itemsContainer) return;
+    
+    const lines = CartManager.getLines();
+    const pricingContainer = DOM.select('#orderPricing');
+    const etaElement = DOM.select('#orderEta');
+    const buttonLabel = DOM.select('#placeOrderBtn span');
+    const placeOrderButton = DOM.select('#placeOrderBtn');
+    
+    if (lines.length === 0) {
+      Template.render(itemsContainer, html`
+        <div class="cart-item">
+          <div class="item-info">
+            <h4>${I18n.t('cart.empty')}</h4>
+            <div class="item-details">${Template.t('order.emptyHint', {
+              link: html`<a href="menu.html" style="color: var(--primary);">${I18n.t('order.browseCollection')}</a>`
+            })}</div>
+          </div>
+        </div>
+      `);
+      if (pricingContainer) pricingContainer.textContent = '';
+      if (buttonLabel) buttonLabel.textContent = I18n.t('order.place');
+      if (placeOrderButton) placeOrderButton.disabled = true;
+      return;
+    }
+    
+    Template.render(itemsContainer, lines.map(({ product, quantity, subtotal }) => html`
+      <div class="cart-item">
+        <div class="item-info">
+          <h4>${OrderModel.formatItemName(product)}</h4>
+          <div class="item-details">${I18n.t('order.lineDetails', { abv: product.abv, price: formatCurrency(product.price), count: quantity })}</div>
+        </div>
+        <div class="item-price">${formatCurrency(subtotal)}</div>
+      </div>
+    `));
+    
+    // Gift wrapping is only charged on gift deliveries, which arrive on the occasion date
+    const giftToggle = DOM.select('#isGift');
+    const isGift = Boolean(giftToggle?.checked && !giftToggle.disabled);
+    const occasionDate = isGift ? DOM.select('#giftOccasionDate')?.value || '' : '';
+    const pricing = CartManager.getPricing(new Date(), { giftWrap: isGift && Boolean(DOM.select('#giftWrap')?.checked) });
+    if (pricingContainer) {
+      Template.render(pricingContainer, html`
+        <div class="price-row">
+          <span>${I18n.t('pricing.subtotal')}</span>
+          <span>${formatCurrency(pricing.subtotal)}</span>
+        </div>
+        ${pricing.discounts.map(discount => html`
+          <div class="price-row">
+            <span>${discount.title}</span>
+            <span style="color: var(--success);">-${formatCurrency(discount.amount)}</span>
+          </div>
+        `)}
+        ${pricing.perks.map(perk => html`
+          <div class="price-row">
+            <span>${perk.label}</span>
+            <span style="color: var(--success);">${I18n.t('pricing.included')}</span>
+          </div>
+        `)}
+        ${pricing.charges.map(charge => html`
+          <div class="price-row">
+            <span>${I18n.t(`pricing.${charge.id}`)}</span>
+            <span>${formatCurrency(charge.amount)}</span>
+          </div>
+        `)}
+        <div class="price-row total">
+          <span>${I18n.t('pricing.totalAmount')}</span>
+          <span>${formatCurrency(pricing.total)}</span>
+        </div>
+      `);
+    }
+    
+    if (etaElement) {
+      const isPickup = DOM.select('input[name="fulfilment"]:checked')?.value === 'pickup';
+      const eta = OrderManager.generateETA({
+        fulfilment: isPickup ? 'pickup' : 'delivery',
+        deliveryDate: occasionDate || DOM.select('#deliveryDate')?.value || '',
+        timeSlot: DOM.select('#timeSlot')?.value || 'anytime',
+        outletId: DOM.select('#outletId')?.value || '',
+        pickupDate: DOM.select('#pickupDate')?.value || '',
+        pickupWindow: DOM.select('#pickupWindow')?.value || ''
+      });
+      const heading = DOM.select('#orderEtaTitle');
+      if (heading) heading.textContent = I18n.t(isPickup ? 'order.etaPickup' : 'order.etaDelivery');
+      if (eta && occasionDate && eta.dateKey !== occasionDate) {
+        etaElement.textContent = I18n.t('gift.occasionUnavailable', {
+          date: DeliveryScheduler.formatDate(DeliveryScheduler.parseDateKey(occasionDate)),
+          next: eta.dateString
+        });
+      } else {
+        etaElement.textContent = eta
+          ? `${eta.dateString} • ${eta.slot.label}`
+          : I18n.t(isPickup ? 'order.chooseOutlet' : 'order.noDeliverySlots');
+      }
+    }
+    
+    if (buttonLabel) buttonLabel.textContent = I18n.t('order.placeTotal', { amount: formatCurrency(pricing.total) });
+    if (placeOrderButton) placeOrderButton.disabled = false;
+  },
+  
+  /**
+   * Render the outlet details and the bookable pickup windows on the order page
+   */
+  renderPickupWindows: () => {
+    const select = DOM.select('#pickupWindow');
+    if (!select) return;
+    
+    const outlet = PickupScheduler.getOutlet(DOM.select('#outletId')?.value);
+    const dateKey = DOM.select('#pickupDate')?.value || '';
+    const outletInfo = DOM.select('#outletInfo');
+    if (outletInfo) {
+      outletInfo.textContent = outlet
+        ? I18n.t('order.outletInfo', {
+          address: outlet.address,
+          city: outlet.city,
+          open: PickupScheduler.formatTime(outlet.hours.OPEN),
+          close: PickupScheduler.formatTime(outlet.hours.CLOSE)
+        })
+        : '';
+    }
+    
+    const previous = select.value;
+    const windows = outlet ? PickupScheduler.getAvailableWindows(outlet.id, dateKey) : [];
+    Template.render(select, windows.length
+      ? windows.map(slot => html`
+        <option value="${slot.id}">${I18n.t('order.windowOption', { label: slot.label, count: slot.remaining })}</option>
+      `)
+      : html`<option value="">${I18n.t(outlet ? 'order.noWindows' : 'order.selectOutlet')}</option>`);
+    if (windows.some(slot => slot.id === previous)) {
+      select.value = previous;
+    }
+  },
+  
+  /**
+   * Render the admin product table
+   * @param {Array} products - Products
+   */
+  renderAdminProducts: (products) => {
+    const container = DOM.select('#adminProducts');
+    if (!container) return;
+    
+    Template.render(container, html`
+      <table class="admin-table">
+        <thead>
+          <tr><th>Product</th><th>Category</th><th>ABV</th><th>Sizes</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${products.map(product => html`
+            <tr>
+              <td><strong>${product.name}</strong><div class="order-id">${product.id}</div></td>
+              <td>${product.category}</td>
+              <td>${product.abv}%</td>
+              <td>${Template.join(product.variants.map(variant => {
+                const available = InventoryManager.getAvailable(variant.sku);
+                const stock = Number.isFinite(available) ? `${available} available` : 'Untracked';
+                return `${formatVolume(variant.volumeMl)} • ${formatCurrency(variant.price)} • ${stock}`;
+              }), html`<br>`)}</td>
+              <td class="admin-row-actions">
+                <button type="button" class="btn" data-action="edit-product" data-id="${product.id}">Edit</button>
+                <button type="button" class="btn" data-action="delete-product" data-id="${product.id}">Delete</button>
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `);
+  },
+  
+  /**
+   * Render the admin offer table
+   * @param {Array} offers - Offers
+   */
+  renderAdminOffers: (offers) => {
+    const container = DOM.select('#adminOffers');
+    if (!container) return;
+    
+    const describeBenefit = (benefit = {}) => {
+      switch (benefit.type) {
+        case 'percentage': return `${benefit.value}% off`;
+        case 'flat': return `${formatCurrency(benefit.value)} off`;
+        case 'perk': return benefit.label;
+        default: return '—';
+      }
+    };
+    
+    Template.render(container, html`
+      <table class="admin-table">
+        <thead>
+          <tr><th>Offer</th><th>Benefit</th><th>Conditions</th><th>Valid Until</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${offers.map(offer => html`
+            <tr>
+              <td><strong>${offer.title}</strong><div class="order-id">${offer.id}</div></td>
+              <td>${describeBenefit(offer.benefit)}</td>
+              <td>${[
+                offer.minOrderValue ? `Min ${formatCurrency(offer.minOrderValue)}` : '',
+                offer.minQuantity ? `${offer.minQuantity}+ bottles` : '',
+                (offer.applicableDays || []).join(', ')
+              ].filter(Boolean).join(' • ') || 'None'}</td>
+              <td>${offer.validUntil || 'No expiry'}</td>
+              <td class="admin-row-actions">
+                <button type="button" class="btn" data-action="edit-offer" data-id="${offer.id}">Edit</button>
+                <button type="button" class="btn" data-action="delete-offer" data-id="${offer.id}">Delete</button>
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `);
+  },
+  
+  /**
+   * Render the admin bookings table
+   * @param {Array} orders - Orders to show
+   */
+  renderAdminBookings: (orders) => {
+    const container = DOM.select('#adminBookings');
+    if (!container) return;
+    
+    if (orders.length === 0) {
+      Template.render(container, html`<p style="color: var(--muted);">No bookings match these filters.</p>`);
+      return;
+    }
+    
+    Template.render(container, html`
+      <table class="admin-table">
+        <thead>
+          <tr><th>Order</th><th>Customer</th><th>Delivery</th><th>Items</th><th>Total</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${orders.map(order => html`
+            <tr>
+              <td><strong>${order.id}</strong><div class="order-id">${new Date(order.createdAt).toLocaleString(CONFIG.CURRENCY.LOCALE)}</div></td>
+              <td>${order.customer.name}<div class="order-id">${order.customer.phone}</div>${order.gift ? html`<div class="order-id">Gift for ${order.gift.recipient.name} • ${order.gift.recipient.phone}${order.gift.wrap ? ' • wrapped' : ''}</div>` : ''}</td>
+              <td>${OrderModel.getDeliveryDateKey(order)}<div class="order-id">${order.eta?.slot?.label || ''}</div>${order.fulfilment === 'pickup' ? html`<div class="order-id">Pickup ${PickupScheduler.formatToken(order)} • ${order.pickup.outletName}</div>` : ''}</td>
+              <td>${Template.join(order.items.map(item => `${item.quantity} × ${OrderModel.formatItemName(item)}`), html`<br>`)}</td>
+              <td>${formatCurrency(order.totalAmount)}</td>
+              <td><span class="status-badge status-${order.status}">${order.status}</span></td>
+              <td class="admin-row-actions">
+                ${(CONFIG.ORDER_TRANSITIONS[order.status] || []).map(next => html`
+                  <button type="button" class="btn" data-action="advance-order" data-id="${order.id}" data-status="${next}">Mark ${next}</button>
+                `)}
+                <button type="button" class="btn" data-action="invoice" data-id="${order.id}">${order.invoice ? order.invoice.number : 'Invoice'}</button>
+                ${order.gift ? html`<button type="button" class="btn" data-action="print-gift-receipt" data-order-id="${order.id}">Gift receipt</button>` : ''}
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `);
+  },
+  
+  /**
+   * Render the admin review moderation table
+   * @param {Array} reviews - Reviews to show
+   */
+  renderAdminReviews: (reviews) => {
+    const container = DOM.select('#adminReviews');
+    if (!container) return;
+    
+    if (reviews.length === 0) {
+      Template.render(container, html`<p style="color: var(--muted);">No reviews match this filter.</p>`);
+      return;
+    }
+    
+    const { PUBLISHED, HIDDEN } = CONFIG.REVIEWS.STATUS;
+    Template.render(container, html`
+      <table class="admin-table">
+        <thead>
+          <tr><th>Review</th><th>Customer</th><th>Tasting Notes</th><th>Comment</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${reviews.map(review => html`
+            <tr>
+              <td><strong>${review.productName}</strong><div class="stars">${ReviewManager.formatStars(review.rating)}</div><div class="order-id">${new Date(review.createdAt).toLocaleString(CONFIG.CURRENCY.LOCALE)}</div></td>
+              <td>${review.customer.name}<div class="order-id">${review.customer.phone} • ${review.orderId}</div></td>
+              <td>${Template.join(CONFIG.REVIEWS.TASTING_NOTES
+                .filter(note => review.tastingNotes?.[note])
+                .map(note => `${note.charAt(0).toUpperCase() + note.slice(1)}: ${review.tastingNotes[note]}`), html`<br>`)}</td>
+              <td>${review.comment}</td>
+              <td><span class="status-badge status-${review.status}">${review.status}</span>${review.reports ? html`<div class="order-id">Reported ${review.reports}×</div>` : ''}</td>
+              <td class="admin-row-actions">
+                ${review.status !== PUBLISHED || review.reports ? html`
+                  <button type="button" class="btn" data-action="moderate-review" data-id="${review.id}" data-status="${PUBLISHED}">${review.status === PUBLISHED ? 'Keep' : 'Publish'}</button>
+                ` : ''}
+                ${review.status !== HIDDEN ? html`
+                  <button type="button" class="btn" data-action="moderate-review" data-id="${review.id}" data-status="${HIDDEN}">Hide</button>
+                ` : ''}
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `);
+  },
+  
+  /**
+   * Render an outlet's pickup queue for the counter view
+   * @param {Array} orders - Pickup orders in token order
+   */
+  renderPickupQueue: (orders) => {
+    const container = DOM.select('#counterQueue');
+    if (!container) return;
+    
+    if (orders.length === 0) {
+      Template.render(container, html`<p style="color: var(--muted);">No pickup tokens for this outlet on this date.</p>`);
+      return;
+    }
+    
+    // Pickup orders are handed over at the counter, never dispatched
+    const actionLabels = { packed: 'Packed', ready: 'Ready', delivered: 'Collected', cancelled: 'Cancel' };
+    
+    Template.render(container, html`
+      <table class="admin-table">
+        <thead>
+          <tr><th>Token</th><th>Window</th><th>Customer</th><th>Items</th><th>Total</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${orders.map(order => html`
+            <tr>
+              <td><span class="pickup-token">${PickupScheduler.formatToken(order)}</span><div class="order-id">${order.id}</div></td>
+              <td>${order.eta?.slot?.label || ''}</td>
+              <td>${order.customer.name}<div class="order-id">${order.customer.phone}</div></td>
+              <td>${Template.join(order.items.map(item => `${item.quantity} × ${OrderModel.formatItemName(item)}`), html`<br>`)}</td>
+              <td>${formatCurrency(order.totalAmount)}</td>
+              <td><span class="status-badge status-${order.status}">${order.status}</span></td>
+              <td class="admin-row-actions">
+                ${(CONFIG.ORDER_TRANSITIONS[order.status] || []).filter(next => actionLabels[next]).map(next => html`
+                  <button type="button" class="btn" data-action="advance-order" data-id="${order.id}" data-status="${next}">${actionLabels[next]}</button>
+                `)}
+              </td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `);
+  },
+  
+  /**
+   * Build the QR order code block shown on confirmations and receipts
+   * @param {Object} order - Canonical order
+   * @param {number} size - QR size in pixels
+   * @returns {Object} Safe HTML
+   */
+  getOrderCodeHTML: (order, size = 160) => {
+    const code = OrderCode.forOrder(order);
+    const hint = I18n.t(order.fulfilment === 'pickup' ? 'code.hintPickup' : 'code.hintDelivery');
+    return html`
+      <div class="order-code">
+        ${QRCode.toSVG(code, { size, label: I18n.t('code.label', { code }) })}
+        <div class="order-code-text">${code}</div>
+        <div class="order-code-hint">${hint}</div>
+      </div>
+    `;
+  },
+  
+  /**
+   * Render the result of verifying an order code at the counter
+   * @param {Object} result - { order, error, collected }
+   */
+  renderVerification: ({ order = null, code = '', error = '', collected = false } = {}) => {
+    const container = DOM.select('#verifyResult');
+    if (!container) return;
+    
+    if (!order) {
+      Template.render(container, error
+        ? html`<div class="verify-status verify-invalid">${error}</div>`
+        : '');
+      return;
+    }
+    
+    const collectedAt = (order.statusHistory || [])
+      .find(entry => entry.status === CONFIG.ORDER_STATUS.DELIVERED)?.at;
+    const canCollect = !collected && !error && !OrderManager.getCollectionError(order);
+    let banner = html`<div class="verify-status verify-valid">Code verified</div>`;
+    if (collected) {
+      banner = html`<div class="verify-status verify-valid">Collected — hand over the order</div>`;
+    } else if (error) {
+      banner = html`<div class="verify-status verify-invalid">${error}${collectedAt ? ` on ${new Date(collectedAt).toLocaleString(CONFIG.CURRENCY.LOCALE)}` : ''}</div>`;
+    }
+    
+    Template.render(container, html`
+      ${banner}
+      <div class="booking">
+        <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+          <div>
+            <div style="font-weight: 800;">${order.id}</div>
+            <div class="order-id">${order.customer.name} • ${order.customer.phone}</div>
+            ${order.fulfilment === 'pickup' ? html`<div class="order-id">Token ${PickupScheduler.formatToken(order)} • ${order.pickup.outletName}</div>` : ''}
+          </div>
+          <div style="text-align: right;">
+            <span class="status-badge status-${order.status}">${order.status}</span>
+            <div style="font-weight: 800; color: var(--accent); margin-top: 4px;">${formatCurrency(order.totalAmount)}</div>
+          </div>
+        </div>
+        <div style="color: var(--muted); font-size: 13px;">
+          ${order.items.map(item => `${item.quantity} × ${OrderModel.formatItemName(item)}`).join(', ')}
+        </div>
+        <div style="color: var(--muted); font-size: 13px;">Payment: ${OrderModel.formatPayment(order)}</div>
+        ${canCollect ? html`
+          <div class="form-actions">
+            <button type="button" class="cta" data-action="collect-order" data-code="${code}">Mark Collected</button>
+          </div>
+        ` : ''}
+      </div>
+    `);
+  },
+  
+  /**
+   * Describe a gift's occasion in the chosen language
+   * @param {Object} gift - Gift details of a canonical order
+   * @returns {string} e.g. "Birthday • 12 Oct 2026", or empty without an occasion
+   */
+  formatOccasion: (gift) => {
+    const { type, date } = gift?.occasion || {};
+    const day = DeliveryScheduler.parseDateKey(date);
+    return [
+      type && I18n.t(`gift.occasion.${type}`),
+      day && DeliveryScheduler.formatDate(day)
+    ].filter(Boolean).join(' • ');
+  },
+  
+  /**
+   * Render order confirmation
+   * @param {Object|null} [order] - Order to show; defaults to the URL's orderId or the last order
+   */
+  renderConfirmation: (order) => {
+    const wrapper = DOM.select('#confirmationWrap');
+    if (!wrapper) return;
+    
+    const requestedId = new URLSearchParams(window.location.search).get('orderId');
+    const booking = order !== undefined
+      ? order
+      : (requestedId ? OrderLedger.getById(requestedId) : OrderLedger.getLastOrder());
+    
+    if (!booking) {
+      Template.render(wrapper, html`
+        <div class="card" style="text-align: center; padding: 40px;">
+          <h3 style="color: var(--muted); margin-bottom: 16px;">${I18n.t('confirmation.notFound')}</h3>
+          <p style="color: var(--muted); margin-bottom: 20px;">
+            ${I18n.t('confirmation.notFoundText')}
+          </p>
+          <a href="menu.html" class="cta">${I18n.t('cart.browse')}</a>
+        </div>
+      `);
+      return;
+    }
+    
+    const { items, itemCount, customer, eta, pricing, totalAmount, gift, id: orderId, createdAt } = booking;
+    const [leadItem] = items;
+    const isPickup = booking.fulfilment === 'pickup';
+    
+    Template.render(wrapper, html`
+      <div class="booking card">
+        <div class="booking-header" style="display: flex; justify-content: space-between; align-items: start; gap: 20px; margin-bottom: 20px; flex-wrap: wrap;">
+          <div style="display: flex; gap: 12px; align-items: center; flex: 1; min-width: 300px;">
+            <img src="${leadItem.image}" alt="${leadItem.name}" 
+                 style="width: 96px; height: 72px; object-fit: cover; border-radius: 8px;"
+                 data-fallback="images/placeholder.jpg" />
+            <div>
+              <div style="font-weight: 800; font-size: 18px; margin-bottom: 4px;">${items.length > 1 ? I18n.t('confirmation.more', { name: leadItem.name, count: items.length - 1 }) : leadItem.name}</div>
+              <div style="color: var(--muted); margin-bottom: 2px;">${I18n.t('unit.bottles', { count: itemCount })}</div>
+              <div style="color: var(--accent); font-weight: 700;">${formatCurrency(totalAmount)}</div>
+            </div>
+          </div>
+          
+          <div style="text-align: right; min-width: 200px;">
+            ${isPickup && booking.pickup.token ? html`
+              <div style="color: var(--muted); font-size: 13px;">${I18n.t('confirmation.yourToken')}</div>
+              <div class="pickup-token">${PickupScheduler.formatToken(booking)}</div>
+            ` : ''}
+            <div class="eta" style="font-size: 16px; font-weight: 700; color: var(--accent); margin-bottom: 4px;">
+              ${I18n.t(isPickup ? 'orders.pickup' : 'confirmation.expectedDelivery', { date: eta.dateString })}
+            </div>
+            ${eta.slot ? html`<div style="color: var(--muted); font-size: 13px; margin-bottom: 2px;">${eta.slot.label}</div>` : ''}
+            <div class="order-id" style="color: var(--muted); font-size: 13px; margin-bottom: 2px;">
+              ${I18n.t('confirmation.orderId', { id: orderId })}
+            </div>
+            <div style="color: var(--muted); font-size: 12px;">
+              ${I18n.t('confirmation.placed', { date: new Date(createdAt).toLocaleDateString(I18n.getLocale()) })}
+            </div>
+          </div>
+        </div>
+        
+        ${OrderOutbox.has(orderId) ? html`<p class="outbox-hint">${I18n.t('outbox.pendingHint')}</p>` : ''}
+        ${UIManager.getOrderCodeHTML(booking)}
+
+        <hr style="border: none; border-top: 1px solid rgba(255,255,255,0.04); margin: 20px 0;" />
+
+        <div class="booking-details" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px;">
+          <div>
+            <h4 style="color: var(--muted); font-size: 14px; margin-bottom: 8px;">${I18n.t('confirmation.customerInfo')}</h4>
+            <div style="font-weight: 700; margin-bottom: 4px;">${customer.name}</div>
+            <div style="color: var(--muted); margin-bottom: 4px;">${customer.phone}</div>
+            ${gift ? '' : html`
+              <div style="color: var(--muted); font-size: 14px; line-height: 1.4;">
+                ${OrderModel.formatAddress(booking)}
+              </div>
+            `}
+          </div>
+          
+          ${gift ? html`
+            <div>
+              <h4 style="color: var(--muted); font-size: 14px; margin-bottom: 8px;">🎁 ${I18n.t('confirmation.giftRecipient')}</h4>
+              <div style="font-weight: 700; margin-bottom: 4px;">${gift.recipient.name}</div>
+              <div style="color: var(--muted); margin-bottom: 4px;">${gift.recipient.phone}</div>
+              <div style="color: var(--muted); font-size: 14px; line-height: 1.4; margin-bottom: 4px;">
+                ${OrderModel.formatAddress(booking)}
+              </div>
+              ${gift.occasion ? html`<div style="color: var(--muted); font-size: 14px;">${I18n.t('confirmation.giftOccasion')}: ${UIManager.formatOccasion(gift)}</div>` : ''}
+              ${gift.wrap ? html`<div style="color: var(--muted); font-size: 14px;">${I18n.t('gift.wrapped')}</div>` : ''}
+              ${gift.message ? html`<blockquote style="margin: 8px 0 0; padding-left: 10px; border-left: 2px solid var(--accent); white-space: pre-line;">${gift.message}</blockquote>` : ''}
+            </div>
+          ` : ''}
+
+          <div>
+            <h4 style="color: var(--muted); font-size: 14px; margin-bottom: 8px;">${I18n.t('confirmation.orderDetails')}</h4>
+            ${items.map(item => html`
+              <div style="display: flex; justify-content: space-between; gap: 12px; margin-bottom: 4px;">
+                <span><span style="font-weight: 700;">${item.quantity}</span> × ${OrderModel.formatItemName(item)}</span>
+                <span style="color: var(--muted);">${formatCurrency(item.subtotal)}</span>
+              </div>
+            `)}
+            <div style="color: var(--muted); margin-bottom: 4px; font-size: 14px;">
+              ${I18n.t('confirmation.payment', { method: OrderModel.formatPayment(booking) })}
+            </div>
+            ${pricing ? UIManager.renderPricingBreakdown(pricing) : html`
+              <div style="color: var(--accent); font-weight: 700; font-size: 16px;">
+                ${I18n.t('pricing.totalValue', { amount: formatCurrency(totalAmount) })}
+              </div>
+            `}
+          </div>
+        </div>
+
+        <div style="display: flex; gap: 10px; justify-content: center; margin-top: 24px; flex-wrap: wrap;">
+          <a href="menu.html" class="btn">${I18n.t('confirmation.newOrder')}</a>
+          <button type="button" class="btn" data-action="reorder" data-order-id="${orderId}">${I18n.t('confirmation.orderAgain')}</button>
+          <button type="button" class="btn" data-action="print-invoice" data-order-id="${orderId}">${I18n.t('confirmation.printInvoice')}</button>
+          <button type="button" class="btn" data-action="download-invoice" data-order-id="${orderId}">${I18n.t('confirmation.downloadInvoice')}</button>
+          ${gift ? html`<button type="button" class="btn" data-action="print-gift-receipt" data-order-id="${orderId}">${I18n.t('confirmation.giftReceipt')}</button>` : ''}
+        </div>
+      </div>
+    `);
+  }
+};
+
+/* ========================================
+   PAGE INITIALIZATION FUNCTIONS
+   ======================================== */
+
+/**
+ * Initialize menu page
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ */
+const initMenuPage = ({ signal } = {}) => {
+  console.log('Initializing menu page...');
+  
+  let criteria = CatalogFilter.fromSearch(window.location.search);
+  
+  const controls = {
+    query: DOM.select('#productSearch'),
+    sort: DOM.select('#sortOrder'),
+    abvMin: DOM.select('#abvMin'),
+    abvMax: DOM.select('#abvMax'),
+    priceMin: DOM.select('#priceMin'),
+    priceMax: DOM.select('#priceMax')
+  };
+  const resultsCount = DOM.select('#menuResultsCount');
+  
+  // Reflect criteria in the toolbar controls
+  const writeControls = () => {
+    Object.entries(controls).forEach(([key, control]) => {
+      if (control) control.value = criteria[key] ?? '';
+    });
+  };
+  
+  // Read criteria back from the toolbar controls
+  const readControls = () => {
+    const toNumber = (control) => {
+      const value = parseFloat(control?.value);
+      return isNaN(value) ? null : value;
+    };
+    const categories = DOM.selectAll('#categoryFacets input:checked').map(checkbox => checkbox.value);
+    
+    criteria = {
+      query: controls.query?.value || '',
+      categories,
+      abvMin: toNumber(controls.abvMin),
+      abvMax: toNumber(controls.abvMax),
+      priceMin: toNumber(controls.priceMin),
+      priceMax: toNumber(controls.priceMax),
+      sort: controls.sort?.value || 'relevance'
+    };
+  };
+  
+  const applyFilters = () => {
+    const result = CatalogFilter.apply(criteria);
+    
+    UIManager.renderMenuGrid(result.products);
+    UIManager.renderCategoryFacets(result.facets.categories, criteria.categories);
+    
+    if (resultsCount) {
+      resultsCount.textContent = CatalogFilter.isFiltered(criteria)
+        ? I18n.t('menu.resultsFiltered', { shown: result.products.length, count: result.total })
+        : I18n.t('menu.results', { count: result.total });
+    }
+    
+    // Keep the URL shareable without adding a history entry per keystroke
+    const url = `${window.location.pathname}${CatalogFilter.toSearch(criteria)}${window.location.hash}`;
+    window.history.replaceState(window.history.state, '', url);
+  };
+  
+  const handleChange = () => {
+    readControls();
+    applyFilters();
+  };
+  
+  if (controls.sort && !controls.sort.options.length) {
+    Object.entries(CatalogFilter.SORT_OPTIONS).forEach(([value, key]) => {
+      controls.sort.appendChild(DOM.create('option', { value }, I18n.t(key)));
+    });
+  }
+  
+  writeControls();
+  applyFilters();
+  UIManager.updateSelectedSummary();
+  UIManager.renderCartSummary();
+  
+  // Live, debounced search; the other controls apply immediately
+  if (controls.query) {
+    controls.query.addEventListener('input', debounce(handleChange, 250), { signal });
+  }
+  ['sort', 'abvMin', 'abvMax', 'priceMin', 'priceMax'].forEach(key => {
+    if (controls[key]) controls[key].addEventListener('change', handleChange, { signal });
+  });
+  
+  const facets = DOM.select('#categoryFacets');
+  if (facets) {
+    facets.addEventListener('change', handleChange, { signal });
+  }
+  
+  DOM.selectAll('.clear-filters').forEach(button => {
+    button.addEventListener('click', () => {
+      criteria = { ...CatalogFilter.getDefaults(), sort: criteria.sort };
+      writeControls();
+      applyFilters();
+    }, { signal });
+  });
+  
+  // Ratings load after the first render; cards whose rating changed are rebuilt
+  ReviewManager.load().then(() => {
+    if (!signal?.aborted) applyFilters();
+  });
+  
+  // Reviews panel for the product whose rating was clicked
+  let reviewedProductId = null;
+  const showReviews = (productId) => {
+    reviewedProductId = productId;
+    UIManager.renderProductReviews(productId);
+  };
+  
+  Template.bind(DOM.select('#menuGrid'), {
+    'show-reviews': ({ dataset: { productId } }) => {
+      showReviews(productId);
+      DOM.select('#productReviews')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, { signal });
+  
+  Template.bind(DOM.select('#productReviews'), {
+    'close-reviews': () => showReviews(null),
+    'report-review': async (button) => {
+      button.disabled = true;
+      const result = await ReviewManager.report(button.dataset.reviewId);
+      UIManager.showNotification(result.success ? I18n.t('reviews.reported') : result.error, result.success ? 'success' : 'error');
+      showReviews(reviewedProductId);
+    }
+  }, { signal });
+  
+  console.log('Menu page initialized successfully');
+};
+
+/**
+ * Initialize order page
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ */
+const initOrderPage = ({ signal } = {}) => {
+  console.log('Initializing order page...');
+  
+  UIManager.updateSelectedSummary();
+  UIManager.renderOrderSummary();
+  
+  const orderForm = DOM.select('#orderForm');
+  
+  // Map OrderManager field names onto the order form's inputs
+  const fieldMap = {
+    name: 'firstName',
+    pin: 'pincode',
+    payment: 'paymentMethod',
+    ageVerified: 'ageVerification',
+    termsAccepted: 'termsAgreement'
+  };
+  
+  const handleOrderSubmit = async (event) => {
+    event.preventDefault();
+    
+    // Collect form data
+    const formData = {
+      name: [DOM.select('#firstName')?.value, DOM.select('#lastName')?.value].filter(Boolean).join(' '),
+      email: DOM.select('#email')?.value || '',
+      phone: DOM.select('#phone')?.value || '',
+      dateOfBirth: DOM.select('#dateOfBirth')?.value || '',
+      company: DOM.select('#company')?.value || '',
+      gstin: DOM.select('#gstin')?.value || '',
+      address: DOM.select('#address')?.value || '',
+      landmark: DOM.select('#landmark')?.value || '',
+      city: DOM.select('#city')?.value || '',
+      state: DOM.select('#state')?.value || '',
+      pin: DOM.select('#pincode')?.value || '',
+      addressType: DOM.select('#addressType')?.value || 'home',
+      fulfilment: DOM.select('input[name="fulfilment"]:checked')?.value || 'delivery',
+      outletId: DOM.select('#outletId')?.value || '',
+      pickupDate: DOM.select('#pickupDate')?.value || '',
+      pickupWindow: DOM.select('#pickupWindow')?.value || '',
+      deliveryDate: DOM.select('#deliveryDate')?.value || '',
+      timeSlot: DOM.select('#timeSlot')?.value || 'anytime',
+      instructions: DOM.select('#deliveryInstructions')?.value || '',
+      gift: DOM.select('#isGift')?.checked && !DOM.select('#isGift').disabled ? {
+        recipientName: DOM.select('#giftRecipientName')?.value || '',
+        recipientPhone: DOM.select('#giftRecipientPhone')?.value || '',
+        recipientDateOfBirth: DOM.select('#giftRecipientDateOfBirth')?.value || '',
+        message: DOM.select('#giftMessage')?.value || '',
+        wrap: Boolean(DOM.select('#giftWrap')?.checked),
+        occasion: DOM.select('#giftOccasion')?.value || '',
+        occasionDate: DOM.select('#giftOccasionDate')?.value || ''
+      } : null,
+      payment: DOM.select('input[name="paymentMethod"]:checked')?.value || '',
+      paymentDetails: {
+        cardNumber: DOM.select('#cardNumber')?.value || '',
+        cardName: DOM.select('#cardName')?.value || '',
+        expiryDate: DOM.select('#expiryDate')?.value || '',
+        cvv: DOM.select('#cvv')?.value || '',
+        upiId: DOM.select('#upiId')?.value || '',
+        bankName: DOM.select('#bankName')?.value || ''
+      },
+      ageVerified: Boolean(DOM.select('#ageVerification')?.checked),
+      termsAccepted: Boolean(DOM.select('#termsAgreement')?.checked),
+      saveProfile: Boolean(DOM.select('#saveProfile')?.checked)
+    };
+    
+    // Process the order, blocking repeat submits while the request is pending
+    const submitButton = DOM.select('#placeOrderBtn');
+    if (submitButton) submitButton.disabled = true;
+    
+    const result = await OrderManager.processOrder(formData);
+    
+    if (submitButton && !result.success) {
+      submitButton.disabled = CartManager.isEmpty();
+    }
+    
+    if (result.success) {
+      UIManager.clearFormErrors();
+      
+      // Show success message, then redirect to the confirmation page
+      const confirmationUrl = `conformation.html?orderId=${encodeURIComponent(result.booking.id)}`;
+      UIManager.showNotification(I18n.t(result.queued ? 'outbox.queued' : 'order.placed'), result.queued ? 'info' : 'success', {
+        actions: [{
+          label: I18n.t('notify.viewOrder'),
+          onClick: () => Router.navigate(confirmationUrl)
+        }]
+      });
+      
+      setTimeout(() => Router.navigate(confirmationUrl), 1500);
+    } else {
+      // Display errors
+      if (result.errors) {
+        UIManager.displayFormErrors(result.errors, fieldMap);
+        
+        // We do not deliver there: offer to switch to outlet pickup
+        const outlet = result.suggestPickup && PickupScheduler.getOutlet(result.suggestPickup.outletId);
+        UIManager.showNotification(result.error || I18n.t('order.correctErrors'), 'error', result.suggestPickup ? {
+          actions: [{
+            label: outlet ? I18n.t('order.pickupFrom', { outlet: outlet.name }) : I18n.t('order.pickupInstead'),
+            onClick: () => switchToPickup(result.suggestPickup.outletId)
+          }]
+        } : {});
+      } else {
+        UIManager.showNotification(result.error || I18n.t('order.failed'), 'error');
+      }
+    }
+  };
+  
+  // Attach event listeners
+  if (orderForm) {
+    orderForm.addEventListener('submit', handleOrderSubmit, { signal });
+  }
+  
+  // Keep the delivery estimate in step with the chosen date and slot
+  ['#deliveryDate', '#timeSlot', '#pickupWindow'].forEach(selector => {
+    const input = DOM.select(selector);
+    if (input) {
+      input.addEventListener('change', UIManager.renderOrderSummary, { signal });
+    }
+  });
+  
+  // Show the legal age for the selected delivery state, or the outlet's state for pickups
+  const ageLabel = DOM.select('label[for="ageVerification"]');
+  const updateLegalAge = () => {
+    if (!ageLabel) return;
+    const isPickup = DOM.select('input[name="fulfilment"]:checked')?.value === 'pickup';
+    const stateCode = isPickup
+      ? PickupScheduler.getOutlet(DOM.select('#outletId')?.value)?.state
+      : DOM.select('#state')?.value;
+    ageLabel.textContent = I18n.t('checkout.ageConfirm', { age: ComplianceEngine.getRules(stateCode).minimumAge });
+  };
+  DOM.select('#state')?.addEventListener('change', updateLegalAge, { signal });
+  updateLegalAge();
+  
+  const termsLabel = DOM.select('label[for="termsAgreement"]');
+  if (termsLabel) {
+    Template.render(termsLabel, Template.t('checkout.terms', {
+      terms: html`<a href="#" style="color: var(--primary);">${I18n.t('checkout.termsLink')}</a>`,
+      privacy: html`<a href="#" style="color: var(--primary);">${I18n.t('checkout.privacyLink')}</a>`
+    }));
+  }
+  
+  // Net banking: list the supported banks
+  const bankSelect = DOM.select('#bankName');
+  if (bankSelect) {
+    Template.append(bankSelect, Object.entries(CONFIG.PAYMENT.BANKS).map(([code, name]) => html`
+      <option value="${code}">${name}</option>
+    `));
+  }
+  
+  // Outlet pickup: list outlets and refresh windows when the outlet or date changes
+  const outletSelect = DOM.select('#outletId');
+  const pickupDate = DOM.select('#pickupDate');
+  if (outletSelect) {
+    Template.append(outletSelect, PickupScheduler.getOutlets().map(outlet => html`
+      <option value="${outlet.id}">${outlet.name}, ${outlet.city}</option>
+    `));
+  }
+  if (pickupDate) {
+    pickupDate.min = DeliveryScheduler.toDateKey(DeliveryScheduler.clock());
+    pickupDate.value = pickupDate.min;
+  }
+  [outletSelect, pickupDate].forEach(input => {
+    input?.addEventListener('change', () => {
+      UIManager.renderPickupWindows();
+      UIManager.renderOrderSummary();
+      updateLegalAge();
+    }, { signal });
+  });
+  
+  // PIN code: fill in the city and state, flag a PIN from another state and
+  // say whether we deliver there
+  const pinInput = DOM.select('#pincode');
+  const pinInfo = DOM.select('#pinInfo');
+  const cityInput = DOM.select('#city');
+  const stateSelect = DOM.select('#state');
+  // Values filled in from the PIN; anything the customer chose is left alone
+  const autofilled = { city: '', state: '' };
+  
+  const updatePinInfo = ({ autofill = false } = {}) => {
+    if (!pinInput || !pinInfo) return;
+    const pin = pinInput.value.trim();
+    const place = PinDirectory.lookup(pin);
+    
+    if (!place) {
+      const isComplete = CONFIG.VALIDATION.PIN_REGEX.test(pin);
+      pinInfo.classList.toggle('warning', isComplete);
+      Template.render(pinInfo, isComplete ? I18n.t('validation.pinUnknown', { pin }) : '');
+      return;
+    }
+    
+    if (autofill) {
+      if (place.city && cityInput && [autofilled.city, ''].includes(cityInput.value.trim())) {
+        cityInput.value = autofilled.city = place.city;
+      }
+      if (place.state && stateSelect && [autofilled.state, ''].includes(stateSelect.value)) {
+        stateSelect.value = autofilled.state = place.state;
+        updateLegalAge();
+      }
+    }
+    
+    const pinState = PinDirectory.checkState(pin, stateSelect?.value);
+    if (stateSelect?.value && !pinState.matches) {
+      pinInfo.classList.add('warning');
+      Template.render(pinInfo, I18n.t('validation.pinState', {
+        pin,
+        expected: pinState.expected,
+        state: PinDirectory.getStateName(stateSelect.value)
+      }));
+      return;
+    }
+    
+    const { serviceable, pickupOutlet } = PinDirectory.getServiceability(pin);
+    const placeName = PinDirectory.formatPlace(place);
+    pinInfo.classList.toggle('warning', !serviceable);
+    Template.render(pinInfo, serviceable
+      ? I18n.t('order.pinDeliverable', { place: placeName })
+      : html`${I18n.t('order.pinNotServiced', { place: placeName })}<button type="button" class="link-button" data-action="switch-to-pickup" data-outlet-id="${pickupOutlet?.id || ''}">${pickupOutlet ? I18n.t('order.pickupFrom', { outlet: pickupOutlet.name }) : I18n.t('order.pickupInstead')}</button>`);
+  };
+  
+  const switchToPickup = (outletId) => {
+    const pickupOption = DOM.select('input[name="fulfilment"][value="pickup"]');
+    if (!pickupOption) return;
+    pickupOption.checked = true;
+    if (outletId && outletSelect) outletSelect.value = outletId;
+    updateFulfilment();
+    outletSelect?.focus();
+  };
+  
+  pinInput?.addEventListener('input', () => updatePinInfo({ autofill: true }), { signal });
+  stateSelect?.addEventListener('change', () => updatePinInfo(), { signal });
+  Template.bind(pinInfo, {
+    'switch-to-pickup': ({ dataset: { outletId } }) => switchToPickup(outletId)
+  }, { signal });
+  
+  // Saved customer details: fill in the fields the browser has left empty and
+  // let the customer switch between saved addresses
+  const savedAddressGroup = DOM.select('#savedAddressGroup');
+  const savedAddress = DOM.select('#savedAddress');
+  const forgetProfileButton = DOM.select('#forgetProfileBtn');
+  
+  const fillAddress = (address) => {
+    const values = {
+      '#address': address?.address,
+      '#landmark': address?.landmark,
+      '#city': address?.city,
+      '#state': address?.state,
+      '#pincode': address?.pin,
+      '#addressType': address?.label || 'home'
+    };
+    Object.entries(values).forEach(([selector, value]) => {
+      const input = DOM.select(selector);
+      if (input) input.value = value || '';
+    });
+    updateLegalAge();
+    updatePinInfo();
+  };
+  
+  const updateAddressActions = () => {
+    savedAddressGroup?.querySelectorAll('[data-action]').forEach(button => {
+      button.disabled = !savedAddress.value;
+    });
+  };
+  
+  const renderSavedAddresses = (selectedId) => {
+    const profile = CustomerProfile.get();
+    if (forgetProfileButton) forgetProfileButton.hidden = !profile;
+    if (!savedAddressGroup || !savedAddress) return;
+    
+    const addresses = profile?.addresses || [];
+    savedAddressGroup.hidden = addresses.length === 0;
+    Template.render(savedAddress, [
+      ...addresses.map(address => {
+        const label = CustomerProfile.formatAddress(address);
+        return html`<option value="${address.id}">${address.id === profile.defaultAddressId ? I18n.t('profile.defaultOption', { address: label }) : label}</option>`;
+      }),
+      html`<option value="">${I18n.t('profile.newAddress')}</option>`
+    ]);
+    savedAddress.value = addresses.some(address => address.id === selectedId) ? selectedId : '';
+    updateAddressActions();
+  };
+  
+  const profile = CustomerProfile.get();
+  let filledAddressId = '';
+  if (profile) {
+    const { contact } = profile;
+    const nameParts = (contact.name || '').trim().split(/\s+/);
+    const lastName = nameParts.length > 1 ? nameParts.pop() : '';
+    const saved = {
+      '#firstName': nameParts.join(' '),
+      '#lastName': lastName,
+      '#email': contact.email,
+      '#phone': contact.phone,
+      '#dateOfBirth': contact.dateOfBirth,
+      '#company': contact.company,
+      '#gstin': contact.gstin
+    };
+    Object.entries(saved).forEach(([selector, value]) => {
+      const input = DOM.select(selector);
+      if (input && !input.value && value) input.value = value;
+    });
+    
+    const defaultAddress = CustomerProfile.getDefaultAddress();
+    if (defaultAddress && !DOM.select('#address')?.value) {
+      fillAddress(defaultAddress);
+      filledAddressId = defaultAddress.id;
+    }
+    
+    // order.html shows the payment details panel on the radio's change event
+    const paymentRadio = DOM.select(`input[name="paymentMethod"][value="${profile.paymentMethod}"]`);
+    if (paymentRadio && !paymentRadio.checked) {
+      paymentRadio.checked = true;
+      paymentRadio.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+  renderSavedAddresses(filledAddressId);
+  
+  savedAddress?.addEventListener('change', () => {
+    fillAddress(CustomerProfile.getAddress(savedAddress.value));
+    updateAddressActions();
+  }, { signal });
+  
+  Template.bind(orderForm, {
+    'default-address': () => {
+      if (CustomerProfile.setDefaultAddress(savedAddress.value)) {
+        renderSavedAddresses(savedAddress.value);
+        UIManager.showNotification(I18n.t('profile.defaultSet'), 'success');
+      }
+    },
+    'remove-address': () => {
+      if (CustomerProfile.removeAddress(savedAddress.value)) {
+        renderSavedAddresses('');
+        fillAddress(null);
+        UIManager.showNotification(I18n.t('profile.addressRemoved'), 'info');
+      }
+    },
+    'forget-profile': () => {
+      if (CustomerProfile.clear()) {
+        const saveProfile = DOM.select('#saveProfile');
+        if (saveProfile) saveProfile.checked = false;
+        renderSavedAddresses('');
+        UIManager.showNotification(I18n.t('profile.forgotten'), 'info');
+      }
+    }
+  }, { signal });
+  
+  // Gift orders: the recipient's details, a message, wrapping and an occasion
+  // date, which becomes the delivery date
+  const isGift = DOM.select('#isGift');
+  const giftFields = DOM.select('#giftFields');
+  const giftMessage = DOM.select('#giftMessage');
+  const giftMessageCount = DOM.select('#giftMessageCount');
+  const giftOccasionDate = DOM.select('#giftOccasionDate');
+  const deliveryDateInput = DOM.select('#deliveryDate');
+  
+  const giftOccasion = DOM.select('#giftOccasion');
+  if (giftOccasion) {
+    Template.append(giftOccasion, CONFIG.GIFT.OCCASIONS.map(id => html`
+      <option value="${id}">${I18n.t(`gift.occasion.${id}`)}</option>
+    `));
+  }
+  if (giftOccasionDate) {
+    giftOccasionDate.min = DeliveryScheduler.toDateKey(DeliveryScheduler.clock());
+  }
+  if (giftMessage) giftMessage.maxLength = CONFIG.GIFT.MESSAGE_MAX_LENGTH;
+  const giftWrapLabel = DOM.select('label[for="giftWrap"]');
+  if (giftWrapLabel) giftWrapLabel.textContent = I18n.t('checkout.giftWrap', { fee: formatCurrency(CONFIG.GIFT.WRAP_FEE) });
+  
+  const updateGiftMessageCount = () => {
+    if (!giftMessage || !giftMessageCount) return;
+    giftMessageCount.textContent = `${giftMessage.value.length}/${CONFIG.GIFT.MESSAGE_MAX_LENGTH}`;
+  };
+  
+  const updateGift = () => {
+    const active = Boolean(isGift?.checked && !isGift.disabled);
+    if (giftFields) {
+      giftFields.hidden = !active;
+      giftFields.querySelectorAll('input, select, textarea').forEach(input => {
+        input.disabled = !active;
+      });
+    }
+    
+    // The occasion date pins the delivery date
+    const pinnedDate = active ? giftOccasionDate?.value || '' : '';
+    if (deliveryDateInput) {
+      if (pinnedDate) deliveryDateInput.value = pinnedDate;
+      deliveryDateInput.readOnly = Boolean(pinnedDate);
+    }
+    updateGiftMessageCount();
+    UIManager.renderOrderSummary();
+  };
+  
+  [isGift, DOM.select('#giftWrap'), giftOccasionDate].forEach(input => {
+    input?.addEventListener('change', updateGift, { signal });
+  });
+  giftMessage?.addEventListener('input', updateGiftMessageCount, { signal });
+  
+  // Show the sections for the chosen fulfilment; hidden inputs are disabled so
+  // the browser does not ask for a delivery address on a pickup order
+  const updateFulfilment = () => {
+    const mode = DOM.select('input[name="fulfilment"]:checked')?.value || 'delivery';
+    DOM.selectAll('.fulfilment-option').forEach(option => {
+      option.classList.toggle('selected', option.querySelector('input').checked);
+    });
+    DOM.selectAll('[data-fulfilment]').forEach(section => {
+      section.hidden = section.dataset.fulfilment !== mode;
+      section.querySelectorAll('input, select, textarea').forEach(input => {
+        input.disabled = section.hidden;
+      });
+    });
+    UIManager.renderPickupWindows();
+    updateGift();
+    updateLegalAge();
+  };
+  DOM.selectAll('input[name="fulfilment"]').forEach(radio => {
+    radio.addEventListener('change', updateFulfilment, { signal });
+  });
+  updateFulfilment();
+  
+  console.log('Order page initialized successfully');
+};
+
+/**
+ * Initialize confirmation page
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ */
+const initConfirmationPage = async ({ params = Router.match(window.location).params, signal } = {}) => {
+  console.log('Initializing confirmation page...');
+  
+  const requestedId = params.orderId;
+  const render = async () => {
+    if (requestedId) {
+      // Orders still in the outbox are only known to this browser
+      const order = await ApiClient.getOrder(requestedId).catch(() => OrderLedger.getById(requestedId));
+      UIManager.renderConfirmation(order);
+    } else {
+      UIManager.renderConfirmation();
+    }
+  };
+  
+  await render();
+  window.addEventListener('orderschange', render, { signal });
+  
+  console.log('Confirmation page initialized successfully');
+};
+
+/**
+ * Initialize my orders page
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ */
+const initMyOrdersPage = async ({ signal } = {}) => {
+  console.log('Initializing my orders page...');
+  
+  // Orders on screen, so the list can be redrawn once a review is posted
+  let shown = [OrderLedger.getAll()];
+  const showOrders = (...args) => {
+    shown = args;
+    UIManager.renderOrderHistory(...args);
+  };
+  
+  showOrders(OrderLedger.getAll());
+  
+  // Refresh statuses of orders known to this browser from the backend, and
+  // load reviews so delivered orders offer the products not yet reviewed
+  await Promise.all([
+    ReviewManager.load(),
+    ...OrderLedger.getAll().map(order => ApiClient.getOrder(order.id).catch(() => null))
+  ]);
+  showOrders(OrderLedger.getAll());
+  
+  const lookupForm = DOM.select('#orderLookupForm');
+  const lookupInput = DOM.select('#orderLookupInput');
+  
+  // Show queued orders going out and orders placed in other tabs, unless the
+  // customer is looking one up
+  window.addEventListener('orderschange', () => {
+    if (!lookupInput?.value.trim()) showOrders(OrderLedger.getAll());
+  }, { signal });
+  
+  if (lookupForm && lookupInput) {
+    lookupForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const query = lookupInput.value.trim();
+      
+      if (!query) {
+        showOrders(OrderLedger.getAll());
+        return;
+      }
+      
+      try {
+        showOrders(
+          await ApiClient.lookupOrders(query),
+          I18n.t('orders.noMatch')
+        );
+      } catch (error) {
+        UIManager.showNotification(error.message, 'error');
+        showOrders(OrderLedger.lookup(query), I18n.t('orders.noMatch'));
+      }
+    }, { signal });
+  }
+  
+  // Review form for a product of a delivered order
+  const reviewPanel = DOM.select('#reviewPanel');
+  const reviewForm = DOM.select('#reviewForm');
+  const reviewFieldMap = {
+    rating: 'reviewRating', nose: 'reviewNose', palate: 'reviewPalate', finish: 'reviewFinish', comment: 'reviewComment'
+  };
+  
+  // Highest rating first; the stylesheet lays them out from one star up
+  Template.render(DOM.select('#reviewRating'), Array.from({ length: CONFIG.REVIEWS.RATING_MAX }, (_, index) => {
+    const stars = CONFIG.REVIEWS.RATING_MAX - index;
+    return html`
+      <input type="radio" name="rating" id="reviewStar${stars}" value="${stars}" aria-label="${I18n.t('reviews.stars', { count: stars })}" />
+      <label for="reviewStar${stars}" title="${I18n.t('reviews.stars', { count: stars })}">★</label>
+    `;
+  }));
+  
+  const closeReview = () => {
+    if (!reviewPanel || !reviewForm) return;
+    reviewForm.reset();
+    UIManager.clearFormErrors();
+    reviewPanel.hidden = true;
+  };
+  
+  if (reviewPanel && reviewForm) {
+    CONFIG.REVIEWS.TASTING_NOTES.forEach(note => {
+      reviewForm.elements[note].maxLength = CONFIG.REVIEWS.NOTE_MAX_LENGTH;
+    });
+    reviewForm.elements.comment.maxLength = CONFIG.REVIEWS.COMMENT_MAX_LENGTH;
+    
+    Template.bind(DOM.select('#ordersList'), {
+      'write-review': (button) => {
+        closeReview();
+        reviewForm.elements.orderId.value = button.dataset.orderId;
+        reviewForm.elements.productId.value = button.dataset.productId;
+        DOM.select('#reviewTitle').textContent = button.textContent.trim();
+        reviewPanel.hidden = false;
+        reviewPanel.scrollIntoView({ behavior: 'smooth' });
+        reviewForm.querySelector('input[name="rating"]')?.focus();
+      }
+    }, { signal });
+    
+    reviewForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const submitButton = reviewForm.querySelector('[type="submit"]');
+      submitButton.disabled = true;
+      const result = await ReviewManager.submit(Object.fromEntries(new FormData(reviewForm)));
+      submitButton.disabled = false;
+      
+      if (result.errors) {
+        UIManager.displayFormErrors(result.errors, reviewFieldMap);
+        return;
+      }
+      if (!result.success) {
+        UIManager.showNotification(result.error, 'error');
+        return;
+      }
+      
+      const { review } = result;
+      const held = review.status === CONFIG.REVIEWS.STATUS.PENDING;
+      UIManager.showNotification(I18n.t(held ? 'reviews.held' : 'reviews.posted', { name: review.productName }), held ? 'info' : 'success');
+      closeReview();
+      showOrders(...shown);
+    }, { signal });
+    
+    DOM.select('#reviewCancel')?.addEventListener('click', closeReview, { signal });
+  }
+  
+  console.log('My orders page initialized successfully');
+};
+
+/**
+ * Initialize offers page
+ */
+const initOffersPage = () => {
+  console.log('Initializing offers page...');
+  
+  UIManager.renderOffers();
+  
+  console.log('Offers page initialized successfully');
+};
+
+/**
+ * Show the console of a staff page once RouteGuards.adminSession has let it
+ * mount, and wire its logout button
+ * @param {AbortSignal} [signal] - Removes the listeners when the page unmounts
+ */
+const bindAdminConsole = (signal) => {
+  const loginSection = DOM.select('#adminLogin');
+  const consoleSection = DOM.select('#adminConsole');
+  if (loginSection) loginSection.hidden = true;
+  if (consoleSection) consoleSection.hidden = false;
+  
+  const logoutButton = DOM.select('#adminLogout');
+  if (logoutButton) {
+    logoutButton.addEventListener('click', () => {
+      AdminSession.lock();
+      window.location.reload();
+    }, { signal });
+  }
+};
+
+/**
+ * Initialize admin page
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ */
+const initAdminPage = ({ signal } = {}) => {
+  console.log('Initializing admin page...');
+  
+  const consoleSection = DOM.select('#adminConsole');
+  const productForm = DOM.select('#productForm');
+  const offerForm = DOM.select('#offerForm');
+  const statusFilter = DOM.select('#bookingStatus');
+  const fromFilter = DOM.select('#bookingFrom');
+  const toFilter = DOM.select('#bookingTo');
+  const reviewFilter = DOM.select('#reviewFilter');
+  let bookings = [];
+  
+  // Map model field names onto the prefixed form inputs
+  const productFieldMap = {
+    id: 'productId', name: 'productName', category: 'productCategory', abv: 'productAbv', variants: 'productVariants'
+  };
+  const offerFieldMap = {
+    id: 'offerId', title: 'offerTitle', description: 'offerDescription', validUntil: 'offerValidUntil',
+    minOrderValue: 'offerMinOrderValue', minQuantity: 'offerMinQuantity', applicableDays: 'applicableDays',
+    benefitType: 'offerBenefitType', benefitValue: 'offerBenefitValue', benefitLabel: 'offerBenefitLabel'
+  };
+  
+  const optionalNumber = (value, parse = parseFloat) => (value === '' || value === null ? undefined : parse(value, 10));
+  
+  const renderCatalog = () => {
+    UIManager.renderAdminProducts(ProductManager.getAllProducts());
+    UIManager.renderAdminOffers(ProductManager.getOffers());
+  };
+  
+  const loadBookings = async () => {
+    try {
+      const orders = await ApiClient.listOrders({ status: statusFilter?.value || '' });
+      const from = fromFilter?.value || '';
+      const to = toFilter?.value || '';
+      bookings = orders.filter(order => {
+        const dateKey = OrderModel.getDeliveryDateKey(order);
+        return (!from || dateKey >= from) && (!to || dateKey <= to);
+      });
+      UIManager.renderAdminBookings(bookings);
+    } catch (error) {
+      UIManager.showNotification(error.message, 'error');
+    }
+  };
+  
+  // Reviews: the moderation queue by default, or every review with a status
+  const loadReviews = async () => {
+    await ReviewManager.load();
+    const filter = reviewFilter?.value ?? 'queue';
+    UIManager.renderAdminReviews(filter === 'queue'
+      ? ReviewManager.getModerationQueue()
+      : ReviewManager.reviews.filter(review => !filter || review.status === filter));
+  };
+  
+  const fillProductForm = (product = null) => {
+    if (!productForm) return;
+    productForm.reset();
+    UIManager.clearFormErrors();
+    productForm.elements.id.readOnly = Boolean(product);
+    if (!product) return;
+    
+    ['id', 'name', 'category', 'abv', 'image', 'description'].forEach(field => {
+      productForm.elements[field].value = product[field] ?? '';
+    });
+    // One line per size, in the column order readSizes expects
+    productForm.elements.variants.value = product.variants
+      .map(variant => [variant.volumeMl, variant.price, InventoryManager.getOnHand(variant.sku) ?? '', variant.sku, variant.image || '']
+        .join(', ').replace(/(, )+$/, ''))
+      .join('\n');
+  };
+  
+  // Sizes textarea: "volume, price, bottles on hand, SKU, image" per line
+  const readSizes = (text) => CatalogSchema.parseCsv(text)
+    .filter(cells => cells.some(cell => cell.trim()))
+    .map(cells => {
+      const [volumeMl, price, stock, sku, image] = cells.map(cell => cell.trim());
+      return {
+        ...(sku ? { sku } : {}),
+        volumeMl: optionalNumber(volumeMl, parseInt),
+        price: optionalNumber(price),
+        ...(stock ? { stock: optionalNumber(stock, parseInt) } : {}),
+        ...(image ? { image } : {})
+      };
+    });
+  
+  const fillOfferForm = (offer = null) => {
+    if (!offerForm) return;
+    offerForm.reset();
+    UIManager.clearFormErrors();
+    offerForm.elements.id.readOnly = Boolean(offer);
+    if (!offer) return;
+    
+    ['id', 'title', 'description', 'validUntil', 'minOrderValue', 'minQuantity'].forEach(field => {
+      offerForm.elements[field].value = offer[field] ?? '';
+    });
+    DOM.selectAll('#offerForm [name="applicableDays"]').forEach(checkbox => {
+      checkbox.checked = (offer.applicableDays || []).includes(checkbox.value);
+    });
+    offerForm.elements.benefitType.value = offer.benefit?.type || 'percentage';
+    offerForm.elements.benefitValue.value = offer.benefit?.value ?? '';
+    offerForm.elements.benefitLabel.value = offer.benefit?.label || '';
+  };
+  
+  if (productForm) {
+    productForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const fields = productForm.elements;
+      const existing = ProductManager.getProductById(fields.id.value.trim());
+      const product = {
+        ...(existing || {}),
+        id: fields.id.value.trim(),
+        name: fields.name.value.trim(),
+        category: fields.category.value.trim().toLowerCase(),
+        abv: optionalNumber(fields.abv.value),
+        image: fields.image.value.trim(),
+        description: fields.description.value.trim(),
+        variants: readSizes(fields.variants.value)
+      };
+      
+      if (!fields.id.readOnly && existing) {
+        UIManager.displayFormErrors({ id: 'A product with this ID already exists' }, productFieldMap);
+        return;
+      }
+      
+      const result = await ProductManager.saveProduct(product);
+      if (result.errors) {
+        UIManager.displayFormErrors(result.errors, productFieldMap);
+        return;
+      }
+      if (!result.success) {
+        UIManager.showNotification(result.error, 'error');
+        return;
+      }
+      
+      result.product.variants
+        .filter(variant => variant.stock !== undefined)
+        .forEach(variant => InventoryManager.setStock(variant.sku, variant.stock));
+      UIManager.showNotification(`${product.name} saved`, 'success');
+      fillProductForm();
+      renderCatalog();
+    }, { signal });
+  }
+  
+  if (offerForm) {
+    offerForm.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const fields = offerForm.elements;
+      const existing = ProductManager.getOffers().find(offer => offer.id === fields.id.value.trim());
+      const benefitType = fields.benefitType.value;
+      const benefitLabel = fields.benefitLabel.value.trim();
+      const applicableDays = DOM.selectAll('#offerForm [name="applicableDays"]:checked').map(checkbox => checkbox.value);
+      
+      const offer = {
+        id: fields.id.value.trim(),
+        title: fields.title.value.trim(),
+        description: fields.description.value.trim(),
+        validUntil: fields.validUntil.value || undefined,
+        minOrderValue: optionalNumber(fields.minOrderValue.value),
+        minQuantity: optionalNumber(fields.minQuantity.value, parseInt),
+        applicableDays: applicableDays.length ? applicableDays : undefined,
+        benefit: benefitType === 'perk'
+          ? {
+            type: 'perk',
+            perk: existing?.benefit?.perk || benefitLabel.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+            label: benefitLabel
+          }
+          : { type: benefitType, value: optionalNumber(fields.benefitValue.value) }
+      };
+      Object.keys(offer).forEach(key => offer[key] === undefined && delete offer[key]);
+      
+      if (!fields.id.readOnly && existing) {
+        UIManager.displayFormErrors({ id: 'An offer with this ID already exists' }, offerFieldMap);
+        return;
+      }
+      
+      const result = await ProductManager.saveOffer(offer);
+      if (result.errors) {
+        UIManager.displayFormErrors(result.errors, offerFieldMap);
+        return;
+      }
+      if (!result.success) {
+        UIManager.showNotification(result.error, 'error');
+        return;
+      }
+      
+      UIManager.showNotification(`${offer.title} saved`, 'success');
+      fillOfferForm();
+      renderCatalog();
+    }, { signal });
+  }
+  
+  DOM.selectAll('[data-admin-reset]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (button.dataset.adminReset === 'product') fillProductForm();
+      if (button.dataset.adminReset === 'offer') fillOfferForm();
+    }, { signal });
+  });
+  
+  [statusFilter, fromFilter, toFilter].forEach(filter => {
+    if (filter) filter.addEventListener('change', loadBookings, { signal });
+  });
+  reviewFilter?.addEventListener('change', loadReviews, { signal });
+  
+  const exportButton = DOM.select('#exportBookings');
+  if (exportButton) {
+    exportButton.addEventListener('click', () => {
+      const blob = new Blob([OrderModel.toCSV(bookings)], { type: 'text/csv;charset=utf-8' });
+      const link = DOM.create('a', { href: URL.createObjectURL(blob), download: `bookings-${DeliveryScheduler.toDateKey(new Date())}.csv` });
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    }, { signal });
+  }
+  
+  // Table buttons
+  const deleteEntry = async (id, remove) => {
+    if (!window.confirm(`Delete ${id}? This cannot be undone.`)) return;
+    const result = await remove(id);
+    UIManager.showNotification(result.success ? `${id} deleted` : result.error, result.success ? 'success' : 'error');
+    renderCatalog();
+  };
+  
+  Template.bind(consoleSection, {
+    'edit-product': ({ dataset }) => {
+      fillProductForm(ProductManager.getProductById(dataset.id));
+      productForm?.scrollIntoView({ behavior: 'smooth' });
+    },
+    'edit-offer': ({ dataset }) => {
+      fillOfferForm(ProductManager.getOffers().find(offer => offer.id === dataset.id));
+      offerForm?.scrollIntoView({ behavior: 'smooth' });
+    },
+    'delete-product': ({ dataset }) => deleteEntry(dataset.id, ProductManager.deleteProduct),
+    'delete-offer': ({ dataset }) => deleteEntry(dataset.id, ProductManager.deleteOffer),
+    invoice: async ({ dataset }) => {
+      const result = await InvoiceManager.download(dataset.id);
+      if (!result.success) UIManager.showNotification(result.error, 'error');
+      await loadBookings();
+    },
+    'advance-order': async ({ dataset: { id, status } }) => {
+      try {
+        await ApiClient.updateOrderStatus(id, status, 'status.note.updatedByStore');
+        UIManager.showNotification(`${id} marked ${status}`, 'success');
+        await loadBookings();
+        renderCatalog();
+      } catch (error) {
+        UIManager.showNotification(error.message, 'error');
+      }
+    },
+    'moderate-review': async ({ dataset: { id, status } }) => {
+      const result = await ReviewManager.moderate(id, status, 'Moderated by store');
+      UIManager.showNotification(result.success ? `Review ${id} ${status}` : result.error, result.success ? 'success' : 'error');
+      await loadReviews();
+    }
+  }, { signal });
+  
+  bindAdminConsole(signal);
+  renderCatalog();
+  loadBookings();
+  loadReviews();
+  
+  console.log('Admin page initialized successfully');
+};
+
+/**
+ * Initialize the counter page: an outlet's pickup tokens for a day
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ */
+const initCounterPage = ({ params = Router.match(window.location).params, signal } = {}) => {
+  console.log('Initializing counter page...');
+  
+  const consoleSection = DOM.select('#adminConsole');
+  const outletSelect = DOM.select('#counterOutlet');
+  const dateInput = DOM.select('#counterDate');
+  
+  if (outletSelect) {
+    Template.render(outletSelect, PickupScheduler.getOutlets().map(outlet => html`
+      <option value="${outlet.id}">${outlet.name}, ${outlet.city}</option>
+    `));
+    if (PickupScheduler.getOutlet(params.outlet)) outletSelect.value = params.outlet;
+  }
+  if (dateInput) {
+    dateInput.value = DeliveryScheduler.toDateKey(DeliveryScheduler.clock());
+  }
+  
+  const loadQueue = async () => {
+    try {
+      const orders = await ApiClient.listOrders();
+      UIManager.renderPickupQueue(PickupScheduler.getQueue(orders, outletSelect?.value, dateInput?.value));
+    } catch (error) {
+      UIManager.showNotification(error.message, 'error');
+    }
+  };
+  
+  [outletSelect, dateInput].forEach(input => {
+    if (input) input.addEventListener('change', loadQueue, { signal });
+  });
+  
+  const refreshButton = DOM.select('#counterRefresh');
+  if (refreshButton) {
+    refreshButton.addEventListener('click', loadQueue, { signal });
+  }
+  
+  Template.bind(consoleSection, {
+    'advance-order': async ({ dataset: { id, status } }) => {
+      try {
+        await ApiClient.updateOrderStatus(id, status, 'status.note.updatedAtCounter');
+        UIManager.showNotification(`${id} marked ${status}`, 'success');
+        await loadQueue();
+      } catch (error) {
+        UIManager.showNotification(error.message, 'error');
+      }
+    }
+  }, { signal });
+  
+  bindAdminConsole(signal);
+  loadQueue();
+  
+  console.log('Counter page initialized successfully');
+};
+
+/**
+ * Initialize the verification page: check a scanned or typed order code and
+ * mark the booking collected
+ * @param {Object} [context] - Route context from Router: { params, signal }
+ * @returns {Function} Stops the camera when the page unmounts
+ */
+const initVerifyPage = ({ params = Router.match(window.location).params, signal } = {}) => {
+  console.log('Initializing verify page...');
+  
+  const verifyForm = DOM.select('#verifyForm');
+  const codeInput = DOM.select('#verifyCode');
+  const resultSection = DOM.select('#verifyResult');
+  
+  // The code is checked by the server, or locally when working offline
+  const verifyCode = async (code) => {
+    try {
+      const order = await ApiClient.verifyOrderCode(code);
+      UIManager.renderVerification({ order, code, error: OrderManager.getCollectionError(order) });
+    } catch (error) {
+      UIManager.renderVerification({
+        error: error.status === 404 ? I18n.t('code.notFound', { id: OrderCode.split(code)?.orderId }) : error.message
+      });
+    }
+  };
+  
+  if (verifyForm) {
+    // Handheld scanners type the code and press Enter, which submits the form
+    verifyForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      verifyCode(codeInput?.value || '');
+      codeInput?.select();
+    }, { signal });
+  }
+  
+  Template.bind(resultSection, {
+    'collect-order': async (button) => {
+      button.disabled = true;
+      
+      const { code } = button.dataset;
+      const result = await OrderManager.collectOrder(code);
+      UIManager.renderVerification({ order: result.order, code, error: result.error || '', collected: result.success });
+      UIManager.showNotification(
+        result.success ? `${result.order.id} collected` : result.error,
+        result.success ? 'success' : 'error'
+      );
+    }
+  }, { signal });
+  
+  // Camera scanning where the browser can decode QR codes itself
+  const scanButton = DOM.select('#verifyScan');
+  const video = DOM.select('#verifyVideo');
+  let stream = null;
+  const stopCamera = () => {
+    stream?.getTracks().forEach(track => track.stop());
+    stream = null;
+    if (video) video.hidden = true;
+  };
+  
+  if (scanButton && video && 'BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+    scanButton.hidden = false;
+    scanButton.addEventListener('click', async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      } catch (error) {
+        UIManager.showNotification('Camera unavailable. Type the code instead.', 'error');
+        return;
+      }
+      
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      video.srcObject = stream;
+      video.hidden = false;
+      await video.play();
+      
+      const scan = async () => {
+        if (!stream) return;
+        const [barcode] = await detector.detect(video).catch(() => []);
+        if (!barcode) {
+          requestAnimationFrame(scan);
+          return;
+        }
+        stopCamera();
+        if (codeInput) codeInput.value = barcode.rawValue;
+        verifyCode(barcode.rawValue);
+      };
+      scan();
+    }, { signal });
   }
+  
+  bindAdminConsole(signal);
+  
+  // A code can also be passed in the URL: verify.html?code=...
+  codeInput?.focus();
+  if (params.code) {
+    if (codeInput) codeInput.value = params.code;
+    verifyCode(params.code);
+  }
+  
+  console.log('Verify page initialized successfully');
+  return stopCamera;
 };
 
+/* ========================================
+   ROUTING
+   ======================================== */
+
 /**
- * UI Management module
+ * Route guards. A guard receives the matched route and its params and
+ * resolves to true to let the page mount, or to `{ to, message }` to
+ * redirect instead; the message is shown on the page redirected to.
  */
-const UIManager = {
+const RouteGuards = {
   /**
-   * Show notification to user
-   * @param {string} message - Notification message
-   * @param {string} type - Notification type (success, error, info)
-   * @param {number} duration - Duration in milliseconds
-   */
-  showNotification: (message, type = 'info', duration = 3000) => {
-    // Remove existing notifications
-    const existingNotification = DOM.select('.notification');
-    if (existingNotification) {
-      existingNotification.remove();
-    }
-    
-    const notification = DOM.create('div', {
-      className: `notification notification-${type}`,
-      style: `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: ${type === 'success' ? 'var(--accent)' : type === 'error' ? '#e74c3c' : 'var(--panel)'};
-        color: ${type === 'success' ? '#120800' : '#f5f5f5'};
-        padding: 12px 20px;
-        border-radius: 8px;
-        box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-        z-index: 1000;
-        opacity: 0;
-        transform: translateX(100%);
-        transition: all 0.3s ease;
-      `
-    }, message);
-    
-    document.body.appendChild(notification);
-    
-    // Animate in
-    setTimeout(() => {
-      notification.style.opacity = '1';
-      notification.style.transform = 'translateX(0)';
-    }, 10);
+   * Ask once per browser whether the visitor is of legal drinking age
+   * @returns {Promise<true|Object>}
+   */
+  ageVerified: () => {
+    if (Storage.getItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES)?.ageConfirmed) {
+      return Promise.resolve(true);
+    }
     
-    // Auto remove
-    setTimeout(() => {
-      notification.style.opacity = '0';
-      notification.style.transform = 'translateX(100%)';
-      setTimeout(() => notification.remove(), 300);
-    }, duration);
+    return new Promise(resolve => {
+      const gate = DOM.create('div', {
+        className: 'age-gate',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'ageGateTitle'
+      }, html`
+        <div class="age-gate-panel">
+          <h2 id="ageGateTitle">${I18n.t('age.title')}</h2>
+          <p>${I18n.t('age.text')}</p>
+          <div class="age-gate-actions">
+            <button type="button" class="cta" data-action="confirm-age">${I18n.t('age.confirm')}</button>
+            <button type="button" class="btn" data-action="decline-age">${I18n.t('age.decline')}</button>
+          </div>
+        </div>
+      `);
+      
+      Template.bind(gate, {
+        'confirm-age': () => {
+          gate.remove();
+          const preferences = Storage.getItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES) || {};
+          Storage.setItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES, { ...preferences, ageConfirmed: true });
+          resolve(true);
+        },
+        'decline-age': () => {
+          gate.remove();
+          resolve({ to: 'index.html', message: I18n.t('age.required') });
+        }
+      });
+      
+      document.body.appendChild(gate);
+      gate.querySelector('[data-action="confirm-age"]').focus();
+    });
   },
   
   /**
-   * Render product grid for menu page
+   * Pages that need something in the cart
+   * @returns {true|Object}
    */
-  renderMenuGrid: () => {
-    const grid = DOM.select('#menuGrid');
-    if (!grid) return;
+  hasCart: () => CartManager.isEmpty()
+    ? { to: 'menu.html', message: I18n.t('cart.emptyOrder') }
+    : true,
+  
+  /**
+   * Staff pages: wait on the page's passcode form until AdminSession is
+   * unlocked in this tab. The first visit sets the passcode.
+   * @returns {Promise<true|Object>}
+   */
+  adminSession: async () => {
+    if (AdminSession.isUnlocked()) {
+      return true;
+    }
     
-    grid.innerHTML = '';
-    const products = ProductManager.getAllProducts();
+    const loginForm = DOM.select('#adminLoginForm');
+    if (!loginForm) {
+      return { to: 'index.html' };
+    }
     
-    products.forEach(product => {
-      const productElement = DOM.create('div', 
-        { className: 'product' },
-        `
-          <img src="${product.image}" alt="${product.name}" loading="lazy" onerror="this.src='images/placeholder.jpg'" />
-          <div class="name">${product.name}</div>
-          <div class="meta">${product.abv}% ABV • ${product.category.charAt(0).toUpperCase() + product.category.slice(1)}</div>
-          <div class="price">${formatCurrency(product.price)}</div>
-          <button class="select-btn" data-id="${product.id}">Select Product</button>
-        `
-      );
-      
-      grid.appendChild(productElement);
-    });
+    const title = DOM.select('#adminLoginTitle');
+    if (title && !await AdminSession.hasPasscode()) {
+      title.textContent = I18n.t('admin.setPasscode');
+    }
     
-    // Attach event listeners to select buttons
-    DOM.selectAll('.select-btn').forEach(button => {
-      button.addEventListener('click', (event) => {
-        const productId = event.currentTarget.dataset.id;
-        const success = SelectionManager.selectProduct(productId);
+    return new Promise(resolve => {
+      const submit = async (event) => {
+        event.preventDefault();
+        const passcode = loginForm.elements.passcode.value;
         
-        if (success) {
-          // Update visual feedback
-          DOM.selectAll('.select-btn').forEach(btn => btn.classList.remove('selected'));
-          event.currentTarget.classList.add('selected');
+        if (!await AdminSession.hasPasscode()) {
+          const result = await AdminSession.setPasscode(passcode);
+          if (!result.success) {
+            UIManager.showNotification(result.error, 'error');
+            return;
+          }
+        } else if (!await AdminSession.unlock(passcode)) {
+          UIManager.showNotification(I18n.t('admin.wrongPasscode'), 'error');
+          return;
         }
-      });
+        
+        loginForm.removeEventListener('submit', submit);
+        loginForm.reset();
+        resolve(true);
+      };
+      loginForm.addEventListener('submit', submit);
+      loginForm.elements.passcode?.focus();
     });
-    
-    // Highlight pre-selected product
-    const selectedProduct = SelectionManager.getSelectedProduct();
-    if (selectedProduct) {
-      const selectedButton = DOM.select(`.select-btn[data-id="${selectedProduct.id}"]`);
-      if (selectedButton) {
-        selectedButton.classList.add('selected');
-      }
+  }
+};
+
+/**
+ * Client-side router. Routes declare the paths they answer (with `:param`
+ * segments), guards and a mount function. Query string values are merged
+ * into the params. Mount functions receive `{ params, signal }`; listeners
+ * added with the signal are removed when the page unmounts, and a function
+ * returned from mount is called then too.
+ */
+const Router = {
+  routes: [
+    { name: 'home', paths: ['/index.html'], mount: () => console.log('Default page initialization') },
+    { name: 'menu', paths: ['/menu.html'], guards: [RouteGuards.ageVerified], mount: initMenuPage },
+    { name: 'order', paths: ['/order.html'], guards: [RouteGuards.ageVerified, RouteGuards.hasCart], mount: initOrderPage },
+    // Keep in sync with SERVER_CONFIG.PAGE_ROUTES in server.js
+    { name: 'confirmation', paths: ['/conformation.html', '/order/:orderId'], mount: initConfirmationPage },
+    { name: 'offers', paths: ['/offer.html'], mount: initOffersPage },
+    { name: 'myOrders', paths: ['/my-orders.html'], mount: initMyOrdersPage },
+    { name: 'admin', paths: ['/admin.html'], guards: [RouteGuards.adminSession], mount: initAdminPage },
+    { name: 'counter', paths: ['/counter.html'], guards: [RouteGuards.adminSession], mount: initCounterPage },
+    { name: 'verify', paths: ['/verify.html'], guards: [RouteGuards.adminSession], mount: initVerifyPage }
+  ],
+  
+  notFound: {
+    name: 'notFound',
+    paths: [],
+    mount: () => {
+      UIManager.showNotification(I18n.t('route.notFound'), 'warning', {
+        duration: 0,
+        actions: [{ label: I18n.t('nav.home'), onClick: () => Router.navigate('index.html') }]
+      });
     }
   },
   
+  current: null,
+  
   /**
-   * Update selected product summary
+   * Turn a route path into a regular expression. Paths match at the end of
+   * the URL so the site works from any directory, or straight from disk.
+   * @param {string} path - Route path, e.g. '/order/:orderId'
+   * @returns {RegExp}
    */
-  updateSelectedSummary: () => {
-    const summaryElement = DOM.select('#selectedSummary');
-    if (!summaryElement) return;
-    
-    const selectedProduct = SelectionManager.getSelectedProduct();
-    
-    if (!selectedProduct) {
-      summaryElement.innerHTML = `
-        <div style="color: var(--muted); text-align: center; padding: 20px;">
-          <p>No product selected</p>
-          <a href="menu.html" class="btn">Browse Products</a>
-        </div>
-      `;
-      return;
-    }
-    
-    summaryElement.innerHTML = `
-      <div style="display: flex; gap: 12px; align-items: center; flex-wrap: wrap;">
-        <img src="${selectedProduct.image}" alt="${selectedProduct.name}" 
-             style="width: 72px; height: 56px; object-fit: cover; border-radius: 8px;"
-             onerror="this.src='images/placeholder.jpg'" />
-        <div style="flex: 1; min-width: 200px;">
-          <div style="font-weight: 700; margin-bottom: 4px;">${selectedProduct.name}</div>
-          <div style="color: var(--muted); font-size: 13px;">
-            ${selectedProduct.abv}% ABV • ${formatCurrency(selectedProduct.price)}
-          </div>
-          ${selectedProduct.description ? `<div style="color: var(--muted); font-size: 12px; margin-top: 2px;">${selectedProduct.description}</div>` : ''}
-        </div>
-        <button onclick="SelectionManager.clearSelection()" class="btn" style="font-size: 12px;">
-          Change Selection
-        </button>
-      </div>
-    `;
-  },
+  compile: (path) => new RegExp(`(?:^|/)${path.replace(/^\//, '').split('/').map(segment =>
+    segment.startsWith(':')
+      ? `(?<${segment.slice(1)}>[^/]+)`
+      : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  ).join('/')}$`),
   
   /**
-   * Render offers list
+   * Find the route for a URL
+   * @param {Location|URL|string} location - URL to match
+   * @returns {Object} { route, params }
    */
-  renderOffers: () => {
-    const container = DOM.select('#offersList');
-    if (!container) return;
+  match: (location) => {
+    const url = new URL(String(location), window.location.href);
+    const pathname = url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname;
+    const query = Object.fromEntries(url.searchParams);
     
-    container.innerHTML = '';
+    for (const route of Router.routes) {
+      for (const path of route.paths) {
+        const found = Router.compile(path).exec(pathname);
+        if (found) {
+          const params = Object.fromEntries(
+            Object.entries(found.groups || {}).map(([key, value]) => [key, decodeURIComponent(value)])
+          );
+          return { route, params: { ...query, ...params } };
+        }
+      }
+    }
     
-    PRODUCT_CATALOG.offers.forEach(offer => {
-      const offerElement = DOM.create('div',
-        { className: 'offer' },
-        `
-          <div class="title">${offer.title}</div>
-          <div class="sub">${offer.description}</div>
-          ${offer.validUntil ? `<div style="font-size: 11px; color: var(--muted); margin-top: 6px;">Valid until: ${new Date(offer.validUntil).toLocaleDateString(CONFIG.CURRENCY.LOCALE)}</div>` : ''}
-        `
-      );
-      
-      container.appendChild(offerElement);
-    });
+    return { route: Router.notFound, params: query };
   },
   
   /**
-   * Display form validation errors
-   * @param {Object} errors - Error object
+   * Go to a URL. Another page of the same document is mounted in place;
+   * anything else is a normal page load.
+   * @param {string} url - Target URL
+   * @param {Object} options - { replace }
    */
-  displayFormErrors: (errors) => {
-    // Clear existing errors
-    DOM.selectAll('.error-message').forEach(el => el.remove());
-    DOM.selectAll('.error').forEach(el => el.classList.remove('error'));
+  navigate: (url, { replace = false } = {}) => {
+    const target = new URL(url, window.location.href);
     
-    // Display new errors
-    Object.entries(errors).forEach(([field, message]) => {
-      const input = DOM.select(`#${field}`) || DOM.select(`[name="${field}"]`);
-      if (input) {
-        input.classList.add('error');
-        const errorElement = DOM.create('div', 
-          { className: 'error-message' },
-          message
-        );
-        errorElement.style.cssText = 'color: #e74c3c; font-size: 12px; margin-top: 4px;';
-        input.parentNode.appendChild(errorElement);
+    if (target.pathname !== window.location.pathname || target.origin !== window.location.origin) {
+      if (replace) {
+        window.location.replace(target.href);
+      } else {
+        window.location.assign(target.href);
       }
-    });
+      return;
+    }
+    
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', target.href);
+    Router.resolve();
   },
   
   /**
-   * Render order confirmation
+   * Mount the route for the current URL, running its guards first
+   * @returns {Promise<void>}
    */
-  renderConfirmation: () => {
-    const wrapper = DOM.select('#confirmationWrap');
-    if (!wrapper) return;
+  resolve: async () => {
+    const key = `${window.location.pathname}${window.location.search}`;
+    if (Router.current?.key === key) return;
     
-    const booking = Storage.getItem(CONFIG.STORAGE_KEYS.BOOKING_DATA);
+    const { route, params } = Router.match(window.location);
     
-    if (!booking) {
-      wrapper.innerHTML = `
-        <div class="card" style="text-align: center; padding: 40px;">
-          <h3 style="color: var(--muted); margin-bottom: 16px;">No Order Found</h3>
-          <p style="color: var(--muted); margin-bottom: 20px;">
-            We couldn't find your order details. Please place a new order.
-          </p>
-          <a href="menu.html" class="cta">Browse Products</a>
-        </div>
-      `;
-      return;
+    for (const guard of route.guards || []) {
+      const outcome = await guard({ route, params });
+      if (outcome !== true) {
+        if (outcome.message) sessionStorage.setItem(CONFIG.ROUTER.FLASH_KEY, outcome.message);
+        Router.navigate(outcome.to, { replace: true });
+        return;
+      }
     }
     
-    const { product, customer, eta, totalAmount, id: orderId, createdAt } = booking;
-    
-    wrapper.innerHTML = `
-      <div class="booking card">
-        <div class="booking-header" style="display: flex; justify-content: space-between; align-items: start; gap: 20px; margin-bottom: 20px; flex-wrap: wrap;">
-          <div style="display: flex; gap: 12px; align-items: center; flex: 1; min-width: 300px;">
-            <img src="${product.image}" alt="${product.name}" 
-                 style="width: 96px; height: 72px; object-fit: cover; border-radius: 8px;"
-                 onerror="this.src='images/placeholder.jpg'" />
-            <div>
-              <div style="font-weight: 800; font-size: 18px; margin-bottom: 4px;">${product.name}</div>
-              <div style="color: var(--muted); margin-bottom: 2px;">${product.abv}% ABV</div>
-              <div style="color: var(--accent); font-weight: 700;">${customer.qty} × ${formatCurrency(product.price)} = ${formatCurrency(totalAmount)}</div>
-            </div>
-          </div>
-          
-          <div style="text-align: right; min-width: 200px;">
-            <div class="eta" style="font-size: 16px; font-weight: 700; color: var(--accent); margin-bottom: 4px;">
-              Expected Delivery: ${eta.dateString}
-            </div>
-            <div class="order-id" style="color: var(--muted); font-size: 13px; margin-bottom: 2px;">
-              Order ID: ${orderId}
-            </div>
-            <div style="color: var(--muted); font-size: 12px;">
-              Placed: ${new Date(createdAt).toLocaleDateString(CONFIG.CURRENCY.LOCALE)}
-            </div>
-          </div>
-        </div>
-
-        <hr style="border: none; border-top: 1px solid rgba(255,255,255,0.04); margin: 20px 0;" />
-
-        <div class="booking-details" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px;">
-          <div>
-            <h4 style="color: var(--muted); font-size: 14px; margin-bottom: 8px;">Customer Information</h4>
-            <div style="font-weight: 700; margin-bottom: 4px;">${customer.name}</div>
-            <div style="color: var(--muted); margin-bottom: 4px;">${customer.phone}</div>
-            <div style="color: var(--muted); font-size: 14px; line-height: 1.4;">
-              ${customer.address}<br>
-              ${customer.city} - ${customer.pin}
-            </div>
-          </div>
-
-          <div>
-            <h4 style="color: var(--muted); font-size: 14px; margin-bottom: 8px;">Order Details</h4>
-            <div style="margin-bottom: 4px;">
-              <span style="font-weight: 700;">${customer.qty}</span> × ${product.name}
-            </div>
-            <div style="color: var(--muted); margin-bottom: 4px; font-size: 14px;">
-              Payment: ${customer.payment}
-            </div>
-            <div style="color: var(--accent); font-weight: 700; font-size: 16px;">
-              Total: ${formatCurrency(totalAmount)}
-            </div>
-          </div>
-        </div>
-
-        <div style="display: flex; gap: 10px; justify-content: center; margin-top: 24px; flex-wrap: wrap;">
-          <a href="menu.html" class="btn">Place New Order</a>
-          <button onclick="window.print()" class="btn">Print Receipt</button>
-        </div>
-      </div>
-    `;
-  }
-};
-
-/* ========================================
-   PAGE INITIALIZATION FUNCTIONS
-   ======================================== */
-
-/**
- * Initialize menu page
- */
-const initMenuPage = () => {
-  console.log('Initializing menu page...');
-  
-  UIManager.renderMenuGrid();
-  UIManager.updateSelectedSummary();
-  
-  // Add search functionality if search input exists
-  const searchInput = DOM.select('#productSearch');
-  if (searchInput) {
-    searchInput.addEventListener('input', (event) => {
-      const query = event.target.value;
-      // Implement search functionality here if needed
-      console.log('Search query:', query);
-    });
-  }
-  
-  console.log('Menu page initialized successfully');
-};
-
-/**
- * Initialize order page
- */
-const initOrderPage = () => {
-  console.log('Initializing order page...');
-  
-  UIManager.updateSelectedSummary();
-  
-  const orderForm = DOM.select('#orderForm');
-  const submitButton = DOM.select('#submitOrder');
-  
-  const handleOrderSubmit = (event) => {
-    event.preventDefault();
-    
-    // Collect form data
-    const formData = {
-      name: DOM.select('#customerName')?.value || '',
-      phone: DOM.select('#phone')?.value || '',
-      address: DOM.select('#address')?.value || '',
-      city: DOM.select('#city')?.value || '',
-      pin: DOM.select('#pin')?.value || '',
-      payment: DOM.select('#payment')?.value || '',
-      quantity: DOM.select('#quantity')?.value || '1'
-    };
+    // Show the reason for a redirect that brought us here
+    const flash = sessionStorage.getItem(CONFIG.ROUTER.FLASH_KEY);
+    if (flash) {
+      sessionStorage.removeItem(CONFIG.ROUTER.FLASH_KEY);
+      UIManager.showNotification(flash, 'warning');
+    }
     
-    // Process the order
-    const result = OrderManager.processOrder(formData);
+    Router.unmount();
+    const controller = new AbortController();
+    const current = { route, params, key, controller, cleanup: null };
+    Router.current = current;
     
-    if (result.success) {
-      // Clear form errors
-      DOM.selectAll('.error-message').forEach(el => el.remove());
-      DOM.selectAll('.error').forEach(el => el.classList.remove('error'));
-      
-      // Show success message
-      UIManager.showNotification('Order placed successfully! Redirecting...', 'success');
-      
-      // Redirect to confirmation page
-      setTimeout(() => {
-        window.location.href = 'confirmation.html';
-      }, 1500);
-    } else {
-      // Display errors
-      if (result.errors) {
-        UIManager.displayFormErrors(result.errors);
-        UIManager.showNotification('Please correct the errors below', 'error');
+    const cleanup = await route.mount({ params, signal: controller.signal });
+    if (typeof cleanup === 'function') {
+      if (Router.current === current) {
+        current.cleanup = cleanup;
       } else {
-        UIManager.showNotification(result.error || 'Failed to place order', 'error');
+        cleanup();
       }
     }
-  };
+  },
   
-  // Attach event listeners
-  if (orderForm) {
-    orderForm.addEventListener('submit', handleOrderSubmit);
-  }
+  /**
+   * Remove the current page's listeners and run its cleanup
+   */
+  unmount: () => {
+    if (!Router.current) return;
+    Router.current.controller.abort();
+    Router.current.cleanup?.();
+    Router.current = null;
+  },
   
-  if (submitButton) {
-    submitButton.addEventListener('click', handleOrderSubmit);
+  /**
+   * Mount the first page and follow back/forward navigation
+   * @returns {Promise<void>}
+   */
+  start: async () => {
+    window.addEventListener('popstate', Router.resolve);
+    await Router.resolve();
   }
-  
-  console.log('Order page initialized successfully');
-};
-
-/**
- * Initialize confirmation page
- */
-const initConfirmationPage = () => {
-  console.log('Initializing confirmation page...');
-  
-  UIManager.renderConfirmation();
-  
-  console.log('Confirmation page initialized successfully');
-};
-
-/**
- * Initialize offers page
- */
-const initOffersPage = () => {
-  console.log('Initializing offers page...');
-  
-  UIManager.renderOffers();
-  
-  console.log('Offers page initialized successfully');
 };
 
 /* ========================================
@@ -946,53 +11107,114 @@ const initOffersPage = () => {
 /**
  * Initialize application based on current page
  */
-const initializeApplication = () => {
+const initializeApplication = async () => {
   console.log('Initializing Luxury Liquor Store Application...');
   
-  // Determine current page and initialize accordingly
-  const currentPage = window.location.pathname.split('/').pop() || 'index.html';
-  
-  switch (currentPage) {
-    case 'menu.html':
-      initMenuPage();
-      break;
-    case 'order.html':
-      initOrderPage();
-      break;
-    case 'confirmation.html':
-      initConfirmationPage();
-      break;
-    case 'offers.html':
-      initOffersPage();
-      break;
-    default:
-      console.log('Default page initialization');
-      // Initialize common functionality for index page
-      break;
-  }
+  // Apply the saved language to static labels and the language switcher
+  I18n.translatePage();
+  I18n.renderSwitchers();
   
-  // Global event listeners
-  document.addEventListener('click', (event) => {
-    // Handle any global click events if needed
-    if (event.target.matches('[data-action]')) {
-      const action = event.target.dataset.action;
-      const productId = event.target.dataset.productId;
-      
-      switch (action) {
-        case 'select-product':
-          if (productId) {
-            SelectionManager.selectProduct(productId);
-          }
-          break;
-        case 'clear-selection':
-          SelectionManager.clearSelection();
-          break;
-        default:
-          console.log('Unknown action:', action);
+  // Cache the site for offline use and send orders queued while offline
+  OfflineShell.register();
+  OrderOutbox.start();
+  
+  // Follow cart, order and language changes made in other tabs
+  TabSync.start();
+  
+  // Load the catalog and excise rules from the active data source before rendering
+  await Promise.all([ProductManager.load(), ComplianceEngine.load()]);
+  
+  // Return stock held by abandoned pre-bookings
+  await InventoryManager.releaseExpired();
+  
+  // Mount the page for the current URL
+  await Router.start();
+  
+  // Global event listeners; cart buttons carry a SKU (or a product ID for its default size)
+  const cartAction = (update) => ({ dataset: { productId } }) => {
+    if (productId) update(productId);
+  };
+  const invoiceAction = (run) => ({ dataset: { orderId } }) => {
+    if (!orderId) return;
+    run(orderId).then(result => {
+      if (!result.success) UIManager.showNotification(result.error, 'error');
+    });
+  };
+  
+  Template.bind(document, {
+    'select-product': cartAction(productId => SelectionManager.selectProduct(productId)),
+    'clear-selection': () => CartManager.clear(),
+    'remove-from-cart': cartAction(sku => {
+      const quantity = CartManager.getQuantity(sku);
+      const product = ProductManager.getVariant(sku);
+      if (CartManager.removeItem(sku) && product) {
+        UIManager.showNotification(I18n.t('cart.removed', { name: OrderModel.formatItemName(product) }), 'info', {
+          actions: [{
+            label: I18n.t('notify.undo'),
+            onClick: () => CartManager.addItem(sku, quantity)
+          }]
+        });
       }
+    }),
+    'increment-quantity': cartAction(sku => {
+      CartManager.updateQuantity(sku, CartManager.getQuantity(sku) + 1);
+    }),
+    'decrement-quantity': cartAction(sku => {
+      CartManager.updateQuantity(sku, CartManager.getQuantity(sku) - 1);
+    }),
+    'print-invoice': invoiceAction(InvoiceManager.print),
+    'download-invoice': invoiceAction(InvoiceManager.download),
+    'print-gift-receipt': invoiceAction(InvoiceManager.printGiftReceipt),
+    'cancel-order': ({ dataset: { orderId } }) => {
+      if (!orderId) return;
+      const cancelled = OrderOutbox.has(orderId)
+        ? OrderOutbox.cancel(orderId, 'status.note.cancelledByCustomer')
+        : ApiClient.updateOrderStatus(orderId, CONFIG.ORDER_STATUS.CANCELLED, 'status.note.cancelledByCustomer');
+      cancelled
+        .then(() => {
+          UIManager.showNotification(I18n.t('orders.cancelled', { id: orderId }), 'success');
+          UIManager.renderOrderHistory(OrderLedger.getAll());
+        })
+        .catch(error => UIManager.showNotification(error.message, 'error'));
+    },
+    'reorder': ({ dataset: { orderId } }) => {
+      if (!orderId) return;
+      ApiClient.getOrder(orderId)
+        .catch(() => OrderLedger.getById(orderId))
+        .then(order => {
+          if (!order) throw new Error(I18n.t('reorder.notFound', { id: orderId }));
+          
+          const result = CartManager.reorder(order);
+          if (!result.success) {
+            UIManager.showNotification(result.error, 'error');
+            return;
+          }
+          
+          const notes = [
+            ...result.repriced.map(line => I18n.t('reorder.repriced', { name: line.name, price: formatCurrency(line.price), was: formatCurrency(line.was) })),
+            ...result.reduced.map(line => I18n.t('reorder.reduced', { name: line.name, count: line.quantity })),
+            ...result.unavailable.map(line => I18n.t('reorder.unavailable', { name: line.name }))
+          ];
+          UIManager.showNotification([I18n.t('reorder.added', { id: order.id }), ...notes].join('. '), notes.length ? 'warning' : 'success', {
+            actions: [
+              { label: I18n.t('reorder.checkout'), onClick: () => Router.navigate('order.html') },
+              ...(result.previous.length ? [{ label: I18n.t('notify.undo'), onClick: () => CartManager.saveItems(result.previous) }] : [])
+            ]
+          });
+        })
+        .catch(error => UIManager.showNotification(error.message, 'error'));
     }
   });
   
+  // Swap broken images for their data-fallback once; load errors do not bubble
+  document.addEventListener('error', (event) => {
+    const image = event.target;
+    if (image.tagName !== 'IMG' || !image.dataset.fallback) return;
+    const { fallback } = image.dataset;
+    delete image.dataset.fallback;
+    image.src = fallback;
+  }, true);
+  
   console.log('Application initialized successfully');
 };
 
@@ -1003,22 +11225,55 @@ const initializeApplication = () => {
 // Expose necessary functions to global scope for backward compatibility
 window.LuxuryLiquorApp = {
   // Core modules
+  CatalogSchema,
   ProductManager,
+  CatalogFilter,
+  OfferEngine,
+  DeliveryScheduler,
+  PickupScheduler,
+  PinDirectory,
+  OrderCode,
+  ComplianceEngine,
+  InventoryManager,
+  CartManager,
   SelectionManager,
+  OrderModel,
+  OrderLedger,
+  CustomerProfile,
+  ApiClient,
+  OrderOutbox,
+  OfflineShell,
+  TabSync,
+  PaymentProvider,
   OrderManager,
+  InvoiceManager,
+  AdminSession,
+  NotificationCenter,
   UIManager,
+  Router,
+  RouteGuards,
   
   // Utilities
   DOM,
   Storage,
   Validator,
+  QRCode,
+  I18n,
   formatCurrency,
+  formatVolume,
+  escapeHtml,
+  Template,
+  debounce,
   
   // Initialization functions
   initMenuPage,
   initOrderPage,
   initConfirmationPage,
   initOffersPage,
+  initMyOrdersPage,
+  initAdminPage,
+  initCounterPage,
+  initVerifyPage,
   
   // Legacy compatibility
   initializeApplication,
@@ -1041,15 +11296,9 @@ if (document.readyState === 'loading') {
 // Handle page visibility changes
 document.addEventListener('visibilitychange', () => {
   if (!document.hidden) {
-    // Page became visible, refresh selected product summary
-    UIManager.updateSelectedSummary();
+    // Page became visible, refresh cart views
+    UIManager.refreshCartViews();
   }
 });
 
-// Handle browser back/forward navigation
-window.addEventListener('popstate', () => {
-  // Re-initialize based on new page
-  setTimeout(initializeApplication, 100);
-});
-
 console.log('Luxury Liquor Store Script loaded successfully');
\ No newline at end of file
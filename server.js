@@ -0,0 +1,1341 @@
+/**
+ * Server.js - Local REST Backend
+ * Luxury Liquor Store Management System
+ *
+ * Serves the static site and a small JSON API for the catalog, offers and
+ * orders. Data is persisted to a local JSON file so bookings placed from any
+ * browser are visible to the store. New orders are re-priced against the
+ * stored catalog and offers, and checked against the excise rules in
+ * data/compliance.json and the capacity of their delivery slot or pickup
+ * window. Order codes are signed with a secret kept in the store (or
+ * ORDER_CODE_SECRET) that browsers never see. Products come from a catalog
+ * file (JSON or CSV), re-read whenever it changes. Uses Node core modules only:
+ *
+ *   node server.js            # http://localhost:3000
+ *   PORT=8080 node server.js
+ *   CATALOG_FILE=data/catalog.csv node server.js
+ *
+ * Endpoints:
+ *   GET   /api/catalog
+ *   GET   /api/offers
+ *   GET   /api/compliance
+ *   PUT   /api/products/:id        DELETE /api/products/:id
+ *   PUT   /api/offers/:id          DELETE /api/offers/:id
+ *   GET   /api/orders?phone=&recipient=&status=
+ *   GET   /api/orders/:id
+ *   POST  /api/orders
+ *   PATCH /api/orders/:id/status   { status, note }
+ *   POST  /api/orders/:id/invoice  (assigns the next invoice number once)
+ *   POST  /api/order-codes/verify  { code }
+ *   POST  /api/order-codes/collect { code }  (hands a pickup order over)
+ *   GET   /api/reviews?productId=&status=
+ *   POST  /api/reviews
+ *   PATCH /api/reviews/:id/status  { status, note }
+ *   POST  /api/reviews/:id/report
+ *
+ * @version 1.0.0
+ * @author Luxury Liquor Store
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* ========================================
+   CONFIGURATION
+   ======================================== */
+
+/**
+ * Server configuration
+ * @constant {Object} SERVER_CONFIG
+ */
+const SERVER_CONFIG = {
+  PORT: parseInt(process.env.PORT, 10) || 3000,
+  ROOT_DIR: __dirname,
+  CATALOG_FILE: path.resolve(__dirname, process.env.CATALOG_FILE || path.join('data', 'catalog.json')),
+  COMPLIANCE_FILE: path.join(__dirname, 'data', 'compliance.json'),
+  STORE_FILE: process.env.STORE_FILE || path.join(__dirname, 'data', 'store.json'),
+  MAX_BODY_BYTES: 1024 * 1024,
+
+  // Files under data/ the browser may read; the rest of data/ is private
+  PUBLIC_DATA_FILES: ['catalog.json', 'catalog.csv'],
+
+  // Keep in sync with CONFIG.CATALOG and CatalogSchema in script.js
+  DEFAULT_VOLUME_ML: 750,
+  SLUG_REGEX: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  CSV_COLUMNS: ['id', 'name', 'category', 'abv', 'description', 'sku', 'volumeMl', 'price', 'stock', 'image'],
+  CSV_OPTIONAL: ['description', 'sku', 'stock', 'image'],
+
+  // Order codes are "WP:<order ID>:<signature>"; keep the prefix in sync with
+  // CONFIG.ORDER_CODE in script.js. Without ORDER_CODE_SECRET a random secret
+  // is generated and kept in the store.
+  ORDER_CODE_PREFIX: 'WP',
+  ORDER_CODE_SIGNATURE_LENGTH: 10,
+  ORDER_CODE_SECRET: process.env.ORDER_CODE_SECRET || '',
+
+  // Staff requests carry the SHA-256 hex digest of the admin passcode in this
+  // header; keep in sync with CONFIG.ADMIN in script.js. ADMIN_PASSCODE fixes
+  // the passcode; without it the first PUT /api/admin/passcode sets it.
+  ADMIN_HEADER: 'x-admin-passcode',
+  ADMIN_PASSCODE: process.env.ADMIN_PASSCODE || '',
+
+  // Keep in sync with CONFIG.INVENTORY.RESERVATION_HOLD_HOURS in script.js
+  RESERVATION_HOLD_HOURS: 24,
+
+  // How long an order queued offline keeps the offers it was shown; older
+  // placing times are not believed and the order is priced as of now
+  QUEUED_ORDER_MAX_AGE_HOURS: 24,
+
+  // Keep in sync with CONFIG.INVOICE in script.js
+  INVOICE_PREFIX: 'WP',
+  INVOICE_SEQUENCE_DIGITS: 5,
+
+  // Keep in sync with CONFIG.GIFT in script.js
+  GIFT_MESSAGE_MAX_LENGTH: 200,
+  GIFT_WRAP_FEE: 99,
+
+  // Keep in sync with CONFIG.DELIVERY.TIME_SLOTS and CONFIG.PICKUP.WINDOW_CAPACITY in script.js
+  DELIVERY_SLOT_CAPACITY: { morning: 20, afternoon: 25, evening: 20 },
+  PICKUP_WINDOW_CAPACITY: 6,
+
+  // Order statuses that no longer hold a slot or count towards daily limits
+  INACTIVE_STATUSES: ['cancelled', 'expired'],
+
+  // Keep in sync with CONFIG.REVIEWS in script.js
+  REVIEW_RATING_MAX: 5,
+  REVIEW_NOTE_MAX_LENGTH: 120,
+  REVIEW_COMMENT_MAX_LENGTH: 1000,
+  REVIEW_TASTING_NOTES: ['nose', 'palate', 'finish'],
+
+  // Reviews using these words wait for moderation; keep in sync with
+  // CONFIG.GIFT.BLOCKED_WORDS in script.js
+  BLOCKED_WORDS: [
+    'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard',
+    'asshole', 'dick', 'cunt', 'prick', 'whore', 'slut', 'wanker',
+    'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'bhosdike', 'gandu', 'randi', 'harami',
+    'myre', 'thayoli', 'kunna', 'pulayadi'
+  ],
+
+  // Keep in sync with CONFIG.ORDER_TRANSITIONS in script.js
+  ORDER_TRANSITIONS: {
+    confirmed: ['packed', 'cancelled', 'expired'],
+    packed: ['ready', 'dispatched', 'cancelled'],
+    ready: ['delivered', 'cancelled', 'expired'],
+    dispatched: ['delivered']
+  },
+
+  // Clean URLs for pages; keep in sync with Router.routes in script.js
+  PAGE_ROUTES: [
+    [/^\/order\/[^/]+$/, '/conformation.html']
+  ],
+
+  MIME_TYPES: {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+  }
+};
+
+/* ========================================
+   CATALOG FILE
+   ======================================== */
+
+/**
+ * Catalog file reader. Products have one or more sizes (variants), each with
+ * its own SKU, volume and price. JSON files hold { products, offers }; CSV
+ * files hold one row per size and no offers. Keep the rules in sync with
+ * CatalogSchema in script.js.
+ */
+const CatalogFile = {
+  // Modification time of a file that failed validation, so it is reported once
+  rejectedMtime: null,
+
+  /**
+   * Give a product the variant shape, turning a single price, volume and
+   * stock into one size and defaulting SKUs to "<id>-<volume>"
+   * @param {Object} product - Product in either shape
+   * @returns {Object} Product with variants
+   */
+  normaliseProduct: (product) => {
+    const { price, volumeMl, stock, ...fields } = product && typeof product === 'object' ? product : {};
+    let sizes = [];
+    if (Array.isArray(fields.variants) && fields.variants.length > 0) {
+      sizes = fields.variants;
+    } else if (price !== undefined) {
+      sizes = [{ volumeMl: volumeMl === undefined ? SERVER_CONFIG.DEFAULT_VOLUME_ML : volumeMl, price, stock }];
+    }
+
+    const variants = sizes
+      .map(variant => ({ ...variant, sku: variant.sku || `${fields.id}-${variant.volumeMl}` }))
+      .sort((a, b) => a.volumeMl - b.volumeMl);
+    const standard = CatalogFile.getDefaultVariant({ variants });
+    return standard
+      ? { ...fields, variants, price: standard.price, volumeMl: standard.volumeMl }
+      : { ...fields, variants };
+  },
+
+  /**
+   * Get the size that stands for a product where one price is needed
+   * @param {Object} product - Product with variants
+   * @returns {Object|null} The standard-size variant, else the first
+   */
+  getDefaultVariant: (product) => {
+    const variants = product.variants || [];
+    return variants.find(variant => variant.volumeMl === SERVER_CONFIG.DEFAULT_VOLUME_ML) || variants[0] || null;
+  },
+
+  /**
+   * Split CSV text into rows of cells
+   * @param {string} text - CSV text
+   * @returns {Array<string[]>} Rows
+   */
+  parseCsv: (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+      const char = source[index];
+      if (quoted) {
+        if (char === '"' && source[index + 1] === '"') {
+          cell += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[index + 1] === '\n') index++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  },
+
+  /**
+   * Build products from CSV text with a header row
+   * @param {string} text - CSV text
+   * @returns {Object} { products, errors }
+   */
+  fromCsv: (text) => {
+    const [header = [], ...rows] = CatalogFile.parseCsv(text);
+    const columns = header.map(column => column.trim());
+    const missing = SERVER_CONFIG.CSV_COLUMNS
+      .filter(column => !SERVER_CONFIG.CSV_OPTIONAL.includes(column) && !columns.includes(column));
+    if (missing.length > 0) {
+      return { products: [], errors: [`The header row is missing: ${missing.join(', ')}`] };
+    }
+
+    const errors = [];
+    const products = new Map();
+    const toNumber = (value) => (value === '' ? undefined : Number(value));
+
+    rows.forEach((cells, index) => {
+      const rowNumber = index + 2;
+      if (cells.every(cell => cell.trim() === '')) return;
+      if (cells.length > columns.length) {
+        errors.push(`Row ${rowNumber}: has more cells than the header row`);
+      }
+
+      const row = Object.fromEntries(columns.map((column, position) => [column, (cells[position] || '').trim()]));
+      if (!row.id) {
+        errors.push(`Row ${rowNumber}: id is required`);
+        return;
+      }
+
+      if (!products.has(row.id)) {
+        products.set(row.id, {
+          id: row.id,
+          name: row.name,
+          category: row.category,
+          abv: toNumber(row.abv),
+          description: row.description || '',
+          variants: []
+        });
+      }
+      const product = products.get(row.id);
+      product.image = product.image || row.image || '';
+      product.variants.push({
+        ...(row.sku ? { sku: row.sku } : {}),
+        volumeMl: toNumber(row.volumeMl),
+        price: toNumber(row.price),
+        ...(row.stock ? { stock: toNumber(row.stock) } : {}),
+        ...(row.image ? { image: row.image } : {})
+      });
+    });
+
+    return { products: [...products.values()], errors };
+  },
+
+  /**
+   * Check a product against the schema
+   * @param {Object} product - Normalised product
+   * @returns {string[]} Problems found
+   */
+  validateProduct: (product) => {
+    const errors = [];
+    const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+    if (!SERVER_CONFIG.SLUG_REGEX.test(product.id || '')) errors.push('ID must use lowercase letters, numbers and hyphens');
+    if (typeof product.name !== 'string' || product.name.trim().length < 2) errors.push('Name must be at least 2 characters long');
+    if (!SERVER_CONFIG.SLUG_REGEX.test(product.category || '')) errors.push('Category must use lowercase letters, numbers and hyphens');
+    if (typeof product.abv !== 'number' || !(product.abv >= 0 && product.abv <= 100)) errors.push('ABV must be between 0 and 100');
+    if (product.variants.length === 0) errors.push('Add at least one size');
+
+    product.variants.forEach((variant, index) => {
+      const label = `Size ${variant.sku || index + 1}`;
+      if (!SERVER_CONFIG.SLUG_REGEX.test(variant.sku || '')) {
+        errors.push(`${label}: SKU must use lowercase letters, numbers and hyphens`);
+      } else if (product.variants.findIndex(other => other.sku === variant.sku) !== index) {
+        errors.push(`${label}: SKU is used by another size`);
+      }
+      if (!isWholeNumber(variant.volumeMl) || variant.volumeMl === 0) errors.push(`${label}: volume must be a whole number of millilitres`);
+      if (typeof variant.price !== 'number' || !(variant.price > 0)) errors.push(`${label}: price must be greater than zero`);
+      if (variant.stock !== undefined && !isWholeNumber(variant.stock)) errors.push(`${label}: stock must be a whole number`);
+    });
+
+    return errors;
+  },
+
+  /**
+   * Check a catalog against the schema
+   * @param {Object} catalog - { products, offers }
+   * @returns {Object} { products, offers, errors }; offers is null when the
+   *   catalog has none
+   */
+  validate: (catalog) => {
+    if (!catalog || !Array.isArray(catalog.products)) {
+      return { products: [], offers: null, errors: ['The catalog must contain a list of products'] };
+    }
+
+    const errors = [];
+    const skus = new Set();
+    const products = catalog.products.map(CatalogFile.normaliseProduct);
+
+    products.forEach((product, index) => {
+      const label = `Product ${product.id || index + 1}`;
+      CatalogFile.validateProduct(product).forEach(message => errors.push(`${label}: ${message}`));
+      if (product.id && products.findIndex(other => other.id === product.id) !== index) {
+        errors.push(`${label}: ID is used by another product`);
+      }
+      new Set(product.variants.map(variant => variant.sku)).forEach(sku => {
+        if (skus.has(sku)) errors.push(`${label}: SKU ${sku} is used by another product`);
+        skus.add(sku);
+      });
+    });
+
+    let offers = null;
+    if (catalog.offers !== undefined) {
+      if (!Array.isArray(catalog.offers)) errors.push('Offers must be a list');
+      offers = Array.isArray(catalog.offers) ? catalog.offers : [];
+      offers.forEach((offer, index) => {
+        if (!offer || !SERVER_CONFIG.SLUG_REGEX.test(offer.id || '')) {
+          errors.push(`Offer ${index + 1}: ID must use lowercase letters, numbers and hyphens`);
+        }
+      });
+    }
+
+    return { products, offers, errors };
+  },
+
+  /**
+   * Read, parse and validate the catalog file
+   * @returns {Object} { products, offers, errors }
+   */
+  read: () => {
+    const text = fs.readFileSync(SERVER_CONFIG.CATALOG_FILE, 'utf8');
+    if (path.extname(SERVER_CONFIG.CATALOG_FILE).toLowerCase() === '.csv') {
+      const { products, errors } = CatalogFile.fromCsv(text);
+      const result = CatalogFile.validate({ products });
+      return { ...result, errors: [...errors, ...result.errors] };
+    }
+
+    let catalog;
+    try {
+      catalog = JSON.parse(text);
+    } catch (error) {
+      return { products: [], offers: null, errors: [`Not valid JSON (${error.message})`] };
+    }
+    return CatalogFile.validate(catalog);
+  },
+
+  /**
+   * Copy the catalog file into the store when it has changed since it was
+   * last imported. An invalid file is reported and the store keeps its
+   * current products.
+   * @param {Object} store - Store contents
+   * @returns {boolean} Whether the store changed
+   */
+  sync: (store) => {
+    let mtime;
+    try {
+      mtime = fs.statSync(SERVER_CONFIG.CATALOG_FILE).mtimeMs;
+    } catch (error) {
+      console.error('Catalog file error:', error.message);
+      return false;
+    }
+    if (store.catalogMtime === mtime || CatalogFile.rejectedMtime === mtime) return false;
+
+    const name = path.relative(SERVER_CONFIG.ROOT_DIR, SERVER_CONFIG.CATALOG_FILE);
+    const { products, offers, errors } = CatalogFile.read();
+    if (errors.length > 0) {
+      CatalogFile.rejectedMtime = mtime;
+      console.error(`${name} is invalid; keeping the current catalog:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+      return false;
+    }
+
+    store.products = products;
+    if (offers) store.offers = offers;
+    store.catalogMtime = mtime;
+    console.log(`Loaded ${products.length} products from ${name}`);
+    return true;
+  }
+};
+
+/* ========================================
+   PERSISTENCE
+   ======================================== */
+
+/**
+ * JSON file store
+ */
+const Store = {
+  /**
+   * Load the store, taking products from the catalog file when it has changed
+   * @returns {Object} { products, offers, orders, orderCodeSecret }
+   */
+  load: () => {
+    let store;
+    try {
+      store = JSON.parse(fs.readFileSync(SERVER_CONFIG.STORE_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Store load error:', error);
+      }
+      store = { products: [], offers: [], orders: [] };
+    }
+
+    let changed = CatalogFile.sync(store);
+    if (!store.orderCodeSecret) {
+      store.orderCodeSecret = crypto.randomBytes(32).toString('hex');
+      changed = true;
+    }
+    if (changed) {
+      Store.save(store);
+    }
+    return store;
+  },
+
+  /**
+   * Write the store atomically
+   * @param {Object} data - Store contents
+   */
+  save: (data) => {
+    const tempFile = `${SERVER_CONFIG.STORE_FILE}.tmp`;
+    fs.mkdirSync(path.dirname(SERVER_CONFIG.STORE_FILE), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, SERVER_CONFIG.STORE_FILE);
+  }
+};
+
+/* ========================================
+   HTTP HELPERS
+   ======================================== */
+
+/**
+ * Error carrying an HTTP status code, and optionally a message key the
+ * browser translates (I18N_MESSAGES in script.js)
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @param {string} [code] - Message key
+   */
+  constructor(status, message, code = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Response body
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': SERVER_CONFIG.MIME_TYPES['.json'],
+    // API responses must never be answered from a cache
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Admin-Passcode'
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > SERVER_CONFIG.MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+    } catch (error) {
+      reject(new HttpError(400, 'Request body must be valid JSON'));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+/**
+ * Serve a file from the site root
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ */
+const serveStatic = (res, pathname) => {
+  const pageRoute = SERVER_CONFIG.PAGE_ROUTES.find(([pattern]) => pattern.test(pathname));
+  const relativePath = pageRoute ? pageRoute[1] : decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  const filePath = path.normalize(path.join(SERVER_CONFIG.ROOT_DIR, relativePath));
+
+  // Never serve files outside the site root or, apart from the catalog, from the data directory
+  const dataDir = path.join(SERVER_CONFIG.ROOT_DIR, 'data');
+  const isPublicData = path.dirname(filePath) === dataDir && SERVER_CONFIG.PUBLIC_DATA_FILES.includes(path.basename(filePath));
+  if (!filePath.startsWith(SERVER_CONFIG.ROOT_DIR) || (filePath.startsWith(dataDir) && !isPublicData)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    const type = SERVER_CONFIG.MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    // Browsers and the service worker revalidate, so catalog changes show up at once
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    // Pages served from a clean URL resolve their scripts and styles from the root
+    res.end(pageRoute ? content.toString().replace('<head>', '<head>\n  <base href="/">') : content);
+  });
+};
+
+/* ========================================
+   ORDER HANDLING
+   ======================================== */
+
+/**
+ * Validate an incoming order
+ * @param {Object} order - Canonical order from the client
+ * @returns {string[]} Validation errors
+ */
+const validateOrder = (order) => {
+  const errors = [];
+  if (!order || typeof order !== 'object') return ['Order must be an object'];
+  if (!order.id || typeof order.id !== 'string') errors.push('Order ID is required');
+  if (!order.customer || !order.customer.name) errors.push('Customer name is required');
+  if (!Array.isArray(order.items) || order.items.length === 0) {
+    errors.push('Order must contain at least one item');
+  } else if (order.items.some(item => !item.name || !(item.quantity >= 1))) {
+    errors.push('Every item needs a name and a positive quantity');
+  }
+  if (typeof order.totalAmount !== 'number' || order.totalAmount < 0) errors.push('Order total is invalid');
+  // Bookings only ever carry the gateway result, never card numbers or CVVs
+  const paymentKeys = ['method', 'status', 'reference', 'instrument'];
+  if (order.payment && Object.keys(order.payment).some(key => !paymentKeys.includes(key))) {
+    errors.push('Payment may only include method, status, reference and instrument');
+  }
+  if (order.gift) {
+    const recipient = order.gift.recipient || {};
+    if (!recipient.name || normalisePhone(recipient.phone).length !== 10) {
+      errors.push("Gift orders need the recipient's name and phone number");
+    }
+    if (order.fulfilment === 'pickup') errors.push('Gift orders must be delivered');
+    if (String(order.gift.message || '').length > SERVER_CONFIG.GIFT_MESSAGE_MAX_LENGTH) {
+      errors.push(`Gift messages are limited to ${SERVER_CONFIG.GIFT_MESSAGE_MAX_LENGTH} characters`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Check text for any of SERVER_CONFIG.BLOCKED_WORDS, matching
+ * Validator.containsBlockedWord in script.js
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+const containsBlockedWord = (text) => {
+  const lookalikes = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+  const squeeze = (word) => word.replace(/(.)\1+/g, '$1');
+  const blocked = new Set(SERVER_CONFIG.BLOCKED_WORDS.map(squeeze));
+  return String(text || '').toLowerCase()
+    .replace(/[013457@$]/g, char => lookalikes[char])
+    .split(/[^a-z]+/)
+    .some(word => word && blocked.has(squeeze(word)));
+};
+
+/**
+ * Validate an incoming review. The status a client sends is ignored: the
+ * server holds reviews with blocked words for moderation itself.
+ * @param {Object} review - Review from the client
+ * @returns {string[]} Validation errors
+ */
+const validateReview = (review) => {
+  const errors = [];
+  if (!review || typeof review !== 'object') return ['Review must be an object'];
+  if (!review.id || typeof review.id !== 'string') errors.push('Review ID is required');
+  if (!review.orderId || !review.productId) errors.push('Reviews need an order and a product');
+  if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > SERVER_CONFIG.REVIEW_RATING_MAX) {
+    errors.push(`Rating must be a whole number from 1 to ${SERVER_CONFIG.REVIEW_RATING_MAX}`);
+  }
+  const notes = review.tastingNotes || {};
+  if (SERVER_CONFIG.REVIEW_TASTING_NOTES.some(note => String(notes[note] || '').length > SERVER_CONFIG.REVIEW_NOTE_MAX_LENGTH)) {
+    errors.push(`Tasting notes are limited to ${SERVER_CONFIG.REVIEW_NOTE_MAX_LENGTH} characters`);
+  }
+  if (String(review.comment || '').length > SERVER_CONFIG.REVIEW_COMMENT_MAX_LENGTH) {
+    errors.push(`Comments are limited to ${SERVER_CONFIG.REVIEW_COMMENT_MAX_LENGTH} characters`);
+  }
+  return errors;
+};
+
+/* ========================================
+   PRICING AND COMPLIANCE
+   ======================================== */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Check whether an offer applies, matching OfferEngine.getRejectionReason in script.js
+ * @param {Object} offer - Stored offer
+ * @param {Object} totals - { subtotal, itemCount }
+ * @param {Date} date - When the order was placed
+ * @returns {boolean}
+ */
+const offerApplies = (offer, { subtotal, itemCount }, date) => {
+  if (offer.validUntil && date > new Date(`${offer.validUntil}T23:59:59`)) return false;
+  if (offer.minOrderValue && subtotal < offer.minOrderValue) return false;
+  if (offer.minQuantity && itemCount < offer.minQuantity) return false;
+  if (Array.isArray(offer.applicableDays) && offer.applicableDays.length > 0) {
+    return offer.applicableDays.includes(WEEKDAYS[date.getDay()]);
+  }
+  return true;
+};
+
+/**
+ * Price an order from its item prices and the stored offers, matching
+ * OfferEngine.priceOrder in script.js. Offers are the ones in force now, or
+ * when the order was placed if that was within QUEUED_ORDER_MAX_AGE_HOURS,
+ * so an order queued offline keeps the offers it was shown.
+ * @param {Object} order - Canonical order
+ * @param {Array} offers - Stored offers
+ * @param {Date} [now] - Current time
+ * @returns {Object} { subtotal, discountTotal, chargesTotal, total }
+ */
+const priceOrder = (order, offers, now = new Date()) => {
+  const placedAt = new Date(order.createdAt);
+  const earliest = new Date(now.getTime() - SERVER_CONFIG.QUEUED_ORDER_MAX_AGE_HOURS * 3600000);
+  const date = isNaN(placedAt) || placedAt > now || placedAt < earliest ? now : placedAt;
+  const subtotal = order.items.reduce((total, item) => total + item.price * item.quantity, 0);
+  const itemCount = order.items.reduce((count, item) => count + item.quantity, 0);
+
+  const discounts = offers
+    .filter(offer => offerApplies(offer, { subtotal, itemCount }, date))
+    .map(offer => {
+      const benefit = offer.benefit || {};
+      if (benefit.type === 'percentage') return Math.round(subtotal * benefit.value / 100);
+      if (benefit.type === 'flat') return Math.min(benefit.value, subtotal);
+      return 0;
+    });
+  const discountTotal = Math.min(discounts.reduce((total, discount) => total + discount, 0), subtotal);
+  const chargesTotal = order.gift && order.gift.wrap ? SERVER_CONFIG.GIFT_WRAP_FEE : 0;
+  return { subtotal, discountTotal, chargesTotal, total: subtotal - discountTotal + chargesTotal };
+};
+
+/**
+ * Compare the pricing an order arrived with against the server's
+ * @param {Object} order - Canonical order
+ * @param {Array} offers - Stored offers
+ * @returns {string[]} Mismatches
+ */
+const findPricingMismatches = (order, offers) => {
+  const expected = priceOrder(order, offers);
+  const pricing = order.pricing || {};
+  const errors = [];
+  if (order.items.some(item => item.subtotal !== undefined && item.subtotal !== item.price * item.quantity)) {
+    errors.push('Item totals do not match their prices');
+  }
+  ['subtotal', 'discountTotal', 'chargesTotal', 'total'].forEach(field => {
+    if ((pricing[field] || 0) !== expected[field]) {
+      errors.push(`The order ${field} should be ${expected[field]}, not ${pricing[field] || 0}`);
+    }
+  });
+  if (order.totalAmount !== expected.total) {
+    errors.push(`The order total should be ${expected.total}, not ${order.totalAmount}`);
+  }
+  return errors;
+};
+
+/**
+ * Read the excise rules; read on every use so updates apply without a restart
+ * @returns {Object} Rules table
+ */
+const loadComplianceRules = () => JSON.parse(fs.readFileSync(SERVER_CONFIG.COMPLIANCE_FILE, 'utf8'));
+
+/**
+ * Get a person's age in whole years on a date
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {number|null} Age, or null when the date of birth is invalid
+ */
+const getAge = (dateOfBirth, dateKey) => {
+  const birth = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateOfBirth || '');
+  const on = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+  if (!birth || !on) return null;
+  const hadBirthday = `${on[2]}${on[3]}` >= `${birth[2]}${birth[3]}`;
+  return Number(on[1]) - Number(birth[1]) - (hadBirthday ? 0 : 1);
+};
+
+/**
+ * Day an order is delivered or collected
+ * @param {Object} order - Canonical order
+ * @returns {string} YYYY-MM-DD
+ */
+const getDeliveryDateKey = (order) => (order.eta && order.eta.dateKey) || String(order.createdAt || '').slice(0, 10);
+
+/**
+ * Check an order against data/compliance.json, matching ComplianceEngine.check
+ * in script.js: legal age for the buyer and a gift's recipient, blocked dates,
+ * and daily limits for the person receiving the order and for the buyer,
+ * counting their other active orders for the same day
+ * @param {Object} order - Canonical order
+ * @param {Object} store - Store, for the catalog and other orders
+ * @param {Object} [table] - Rules table (defaults to data/compliance.json)
+ * @returns {string[]} Violations
+ */
+const checkCompliance = (order, store, table = loadComplianceRules()) => {
+  const isPickup = order.fulfilment === 'pickup';
+  const stateCode = isPickup ? order.pickup && order.pickup.state : order.delivery && order.delivery.state;
+  const rules = { ...table.default, ...((table.states || {})[stateCode] || {}) };
+  const stateName = rules.name || stateCode;
+  if (rules.prohibited) return [`Liquor sales are prohibited in ${stateName}`];
+
+  const dateKey = getDeliveryDateKey(order);
+  const violations = [];
+  const age = getAge(order.customer.dateOfBirth, dateKey);
+  if (age === null || age < rules.minimumAge) {
+    violations.push(`Customers must be ${rules.minimumAge} or older in ${stateName}`);
+  }
+  if (order.gift) {
+    const recipientAge = getAge(order.gift.recipient && order.gift.recipient.dateOfBirth, dateKey);
+    if (recipientAge === null || recipientAge < rules.minimumAge) {
+      violations.push(`Gift recipients must be ${rules.minimumAge} or older in ${stateName}`);
+    }
+  }
+  const blocked = (rules.blockedDates || []).find(entry =>
+    entry.date ? entry.date === dateKey : dateKey >= entry.from && dateKey <= entry.to);
+  if (blocked) violations.push(`${dateKey} is a dry day in ${stateName} (${blocked.reason})`);
+
+  const measure = (items) => items.reduce((totals, item) => {
+    const product = store.products.find(entry => entry.id === item.productId);
+    const standard = product && CatalogFile.getDefaultVariant(CatalogFile.normaliseProduct(product));
+    const volumeMl = item.volumeMl || (standard && standard.volumeMl) || table.defaultVolumeMl;
+    const litres = (volumeMl * item.quantity) / 1000;
+    const abv = product && typeof product.abv === 'number' ? product.abv : item.abv || 0;
+    return { litres: totals.litres + litres, alcohol: totals.alcohol + litres * abv / 100 };
+  }, { litres: 0, alcohol: 0 });
+  const recipientOf = (entry) => (entry.gift ? entry.gift.recipient : entry.customer) || {};
+  const people = [
+    [recipientOf, order.gift ? 'the gift recipient' : 'the customer'],
+    [(entry) => entry.customer || {}, 'the customer']
+  ];
+  const current = measure(order.items);
+  people.forEach(([personOf, who]) => {
+    const phone = normalisePhone(personOf(order).phone);
+    const previous = measure(store.orders
+      .filter(entry => entry.id !== order.id &&
+        !SERVER_CONFIG.INACTIVE_STATUSES.includes(entry.status) &&
+        getDeliveryDateKey(entry) === dateKey &&
+        normalisePhone(personOf(entry).phone) === phone)
+      .reduce((items, entry) => items.concat(entry.items || []), []));
+    const litres = previous.litres + current.litres;
+    const alcohol = previous.alcohol + current.alcohol;
+    let message = '';
+    if (rules.maxLitresPerDay && litres > rules.maxLitresPerDay + 1e-9) {
+      message = `${stateName} allows at most ${rules.maxLitresPerDay} L per person per day; this order brings ${who} to ${litres.toFixed(2)} L`;
+    } else if (rules.maxAlcoholLitresPerDay && alcohol > rules.maxAlcoholLitresPerDay + 1e-9) {
+      message = `${stateName} allows at most ${rules.maxAlcoholLitresPerDay} L of pure alcohol per person per day; this order brings ${who} to ${alcohol.toFixed(2)} L`;
+    }
+    if (message && !violations.includes(message)) violations.push(message);
+  });
+  return violations;
+};
+
+/**
+ * Check that an order's delivery slot or pickup window has room left
+ * @param {Object} order - Canonical order
+ * @param {Array} orders - Stored orders
+ * @returns {string|null} Why the order cannot be booked into its slot
+ */
+const checkSlotCapacity = (order, orders) => {
+  const slot = order.eta && order.eta.slot;
+  if (!slot || !slot.id) return 'The order has no delivery slot or pickup window';
+  const isPickup = order.fulfilment === 'pickup';
+  const capacity = isPickup ? SERVER_CONFIG.PICKUP_WINDOW_CAPACITY : SERVER_CONFIG.DELIVERY_SLOT_CAPACITY[slot.id];
+  if (!capacity) return `Unknown delivery slot ${slot.id}`;
+
+  const dateKey = getDeliveryDateKey(order);
+  const booked = orders.filter(entry => !SERVER_CONFIG.INACTIVE_STATUSES.includes(entry.status) &&
+    entry.eta && entry.eta.slot && entry.eta.slot.id === slot.id && getDeliveryDateKey(entry) === dateKey).length;
+  return booked >= capacity
+    ? `The ${slot.label || slot.id} ${isPickup ? 'pickup window' : 'delivery slot'} on ${dateKey} is full. Please choose another time.`
+    : null;
+};
+
+/**
+ * Build handlers that replace or remove an entry of a catalog collection.
+ * Field validation happens in the admin console (Validator); the server only
+ * checks that the entry is addressable. Edits last until the catalog file
+ * next changes.
+ * @param {string} collection - 'products' or 'offers'
+ * @returns {Object} { put, remove } route handlers
+ */
+const catalogHandlers = (collection) => ({
+  put: ([id], query, entry, store) => {
+    if (!entry || entry.id !== id) throw new HttpError(422, 'Body id must match the URL');
+    const index = store[collection].findIndex(item => item.id === id);
+    if (index === -1) {
+      store[collection].push(entry);
+    } else {
+      store[collection][index] = entry;
+    }
+    return { status: index === -1 ? 201 : 200, body: entry, changed: true };
+  },
+  remove: ([id], query, body, store) => {
+    const index = store[collection].findIndex(item => item.id === id);
+    if (index === -1) throw new HttpError(404, `${id} not found`);
+    store[collection].splice(index, 1);
+    return { status: 204, body: null, changed: true };
+  }
+});
+
+/**
+ * Give a pickup order the next queue token for its outlet and day, matching
+ * PickupScheduler.assignToken in script.js
+ * @param {Object} order - Canonical order
+ * @param {Array} orders - Stored orders
+ */
+const assignPickupToken = (order, orders) => {
+  if (order.fulfilment !== 'pickup' || !order.pickup || order.pickup.token) return;
+  const dateKey = order.eta && order.eta.dateKey;
+  const last = orders
+    .filter(entry => entry.fulfilment === 'pickup' &&
+      entry.pickup && entry.pickup.outletId === order.pickup.outletId &&
+      entry.eta && entry.eta.dateKey === dateKey)
+    .reduce((max, entry) => Math.max(max, entry.pickup.token || 0), 0);
+  order.pickup.token = last + 1;
+};
+
+/**
+ * Financial year (April to March) for a date
+ * @param {Date} date - Date
+ * @returns {string} e.g. "2026-27"
+ */
+const getFinancialYear = (date) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Normalise a phone number to its last ten digits
+ * @param {string} phone - Phone number
+ * @returns {string}
+ */
+const normalisePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Find order items priced differently from the current catalog, e.g. an
+ * order queued offline before a price change. Items are matched to a size by
+ * SKU; items from before sizes existed are the product's default size.
+ * @param {Object} order - Canonical order
+ * @param {Array} products - Current products
+ * @returns {string[]} Names of the items whose price is out of date
+ */
+const findStalePrices = (order, products) => order.items
+  .filter(item => {
+    const product = products.find(entry => entry.id === item.productId);
+    if (!product) return false;
+    const { variants } = CatalogFile.normaliseProduct(product);
+    const variant = item.sku
+      ? variants.find(entry => entry.sku === item.sku)
+      : CatalogFile.getDefaultVariant({ variants });
+    // A size that is no longer sold cannot be priced either
+    return !variant || variant.price !== item.price;
+  })
+  .map(item => (item.volumeMl ? `${item.name} (${item.volumeMl} ml)` : item.name));
+
+/* ========================================
+   ORDER CODES
+   ======================================== */
+
+// Crockford base 32: no I, L, O or U to misread at the counter
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Sign an order ID with the store's order code secret (HMAC-SHA256)
+ * @param {string} orderId - Order ID
+ * @param {Object} store - Store holding the generated secret
+ * @returns {string} Base-32 signature
+ */
+const signOrderId = (orderId, store) => {
+  const digest = crypto.createHmac('sha256', SERVER_CONFIG.ORDER_CODE_SECRET || store.orderCodeSecret)
+    .update(String(orderId).toUpperCase())
+    .digest();
+  return Array.from(digest.subarray(0, SERVER_CONFIG.ORDER_CODE_SIGNATURE_LENGTH), byte => CODE_ALPHABET[byte % 32]).join('');
+};
+
+/**
+ * Build the code printed on an order's confirmation
+ * @param {string} orderId - Order ID
+ * @param {Object} store - Store
+ * @returns {string} e.g. "WP:LLX-MVF4Y3GP-EOL3:7K2QX0M9TA"
+ */
+const createOrderCode = (orderId, store) => {
+  const id = String(orderId).toUpperCase();
+  return `${SERVER_CONFIG.ORDER_CODE_PREFIX}:${id}:${signOrderId(id, store)}`;
+};
+
+/**
+ * Find the order a scanned or typed code belongs to, matching
+ * OrderCode.split in script.js
+ * @param {string} code - Code, with or without the prefix
+ * @param {Object} store - Store
+ * @returns {Object} Order
+ * @throws {HttpError} 422 for codes that are malformed or not signed by this store, 404 for unknown orders
+ */
+const findOrderByCode = (code, store) => {
+  const parts = String(code || '').trim().toUpperCase().replace(/\s+/g, '').split(':');
+  if (parts[0] === SERVER_CONFIG.ORDER_CODE_PREFIX) parts.shift();
+  const [orderId, signature] = parts;
+  if (parts.length !== 2 || !orderId || !signature) {
+    throw new HttpError(422, 'This is not a Wrong Pour order code');
+  }
+  const expected = Buffer.from(signOrderId(orderId, store));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new HttpError(422, 'The code was mistyped or altered');
+  }
+  const order = store.orders.find(entry => entry.id.toUpperCase() === orderId);
+  if (!order) throw new HttpError(404, `Order ${orderId} not found`);
+  return order;
+};
+
+/**
+ * Find the shortest run of status changes from a status to delivered,
+ * matching OrderManager.getCollectionPath in script.js
+ * @param {string} status - Current status
+ * @returns {string[]|null} Statuses to apply in order, or null when unreachable
+ */
+const getCollectionPath = (status) => {
+  const queue = [[status]];
+  const seen = new Set([status]);
+  while (queue.length > 0) {
+    const path = queue.shift();
+    const last = path[path.length - 1];
+    if (last === 'delivered') return path.slice(1);
+    (SERVER_CONFIG.ORDER_TRANSITIONS[last] || []).forEach(next => {
+      if (!seen.has(next) && !SERVER_CONFIG.INACTIVE_STATUSES.includes(next)) {
+        seen.add(next);
+        queue.push([...path, next]);
+      }
+    });
+  }
+  return null;
+};
+
+/* ========================================
+   ADMIN ACCESS
+   ======================================== */
+
+/**
+ * Get the digest staff must send: from ADMIN_PASSCODE, or as set through the API
+ * @param {Object} store - Store
+ * @returns {string} SHA-256 hex digest, or '' while no passcode is set
+ */
+const getAdminPasscodeHash = (store) => SERVER_CONFIG.ADMIN_PASSCODE
+  ? crypto.createHash('sha256').update(SERVER_CONFIG.ADMIN_PASSCODE).digest('hex')
+  : (store.adminPasscodeHash || '');
+
+/**
+ * Check a request's admin header against the passcode digest
+ * @param {Object} headers - Request headers
+ * @param {Object} store - Store
+ * @returns {boolean}
+ */
+const isAdminRequest = (headers, store) => {
+  const expected = Buffer.from(getAdminPasscodeHash(store));
+  const given = Buffer.from(String(headers[SERVER_CONFIG.ADMIN_HEADER] || '').toLowerCase());
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Find when an order's stock hold lapses, matching InventoryManager.reserve in script.js
+ * @param {Object} order - Order
+ * @returns {Date}
+ */
+const getHoldExpiry = (order) => {
+  const holdFrom = new Date(order.eta && order.eta.date ? order.eta.date : order.createdAt);
+  if (order.eta && order.eta.slot && order.eta.slot.end) {
+    holdFrom.setHours(0, Math.round(order.eta.slot.end * 60), 0, 0);
+  }
+  return new Date(holdFrom.getTime() + SERVER_CONFIG.RESERVATION_HOLD_HOURS * 3600000);
+};
+
+/**
+ * Check whether a status change may be made without the admin passcode:
+ * customers may cancel a confirmed order, and any browser may expire an
+ * order once its hold has lapsed (InventoryManager.releaseExpired)
+ * @param {Object} order - Order
+ * @param {string} status - Requested status
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const isCustomerStatusChange = (order, status, now = new Date()) =>
+  (order.status === 'confirmed' && status === 'cancelled') ||
+  (status === 'expired' && getHoldExpiry(order) <= now);
+
+/**
+ * Route table: [method, pattern, handler(params, query, body, store, { admin }), options]
+ * Handlers return { status, body } and may mutate the store. Routes with
+ * { admin: true } answer 401 unless the request carries the admin passcode.
+ */
+const ROUTES = [
+  ['GET', /^\/api\/catalog$/, (params, query, body, store) => ({ status: 200, body: store.products })],
+
+  ['GET', /^\/api\/offers$/, (params, query, body, store) => ({ status: 200, body: store.offers })],
+
+  ['GET', /^\/api\/admin\/passcode$/, (params, query, body, store) => ({
+    status: 200,
+    body: { isSet: Boolean(getAdminPasscodeHash(store)) }
+  })],
+
+  // The first passcode may be set by anyone; changing it needs the current one
+  ['PUT', /^\/api\/admin\/passcode$/, (params, query, { hash }, store, { admin }) => {
+    if (SERVER_CONFIG.ADMIN_PASSCODE) {
+      throw new HttpError(409, 'The admin passcode is set by ADMIN_PASSCODE on the server');
+    }
+    if (getAdminPasscodeHash(store) && !admin) throw new HttpError(401, 'Admin passcode required');
+    if (!/^[0-9a-f]{64}$/.test(String(hash || ''))) {
+      throw new HttpError(422, 'hash must be a SHA-256 hex digest');
+    }
+    store.adminPasscodeHash = hash;
+    return { status: 200, body: { isSet: true }, changed: true };
+  }],
+
+  ['GET', /^\/api\/admin\/session$/, () => ({ status: 200, body: { admin: true } }), { admin: true }],
+
+  ['PUT', /^\/api\/products\/([^/]+)$/, catalogHandlers('products').put, { admin: true }],
+
+  ['DELETE', /^\/api\/products\/([^/]+)$/, catalogHandlers('products').remove, { admin: true }],
+
+  ['PUT', /^\/api\/offers\/([^/]+)$/, catalogHandlers('offers').put, { admin: true }],
+
+  ['DELETE', /^\/api\/offers\/([^/]+)$/, catalogHandlers('offers').remove, { admin: true }],
+
+  ['GET', /^\/api\/compliance$/, () => ({ status: 200, body: loadComplianceRules() })],
+
+  ['GET', /^\/api\/orders$/, (params, query, body, store) => {
+    let orders = store.orders;
+    if (query.get('phone')) {
+      const phone = normalisePhone(query.get('phone'));
+      orders = orders.filter(order => normalisePhone(order.customer && order.customer.phone) === phone);
+    }
+    // Orders handed to this person: gifts to them, and their own orders that are not gifts
+    if (query.get('recipient')) {
+      const phone = normalisePhone(query.get('recipient'));
+      orders = orders.filter(order => {
+        const recipient = order.gift ? order.gift.recipient : order.customer;
+        return normalisePhone(recipient && recipient.phone) === phone;
+      });
+    }
+    if (query.get('status')) {
+      orders = orders.filter(order => order.status === query.get('status'));
+    }
+    return { status: 200, body: orders };
+  }],
+
+  ['GET', /^\/api\/orders\/([^/]+)$/, ([orderId], query, body, store) => {
+    const order = store.orders.find(entry => entry.id.toUpperCase() === orderId.toUpperCase());
+    if (!order) throw new HttpError(404, `Order ${orderId} not found`);
+    return { status: 200, body: order };
+  }],
+
+  ['POST', /^\/api\/orders$/, (params, query, order, store) => {
+    const errors = validateOrder(order);
+    if (errors.length) throw new HttpError(422, errors.join('; '), 'order.invalid');
+    if (store.orders.some(entry => entry.id === order.id)) {
+      throw new HttpError(409, `Order ${order.id} already exists`, 'order.duplicate');
+    }
+    const stale = findStalePrices(order, store.products);
+    if (stale.length) {
+      throw new HttpError(409, `Prices have changed for ${stale.join(', ')}. Please place the order again.`, 'order.pricesChanged');
+    }
+    const mismatches = findPricingMismatches(order, store.offers);
+    if (mismatches.length) {
+      throw new HttpError(409, `${mismatches.join('; ')}. Please place the order again.`, 'order.pricesChanged');
+    }
+    const full = checkSlotCapacity(order, store.orders);
+    if (full) throw new HttpError(409, full, 'order.slotUnavailable');
+    const violations = checkCompliance(order, store);
+    if (violations.length) throw new HttpError(422, violations.join('; '), 'order.notCompliant');
+    assignPickupToken(order, store.orders);
+    order.code = createOrderCode(order.id, store);
+    // Invoice numbers come from POST /api/orders/:id/invoice only
+    order.invoice = null;
+    store.orders.unshift(order);
+    return { status: 201, body: order, changed: true };
+  }],
+
+  ['PATCH', /^\/api\/orders\/([^/]+)\/status$/, ([orderId], query, { status, note }, store, { admin }) => {
+    const order = store.orders.find(entry => entry.id === orderId);
+    if (!order) throw new HttpError(404, `Order ${orderId} not found`);
+    if (!(SERVER_CONFIG.ORDER_TRANSITIONS[order.status] || []).includes(status)) {
+      throw new HttpError(409, `Cannot change order from ${order.status} to ${status}`);
+    }
+    if (!admin && !isCustomerStatusChange(order, status)) throw new HttpError(401, 'Admin passcode required');
+    const at = new Date().toISOString();
+    order.status = status;
+    order.updatedAt = at;
+    order.statusHistory = [...(order.statusHistory || []), { status, at, ...(note ? { note } : {}) }];
+    return { status: 200, body: order, changed: true };
+  }],
+
+  ['POST', /^\/api\/orders\/([^/]+)\/invoice$/, ([orderId], query, body, store) => {
+    const order = store.orders.find(entry => entry.id === orderId);
+    if (!order) throw new HttpError(404, `Order ${orderId} not found`);
+    if (order.invoice && order.invoice.number) return { status: 200, body: order };
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    store.invoiceSequences = store.invoiceSequences || {};
+    store.invoiceSequences[financialYear] = (store.invoiceSequences[financialYear] || 0) + 1;
+    const sequence = String(store.invoiceSequences[financialYear]).padStart(SERVER_CONFIG.INVOICE_SEQUENCE_DIGITS, '0');
+    order.invoice = {
+      number: `${SERVER_CONFIG.INVOICE_PREFIX}/${financialYear}/${sequence}`,
+      issuedAt: issuedAt.toISOString()
+    };
+    return { status: 201, body: order, changed: true };
+  }],
+
+  ['POST', /^\/api\/order-codes\/verify$/, (params, query, { code }, store) => ({
+    status: 200,
+    body: findOrderByCode(code, store)
+  }), { admin: true }],
+
+  // Marks a pickup order delivered in one step, through any statuses between
+  ['POST', /^\/api\/order-codes\/collect$/, (params, query, { code }, store) => {
+    const order = findOrderByCode(code, store);
+    if (order.fulfilment !== 'pickup') {
+      throw new HttpError(409, `${order.id} is for home delivery and cannot be collected at the counter`);
+    }
+    if (order.status === 'delivered') throw new HttpError(409, `${order.id} has already been collected`);
+    const statuses = getCollectionPath(order.status);
+    if (!statuses) throw new HttpError(409, `${order.id} is ${order.status} and cannot be collected`);
+
+    const at = new Date().toISOString();
+    order.status = 'delivered';
+    order.updatedAt = at;
+    order.statusHistory = [
+      ...(order.statusHistory || []),
+      ...statuses.map(status => ({ status, at, note: 'status.note.collectedAtCounter' }))
+    ];
+    return { status: 200, body: order, changed: true };
+  }, { admin: true }],
+
+  ['GET', /^\/api\/reviews$/, (params, query, body, store) => {
+    const reviews = (store.reviews || []).filter(review =>
+      (!query.get('productId') || review.productId === query.get('productId')) &&
+      (!query.get('status') || review.status === query.get('status'))
+    );
+    return { status: 200, body: reviews };
+  }],
+
+  // Only customers with a delivered order for the product may review it, once
+  ['POST', /^\/api\/reviews$/, (params, query, review, store) => {
+    const errors = validateReview(review);
+    if (errors.length) throw new HttpError(422, errors.join('; '));
+    const order = store.orders.find(entry => entry.id === review.orderId);
+    if (!order || order.status !== 'delivered' || !order.items.some(item => item.productId === review.productId)) {
+      throw new HttpError(422, 'Only products from a delivered order can be reviewed', 'reviews.notDelivered');
+    }
+    store.reviews = store.reviews || [];
+    const phone = normalisePhone(order.customer.phone);
+    if (store.reviews.some(entry => entry.id === review.id ||
+      (entry.productId === review.productId && normalisePhone(entry.customer.phone) === phone))) {
+      throw new HttpError(409, 'This customer has already reviewed this product', 'reviews.duplicate');
+    }
+    const notes = review.tastingNotes || {};
+    const tastingNotes = Object.fromEntries(SERVER_CONFIG.REVIEW_TASTING_NOTES.map(note => [note, String(notes[note] || '')]));
+    const comment = String(review.comment || '');
+    const saved = {
+      id: review.id,
+      productId: review.productId,
+      productName: order.items.find(item => item.productId === review.productId).name,
+      orderId: order.id,
+      customer: { name: order.customer.name, phone: order.customer.phone },
+      rating: review.rating,
+      tastingNotes,
+      comment,
+      status: [comment, ...Object.values(tastingNotes)].some(containsBlockedWord) ? 'pending' : 'published',
+      reports: 0,
+      createdAt: new Date().toISOString()
+    };
+    store.reviews.unshift(saved);
+    return { status: 201, body: saved, changed: true };
+  }],
+
+  ['PATCH', /^\/api\/reviews\/([^/]+)\/status$/, ([reviewId], query, { status, note }, store) => {
+    const review = (store.reviews || []).find(entry => entry.id === reviewId);
+    if (!review) throw new HttpError(404, `Review ${reviewId} not found`);
+    if (!['published', 'hidden'].includes(status)) throw new HttpError(422, `Reviews cannot be marked ${status}`);
+    review.status = status;
+    if (status === 'published') review.reports = 0;
+    review.moderatedAt = new Date().toISOString();
+    if (note) review.moderationNote = note;
+    return { status: 200, body: review, changed: true };
+  }, { admin: true }],
+
+  ['POST', /^\/api\/reviews\/([^/]+)\/report$/, ([reviewId], query, body, store) => {
+    const review = (store.reviews || []).find(entry => entry.id === reviewId);
+    if (!review) throw new HttpError(404, `Review ${reviewId} not found`);
+    review.reports = (review.reports || 0) + 1;
+    return { status: 200, body: review, changed: true };
+  }]
+];
+
+/**
+ * Handle an API request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+const handleApi = async (req, res, url) => {
+  const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+  if (!route) {
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  const [, pattern, handler, options = {}] = route;
+  const params = url.pathname.match(pattern).slice(1).map(decodeURIComponent);
+  const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+  const store = Store.load();
+  const admin = isAdminRequest(req.headers, store);
+  if (options.admin && !admin) {
+    throw new HttpError(401, 'Admin passcode required');
+  }
+  const result = handler(params, url.searchParams, body, store, { admin });
+
+  if (result.changed) {
+    Store.save(store);
+  }
+  sendJson(res, result.status, result.body);
+};
+
+/* ========================================
+   SERVER
+   ======================================== */
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204, null);
+    return;
+  }
+
+  if (!url.pathname.startsWith('/api/')) {
+    serveStatic(res, url.pathname);
+    return;
+  }
+
+  try {
+    await handleApi(req, res, url);
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) console.error('API error:', error);
+    sendJson(res, status, status === 500
+      ? { error: 'Internal server error' }
+      : { error: error.message, ...(error.code ? { code: error.code } : {}) });
+  }
+});
+
+if (require.main === module) {
+  server.listen(SERVER_CONFIG.PORT, () => {
+    console.log(`Luxury Liquor Store server running at http://localhost:${SERVER_CONFIG.PORT}`);
+  });
+}
+
+module.exports = {
+  server,
+  Store,
+  CatalogFile,
+  SERVER_CONFIG,
+  validateOrder,
+  findStalePrices,
+  createOrderCode,
+  findOrderByCode,
+  getCollectionPath,
+  validateReview,
+  containsBlockedWord,
+  priceOrder,
+  findPricingMismatches,
+  checkCompliance,
+  checkSlotCapacity
+};
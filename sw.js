@@ -0,0 +1,168 @@
+/**
+ * sw.js - Service Worker
+ * Luxury Liquor Store Management System
+ *
+ * Keeps the customer pages usable without a connection. Registered by
+ * OfflineShell in script.js when the site is served over HTTP(S).
+ *
+ * Caching strategy:
+ *   - Pages, script.js, style.css and the catalog file: network first, cache
+ *     as fallback, so whenever the network answers the customer gets current
+ *     prices rather than a cached copy.
+ *   - Bottle images, the manifest and the icon: cache first.
+ *   - /api/*: never cached. The app keeps its own local copies and queues
+ *     orders in OrderOutbox while the server is unreachable.
+ *
+ * Caches are named after CACHE_VERSION. Bump it whenever the precache list
+ * changes; the new worker deletes every older cache when it activates.
+ *
+ * @version 1.0.0
+ * @author Luxury Liquor Store
+ */
+
+'use strict';
+
+/* ========================================
+   CONFIGURATION
+   ======================================== */
+
+/**
+ * Service worker configuration
+ * @constant {Object} SW_CONFIG
+ */
+const SW_CONFIG = {
+  CACHE_VERSION: 'v2',
+  CACHE_PREFIX: 'wrong-pour-',
+  API_PREFIX: '/api/',
+
+  // Fetched when the worker installs
+  PRECACHE: [
+    'index.html',
+    'menu.html',
+    'order.html',
+    'conformation.html',
+    'offer.html',
+    'my-orders.html',
+    'script.js',
+    'style.css',
+    'data/catalog.json',
+    'manifest.webmanifest',
+    'icon.svg',
+    'bottle1.jpeg',
+    'bottle2.jpeg',
+    'bottle3.jpeg',
+    'bottle4.jpeg',
+    'bottle5.jpeg',
+    'bottle6.jpeg'
+  ],
+
+  // Clean URLs for pages; keep in sync with SERVER_CONFIG.PAGE_ROUTES in server.js
+  PAGE_ROUTES: [
+    [/^\/order\/[^/]+$/, 'conformation.html']
+  ],
+
+  CACHE_FIRST_DESTINATIONS: ['image', 'manifest']
+};
+
+const CACHE_NAME = `${SW_CONFIG.CACHE_PREFIX}${SW_CONFIG.CACHE_VERSION}`;
+
+/* ========================================
+   STRATEGIES
+   ======================================== */
+
+/**
+ * Serve from the network, refreshing the cache; fall back to the cache offline
+ * @param {Request} request - Request
+ * @param {string} [fallbackUrl] - Cached URL to use when the request itself is not cached
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+  // Pages are cached once, whatever their query string
+  const key = request.mode === 'navigate' ? new URL(request.url).pathname : request;
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Serve from the cache, fetching and storing on a miss
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/**
+ * Serve a clean page URL offline. The server adds a base URL to these pages
+ * so their relative links resolve from the site root; do the same here.
+ * @param {Request} request - Navigation request
+ * @param {string} page - Page the URL maps to
+ * @returns {Promise<Response>}
+ */
+const pageRoute = async (request, page) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(new URL(page, self.registration.scope).href);
+    if (!cached) throw error;
+    const markup = (await cached.text()).replace('<head>', '<head>\n  <base href="/">');
+    return new Response(markup, { headers: cached.headers });
+  }
+};
+
+/* ========================================
+   LIFECYCLE
+   ======================================== */
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SW_CONFIG.PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(SW_CONFIG.CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith(SW_CONFIG.API_PREFIX)) return;
+
+  const pageRouteMatch = SW_CONFIG.PAGE_ROUTES.find(([pattern]) => pattern.test(url.pathname));
+  if (request.mode === 'navigate' && pageRouteMatch) {
+    event.respondWith(pageRoute(request, pageRouteMatch[1]));
+  } else if (SW_CONFIG.CACHE_FIRST_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request, request.mode === 'navigate' ? 'index.html' : undefined));
+  }
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { CatalogSchema } = app;
+after(() => window.close());
+
+const CSV_HEADER = 'id,name,category,abv,description,sku,volumeMl,price,stock,image';
+
+test('products with a single price become a single size', () => {
+  const product = CatalogSchema.normalizeProduct({ id: 'tonic', name: 'Tonic', price: 99, volumeMl: 300, stock: 4 });
+  assert.deepEqual(plain(product.variants), [{ volumeMl: 300, price: 99, stock: 4, sku: 'tonic-300' }]);
+  assert.equal(product.price, 99);
+});
+
+test('the standard size sets the product price; sizes are sorted', () => {
+  const product = CatalogSchema.normalizeProduct({
+    id: 'rum',
+    variants: [{ volumeMl: 1000, price: 649 }, { volumeMl: 180, price: 149 }, { volumeMl: 750, price: 499 }]
+  });
+  assert.deepEqual(plain(product.variants.map(variant => variant.volumeMl)), [180, 750, 1000]);
+  assert.equal(product.price, 499);
+  assert.equal(product.volumeMl, 750);
+});
+
+test('parseCsv handles quotes, doubled quotes and CRLF', () => {
+  assert.deepEqual(plain(CatalogSchema.parseCsv('a,"b, c","say ""hi"""\r\n1,2,3')), [
+    ['a', 'b, c', 'say "hi"'],
+    ['1', '2', '3']
+  ]);
+});
+
+test('CSV rows sharing an id are sizes of one product', () => {
+  const { products, errors } = CatalogSchema.parse([
+    CSV_HEADER,
+    'rum,Old Monk,rum,42,Dark rum,,180,149,,bottle6.jpeg',
+    'rum,Old Monk,rum,42,,,750,499,40,'
+  ].join('\n'), 'csv');
+
+  assert.deepEqual(plain(errors), []);
+  assert.equal(products.length, 1);
+  assert.deepEqual(plain(products[0].variants.map(variant => variant.sku)), ['rum-180', 'rum-750']);
+  assert.equal(products[0].image, 'bottle6.jpeg');
+});
+
+test('CSV files must have the required columns', () => {
+  const { errors } = CatalogSchema.parse('id,name\nrum,Old Monk', 'csv');
+  assert.match(errors[0], /missing: category, abv, volumeMl, price/);
+});
+
+test('validate reports duplicate IDs and SKUs and bad JSON', () => {
+  const product = { id: 'rum', name: 'Old Monk', category: 'rum', abv: 42, variants: [{ sku: 'x', volumeMl: 750, price: 499 }] };
+  const { errors } = CatalogSchema.validate({ products: [product, { ...product }] });
+  assert.ok(errors.some(error => /ID is used by another product/.test(error)));
+  assert.ok(errors.some(error => /SKU x is used by another product/.test(error)));
+  assert.match(CatalogSchema.parse('{', 'json').errors[0], /Not valid JSON/);
+});
+
+test('the bundled catalog file is valid', () => {
+  const text = fs.readFileSync(path.join(__dirname, '..', 'data', 'catalog.json'), 'utf8');
+  assert.deepEqual(plain(CatalogSchema.parse(text, 'json').errors), []);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { ComplianceEngine, OrderModel, CONFIG } = app;
+after(() => window.close());
+
+// Kerala (bundled rules): legal age 23, 3 litres and 1.2 litres of alcohol a day
+const DELIVERY_DATE = '2027-01-12';
+
+const bottles = (quantity, abv = 40) => [{ productId: 'old-monk-rum', name: 'Old Monk', price: 499, abv, volumeMl: 750, quantity }];
+
+const makeOrder = (fields = {}) => OrderModel.create({
+  id: 'LLX-TEST-0001',
+  customer: { name: 'Ravi Kumar', phone: '9876543210', dateOfBirth: '1990-01-01' },
+  delivery: { address: '12 MG Road', city: 'Kochi', state: 'KL', pin: '682016' },
+  items: bottles(2),
+  eta: { dateKey: DELIVERY_DATE },
+  ...fields
+});
+
+const rulesBroken = (result) => result.violations.map(violation => violation.rule).join(',');
+
+test('getAge counts whole years up to the day before the birthday', () => {
+  const onDate = new Date('2027-01-12T00:00:00');
+  assert.equal(ComplianceEngine.getAge('2004-01-12', onDate), 23);
+  assert.equal(ComplianceEngine.getAge('2004-01-13', onDate), 22);
+  assert.equal(ComplianceEngine.getAge('not a date', onDate), null);
+});
+
+test('measure totals litres and pure alcohol', () => {
+  const { litres, alcoholLitres } = ComplianceEngine.measure(bottles(2));
+  assert.equal(litres, 1.5);
+  assert.ok(Math.abs(alcoholLitres - 0.6) < 1e-9);
+});
+
+test('an order within the rules is compliant', () => {
+  const result = ComplianceEngine.check(makeOrder());
+  assert.equal(result.isCompliant, true, rulesBroken(result));
+});
+
+test('prohibition states refuse every order', () => {
+  const result = ComplianceEngine.check(makeOrder({ delivery: { state: 'GJ' } }));
+  assert.equal(rulesBroken(result), 'prohibited');
+});
+
+test('customers below the state drinking age are refused', () => {
+  const result = ComplianceEngine.check(makeOrder({
+    customer: { name: 'Young', phone: '9876543210', dateOfBirth: '2005-06-01' }
+  }));
+  assert.equal(rulesBroken(result), 'age');
+});
+
+test('dry days are refused', () => {
+  const result = ComplianceEngine.check(makeOrder({ eta: { dateKey: '2027-09-21' } }));
+  assert.equal(rulesBroken(result), 'blocked-date');
+});
+
+test('the daily limit counts the same person\'s other orders that day', () => {
+  const earlier = makeOrder({ id: 'LLX-TEST-0000', items: bottles(3) });
+  const cancelled = makeOrder({ id: 'LLX-TEST-0002', items: bottles(3), status: CONFIG.ORDER_STATUS.CANCELLED });
+  const otherDay = makeOrder({ id: 'LLX-TEST-0003', items: bottles(3), eta: { dateKey: '2027-01-13' } });
+
+  assert.equal(ComplianceEngine.check(makeOrder(), [cancelled, otherDay]).isCompliant, true);
+  assert.equal(rulesBroken(ComplianceEngine.check(makeOrder(), [earlier])), 'daily-volume');
+});
+
+test('the alcohol limit applies to strong spirits within the volume limit', () => {
+  const result = ComplianceEngine.check(makeOrder({ items: bottles(4, 50) }));
+  assert.equal(rulesBroken(result), 'daily-alcohol');
+});
+
+test('a gift recipient must be of legal age too', () => {
+  const result = ComplianceEngine.check(makeOrder({
+    gift: { recipient: { name: 'Anu', phone: '9123456780', dateOfBirth: '2006-01-01' } }
+  }));
+  assert.equal(rulesBroken(result), 'recipient-age');
+});
+
+const gift = (phone, fields = {}) => makeOrder({
+  gift: { recipient: { name: 'Anu', phone, dateOfBirth: '1995-01-01' } },
+  ...fields
+});
+
+test('a gift counts towards the recipient\'s daily limit', () => {
+  const received = makeOrder({ id: 'LLX-TEST-0000', customer: { name: 'Anu', phone: '9123456780' }, items: bottles(3) });
+  assert.equal(rulesBroken(ComplianceEngine.check(gift('9123456780'), [received])), 'recipient-daily-volume');
+});
+
+test('gifts count towards the buyer\'s own daily limit', () => {
+  const earlierGift = gift('9000000001', { id: 'LLX-TEST-0000', items: bottles(3) });
+  assert.equal(rulesBroken(ComplianceEngine.check(makeOrder(), [earlierGift])), 'daily-volume');
+  assert.equal(rulesBroken(ComplianceEngine.check(gift('9000000002'), [earlierGift])), 'daily-volume');
+});
+
+test('a gift over both people\'s limits reports both', () => {
+  const received = makeOrder({ id: 'LLX-TEST-0000', customer: { name: 'Anu', phone: '9123456780' }, items: bottles(3) });
+  const placed = makeOrder({ id: 'LLX-TEST-0002', items: bottles(3) });
+  assert.equal(rulesBroken(ComplianceEngine.check(gift('9123456780'), [received, placed])), 'recipient-daily-volume,daily-volume');
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { DeliveryScheduler, CONFIG } = app;
+after(() => window.close());
+
+// Local times, so the scheduler's day arithmetic matches whatever zone runs the tests
+const at = (dateKey, hour) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, hour);
+};
+const keyOf = (date) => DeliveryScheduler.toDateKey(date);
+const noLoad = () => 0;
+
+test('orders before the cut-off are processed the same day', () => {
+  // Tuesday 20 Oct 2026, 10:00
+  assert.equal(keyOf(DeliveryScheduler.getProcessingDate(at('2026-10-20', 10))), '2026-10-20');
+  const eta = DeliveryScheduler.schedule({}, { now: at('2026-10-20', 10), getSlotLoad: noLoad });
+  assert.equal(eta.dateKey, '2026-10-21');
+  assert.equal(eta.daysFromNow, 1);
+  assert.equal(eta.adjusted, false);
+});
+
+test('orders after the cut-off roll to the next delivery day', () => {
+  const cutoff = Math.min(CONFIG.DELIVERY.CUTOFF_HOUR, CONFIG.DELIVERY.BUSINESS_HOURS.CLOSE);
+  assert.equal(keyOf(DeliveryScheduler.getProcessingDate(at('2026-10-20', cutoff))), '2026-10-21');
+  // Saturday evening skips the Sunday closure
+  assert.equal(keyOf(DeliveryScheduler.getProcessingDate(at('2026-10-24', 17))), '2026-10-26');
+  const eta = DeliveryScheduler.schedule({}, { now: at('2026-10-24', 17), getSlotLoad: noLoad });
+  assert.equal(eta.dateKey, '2026-10-27');
+});
+
+test('closures name the reason, dry days first', () => {
+  assert.equal(DeliveryScheduler.getClosureReason(at('2026-10-02', 12)), 'dry day');
+  assert.equal(DeliveryScheduler.getClosureReason(at('2026-11-01', 12)), 'dry day');
+  assert.equal(DeliveryScheduler.getClosureReason(at('2026-12-25', 12)), 'public holiday');
+  assert.equal(DeliveryScheduler.getClosureReason(at('2026-10-25', 12)), 'store closed');
+  assert.equal(DeliveryScheduler.getClosureReason(at('2026-10-21', 12)), null);
+});
+
+test('schedule skips holidays and dry days and says why', () => {
+  // Wednesday 30 Sep: 1 Oct is the monthly dry day and 2 Oct is Gandhi Jayanti
+  const eta = DeliveryScheduler.schedule({}, { now: at('2026-09-30', 10), getSlotLoad: noLoad });
+  assert.equal(eta.dateKey, '2026-10-03');
+  assert.equal(eta.adjusted, true);
+  assert.deepEqual(plain(eta.adjustments), [
+    'No deliveries on 2026-10-01 (dry day)',
+    'No deliveries on 2026-10-02 (dry day)'
+  ]);
+});
+
+test('a preferred date before the earliest one is moved up', () => {
+  const now = at('2026-10-20', 10);
+  const early = DeliveryScheduler.schedule({ deliveryDate: '2026-10-20' }, { now, getSlotLoad: noLoad });
+  assert.equal(early.dateKey, '2026-10-21');
+  assert.deepEqual(plain(early.adjustments), ['Earliest available delivery is 2026-10-21']);
+
+  const later = DeliveryScheduler.schedule({ deliveryDate: '2026-10-23' }, { now, getSlotLoad: noLoad });
+  assert.equal(later.dateKey, '2026-10-23');
+  assert.equal(later.daysFromNow, 3);
+  assert.equal(later.adjusted, false);
+});
+
+test('full slots move the delivery to the next slot or day', () => {
+  const now = at('2026-10-20', 10);
+  const morningFull = (dateKey, slotId) => (dateKey === '2026-10-21' && slotId === 'morning' ? 20 : 0);
+
+  const anytime = DeliveryScheduler.schedule({}, { now, getSlotLoad: morningFull });
+  assert.equal(anytime.dateKey, '2026-10-21');
+  assert.equal(anytime.slot.id, 'afternoon');
+
+  const morning = DeliveryScheduler.schedule({ timeSlot: 'morning' }, { now, getSlotLoad: morningFull });
+  assert.equal(morning.dateKey, '2026-10-22');
+  assert.equal(morning.slot.id, 'morning');
+  assert.deepEqual(plain(morning.adjustments), ['No capacity left on 2026-10-21']);
+
+  assert.equal(DeliveryScheduler.schedule({}, { now, getSlotLoad: () => Infinity }), null);
+});
+
+test('reserved slots count against capacity until released', () => {
+  const { app: fresh, window: freshWindow } = loadApp();
+  try {
+    const scheduler = fresh.DeliveryScheduler;
+    scheduler.reserveSlot('2026-10-21', 'evening');
+    scheduler.reserveSlot('2026-10-21', 'evening');
+    assert.equal(scheduler.getSlotLoad('2026-10-21', 'evening'), 2);
+    scheduler.releaseSlot('2026-10-21', 'evening');
+    assert.equal(scheduler.getSlotLoad('2026-10-21', 'evening'), 1);
+    assert.equal(scheduler.getSlotLoad('2026-10-21', 'morning'), 0);
+  } finally {
+    freshWindow.close();
+  }
+});
+
+test('schedule reads the injected clock when no time is given', () => {
+  const { app: fresh, window: freshWindow } = loadApp();
+  try {
+    fresh.DeliveryScheduler.setClock(() => at('2026-10-24', 17));
+    assert.equal(fresh.DeliveryScheduler.schedule({}).dateKey, '2026-10-27');
+  } finally {
+    freshWindow.close();
+  }
+});
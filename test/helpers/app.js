@@ -0,0 +1,54 @@
+/**
+ * Test helper: loads script.js into a jsdom window so its modules can be
+ * exercised from Node. Every call gets a fresh window and local storage.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SCRIPT = new vm.Script(fs.readFileSync(path.join(__dirname, '..', '..', 'script.js'), 'utf8'), {
+  filename: 'script.js'
+});
+
+/**
+ * Load the app into a new window
+ * @param {Object} options - { storage } entries to put in local storage first
+ * @returns {Object} { app, window }; app resolves the script's top-level
+ *   declarations by name, e.g. `const { OfferEngine } = app`
+ */
+const loadApp = ({ storage = {} } = {}) => {
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: 'http://localhost/index.html',
+    runScripts: 'outside-only',
+    // The app logs as it starts up; keep test output readable
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  // jsdom has no TextEncoder or Web Crypto digests, which AdminSession uses
+  window.TextEncoder = TextEncoder;
+  Object.defineProperty(window.crypto, 'subtle', { value: webcrypto.subtle });
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, JSON.stringify(value)));
+
+  // Run as a classic script, so its top-level const declarations are globals
+  // of the window that later lookups can see
+  const context = dom.getInternalVMContext();
+  SCRIPT.runInContext(context);
+
+  const app = new Proxy({}, { get: (target, name) => vm.runInContext(String(name), context) });
+  return { app, window };
+};
+
+/**
+ * Copy a value out of the window's realm, so deepStrictEqual can compare it
+ * with objects and arrays made in the test
+ * @param {*} value - JSON-serialisable value
+ * @returns {*}
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadApp, plain };
@@ -0,0 +1,64 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { I18N_MESSAGES } = app;
+after(() => window.close());
+
+// Placeholders used by a message, or by every plural form of it
+const placeholders = (message) => [...new Set(
+  (typeof message === 'string' ? [message] : Object.values(message))
+    .flatMap(text => text.match(/\{\w+\}/g) || [])
+)].sort();
+
+['ml', 'hi'].forEach(language => {
+  test(`every English message has a ${language} translation with the same placeholders`, () => {
+    Object.entries(I18N_MESSAGES.en).forEach(([key, message]) => {
+      assert.ok(key in I18N_MESSAGES[language], `${language} is missing ${key}`);
+      assert.deepEqual(plain(placeholders(I18N_MESSAGES[language][key])), plain(placeholders(message)), key);
+    });
+  });
+});
+
+test('every message key used in the pages has an English message', () => {
+  const root = path.join(__dirname, '..');
+  fs.readdirSync(root).filter(file => file.endsWith('.html')).forEach(page => {
+    const markup = fs.readFileSync(path.join(root, page), 'utf8');
+    [...markup.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].forEach(([, key]) => {
+      assert.ok(key in I18N_MESSAGES.en, `${page} uses ${key}`);
+    });
+  });
+});
+
+test('API errors are described by their message key, or the fallback', () => {
+  const { I18n, createApiError } = app;
+  const duplicate = createApiError('This customer has already reviewed this product', 409, 'reviews.duplicate');
+  assert.equal(I18n.error(duplicate, 'reviews.saveFailed', { name: 'Old Monk' }), 'You have already reviewed Old Monk');
+  assert.equal(I18n.error(createApiError('Server text', 500, 'no.such.key'), 'reviews.reportFailed'), 'Failed to report the review. Please try again.');
+  assert.equal(I18n.error(new Error('Could not reach the server'), 'reviews.reportFailed'), 'Failed to report the review. Please try again.');
+});
+
+test('every error code the server or offline adapter sends has an English message', () => {
+  const root = path.join(__dirname, '..');
+  const sources = ['server.js', 'script.js'].map(file => fs.readFileSync(path.join(root, file), 'utf8')).join('\n');
+  const codes = [...sources.matchAll(/(?:new HttpError|createApiError)\(.*, '([a-z]+\.[A-Za-z.]+)'\);\r?$/gm)].map(([, code]) => code);
+  assert.ok(codes.includes('order.slotUnavailable'));
+  codes.forEach(code => assert.ok(code in I18N_MESSAGES.en, code));
+});
+
+test('status notes are translated, including English notes stored by older versions', () => {
+  const { app: hindi, window: hindiWindow } = loadApp({ storage: { [app.CONFIG.STORAGE_KEYS.USER_PREFERENCES]: { language: 'hi' } } });
+  try {
+    const { OrderModel } = hindi;
+    assert.equal(OrderModel.formatStatusNote('status.note.collectedAtCounter'), I18N_MESSAGES.hi['status.note.collectedAtCounter']);
+    assert.equal(OrderModel.formatStatusNote('Cancelled by customer'), I18N_MESSAGES.hi['status.note.cancelledByCustomer']);
+    assert.equal(OrderModel.formatStatusNote('Checked by Anu'), 'Checked by Anu');
+  } finally {
+    hindiWindow.close();
+  }
+});
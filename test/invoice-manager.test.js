@@ -0,0 +1,87 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { InvoiceManager, OrderModel } = app;
+after(() => window.close());
+
+const makeOrder = (fields = {}) => OrderModel.create({
+  id: 'LLX-TEST-0001',
+  createdAt: '2026-10-19T10:00:00.000Z',
+  customer: { name: 'Ravi Kumar', phone: '9876543210', email: 'ravi@example.com' },
+  delivery: { address: '12 MG Road', city: 'Kochi', state: 'KL', pin: '682016' },
+  items: [{ productId: 'old-monk-rum', name: 'Old Monk', category: 'rum', price: 1000, quantity: 1 }],
+  ...fields
+});
+
+const sum = (values) => values.reduce((total, value) => total + Math.round(value * 100), 0) / 100;
+
+test('toWords spells amounts with lakh and crore', () => {
+  assert.equal(InvoiceManager.toWords(0), 'Rupees Zero Only');
+  assert.equal(InvoiceManager.toWords(15), 'Rupees Fifteen Only');
+  assert.equal(InvoiceManager.toWords(1105), 'Rupees One Thousand One Hundred Five Only');
+  assert.equal(InvoiceManager.toWords(120000), 'Rupees One Lakh Twenty Thousand Only');
+  assert.equal(
+    InvoiceManager.toWords(123456789),
+    'Rupees Twelve Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine Only'
+  );
+  assert.equal(InvoiceManager.toWords(1000000000), 'Rupees One Hundred Crore Only');
+});
+
+test('financial years run from April to March', () => {
+  assert.equal(InvoiceManager.getFinancialYear(new Date('2027-03-31T12:00:00')), '2026-27');
+  assert.equal(InvoiceManager.getFinancialYear(new Date('2027-04-01T12:00:00')), '2027-28');
+});
+
+test('invoices issued offline have their own series', () => {
+  const date = new Date('2026-10-19T12:00:00');
+  assert.equal(InvoiceManager.takeLocalNumber(date), 'WPL/2026-27/00001');
+  assert.equal(InvoiceManager.takeLocalNumber(date), 'WPL/2026-27/00002');
+  assert.equal(InvoiceManager.formatNumber('2026-27', 1), 'WP/2026-27/00001');
+});
+
+test('GST is split into CGST and SGST within the state and charged as IGST outside it', () => {
+  assert.deepEqual(plain(InvoiceManager.getTaxRule('mixers', true).components.map(tax => tax.id)), ['cgst', 'sgst']);
+  assert.deepEqual(plain(InvoiceManager.getTaxRule('mixers', false).components.map(tax => tax.id)), ['igst']);
+  assert.deepEqual(plain(InvoiceManager.getTaxRule('rum', false).components.map(tax => tax.id)), ['excise', 'vat']);
+});
+
+test('build works tax back from inclusive prices and rounds to the rupee', () => {
+  const invoice = InvoiceManager.build(makeOrder());
+  const [line] = invoice.lines;
+
+  assert.equal(line.hsn, '220840');
+  assert.equal(line.taxable, 689.66);
+  assert.equal(invoice.totals.total, 1000);
+  assert.equal(sum([invoice.totals.taxable, invoice.totals.tax, invoice.totals.roundOff]), invoice.totals.total);
+  assert.ok(Math.abs(invoice.totals.roundOff) < 0.5);
+  assert.equal(invoice.amountInWords, 'Rupees One Thousand Only');
+});
+
+test('build spreads order discounts across lines in proportion to their value', () => {
+  const invoice = InvoiceManager.build(makeOrder({
+    items: [
+      { productId: 'old-monk-rum', name: 'Old Monk', category: 'rum', price: 499, quantity: 2 },
+      { productId: 'tonic', name: 'Tonic', category: 'mixers', price: 99, quantity: 1 }
+    ],
+    pricing: { subtotal: 1097, discountTotal: 55, total: 1042 }
+  }));
+
+  assert.deepEqual(plain(invoice.lines.map(line => line.discount)), [50.04, 4.96]);
+  assert.equal(invoice.totals.discount, 55);
+  assert.equal(invoice.totals.total, 1042);
+});
+
+test('gift wrapping is billed as its own line', () => {
+  const invoice = InvoiceManager.build(makeOrder({
+    pricing: { subtotal: 1000, discountTotal: 0, total: 1099, charges: [{ id: 'giftWrap', amount: 99 }] }
+  }));
+
+  assert.equal(invoice.lines.length, 2);
+  assert.equal(invoice.lines[1].name, 'Gift wrapping');
+  assert.equal(invoice.lines[1].hsn, '998599');
+  assert.equal(invoice.totals.total, 1099);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { OfferEngine, ProductManager, PRODUCT_CATALOG, CONFIG } = app;
+after(() => window.close());
+
+const line = (price, quantity) => ({ productId: 'old-monk-rum', name: 'Old Monk', price, quantity, subtotal: price * quantity });
+
+const bulk = {
+  id: 'bulk',
+  title: 'Volume Discount',
+  minQuantity: 3,
+  benefit: { type: 'percentage', value: 5 }
+};
+
+// 2026-10-16 is a Friday
+const FRIDAY = new Date('2026-10-16T12:00:00');
+const SATURDAY = new Date('2026-10-17T12:00:00');
+
+test('getRejectionReason accepts an order that meets every rule', () => {
+  const offer = { ...bulk, validUntil: '2026-10-16', minOrderValue: 1000, applicableDays: ['friday'] };
+  assert.equal(OfferEngine.getRejectionReason(offer, { subtotal: 1500, itemCount: 3 }, FRIDAY), null);
+});
+
+test('getRejectionReason explains why an offer does not apply', () => {
+  const order = { subtotal: 500, itemCount: 2 };
+  assert.match(OfferEngine.getRejectionReason({ validUntil: '2026-10-16' }, order, SATURDAY), /expired/);
+  assert.match(OfferEngine.getRejectionReason({ minOrderValue: 1000 }, order, FRIDAY), /minimum order value/);
+  assert.match(OfferEngine.getRejectionReason({ minQuantity: 3 }, order, FRIDAY), /at least 3 bottles/);
+  assert.match(OfferEngine.getRejectionReason({ applicableDays: ['friday'] }, order, SATURDAY), /Only available on Friday/);
+});
+
+test('an offer stays valid until the end of its last day', () => {
+  const lateFriday = new Date('2026-10-16T23:30:00');
+  assert.equal(OfferEngine.getRejectionReason({ validUntil: '2026-10-16' }, { subtotal: 0, itemCount: 0 }, lateFriday), null);
+});
+
+test('calculateDiscount rounds percentages and caps flat discounts at the subtotal', () => {
+  assert.equal(OfferEngine.calculateDiscount({ benefit: { type: 'percentage', value: 5 } }, 1497), 75);
+  assert.equal(OfferEngine.calculateDiscount({ benefit: { type: 'flat', value: 500 } }, 300), 300);
+  assert.equal(OfferEngine.calculateDiscount({ benefit: { type: 'perk', perk: 'tasting-sample' } }, 1000), 0);
+});
+
+test('evaluate splits offers into applied and rejected', () => {
+  const perk = { id: 'sample', title: 'Seasonal Tasting', benefit: { type: 'perk', perk: 'tasting-sample', label: 'Sample' } };
+  const { applied, rejected } = OfferEngine.evaluate({ subtotal: 998, itemCount: 2 }, FRIDAY, [bulk, perk]);
+  assert.deepEqual(plain(applied.map(entry => entry.offer.id)), ['sample']);
+  assert.deepEqual(plain(applied[0].perk), { id: 'tasting-sample', label: 'Sample' });
+  assert.deepEqual(plain(rejected.map(entry => entry.offer.id)), ['bulk']);
+});
+
+test('priceOrder totals discounts, perks and charges', () => {
+  const { catalog } = ProductManager;
+  ProductManager.catalog = { ...catalog, offers: [bulk] };
+  try {
+    const pricing = OfferEngine.priceOrder([line(499, 3)], FRIDAY, { giftWrap: true });
+    assert.equal(pricing.subtotal, 1497);
+    assert.equal(pricing.itemCount, 3);
+    assert.deepEqual(plain(pricing.discounts), [{ offerId: 'bulk', title: 'Volume Discount', amount: 75 }]);
+    assert.equal(pricing.discountTotal, 75);
+    assert.equal(pricing.chargesTotal, CONFIG.GIFT.WRAP_FEE);
+    assert.equal(pricing.total, 1497 - 75 + CONFIG.GIFT.WRAP_FEE);
+    assert.deepEqual(plain(pricing.rejectedOffers), []);
+  } finally {
+    ProductManager.catalog = catalog;
+  }
+});
+
+// The seeded offers must be live: a cart of three standard bottles qualifies
+// for the volume discount on any day
+const catalogFile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'catalog.json'), 'utf8'));
+[['bundled catalog', PRODUCT_CATALOG.offers], ['data/catalog.json', catalogFile.offers]].forEach(([source, offers]) => {
+  test(`the ${source} has an offer that applies today`, () => {
+    const { applied } = OfferEngine.evaluate({ items: [line(499, 3)], subtotal: 1497, itemCount: 3 }, new Date(), offers);
+    assert.ok(applied.length > 0, 'no seeded offer applies to a qualifying cart');
+    assert.equal(applied.find(entry => entry.offer.id === 'bulk-discount')?.discount, 75);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { OrderCode, OrderManager, OrderModel, CONFIG } = app;
+after(() => window.close());
+
+test('codes carry the prefix, the order ID and a checksum', () => {
+  const code = OrderCode.create('llx-mvf4y3gp-eol3');
+  assert.match(code, /^WP:LLX-MVF4Y3GP-EOL3:[0-9A-Z]{6}$/);
+  assert.equal(OrderCode.create('LLX-MVF4Y3GP-EOL3'), code);
+});
+
+test('parse accepts a code as scanned or typed', () => {
+  const code = OrderCode.create('LLX-MVF4Y3GP-EOL3');
+  const expected = { isValid: true, orderId: 'LLX-MVF4Y3GP-EOL3', message: '' };
+  assert.deepEqual(plain(OrderCode.parse(code)), expected);
+  assert.deepEqual(plain(OrderCode.parse(` ${code.toLowerCase()} `)), expected);
+  assert.deepEqual(plain(OrderCode.parse(code.slice(3))), expected);
+});
+
+test('parse rejects altered codes and other text', () => {
+  const code = OrderCode.create('LLX-MVF4Y3GP-EOL3');
+  assert.equal(OrderCode.parse(code.replace('EOL3', 'EOL4')).isValid, false);
+  assert.equal(OrderCode.parse(`${code.slice(0, -1)}${code.endsWith('0') ? '1' : '0'}`).isValid, false);
+  assert.equal(OrderCode.parse('LLX-MVF4Y3GP-EOL3').isValid, false);
+  assert.equal(OrderCode.parse('').isValid, false);
+});
+
+test('getCollectionPath walks the status lifecycle to delivered', () => {
+  assert.deepEqual(plain(OrderManager.getCollectionPath('confirmed')), ['packed', 'ready', 'delivered']);
+  assert.deepEqual(plain(OrderManager.getCollectionPath('ready')), ['delivered']);
+  assert.deepEqual(plain(OrderManager.getCollectionPath('delivered')), []);
+  assert.equal(OrderManager.getCollectionPath('cancelled'), null);
+});
+
+test('orders show the server\'s signed code when they have one', () => {
+  const signed = 'WP:LLX-MVF4Y3GP-EOL3:7K2QX0M9TA';
+  assert.equal(OrderCode.forOrder({ id: 'LLX-MVF4Y3GP-EOL3', code: signed }), signed);
+  assert.equal(OrderCode.forOrder({ id: 'LLX-MVF4Y3GP-EOL3' }), OrderCode.create('LLX-MVF4Y3GP-EOL3'));
+  assert.deepEqual(plain(OrderCode.split(signed.slice(3))), { orderId: 'LLX-MVF4Y3GP-EOL3', checksum: '7K2QX0M9TA' });
+});
+
+const pickupOrder = (fields = {}) => OrderModel.create({
+  id: 'LLX-TEST-0001',
+  customer: { name: 'Ravi Kumar', phone: '9876543210' },
+  items: [{ productId: 'old-monk-rum', name: 'Old Monk', price: 499, quantity: 1 }],
+  fulfilment: 'pickup',
+  pickup: { outletId: 'kochi-mg-road', outletName: 'MG Road', token: 1 },
+  ...fields
+});
+
+test('only active pickup orders can be collected', () => {
+  assert.equal(OrderManager.getCollectionError(pickupOrder()), '');
+  assert.match(OrderManager.getCollectionError(pickupOrder({ fulfilment: 'delivery' })), /home delivery/);
+  assert.match(OrderManager.getCollectionError(pickupOrder({ status: 'delivered' })), /already been collected/);
+  assert.match(OrderManager.getCollectionError(pickupOrder({ status: 'cancelled' })), /cannot be collected/);
+});
+
+test('offline, collecting saves every status on the way in one write', async () => {
+  const { app: offline, window: offlineWindow } = loadApp({
+    storage: { [CONFIG.STORAGE_KEYS.ORDERS]: [plain(pickupOrder())] }
+  });
+  try {
+    offline.ApiClient.setAdapter(offline.OfflineAdapter);
+    const writes = [];
+    const { setItem } = offline.Storage;
+    offline.Storage.setItem = (key, value) => {
+      writes.push(key);
+      return setItem(key, value);
+    };
+
+    const code = offline.OrderCode.create('LLX-TEST-0001');
+    const result = await offline.OrderManager.collectOrder(code);
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(plain(result.order.statusHistory.map(entry => entry.status)), ['confirmed', 'packed', 'ready', 'delivered']);
+    assert.equal(writes.filter(key => key === CONFIG.STORAGE_KEYS.ORDERS).length, 1);
+    assert.equal(offline.OrderLedger.getById('LLX-TEST-0001').status, 'delivered');
+
+    const again = await offline.OrderManager.collectOrder(code);
+    assert.equal(again.success, false);
+    assert.equal((await offline.OrderManager.collectOrder(code.replace(/.$/, '?'))).success, false);
+  } finally {
+    offlineWindow.close();
+  }
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app: shared, window } = loadApp();
+const { OrderModel, CONFIG } = shared;
+after(() => window.close());
+
+const ORDERS_KEY = CONFIG.STORAGE_KEYS.ORDERS;
+const LEGACY_KEY = CONFIG.STORAGE_KEYS.BOOKING_DATA;
+
+// Each test gets its own window, so its local storage starts from `storage`
+const withApp = (storage, run) => {
+  const { app, window: appWindow } = loadApp({ storage });
+  try {
+    return run(app, appWindow);
+  } finally {
+    appWindow.close();
+  }
+};
+
+const order = (id, createdAt) => plain(OrderModel.create({
+  id,
+  createdAt,
+  customer: { name: 'Ravi Kumar', phone: '9876543210' },
+  delivery: { address: '12 MG Road', city: 'Kochi', state: 'KL', pin: '682016' },
+  items: [{ productId: 'old-monk-rum', name: 'Old Monk', price: 499, quantity: 1 }]
+}));
+
+// An entry no version of the order model can read
+const unreadable = { note: 'not an order' };
+
+test('reading skips unreadable entries without touching storage', () => {
+  const seed = [order('LLX-TEST-0001', '2026-10-18T10:00:00.000Z'), unreadable];
+  withApp({ [ORDERS_KEY]: seed }, (app, appWindow) => {
+    const stored = appWindow.localStorage.getItem(ORDERS_KEY);
+    assert.deepEqual(plain(app.OrderLedger.getAll().map(entry => entry.id)), ['LLX-TEST-0001']);
+    assert.equal(app.OrderLedger.getById('LLX-TEST-0001').id, 'LLX-TEST-0001');
+    assert.equal(appWindow.localStorage.getItem(ORDERS_KEY), stored);
+  });
+});
+
+test('saving keeps the entries reading skipped', () => {
+  const seed = [order('LLX-TEST-0001', '2026-10-18T10:00:00.000Z'), unreadable];
+  withApp({ [ORDERS_KEY]: seed }, (app, appWindow) => {
+    assert.equal(app.OrderLedger.add(app.OrderModel.create(order('LLX-TEST-0002', '2026-10-19T10:00:00.000Z'))), true);
+
+    const stored = JSON.parse(appWindow.localStorage.getItem(ORDERS_KEY));
+    assert.deepEqual(stored.map(entry => entry.id || entry.note), ['LLX-TEST-0002', 'LLX-TEST-0001', 'not an order']);
+    assert.deepEqual(plain(app.OrderLedger.getAll().map(entry => entry.id)), ['LLX-TEST-0002', 'LLX-TEST-0001']);
+  });
+});
+
+test('the booking kept by earlier versions is read in place and moved on the first save', () => {
+  const legacy = {
+    orderId: 'LLX-OLD-0001',
+    product: 'Old Monk',
+    quantity: 2,
+    total: 998,
+    customer: { name: 'Ravi Kumar', phone: '9876543210' },
+    timestamp: '2026-10-01T10:00:00.000Z'
+  };
+  withApp({ [LEGACY_KEY]: legacy }, (app, appWindow) => {
+    assert.equal(app.OrderLedger.getAll()[0].id, 'LLX-OLD-0001');
+    assert.equal(appWindow.localStorage.getItem(ORDERS_KEY), null);
+    assert.notEqual(appWindow.localStorage.getItem(LEGACY_KEY), null);
+
+    assert.equal(app.OrderLedger.updateStatus('LLX-OLD-0001', 'packed').success, true);
+    assert.equal(JSON.parse(appWindow.localStorage.getItem(ORDERS_KEY))[0].status, 'packed');
+    assert.equal(appWindow.localStorage.getItem(LEGACY_KEY), null);
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { test, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { CardPaymentProvider, UpiPaymentProvider, DeliveryScheduler, I18n, CONFIG } = app;
+const systemClock = DeliveryScheduler.clock;
+afterEach(() => DeliveryScheduler.setClock(systemClock));
+after(() => window.close());
+
+const card = (overrides = {}) => ({
+  cardNumber: '4111 1111 1111 1111',
+  cardName: 'Asha Menon',
+  expiryDate: '12/30',
+  cvv: '123',
+  ...overrides
+});
+
+test('passesLuhn accepts valid checksums only', () => {
+  assert.equal(CardPaymentProvider.passesLuhn('4111111111111111'), true);
+  assert.equal(CardPaymentProvider.passesLuhn('378282246310005'), true);
+  assert.equal(CardPaymentProvider.passesLuhn('4111111111111112'), false);
+  assert.equal(CardPaymentProvider.passesLuhn(''), false);
+});
+
+test('getBrand reads the number prefix', () => {
+  assert.equal(CardPaymentProvider.getBrand('4111111111111111'), 'visa');
+  assert.equal(CardPaymentProvider.getBrand('378282246310005'), 'amex');
+  assert.equal(CardPaymentProvider.getBrand('5555555555554444'), 'mastercard');
+  assert.equal(CardPaymentProvider.getBrand('6521000000000000'), 'rupay');
+});
+
+test('Mastercard 2-series covers 2221 to 2720 only', () => {
+  assert.equal(CardPaymentProvider.getBrand('2221000000000009'), 'mastercard');
+  assert.equal(CardPaymentProvider.getBrand('2720990000000007'), 'mastercard');
+  assert.equal(CardPaymentProvider.getBrand('2220000000000000'), null);
+  assert.equal(CardPaymentProvider.getBrand('2721000000000004'), null);
+});
+
+test('validate checks the number, brand and length', () => {
+  assert.equal(CardPaymentProvider.validate(card()).isValid, true);
+  assert.equal(CardPaymentProvider.validate(card({ cardNumber: '4111-1111-1111-1112' })).errors.cardNumber,
+    I18n.t('payment.cardNumber'));
+  // Luhn-valid, but Visa numbers are never 15 digits
+  assert.equal(CardPaymentProvider.validate(card({ cardNumber: '411111111111116' })).errors.cardNumber,
+    I18n.t('payment.cardBrand'));
+  assert.equal(CardPaymentProvider.validate(card({ cardNumber: '2220000000000000' })).errors.cardNumber,
+    I18n.t('payment.cardBrand'));
+
+  const amex = CardPaymentProvider.validate(card({ cardNumber: '378282246310005', cvv: '123' }));
+  assert.equal(amex.errors.cvv, I18n.t('payment.cvv', { length: 4 }));
+  assert.equal(CardPaymentProvider.validate(card({ cardNumber: '378282246310005', cvv: '1234' })).isValid, true);
+});
+
+test('cards stay valid until the end of their expiry month', () => {
+  DeliveryScheduler.setClock(() => new Date(2026, 9, 31, 23, 59));
+  assert.equal(CardPaymentProvider.validate(card({ expiryDate: '10/26' })).isValid, true);
+  assert.equal(CardPaymentProvider.validate(card({ expiryDate: '09/26' })).errors.expiryDate,
+    I18n.t('payment.expired'));
+
+  DeliveryScheduler.setClock(() => new Date(2026, 10, 1, 0, 0));
+  assert.equal(CardPaymentProvider.validate(card({ expiryDate: '10/26' })).errors.expiryDate,
+    I18n.t('payment.expired'));
+  assert.equal(CardPaymentProvider.validate(card({ expiryDate: '11 / 26' })).isValid, true);
+});
+
+test('expiry must be a real MM/YY month', () => {
+  ['13/30', '00/30', '1/30', '12/2030', ''].forEach(expiryDate => {
+    assert.equal(CardPaymentProvider.validate(card({ expiryDate })).errors.expiryDate,
+      I18n.t('payment.expiry'), expiryDate);
+  });
+});
+
+test('VPA_REGEX accepts handle@provider UPI IDs', () => {
+  const { VPA_REGEX } = CONFIG.VALIDATION;
+  ['asha@okaxis', 'asha.menon-1@ybl', 'a1@paytm'].forEach(vpa => assert.ok(VPA_REGEX.test(vpa), vpa));
+  ['a@okaxis', '.asha@okaxis', 'asha@ok-axis', 'asha@1bank', 'asha', 'asha@', 'Asha@okaxis']
+    .forEach(vpa => assert.ok(!VPA_REGEX.test(vpa), vpa));
+});
+
+test('UPI validation trims and lower-cases the ID', () => {
+  const result = UpiPaymentProvider.validate({ upiId: '  Asha@OKAXIS ' });
+  assert.equal(result.isValid, true);
+  assert.equal(result.value.vpa, 'asha@okaxis');
+  assert.equal(UpiPaymentProvider.validate({ upiId: 'asha' }).errors.upiId, I18n.t('payment.upiId'));
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { RouteGuards, AdminSession, Router, ApiClient, OfflineAdapter } = app;
+ApiClient.setAdapter(OfflineAdapter);
+after(() => window.close());
+
+test('staff pages are guarded by the admin session', () => {
+  ['admin', 'counter', 'verify'].forEach(name => {
+    const route = Router.routes.find(entry => entry.name === name);
+    assert.ok(route.guards.includes(RouteGuards.adminSession), name);
+  });
+});
+
+test('pages without a passcode form are sent home', async () => {
+  AdminSession.lock();
+  assert.deepEqual(plain(await RouteGuards.adminSession()), { to: 'index.html' });
+});
+
+test('the guard waits for the passcode, then lets the page mount', async () => {
+  AdminSession.lock();
+  window.document.body.innerHTML = `
+    <h2 id="adminLoginTitle">Enter admin passcode</h2>
+    <form id="adminLoginForm"><input name="passcode"></form>`;
+  const form = window.document.querySelector('#adminLoginForm');
+
+  let outcome = null;
+  const pending = RouteGuards.adminSession().then(result => { outcome = result; });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(window.document.querySelector('#adminLoginTitle').textContent, 'Set an admin passcode');
+
+  form.elements.passcode.value = 'ab';
+  form.requestSubmit();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(outcome, null);
+
+  form.elements.passcode.value = 'staff-pass-1';
+  form.requestSubmit();
+  await pending;
+  assert.equal(outcome, true);
+  assert.equal(AdminSession.isUnlocked(), true);
+  assert.equal(AdminSession.getCredential(), await AdminSession.hash('staff-pass-1'));
+  assert.equal(await RouteGuards.adminSession(), true);
+});
+
+test('unlocking checks the passcode with the API', async () => {
+  AdminSession.lock();
+  assert.equal(AdminSession.getCredential(), null);
+  assert.equal(await AdminSession.unlock('wrong-pass'), false);
+  assert.equal(AdminSession.isUnlocked(), false);
+  assert.equal(await AdminSession.unlock('staff-pass-1'), true);
+  assert.equal(AdminSession.isUnlocked(), true);
+});
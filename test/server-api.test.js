@@ -0,0 +1,181 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The server reads its store location when loaded
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wrong-pour-'));
+process.env.STORE_FILE = path.join(storeDir, 'store.json');
+const { server, createOrderCode } = require('../server');
+
+const deliveredOrder = {
+  id: 'LLX-TEST-0001',
+  createdAt: '2026-10-19T10:00:00.000Z',
+  status: 'delivered',
+  customer: { name: 'Ravi Kumar', phone: '9876543210' },
+  items: [
+    { productId: 'old-monk-rum', name: 'Old Monk Dark Rum', price: 499, quantity: 1 },
+    { productId: 'kingfisher-beer', name: 'Kingfisher Premium', price: 180, quantity: 2 }
+  ]
+};
+
+const pickupOrder = {
+  ...deliveredOrder,
+  id: 'LLX-TEST-0002',
+  status: 'confirmed',
+  statusHistory: [{ status: 'confirmed', at: '2026-10-19T10:00:00.000Z' }],
+  fulfilment: 'pickup'
+};
+const homeOrder = { ...pickupOrder, id: 'LLX-TEST-0003', fulfilment: 'delivery' };
+const lapsedOrder = { ...homeOrder, id: 'LLX-TEST-0004', eta: { date: '2026-01-10', slot: { start: 16, end: 20 } } };
+const upcomingOrder = { ...homeOrder, id: 'LLX-TEST-0005', eta: { date: '2099-01-10', slot: { start: 16, end: 20 } } };
+
+const secret = { orderCodeSecret: 'test-secret' };
+const adminHash = crypto.createHash('sha256').update('letmein').digest('hex');
+const staff = { 'X-Admin-Passcode': adminHash };
+
+let baseUrl;
+before(async () => {
+  fs.writeFileSync(process.env.STORE_FILE, JSON.stringify({
+    products: [],
+    offers: [],
+    orders: [deliveredOrder, pickupOrder, homeOrder, lapsedOrder, upcomingOrder],
+    adminPasscodeHash: adminHash,
+    ...secret
+  }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+after(() => {
+  server.close();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+const request = async (method, url, body, headers = {}) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const review = (fields = {}) => ({
+  id: 'REV-TEST-1',
+  productId: 'old-monk-rum',
+  orderId: 'LLX-TEST-0001',
+  rating: 4,
+  tastingNotes: { nose: 'Vanilla', palate: '', finish: '' },
+  comment: 'Smooth',
+  ...fields
+});
+
+test('the server holds reviews with blocked words, whatever status the client sends', async () => {
+  const held = await request('POST', '/reviews', review({ comment: 'utter sh1t', status: 'published', reports: -5 }));
+  assert.equal(held.status, 201);
+  assert.equal(held.body.status, 'pending');
+  assert.equal(held.body.reports, 0);
+  assert.equal(held.body.productName, 'Old Monk Dark Rum');
+
+  const listed = await request('GET', '/reviews?status=published');
+  assert.deepEqual(listed.body, []);
+});
+
+test('clean reviews are published even when the client asks otherwise', async () => {
+  const posted = await request('POST', '/reviews', review({ id: 'REV-TEST-2', productId: 'kingfisher-beer', status: 'hidden' }));
+  assert.equal(posted.status, 201);
+  assert.equal(posted.body.status, 'published');
+});
+
+test('order codes are verified against the server\'s signature', async () => {
+  const code = createOrderCode('LLX-TEST-0002', secret);
+  assert.match(code, /^WP:LLX-TEST-0002:[0-9A-Z]{10}$/);
+
+  const verified = await request('POST', '/order-codes/verify', { code: ` ${code.toLowerCase()} ` }, staff);
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.id, 'LLX-TEST-0002');
+
+  const forged = await request('POST', '/order-codes/verify', { code: createOrderCode('LLX-TEST-0002', { orderCodeSecret: 'guess' }) }, staff);
+  assert.equal(forged.status, 422);
+  assert.equal((await request('POST', '/order-codes/verify', { code: 'LLX-TEST-0002' }, staff)).status, 422);
+  assert.equal((await request('POST', '/order-codes/verify', { code: createOrderCode('LLX-NONE', secret) }, staff)).status, 404);
+});
+
+test('collecting moves a pickup order to delivered in one step, once', async () => {
+  const code = createOrderCode('LLX-TEST-0002', secret);
+  assert.equal((await request('POST', '/order-codes/collect', { code })).status, 401);
+
+  const collected = await request('POST', '/order-codes/collect', { code }, staff);
+  assert.equal(collected.status, 200);
+  assert.equal(collected.body.status, 'delivered');
+  assert.deepEqual(collected.body.statusHistory.map(entry => entry.status), ['confirmed', 'packed', 'ready', 'delivered']);
+  assert.equal(collected.body.statusHistory[3].note, 'status.note.collectedAtCounter');
+
+  const again = await request('POST', '/order-codes/collect', { code }, staff);
+  assert.equal(again.status, 409);
+  assert.match(again.body.error, /already been collected/);
+});
+
+test('home delivery orders cannot be collected at the counter', async () => {
+  const refused = await request('POST', '/order-codes/collect', { code: createOrderCode('LLX-TEST-0003', secret) }, staff);
+  assert.equal(refused.status, 409);
+  assert.equal((await request('GET', '/orders/LLX-TEST-0003')).body.status, 'confirmed');
+});
+
+test('catalog changes need the admin passcode', async () => {
+  const cheap = await request('PUT', '/products/old-monk-rum', { id: 'old-monk-rum', price: 1 });
+  assert.equal(cheap.status, 401);
+  assert.equal((await request('DELETE', '/offers/any-offer')).status, 401);
+  assert.equal((await request('DELETE', '/offers/any-offer', undefined, { 'X-Admin-Passcode': 'f'.repeat(64) })).status, 401);
+  assert.equal((await request('DELETE', '/offers/any-offer', undefined, staff)).status, 404);
+});
+
+test('the admin passcode is set once, then checked', async () => {
+  assert.deepEqual((await request('GET', '/admin/passcode')).body, { isSet: true });
+  assert.equal((await request('PUT', '/admin/passcode', { hash: 'a'.repeat(64) })).status, 401);
+  assert.equal((await request('GET', '/admin/session')).status, 401);
+  assert.equal((await request('GET', '/admin/session', undefined, staff)).status, 200);
+});
+
+test('customers may only cancel a confirmed order or expire a lapsed one', async () => {
+  assert.equal((await request('PATCH', '/orders/LLX-TEST-0003/status', { status: 'packed' })).status, 401);
+  assert.equal((await request('PATCH', '/orders/LLX-TEST-0003/status', { status: 'packed' }, staff)).status, 200);
+  assert.equal((await request('PATCH', '/orders/LLX-TEST-0003/status', { status: 'cancelled' })).status, 401);
+
+  assert.equal((await request('PATCH', '/orders/LLX-TEST-0005/status', { status: 'expired' })).status, 401);
+  const cancelled = await request('PATCH', '/orders/LLX-TEST-0005/status', { status: 'cancelled' });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+
+  const expired = await request('PATCH', '/orders/LLX-TEST-0004/status', { status: 'expired' });
+  assert.equal(expired.status, 200);
+  assert.equal(expired.body.status, 'expired');
+});
+
+test('order errors carry a message key', async () => {
+  const invalid = await request('POST', '/orders', { id: 'LLX-TEST-0006', items: [] });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.body.code, 'order.invalid');
+});
+
+test('customers cannot deliver their own order to unlock a review', async () => {
+  assert.equal((await request('PATCH', '/orders/LLX-TEST-0003/status', { status: 'ready' })).status, 401);
+  const refused = await request('POST', '/reviews', review({ id: 'REV-TEST-3', orderId: 'LLX-TEST-0003' }));
+  assert.equal(refused.status, 422);
+  assert.equal(refused.body.code, 'reviews.notDelivered');
+});
+
+test('review errors carry a message key, and only staff moderate reviews', async () => {
+  const duplicate = await request('POST', '/reviews', review({ id: 'REV-TEST-4' }));
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.code, 'reviews.duplicate');
+
+  assert.equal((await request('PATCH', '/reviews/REV-TEST-1/status', { status: 'published' })).status, 401);
+  const published = await request('PATCH', '/reviews/REV-TEST-1/status', { status: 'published' }, staff);
+  assert.equal(published.status, 200);
+  assert.equal(published.body.status, 'published');
+});
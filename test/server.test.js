@@ -0,0 +1,157 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateOrder,
+  findStalePrices,
+  containsBlockedWord,
+  priceOrder,
+  findPricingMismatches,
+  checkCompliance,
+  checkSlotCapacity
+} = require('../server');
+
+const products = [{
+  id: 'old-monk-rum',
+  name: 'Old Monk',
+  variants: [
+    { sku: 'old-monk-rum-180', volumeMl: 180, price: 149 },
+    { sku: 'old-monk-rum-750', volumeMl: 750, price: 499 }
+  ]
+}];
+
+const offers = [
+  { id: 'bulk-discount', title: 'Volume Discount', minQuantity: 3, benefit: { type: 'percentage', value: 5 } },
+  { id: 'expired', title: 'Old Offer', validUntil: '2020-01-01', benefit: { type: 'flat', value: 100 } },
+  { id: 'weekend-priority', title: 'Priority Dispatch', applicableDays: ['friday'], benefit: { type: 'perk', perk: 'priority-dispatch' } }
+];
+
+const makeOrder = (fields = {}) => ({
+  id: 'LLX-TEST-0001',
+  createdAt: '2026-10-19T10:00:00.000Z',
+  status: 'confirmed',
+  customer: { name: 'Ravi Kumar', phone: '9876543210', dateOfBirth: '1990-01-01' },
+  fulfilment: 'delivery',
+  delivery: { state: 'KL' },
+  items: [{ productId: 'old-monk-rum', sku: 'old-monk-rum-750', name: 'Old Monk', price: 499, abv: 40, volumeMl: 750, quantity: 2 }],
+  eta: { dateKey: '2027-01-12', slot: { id: 'morning', label: 'Morning' } },
+  pricing: { subtotal: 998, discountTotal: 0, chargesTotal: 0, total: 998 },
+  totalAmount: 998,
+  ...fields
+});
+
+// Kerala: legal age 23, 3 litres and 1.2 litres of alcohol a day
+const rules = {
+  defaultVolumeMl: 750,
+  default: { minimumAge: 21, maxLitresPerDay: 4.5, maxAlcoholLitresPerDay: 1.8 },
+  states: {
+    GJ: { name: 'Gujarat', prohibited: true },
+    KL: { name: 'Kerala', minimumAge: 23, maxLitresPerDay: 3, maxAlcoholLitresPerDay: 1.2, blockedDates: [{ date: '2027-09-21', reason: 'Dry day' }] }
+  }
+};
+const storeWith = (orders = []) => ({ products, offers, orders });
+
+test('validateOrder accepts a well-formed order', () => {
+  assert.deepEqual(validateOrder(makeOrder()), []);
+});
+
+test('validateOrder lists every problem', () => {
+  assert.deepEqual(validateOrder(null), ['Order must be an object']);
+  const errors = validateOrder(makeOrder({ id: '', customer: {}, items: [], totalAmount: -1 }));
+  assert.equal(errors.length, 4);
+});
+
+test('validateOrder refuses card details in the payment', () => {
+  const errors = validateOrder(makeOrder({ payment: { method: 'card', status: 'captured', cardNumber: '4111111111111111' } }));
+  assert.deepEqual(errors, ['Payment may only include method, status, reference and instrument']);
+});
+
+test('validateOrder checks gift recipients and messages', () => {
+  const errors = validateOrder(makeOrder({
+    fulfilment: 'pickup',
+    gift: { recipient: { name: 'Anu', phone: '123' }, message: 'x'.repeat(201) }
+  }));
+  assert.equal(errors.length, 3);
+});
+
+test('findStalePrices names items priced differently from the catalog', () => {
+  assert.deepEqual(findStalePrices(makeOrder(), products), []);
+  const stale = makeOrder({
+    items: [
+      { productId: 'old-monk-rum', sku: 'old-monk-rum-180', name: 'Old Monk', volumeMl: 180, price: 129, quantity: 1 },
+      { productId: 'old-monk-rum', sku: 'old-monk-rum-375', name: 'Old Monk', volumeMl: 375, price: 269, quantity: 1 },
+      { productId: 'old-monk-rum', name: 'Old Monk', price: 499, quantity: 1 }
+    ]
+  });
+  assert.deepEqual(findStalePrices(stale, products), ['Old Monk (180 ml)', 'Old Monk (375 ml)']);
+});
+
+test('priceOrder applies the offers in force when a recent order was placed', () => {
+  const items = [{ price: 499, quantity: 3 }];
+  assert.deepEqual(priceOrder(makeOrder({ items }), offers), { subtotal: 1497, discountTotal: 75, chargesTotal: 0, total: 1422 });
+  assert.deepEqual(
+    priceOrder(makeOrder({ items, gift: { wrap: true } }), offers),
+    { subtotal: 1497, discountTotal: 75, chargesTotal: 99, total: 1521 }
+  );
+  // Placing times in the future are not believed
+  const later = makeOrder({ createdAt: '2030-01-01T00:00:00.000Z' });
+  assert.equal(priceOrder(later, [{ validUntil: '2029-12-31', benefit: { type: 'flat', value: 10 } }], new Date('2026-10-19')).total, 988);
+
+  // A queued order keeps offers that have since ended, but only for a day
+  const ended = [{ validUntil: '2026-10-18', benefit: { type: 'flat', value: 100 } }];
+  const queued = makeOrder({ createdAt: '2026-10-18T08:00:00.000Z' });
+  assert.equal(priceOrder(queued, ended, new Date('2026-10-19T07:00:00.000Z')).total, 898);
+  const backdated = makeOrder({ createdAt: '2019-06-01T00:00:00.000Z' });
+  assert.equal(priceOrder(backdated, offers, new Date('2026-10-19T07:00:00.000Z')).total, 998);
+});
+
+test('findPricingMismatches refuses made-up totals and discounts', () => {
+  assert.deepEqual(findPricingMismatches(makeOrder(), offers), []);
+  assert.deepEqual(findPricingMismatches(makeOrder({ totalAmount: 1 }), offers), ['The order total should be 998, not 1']);
+  const discounted = makeOrder({ pricing: { subtotal: 998, discountTotal: 500, chargesTotal: 0, total: 498 }, totalAmount: 498 });
+  assert.equal(findPricingMismatches(discounted, offers).length, 3);
+  const cheapItems = makeOrder({ items: [{ productId: 'old-monk-rum', name: 'Old Monk', price: 499, quantity: 2, subtotal: 2 }] });
+  assert.deepEqual(findPricingMismatches(cheapItems, offers), ['Item totals do not match their prices']);
+});
+
+test('checkCompliance applies the state rules', () => {
+  assert.deepEqual(checkCompliance(makeOrder(), storeWith(), rules), []);
+  assert.deepEqual(checkCompliance(makeOrder({ delivery: { state: 'GJ' } }), storeWith(), rules), ['Liquor sales are prohibited in Gujarat']);
+  assert.deepEqual(
+    checkCompliance(makeOrder({ customer: { phone: '9876543210', dateOfBirth: '2004-01-13' } }), storeWith(), rules),
+    ['Customers must be 23 or older in Kerala']
+  );
+  assert.match(checkCompliance(makeOrder({ eta: { dateKey: '2027-09-21' } }), storeWith(), rules)[0], /dry day/);
+  assert.match(checkCompliance(makeOrder({ items: [{ productId: 'x', abv: 40, volumeMl: 750, quantity: 5 }] }), storeWith(), rules)[0], /3 L per person/);
+});
+
+test('checkCompliance counts the buyer\'s gifts and the recipient\'s orders that day', () => {
+  const gift = (phone, fields = {}) => makeOrder({ gift: { recipient: { name: 'Anu', phone, dateOfBirth: '1995-01-01' } }, ...fields });
+  const earlierGift = gift('9000000001', { id: 'LLX-TEST-0000', items: [{ productId: 'x', abv: 40, volumeMl: 750, quantity: 3 }] });
+  assert.match(checkCompliance(makeOrder(), storeWith([earlierGift]), rules)[0], /brings the customer to 3.75 L/);
+  assert.deepEqual(checkCompliance(makeOrder(), storeWith([{ ...earlierGift, status: 'cancelled' }]), rules), []);
+
+  const received = makeOrder({ id: 'LLX-TEST-0002', customer: { phone: '9123456780' }, items: [{ productId: 'x', abv: 40, volumeMl: 750, quantity: 3 }] });
+  assert.match(checkCompliance(gift('9123456780'), storeWith([received]), rules)[0], /brings the gift recipient to 3.75 L/);
+});
+
+test('checkSlotCapacity refuses full slots and windows', () => {
+  const booked = (count, slot) => Array.from({ length: count }, (_, index) => makeOrder({ id: `LLX-${index}`, eta: { dateKey: '2027-01-12', slot } }));
+  const morning = { id: 'morning', label: 'Morning' };
+  assert.equal(checkSlotCapacity(makeOrder(), booked(19, morning)), null);
+  assert.match(checkSlotCapacity(makeOrder(), booked(20, morning)), /Morning delivery slot on 2027-01-12 is full/);
+  assert.equal(checkSlotCapacity(makeOrder(), booked(20, morning).map(order => ({ ...order, status: 'cancelled' }))), null);
+
+  const window = { id: 'pickup:kochi-mg-road:1000', label: '10:00 AM' };
+  const pickup = makeOrder({ fulfilment: 'pickup', eta: { dateKey: '2027-01-12', slot: window } });
+  assert.match(checkSlotCapacity(pickup, booked(6, window)), /pickup window on 2027-01-12 is full/);
+  assert.equal(checkSlotCapacity(makeOrder({ eta: { dateKey: '2027-01-12', slot: { id: 'night' } } }), []), 'Unknown delivery slot night');
+});
+
+test('containsBlockedWord sees through look-alikes but not longer words', () => {
+  assert.equal(containsBlockedWord('What a sh1iit rum'), true);
+  assert.equal(containsBlockedWord('B@STARD'), true);
+  assert.equal(containsBlockedWord('Bought it in Scunthorpe'), false);
+  assert.equal(containsBlockedWord(''), false);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+const { app, window } = loadApp();
+const { Template, html, I18n } = app;
+after(() => window.close());
+
+const ATTACK = '"><img src=x onerror=alert(1)>';
+
+test('escape encodes markup characters and skips empty values', () => {
+  assert.equal(Template.escape(`<b>Tom & "Jerry's"</b>`), '&lt;b&gt;Tom &amp; &quot;Jerry&#39;s&quot;&lt;/b&gt;');
+  assert.equal(Template.escape(0), '0');
+  [null, undefined, false].forEach(value => assert.equal(Template.escape(value), ''));
+  assert.equal(Template.escape(['<i>', html`<i>ok</i>`]), '&lt;i&gt;<i>ok</i>');
+  assert.equal(Template.escape(Template.trusted('<hr>')), '<hr>');
+});
+
+test('html escapes values in text and attributes but keeps nested templates', () => {
+  const name = '<script>alert(1)</script>';
+  const markup = html`<a title="${ATTACK}">${name}</a>${html`<br>`}`;
+  assert.ok(Template.isSafe(markup));
+  assert.equal(String(markup),
+    '<a title="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;">&lt;script&gt;alert(1)&lt;/script&gt;</a><br>');
+
+  const root = window.document.createElement('div');
+  Template.render(root, markup);
+  assert.equal(root.querySelector('a').getAttribute('title'), ATTACK);
+  assert.equal(root.querySelector('a').textContent, name);
+  assert.equal(root.querySelectorAll('img, script').length, 0);
+});
+
+test('plain strings passed to render are shown as text', () => {
+  const root = window.document.createElement('div');
+  Template.render(root, ATTACK);
+  assert.equal(root.textContent, ATTACK);
+  assert.equal(root.children.length, 0);
+});
+
+test('join escapes both the values and a plain separator', () => {
+  assert.equal(String(Template.join(['a<b', html`<em>c</em>`], html`<br>`)), 'a&lt;b<br><em>c</em>');
+  assert.equal(String(Template.join(['x', 'y'], ' & ')), 'x &amp; y');
+  assert.equal(String(Template.join([])), '');
+});
+
+test('t keeps safe params as markup and escapes plain ones', () => {
+  const terms = html`<a href="/terms">${'Terms & Conditions'}</a>`;
+  const markup = String(Template.t('checkout.terms', { terms, privacy: ATTACK }));
+  assert.ok(markup.includes('<a href="/terms">Terms &amp; Conditions</a>'));
+  assert.ok(markup.includes('&quot;&gt;&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(!markup.includes('<img'));
+
+  const root = window.document.createElement('div');
+  Template.render(root, Template.t('checkout.terms', { terms, privacy: ATTACK }));
+  assert.equal(root.querySelectorAll('a').length, 1);
+  assert.equal(root.querySelectorAll('img').length, 0);
+  assert.equal(root.textContent, I18n.t('checkout.terms', { terms: 'Terms & Conditions', privacy: ATTACK }));
+});
+
+test('t escapes every param when none is safe', () => {
+  const markup = String(Template.t('order.pickupAt', { outlet: '<b>Main</b>', address: 'A & B Road' }));
+  assert.equal(markup, 'Pickup at &lt;b&gt;Main&lt;/b&gt;, A &amp; B Road');
+});